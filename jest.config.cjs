@@ -7,6 +7,8 @@ module.exports = {
   },
   moduleNameMapper: {
     '\\.(css|less|scss|sass)$': 'identity-obj-proxy',
+    '\\?worker$': '<rootDir>/src/__mocks__/workerStub.js',
+    '\\?url$': '<rootDir>/src/__mocks__/urlStub.js',
   },
   testPathIgnorePatterns: [
     '/node_modules/',
@@ -28,6 +28,56 @@ if (typeof global.TextDecoder === "undefined") {
 	global.TextDecoder = TextDecoder;
 }
 
+// jsdom has no structuredClone; fake-indexeddb needs it to store records
+if (typeof global.structuredClone === "undefined") {
+	const v8 = require("v8");
+	global.structuredClone = (value) => v8.deserialize(v8.serialize(value));
+}
+
+// jsdom's Blob has no arrayBuffer; files are read through it a slice at a time
+if (typeof Blob.prototype.arrayBuffer !== "function") {
+	Blob.prototype.arrayBuffer = function () {
+		return new Promise((resolve, reject) => {
+			const reader = new FileReader();
+			reader.onload = () => resolve(reader.result);
+			reader.onerror = () => reject(reader.error);
+			reader.readAsArrayBuffer(this);
+		});
+	};
+}
+
+// jsdom has no Web Locks; exclusive locks within one tab are all the tests need
+if (!navigator.locks) {
+	const held = new Set();
+	const pending = [];
+	const tails = new Map();
+	Object.defineProperty(navigator, "locks", {
+		configurable: true,
+		value: {
+			request(name, ...args) {
+				const callback = args[args.length - 1];
+				const request = { name, mode: "exclusive" };
+				pending.push(request);
+				const granted = (tails.get(name) ?? Promise.resolve()).then(async () => {
+					pending.splice(pending.indexOf(request), 1);
+					held.add(name);
+					try {
+						return await callback(request);
+					} finally {
+						held.delete(name);
+					}
+				});
+				tails.set(name, granted.catch(() => {}));
+				return granted;
+			},
+			query: async () => ({
+				held: Array.from(held, (name) => ({ name, mode: "exclusive" })),
+				pending: pending.slice(),
+			}),
+		},
+	});
+}
+
 // Mock Web Audio API
 global.AudioContext = jest.fn().mockImplementation(() => ({
   createGain: jest.fn(() => ({
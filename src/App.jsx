@@ -1,14 +1,18 @@
-import React, { useState } from "react";
+import React, { useMemo, useState } from "react";
 import MenuBar from "./components/MenuBar";
 import {
 	AboutModal,
 	ConfirmModal,
 	EffectModal,
 	ExportModal,
+	ExportMultipleModal,
 	FileModal,
 	GenerateModal,
 	HelpModal,
+	MetadataModal,
 	PreferencesModal,
+	RecoveryModal,
+	ResampleModal,
 	SpectrumModal,
 } from "./components/Modals";
 import StatusBar from "./components/StatusBar";
@@ -21,14 +25,32 @@ import {
 	useAudioState,
 } from "./context/AudioContext";
 import { useFileDrop, useKeyboardShortcuts } from "./hooks/useAudioHooks";
+import { planExportMultiple } from "./services/ExportMultiple";
+import { PROJECT_FILE_EXTENSION } from "./services/ProjectFile";
+import { mergeMetadata } from "./services/WavMetadata";
+import { createZip } from "./services/ZipArchive";
 import "./App.css";
 
+// Save a file through a temporary download link
+const downloadBlob = (blob, filename) => {
+	const url = URL.createObjectURL(blob);
+	const a = document.createElement("a");
+	a.href = url;
+	a.download = filename;
+	document.body.appendChild(a);
+	a.click();
+	document.body.removeChild(a);
+	URL.revokeObjectURL(url);
+};
+
 const AppContent = () => {
 	const state = useAudioState();
 	const actions = useAudioActions();
 	const [modals, setModals] = useState({
 		file: false,
+		openProject: false,
 		export: false,
+		exportMultiple: false,
 		confirm: null,
 		generate: false,
 		effect: false,
@@ -36,7 +58,34 @@ const AppContent = () => {
 		about: false,
 		help: false,
 		spectrum: false,
+		resample: false,
+		metadata: false,
 	});
+	// Unfinished recordings stay journaled and are offered again next time
+	const [recoveryDismissed, setRecoveryDismissed] = useState(false);
+
+	const preferences = useMemo(
+		() => ({
+			sampleRate: state.projectSettings.sampleRate,
+			resampleQuality: state.projectSettings.resampleQuality,
+			recordingMode: state.recordingSettings.mode,
+			latency: state.recordingSettings.latency,
+			preRoll: state.recordingSettings.preRoll,
+			inputDeviceId: state.inputSettings.deviceId || "",
+			inputChannels: state.inputSettings.channelCount,
+			echoCancellation: state.inputSettings.echoCancellation,
+			noiseSuppression: state.inputSettings.noiseSuppression,
+			autoGainControl: state.inputSettings.autoGainControl,
+			monitoring: state.inputSettings.monitoring,
+			enableAutoSave: state.autoSaveEnabled,
+		}),
+		[
+			state.projectSettings,
+			state.recordingSettings,
+			state.inputSettings,
+			state.autoSaveEnabled,
+		],
+	);
 
 	// Setup keyboard shortcuts
 	useKeyboardShortcuts();
@@ -58,6 +107,10 @@ const AppContent = () => {
 				effect: data || true,
 			}));
 		} else {
+			// Device labels are only available once microphone access is granted
+			if (modalType === "preferences") {
+				actions.refreshInputDevices();
+			}
 			setModals((prev) => ({
 				...prev,
 				[modalType]: data === null ? true : data,
@@ -74,6 +127,11 @@ const AppContent = () => {
 
 		for (const file of files) {
 			try {
+				// Dropped project files are opened rather than imported
+				if (file.name.toLowerCase().endsWith(PROJECT_FILE_EXTENSION)) {
+					await actions.openProject(file);
+					continue;
+				}
 				await actions.loadAudioFile(file);
 			} catch (error) {
 				console.error("Failed to load file:", error);
@@ -82,26 +140,71 @@ const AppContent = () => {
 		closeModal("file");
 	};
 
+	// Export dialog settings as exportMixdown options
+	const toExportOptions = (options) => ({
+		format: options.format || "wav",
+		sampleRate: options.sampleRate,
+		bitDepth: options.bitDepth,
+		float: options.float,
+		dither: options.dither,
+		compressionLevel: options.compressionLevel,
+		bitrate: options.bitrate,
+		vbr: options.vbr,
+		channelMode: options.channelMode,
+		numberOfChannels: options.channels === "mono" ? 1 : 2,
+		fadeLength: options.fades ? options.fadeLength / 1000 : 0,
+		labels: state.labels,
+		metadata: state.projectMetadata,
+	});
+
 	const handleExport = async (options) => {
-		if (!options.trackId) {
-			actions.setStatus("No track selected for export");
-			return;
+		const exportOptions = toExportOptions(options);
+		const { format } = exportOptions;
+
+		// The range, and the tracks cut from it: every track, or those chosen in the dialog
+		const range = options.range ?? "project";
+		const { start, end } = state.selection;
+		let span = {};
+		if (range === "selection") {
+			if (start === null || end === null || start === end) {
+				actions.setStatus("No selection to export");
+				return;
+			}
+			span = { startTime: Math.min(start, end), endTime: Math.max(start, end) };
+		}
+		const chosen = range === "project" ? null : (options.trackIds ?? []);
+		const suffix = range === "selection" ? "-selection" : "";
+
+		// Each entry becomes one downloaded file
+		let files;
+		if (options.exportTracks === "individual") {
+			files = Array.from(state.tracks.values())
+				.filter((track) => (chosen ? chosen.includes(track.id) : !track.muted))
+				.map((track) => ({
+					name: `${track.name}${suffix}`,
+					options: {
+						...exportOptions,
+						...span,
+						trackIds: [track.id],
+						metadata: mergeMetadata(state.projectMetadata, track.info?.metadata),
+					},
+				}));
+		} else {
+			const mixOptions = chosen ? { ...exportOptions, ...span, trackIds: chosen } : exportOptions;
+			files = [{ name: range === "selection" ? "selection" : "mixdown", options: mixOptions }];
 		}
 
 		try {
-			const blob = await actions.exportAudio(options.trackId, options.format);
-			if (blob) {
-				// Create download link
-				const url = URL.createObjectURL(blob);
-				const a = document.createElement("a");
-				a.href = url;
-				a.download = options.filename || "audio.wav";
-				document.body.appendChild(a);
-				a.click();
-				document.body.removeChild(a);
-				URL.revokeObjectURL(url);
-				actions.setStatus("Audio exported successfully");
+			let exported = 0;
+			for (const file of files) {
+				const blob = await actions.exportMixdown(file.options);
+				if (!blob) continue;
+				downloadBlob(blob, `${file.name}.${format}`);
+				exported++;
 			}
+			actions.setStatus(
+				exported > 0 ? "Audio exported successfully" : "Nothing to export",
+			);
 		} catch (error) {
 			console.error("Export failed:", error);
 			actions.setStatus("Export failed");
@@ -109,6 +212,56 @@ const AppContent = () => {
 		closeModal("export");
 	};
 
+	// One file per label or per track, delivered as a zip
+	const handleExportMultiple = async (options) => {
+		const exportOptions = toExportOptions(options);
+		const files = planExportMultiple({
+			splitBy: options.splitBy,
+			labels: state.labels,
+			tracks: Array.from(state.tracks.values()),
+			template: options.template,
+		});
+
+		try {
+			const entries = [];
+			for (const [index, file] of files.entries()) {
+				actions.setStatus(`Exporting file ${index + 1} of ${files.length}...`);
+				const fileOptions = file.track
+					? {
+							...exportOptions,
+							trackIds: [file.track.id],
+							metadata: mergeMetadata(state.projectMetadata, file.track.info?.metadata),
+						}
+					: {
+							...exportOptions,
+							startTime: file.startTime,
+							endTime: file.endTime,
+							// Each part is titled after its label
+							metadata: mergeMetadata(state.projectMetadata, {
+								info: { INAM: file.label.text },
+							}),
+						};
+				const blob = await actions.exportMixdown(fileOptions);
+				if (!blob) continue;
+				entries.push({
+					name: `${file.name}.${exportOptions.format}`,
+					data: new Uint8Array(await blob.arrayBuffer()),
+				});
+			}
+
+			if (entries.length > 0) {
+				downloadBlob(new Blob([createZip(entries)], { type: "application/zip" }), "export.zip");
+			}
+			actions.setStatus(
+				entries.length > 0 ? `Exported ${entries.length} files` : "Nothing to export",
+			);
+		} catch (error) {
+			console.error("Export failed:", error);
+			actions.setStatus("Export failed");
+		}
+		closeModal("exportMultiple");
+	};
+
 	const handleGenerate = (type, params) => {
 		switch (type) {
 			case "tone":
@@ -136,9 +289,35 @@ const AppContent = () => {
 		closeModal("effect");
 	};
 
+	// Scope is "project" or a track ID
+	const handleMetadataSave = (scope, metadata) => {
+		if (scope === "project") {
+			actions.setProjectMetadata(metadata);
+		} else {
+			actions.setTrackMetadata(scope, metadata);
+		}
+		actions.setStatus("Metadata saved");
+	};
+
 	const handlePreferencesSave = (settings) => {
-		// Save preferences logic would go here
-		// For now, just update status
+		actions.setProjectSettings({
+			sampleRate: settings.sampleRate,
+			resampleQuality: settings.resampleQuality,
+		});
+		actions.setRecordingSettings({
+			mode: settings.recordingMode,
+			latency: settings.latency,
+			preRoll: settings.preRoll,
+		});
+		actions.setInputSettings({
+			deviceId: settings.inputDeviceId || null,
+			channelCount: settings.inputChannels,
+			echoCancellation: settings.echoCancellation,
+			noiseSuppression: settings.noiseSuppression,
+			autoGainControl: settings.autoGainControl,
+			monitoring: settings.monitoring,
+		});
+		actions.setAutoSave(settings.enableAutoSave);
 		actions.setStatus("Preferences saved successfully");
 	};
 
@@ -193,11 +372,35 @@ const AppContent = () => {
 				multiple={true}
 			/>
 
+			<FileModal
+				isOpen={modals.openProject}
+				onClose={() => closeModal("openProject")}
+				onFileSelect={actions.openProject}
+				title="Open Project"
+				accept={PROJECT_FILE_EXTENSION}
+				prompt="Drop a project file here or click to browse"
+				formats={`WebAudacity project (${PROJECT_FILE_EXTENSION})`}
+			/>
+
 			<ExportModal
 				isOpen={modals.export}
 				onClose={() => closeModal("export")}
 				onExport={handleExport}
 				tracks={state.tracks}
+				selectedTrackId={state.selectedTrackId}
+				hasSelection={
+					state.selection.start !== null &&
+					state.selection.end !== null &&
+					state.selection.start !== state.selection.end
+				}
+			/>
+
+			<ExportMultipleModal
+				isOpen={modals.exportMultiple}
+				onClose={() => closeModal("exportMultiple")}
+				onExport={handleExportMultiple}
+				labels={state.labels}
+				tracks={state.tracks}
 			/>
 
 			<GenerateModal
@@ -229,6 +432,40 @@ const AppContent = () => {
 				isOpen={modals.preferences}
 				onClose={() => closeModal("preferences")}
 				onSave={handlePreferencesSave}
+				preferences={preferences}
+				inputDevices={state.inputDevices}
+			/>
+
+			<RecoveryModal
+				isOpen={
+					(state.recoverableRecordings.length > 0 ||
+						state.recoverableSessions.length > 0) &&
+					!recoveryDismissed
+				}
+				onClose={() => setRecoveryDismissed(true)}
+				recordings={state.recoverableRecordings}
+				onRecover={actions.recoverRecording}
+				onDiscard={actions.discardRecording}
+				sessions={state.recoverableSessions}
+				onRecoverSession={actions.recoverSession}
+				onDiscardSession={actions.discardSession}
+			/>
+
+			<ResampleModal
+				isOpen={modals.resample}
+				onClose={() => closeModal("resample")}
+				onResample={actions.resampleTrack}
+				tracks={state.tracks}
+				selectedTrackId={state.selectedTrackId}
+				defaultQuality={state.projectSettings.resampleQuality}
+			/>
+
+			<MetadataModal
+				isOpen={modals.metadata}
+				onClose={() => closeModal("metadata")}
+				onSave={handleMetadataSave}
+				projectMetadata={state.projectMetadata}
+				tracks={state.tracks}
 			/>
 
 			<AboutModal isOpen={modals.about} onClose={() => closeModal("about")} />
@@ -0,0 +1,2 @@
+// Stands in for Vite "?url" asset imports under Jest
+export default "";
@@ -0,0 +1,6 @@
+// Stands in for Vite "?worker" imports under Jest, which has no Worker;
+// runWorkerTask then runs the job inline.
+export default class WorkerStub {
+	postMessage() {}
+	terminate() {}
+}
@@ -0,0 +1,213 @@
+import {
+	decodeAiff,
+	encodeAiff,
+	isAiff,
+	readExtended,
+	writeExtended,
+} from "../services/AiffCodec";
+
+const channel = (...values) => new Float32Array(values);
+const readString = (view, offset, length) =>
+	String.fromCharCode(...Array.from({ length }, (_, i) => view.getUint8(offset + i)));
+
+// Offsets of the chunks after the FORM header
+const chunkOffsets = (view) => {
+	const offsets = {};
+	for (let offset = 12; offset + 8 <= view.byteLength; ) {
+		const size = view.getUint32(offset + 4);
+		offsets[readString(view, offset, 4)] = offset;
+		offset += 8 + size + (size % 2);
+	}
+	return offsets;
+};
+
+describe("extended floats", () => {
+	test("should write sample rates as 80-bit extended floats", () => {
+		const view = new DataView(new ArrayBuffer(10));
+		writeExtended(view, 0, 44100);
+		expect(Array.from(new Uint8Array(view.buffer))).toEqual([
+			0x40, 0x0e, 0xac, 0x44, 0, 0, 0, 0, 0, 0,
+		]);
+
+		writeExtended(view, 0, 48000);
+		expect(Array.from(new Uint8Array(view.buffer, 0, 4))).toEqual([0x40, 0x0e, 0xbb, 0x80]);
+	});
+
+	test("should read back what it writes", () => {
+		const view = new DataView(new ArrayBuffer(10));
+		for (const value of [0, 1, 8000, 22050, 88200, 192000, 11025.5, -3.75, 2 ** 40 - 1]) {
+			writeExtended(view, 0, value);
+			expect(readExtended(view, 0)).toBe(value);
+		}
+	});
+});
+
+describe("encodeAiff", () => {
+	test("should write 16-bit big-endian AIFF", () => {
+		const view = new DataView(
+			encodeAiff([channel(0.5, -1), channel(0, 1)], 44100, { dither: "none" }),
+		);
+
+		expect(readString(view, 0, 4)).toBe("FORM");
+		expect(view.getUint32(4)).toBe(view.byteLength - 8);
+		expect(readString(view, 8, 4)).toBe("AIFF");
+		const { COMM, SSND } = chunkOffsets(view);
+		expect(view.getUint32(COMM + 4)).toBe(18);
+		expect(view.getUint16(COMM + 8)).toBe(2);
+		expect(view.getUint32(COMM + 10)).toBe(2);
+		expect(view.getUint16(COMM + 14)).toBe(16);
+		expect(readExtended(view, COMM + 16)).toBe(44100);
+		expect([0, 2, 4, 6].map((i) => view.getInt16(SSND + 16 + i))).toEqual([
+			16384, 0, -32768, 32767,
+		]);
+	});
+
+	test("should write 32-bit float as AIFF-C fl32", () => {
+		const view = new DataView(encodeAiff([channel(0.25, -1.5)], 48000, { bitDepth: 32, float: true }));
+
+		expect(readString(view, 8, 4)).toBe("AIFC");
+		const { FVER, COMM, SSND } = chunkOffsets(view);
+		expect(view.getUint32(FVER + 8)).toBe(0xa2805140);
+		expect(readString(view, COMM + 26, 4)).toBe("fl32");
+		expect(view.getUint8(COMM + 30)).toBe(21);
+		expect(readString(view, COMM + 31, 21)).toBe("32-bit floating point");
+		expect(view.getFloat32(SSND + 16)).toBe(0.25);
+		expect(view.getFloat32(SSND + 20)).toBe(-1.5);
+	});
+
+	test("should pad an odd sound data chunk", () => {
+		const bytes = encodeAiff([channel(0.5)], 8000, { bitDepth: 8, dither: "none" });
+		const view = new DataView(bytes);
+
+		const { SSND } = chunkOffsets(view);
+		expect(view.getUint32(SSND + 4)).toBe(9);
+		expect(view.getInt8(SSND + 16)).toBe(64);
+		expect(bytes.byteLength).toBe(SSND + 18);
+	});
+
+	test("should reject unsupported sample formats", () => {
+		expect(() => encodeAiff([channel(0)], 44100, { bitDepth: 12 })).toThrow(
+			"AIFF bit depth 12 not supported",
+		);
+		expect(() => encodeAiff([channel(0)], 44100, { bitDepth: 16, float: true })).toThrow(
+			"AIFF float bit depth 16 not supported",
+		);
+	});
+});
+
+describe("decodeAiff", () => {
+	const ramp = Float32Array.from({ length: 64 }, (_, i) => (i - 32) / 32);
+
+	test.each([8, 16, 24, 32])("should round-trip %i-bit samples", (bitDepth) => {
+		const result = decodeAiff(encodeAiff([ramp, ramp.map((v) => -v)], 22050, { bitDepth, dither: "none" }));
+
+		expect(result.sampleRate).toBe(22050);
+		expect(result.bitDepth).toBe(bitDepth);
+		expect(result.compression).toBe("NONE");
+		expect(result.channels).toHaveLength(2);
+		// Within one step; full scale +1 clips to the largest code
+		const step = 2 ** (1 - bitDepth);
+		for (let i = 0; i < ramp.length; i++) {
+			expect(Math.abs(result.channels[0][i] - ramp[i])).toBeLessThanOrEqual(step);
+			expect(Math.abs(result.channels[1][i] + ramp[i])).toBeLessThanOrEqual(step);
+		}
+	});
+
+	test("should round-trip float samples exactly", () => {
+		const samples = channel(0.1, -0.7, 1.25);
+		const result = decodeAiff(encodeAiff([samples], 96000, { bitDepth: 32, float: true }));
+
+		expect(result.compression).toBe("fl32");
+		expect(result.channels[0]).toEqual(samples);
+	});
+
+	test("should read little-endian sowt AIFF-C", () => {
+		// Reuse a 16-bit file, relabelled as AIFF-C sowt with byte-swapped samples
+		const source = new DataView(encodeAiff([channel(0.5, -0.25)], 44100, { dither: "none" }));
+		const { COMM, SSND } = chunkOffsets(source);
+		const view = new DataView(new ArrayBuffer(12 + 8 + 24 + 8 + 12));
+		const writeString = (offset, text) =>
+			[...text].forEach((c, i) => view.setUint8(offset + i, c.charCodeAt(0)));
+		writeString(0, "FORM");
+		view.setUint32(4, view.byteLength - 8);
+		writeString(8, "AIFC");
+		writeString(12, "COMM");
+		view.setUint32(16, 24);
+		for (let i = 0; i < 18; i++) view.setUint8(20 + i, source.getUint8(COMM + 8 + i));
+		writeString(38, "sowt");
+		writeString(44, "SSND");
+		view.setUint32(48, 12);
+		view.setInt16(60, source.getInt16(SSND + 16), true);
+		view.setInt16(62, source.getInt16(SSND + 18), true);
+
+		expect(isAiff(view.buffer)).toBe(true);
+		expect(Array.from(decodeAiff(view.buffer).channels[0])).toEqual([0.5, -0.25]);
+	});
+
+	test("should reject files that are not AIFF", () => {
+		expect(isAiff(new ArrayBuffer(4))).toBe(false);
+		expect(() => decodeAiff(new ArrayBuffer(16))).toThrow("Not an AIFF file");
+	});
+});
+
+describe("labels", () => {
+	const silence = new Float32Array(48000);
+
+	test("should store point and region labels as markers", () => {
+		const bytes = encodeAiff([silence], 48000, {
+			labels: [
+				{ time: 0.25, endTime: null, text: "Hit" },
+				{ time: 0.5, endTime: 0.75, text: "Chorus" },
+			],
+		});
+		const { markers, labels } = decodeAiff(bytes);
+
+		expect(markers).toEqual([
+			{ id: 1, position: 12000, name: "Hit" },
+			{ id: 2, position: 24000, name: "Chorus" },
+			{ id: 3, position: 36000, name: "Chorus" },
+		]);
+		expect(labels).toEqual([
+			{ time: 0.25, endTime: null, text: "Hit" },
+			{ time: 0.5, endTime: 0.75, text: "Chorus" },
+		]);
+	});
+
+	test("should store loop regions in the INST chunk", () => {
+		const bytes = encodeAiff([silence], 48000, {
+			labels: [
+				{ time: 0.1, endTime: 0.9, text: "Loop", loop: "sustain" },
+				{ time: 0.2, endTime: null, text: "Attack" },
+			],
+			instrument: { baseNote: 48 },
+		});
+		const view = new DataView(bytes);
+		const { INST } = chunkOffsets(view);
+		const result = decodeAiff(bytes);
+
+		expect(view.getUint32(INST + 4)).toBe(20);
+		expect(result.instrument).toMatchObject({
+			baseNote: 48,
+			highNote: 127,
+			sustainLoop: { playMode: 1, begin: 1, end: 2 },
+			releaseLoop: { playMode: 0, begin: 0, end: 0 },
+		});
+		expect(result.labels).toEqual([
+			{ time: 0.1, endTime: 0.9, text: "Loop", loop: "sustain" },
+			{ time: 0.2, endTime: null, text: "Attack" },
+		]);
+	});
+
+	test("should keep marker names that need padding", () => {
+		const { labels } = decodeAiff(
+			encodeAiff([silence], 48000, {
+				labels: [
+					{ time: 0, endTime: null, text: "A" },
+					{ time: 0.5, endTime: null, text: "Bb" },
+				],
+			}),
+		);
+
+		expect(labels.map((label) => label.text)).toEqual(["A", "Bb"]);
+	});
+});
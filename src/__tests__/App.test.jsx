@@ -1,11 +1,28 @@
-import { render, screen } from "@testing-library/react";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
 import React from "react";
 import App from "../App";
+import { writeProject } from "../services/ProjectFile";
+import { createMetadata } from "../services/WavMetadata";
+
+const mockExportMixdown = jest.fn();
+const mockLoadProjectData = jest.fn();
 
 // Mock the audio services to prevent infinite loops
 jest.mock("../services/AudioEngine", () => ({
 	AudioEngineService: jest.fn().mockImplementation(() => ({
 		initializeAudioContext: jest.fn().mockResolvedValue(true),
+		exportMixdown: mockExportMixdown,
+		loadProjectData: mockLoadProjectData,
+		getTrackInfo: () => ({
+			clips: { clips: [], duration: 0 },
+			duration: 0,
+			sampleRate: 48000,
+			numberOfChannels: 1,
+		}),
+		getTotalDuration: () => 0,
+		setProjectRate: jest.fn(),
+		setResampleQuality: jest.fn(),
+		seek: jest.fn(),
 		destroy: jest.fn(),
 		onPlaybackFinished: null,
 		onRecordingFinished: null,
@@ -47,4 +64,62 @@ describe("App", () => {
 		expect(screen.getByTestId("main-content")).toBeInTheDocument();
 		expect(screen.getByTestId("status-bar")).toBeInTheDocument();
 	});
+
+	it("exports the mixdown with the options chosen in the export dialog", async () => {
+		mockExportMixdown.mockResolvedValue(new Blob(["wav"], { type: "audio/wav" }));
+		URL.createObjectURL = jest.fn(() => "blob:mixdown");
+		URL.revokeObjectURL = jest.fn();
+		render(<App />);
+
+		fireEvent.click(screen.getByText("File"));
+		fireEvent.click(screen.getByText("Export Audio..."));
+		fireEvent.change(screen.getByTestId("export-sample-rate-select"), {
+			target: { value: "48000" },
+		});
+		fireEvent.change(screen.getByTestId("export-bit-depth-select"), {
+			target: { value: "24" },
+		});
+		fireEvent.change(screen.getByTestId("export-channels-select"), {
+			target: { value: "mono" },
+		});
+		fireEvent.click(screen.getByTestId("export-button"));
+
+		await waitFor(() => expect(URL.createObjectURL).toHaveBeenCalled());
+		expect(mockExportMixdown).toHaveBeenCalledWith({
+			format: "wav",
+			sampleRate: 48000,
+			bitDepth: 24,
+			float: true,
+			dither: "triangular",
+			compressionLevel: 5,
+			bitrate: 128,
+			vbr: true,
+			channelMode: "joint",
+			numberOfChannels: 1,
+			fadeLength: 0,
+			labels: [],
+			metadata: createMetadata(),
+		});
+	});
+
+	it("opens a saved project from File > Open...", async () => {
+		mockLoadProjectData.mockResolvedValue(true);
+		const track = { id: "track_1", name: "Interview", mix: { volume: 50 }, clips: [] };
+		const blob = await writeProject(
+			{ tracks: [track], labels: [], settings: { sampleRate: 48000 }, zoomLevel: 2 },
+			[],
+		);
+		const file = new File([blob], "session.waproj");
+		render(<App />);
+
+		fireEvent.click(screen.getByText("File"));
+		fireEvent.click(screen.getByText("Open..."));
+		expect(screen.getByText("Open Project")).toBeInTheDocument();
+		fireEvent.change(screen.getByTestId("file-input"), { target: { files: [file] } });
+
+		await waitFor(() => expect(screen.getByText("Interview")).toBeInTheDocument());
+		expect(mockLoadProjectData).toHaveBeenCalledWith(
+			expect.objectContaining({ tracks: [expect.objectContaining(track)] }),
+		);
+	});
 });
@@ -0,0 +1,195 @@
+import { AudioClip, ClipSequence } from "../services/AudioClip";
+import { BlockedAudio } from "../services/BlockedAudio";
+
+const createBuffer = (seconds, sampleRate = 100, numberOfChannels = 1) => {
+	const length = Math.round(seconds * sampleRate);
+	const channels = Array.from({ length: numberOfChannels }, () => {
+		const data = new Float32Array(length);
+		for (let i = 0; i < length; i++) data[i] = i / length;
+		return data;
+	});
+	return {
+		numberOfChannels,
+		length,
+		sampleRate,
+		duration: length / sampleRate,
+		getChannelData: (channel) => channels[channel],
+	};
+};
+
+const createContext = () => ({
+	createBuffer: (numberOfChannels, length, sampleRate) => {
+		const buffer = createBuffer(length / sampleRate, sampleRate, numberOfChannels);
+		for (let c = 0; c < numberOfChannels; c++) buffer.getChannelData(c).fill(0);
+		return buffer;
+	},
+});
+
+describe("AudioClip", () => {
+	test("should default to the whole buffer", () => {
+		const clip = new AudioClip({ buffer: createBuffer(2), position: 1 });
+
+		expect(clip.offset).toBe(0);
+		expect(clip.duration).toBe(2);
+		expect(clip.end).toBe(3);
+		expect(clip.id).toMatch(/^clip_/);
+	});
+
+	test("should trim to a timeline range", () => {
+		const clip = new AudioClip({ buffer: createBuffer(2), position: 1 });
+		const trimmed = clip.trimTo(1.5, 2);
+
+		expect(trimmed.offset).toBeCloseTo(0.5);
+		expect(trimmed.duration).toBeCloseTo(0.5);
+		expect(trimmed.position).toBeCloseTo(1.5);
+		expect(trimmed.buffer).toBe(clip.buffer);
+		expect(clip.trimTo(5, 6)).toBeNull();
+	});
+});
+
+describe("ClipSequence", () => {
+	let sequence;
+
+	beforeEach(() => {
+		sequence = ClipSequence.fromBuffer(createBuffer(2));
+	});
+
+	test("should keep clips ordered by position", () => {
+		const buffer = createBuffer(1);
+		const clips = new ClipSequence([
+			new AudioClip({ buffer, position: 3 }),
+			new AudioClip({ buffer, position: 0 }),
+		]);
+
+		expect(clips.clips.map((clip) => clip.position)).toEqual([0, 3]);
+		expect(clips.duration).toBe(4);
+	});
+
+	test("should split a clip in two", () => {
+		const split = sequence.splitAt(0.5);
+
+		expect(split.length).toBe(2);
+		expect(split.clips[1].offset).toBeCloseTo(0.5);
+		expect(split.duration).toBeCloseTo(2);
+	});
+
+	test("should leave a gap when clearing a range", () => {
+		const cleared = sequence.clearRange(0.5, 1);
+
+		expect(cleared.length).toBe(2);
+		expect(cleared.clipAt(0.75)).toBeNull();
+		expect(cleared.duration).toBeCloseTo(2);
+	});
+
+	test("should close the gap when deleting a range", () => {
+		const deleted = sequence.deleteRange(0.5, 1);
+
+		expect(deleted.duration).toBeCloseTo(1.5);
+		expect(deleted.clipAt(0.75).offset).toBeCloseTo(1);
+	});
+
+	test("should slice relative to the range start", () => {
+		const slice = sequence.slice(0.5, 1.5);
+
+		expect(slice.length).toBe(1);
+		expect(slice.clips[0].position).toBe(0);
+		expect(slice.clips[0].offset).toBeCloseTo(0.5);
+	});
+
+	test("should insert material and push later clips right", () => {
+		const material = ClipSequence.fromBuffer(createBuffer(0.5));
+		const inserted = sequence.insert(material, 1);
+
+		expect(inserted.length).toBe(3);
+		expect(inserted.duration).toBeCloseTo(2.5);
+		expect(inserted.clipAt(1.2).buffer).toBe(material.clips[0].buffer);
+		expect(inserted.clipAt(1.6).offset).toBeCloseTo(1);
+	});
+
+	test("should keep clip IDs when shifting", () => {
+		const id = sequence.clips[0].id;
+		expect(sequence.shiftFrom(0, 1).clips[0].id).toBe(id);
+	});
+
+	test("should render clips at their positions with gaps as silence", () => {
+		const buffer = createBuffer(1);
+		const clips = new ClipSequence([
+			new AudioClip({ buffer, offset: 0.5, duration: 0.5, position: 1 }),
+		]);
+		const output = clips.render(createContext(), 0, 2, {
+			numberOfChannels: 2,
+			sampleRate: 100,
+		});
+
+		expect(output.length).toBe(200);
+		expect(output.getChannelData(0)[50]).toBe(0);
+		expect(output.getChannelData(0)[100]).toBeCloseTo(0.5);
+		expect(output.getChannelData(1)[100]).toBeCloseTo(0.5);
+		expect(output.getChannelData(0)[160]).toBe(0);
+	});
+
+	test("should convert clips at another rate without aliasing", () => {
+		// 5 Hz passes at a 100 Hz output rate; 70 Hz is above its Nyquist frequency
+		const sines = (...frequencies) => {
+			const buffer = createBuffer(2, 200);
+			const data = buffer.getChannelData(0);
+			for (let i = 0; i < data.length; i++) {
+				data[i] = frequencies.reduce((sum, f) => sum + Math.sin((2 * Math.PI * f * i) / 200), 0);
+			}
+			return buffer;
+		};
+		const render = (buffer) =>
+			ClipSequence.fromBuffer(buffer)
+				.render(createContext(), 0, 2, { numberOfChannels: 1, sampleRate: 100 })
+				.getChannelData(0);
+
+		const passed = render(sines(5));
+		const rejected = render(sines(70));
+
+		for (let i = 40; i < 160; i++) {
+			expect(passed[i]).toBeCloseTo(Math.sin((2 * Math.PI * 5 * i) / 100), 2);
+			expect(Math.abs(rejected[i])).toBeLessThan(0.01);
+		}
+	});
+
+	describe("block-stored clips", () => {
+		const createBlockedAudio = () => {
+			const blocks = new Map();
+			const store = {
+				write: async (channels) => {
+					blocks.set(blocks.size, channels);
+					return blocks.size - 1;
+				},
+				read: jest.fn(async (id) => blocks.get(id)),
+			};
+			return BlockedAudio.fromAudioBuffer(createBuffer(2), store, 50);
+		};
+
+		test("should refuse to render before the audio is loaded", async () => {
+			const clips = ClipSequence.fromBuffer(await createBlockedAudio());
+
+			expect(() =>
+				clips.render(createContext(), 0, 1, { numberOfChannels: 1, sampleRate: 100 }),
+			).toThrow("load()");
+		});
+
+		test("should load only the range being rendered", async () => {
+			const audio = await createBlockedAudio();
+			const clip = new AudioClip({ buffer: audio, offset: 0.5, position: 1 });
+			const clips = new ClipSequence([clip]);
+
+			const loaded = await clips.load(createContext(), 1.5, 2);
+			const output = loaded.render(createContext(), 1.5, 2, {
+				numberOfChannels: 1,
+				sampleRate: 100,
+			});
+
+			// Timeline 1.5-2 is 1-1.5 s into the audio: frames 100-150, all in the third block
+			expect(audio.store.read).toHaveBeenCalledTimes(1);
+			expect(audio.store.read).toHaveBeenCalledWith(audio.blocks[2].id);
+			expect(loaded.clips[0].id).toBe(clip.id);
+			expect(output.getChannelData(0)[0]).toBeCloseTo(0.5);
+			expect(output.getChannelData(0)[49]).toBeCloseTo(149 / 200);
+		});
+	});
+});
@@ -1,12 +1,28 @@
-import { render, screen, waitFor } from "@testing-library/react";
+import { act, render, screen, waitFor } from "@testing-library/react";
 import React from "react";
-import { AudioProvider, useAudioState } from "../context/AudioContext";
+import { AudioProvider, useAudioActions, useAudioState } from "../context/AudioContext";
 
 // Mock the audio services to prevent infinite loops
 jest.mock("../services/AudioEngine", () => ({
 	AudioEngineService: jest.fn().mockImplementation(() => ({
 		initializeAudioContext: jest.fn().mockResolvedValue(true),
 		destroy: jest.fn(),
+		// Just enough of the track list for track commands
+		audioBuffers: new Map([["track_1", { name: "Tone", duration: 1, clips: { clips: [] } }]]),
+		getTrackInfo(trackId) {
+			return this.audioBuffers.get(trackId);
+		},
+		getTrackMix: jest.fn(() => ({ volume: 80, pan: 0, muted: false, solo: false })),
+		getTotalDuration: jest.fn(() => 1),
+		detachTrack(trackId) {
+			const data = this.audioBuffers.get(trackId);
+			this.audioBuffers.delete(trackId);
+			return { trackId, index: 0, data };
+		},
+		restoreTrack({ trackId, data }) {
+			this.audioBuffers.set(trackId, data);
+			return true;
+		},
 		onPlaybackFinished: null,
 		onRecordingFinished: null,
 		onError: null,
@@ -51,6 +67,38 @@ describe("AudioContext", () => {
 		expect(screen.getByTestId("tracksCount")).toHaveTextContent("0");
 	});
 
+	it("removes a track as an undoable step and brings it back as it was", async () => {
+		let actions;
+		let state;
+		const Probe = () => {
+			actions = useAudioActions();
+			state = useAudioState();
+			return null;
+		};
+		render(
+			<AudioProvider>
+				<Probe />
+			</AudioProvider>,
+		);
+		await waitFor(() => expect(state.isInitialized).toBe(true));
+
+		act(() => {
+			actions.addTrack("track_1", { name: "Tone", duration: 1 });
+			actions.updateTrack("track_1", { name: "Renamed" });
+		});
+		act(() => {
+			actions.removeTrack("track_1");
+		});
+		expect(state.tracks.size).toBe(0);
+		expect(state.undoRedo.undoDescription).toBe("Remove track");
+
+		act(() => {
+			actions.undo();
+		});
+		expect(state.tracks.get("track_1").name).toBe("Renamed");
+		expect(state.undoRedo.canRedo).toBe(true);
+	});
+
 	it("throws error when used outside provider", () => {
 		// Suppress console.error for this test
 		const originalError = console.error;
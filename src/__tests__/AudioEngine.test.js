@@ -1,4 +1,19 @@
+import { decodeAiff, encodeAiff } from "../services/AiffCodec";
+import { AudioClip, ClipSequence } from "../services/AudioClip";
 import { AudioEngineService } from "../services/AudioEngine";
+import { BlockedAudio, BlockStreamSource } from "../services/BlockedAudio";
+import { RemoveTrackCommand } from "../services/EditCommands";
+import { decodeFlac } from "../services/FlacDecoder";
+import { encodeFlac } from "../services/FlacEncoder";
+import { buildId3Tag, readId3Tag } from "../services/Id3Tag";
+import { readOggPages } from "../services/OggContainer";
+import { loadOpusModule } from "../services/OggOpusEncoder";
+import { readProject, writeProject } from "../services/ProjectFile";
+import { Resampler } from "../services/Resampler";
+import { UndoRedoManager } from "../services/UndoRedoManager";
+import { decodeWav } from "../services/WavDecoder";
+import { encodeWav } from "../services/WavEncoder";
+import { createMetadata, readWavMetadata } from "../services/WavMetadata";
 
 // Mock AudioContext and related APIs
 const mockGainNode = {
@@ -24,10 +39,22 @@ const mockAudioBuffer = {
 	getChannelData: jest.fn().mockReturnValue(new Float32Array(110250))
 };
 
+// Buffers created by the engine hold real sample data so clip edits can be checked
+const createMockBuffer = (numberOfChannels, length, sampleRate) => {
+	const channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+	return {
+		numberOfChannels,
+		length,
+		sampleRate,
+		duration: length / sampleRate,
+		getChannelData: (channel) => channels[channel]
+	};
+};
+
 const mockAudioContext = {
 	createGain: jest.fn().mockReturnValue(mockGainNode),
 	createBufferSource: jest.fn().mockReturnValue(mockBufferSource),
-	createBuffer: jest.fn().mockReturnValue(mockAudioBuffer),
+	createBuffer: jest.fn(createMockBuffer),
 	decodeAudioData: jest.fn().mockResolvedValue(mockAudioBuffer),
 	close: jest.fn(),
 	resume: jest.fn().mockResolvedValue(),
@@ -192,7 +219,8 @@ describe('AudioEngineService', () => {
 			const copiedBuffer = audioEngine.copyAudio(trackId, 0.5, 1.5);
 
 			expect(copiedBuffer).toBeTruthy();
-			expect(copiedBuffer.numberOfChannels).toBe(mockAudioBuffer.numberOfChannels);
+			expect(copiedBuffer.numberOfChannels).toBe(1);
+			expect(copiedBuffer.duration).toBeCloseTo(1.0);
 			expect(mockAudioContext.createBuffer).toHaveBeenCalled();
 		});
 
@@ -207,14 +235,83 @@ describe('AudioEngineService', () => {
 		});
 
 		test('should cut audio segment', () => {
+			const source = audioEngine.getTrackInfo(trackId).clips.clips[0].buffer;
 			const result = audioEngine.cutAudio(trackId, 0.5, 1.5);
 
 			expect(result).toBe(true);
-			expect(mockAudioContext.createBuffer).toHaveBeenCalled();
-			
-			// Verify the track info was updated
+
+			// The cut leaves two clips over the original buffer, closed up
 			const updatedInfo = audioEngine.getTrackInfo(trackId);
-			expect(updatedInfo.buffer).toBe(mockAudioBuffer); // Mock returns same buffer
+			expect(updatedInfo.duration).toBeCloseTo(1.0);
+			expect(updatedInfo.clips.length).toBe(2);
+			expect(updatedInfo.clips.clips[1].buffer).toBe(source);
+			expect(updatedInfo.clips.clips[1].offset).toBeCloseTo(1.5);
+			expect(updatedInfo.clips.clips[1].position).toBeCloseTo(0.5);
+		});
+
+		test('should paste clips as an insert', () => {
+			const clips = audioEngine.copyClips(trackId, 0, 0.5);
+			audioEngine.pasteClips(trackId, clips, 1.0);
+
+			const updatedInfo = audioEngine.getTrackInfo(trackId);
+			expect(updatedInfo.duration).toBeCloseTo(2.5);
+			expect(updatedInfo.clips.clipAt(1.2).offset).toBeCloseTo(0);
+			expect(updatedInfo.clips.clipAt(1.6).offset).toBeCloseTo(1.0);
+		});
+
+		test('should process only the given range', async () => {
+			const process = jest.fn((buffer) => buffer);
+			const result = await audioEngine.processRange(trackId, 0.5, 1.0, process);
+
+			expect(result).toBe(true);
+			expect(process.mock.calls[0][0].duration).toBeCloseTo(0.5);
+			expect(audioEngine.getTrackInfo(trackId).clips.length).toBe(3);
+			expect(audioEngine.getTrackInfo(trackId).duration).toBeCloseTo(2.0);
+		});
+
+		test('should move a clip along the timeline', () => {
+			const clipId = audioEngine.getTrackInfo(trackId).clips.clips[0].id;
+			const result = audioEngine.moveClip(clipId, trackId, 1.5);
+
+			expect(result).toBe(true);
+			expect(audioEngine.getTrackInfo(trackId).duration).toBeCloseTo(3.5);
+			expect(audioEngine.findClip(clipId).clip.position).toBe(1.5);
+		});
+
+		test('should move a clip into a track with the same channel count only', () => {
+			const clipId = audioEngine.getTrackInfo(trackId).clips.clips[0].id;
+			const otherId = audioEngine.generateSilence(1.0);
+			audioEngine.createTrack('stereo', createMockBuffer(2, 44100, 44100), 'Stereo');
+
+			expect(audioEngine.moveClip(clipId, 'stereo', 0)).toBe(false);
+			expect(audioEngine.moveClip(clipId, otherId, 1.0)).toBe(true);
+			expect(audioEngine.findClip(clipId).trackId).toBe(otherId);
+			expect(audioEngine.getTrackInfo(trackId).clips.length).toBe(0);
+			expect(audioEngine.getTrackInfo(otherId).duration).toBeCloseTo(3.0);
+		});
+
+		test('should not drop a clip onto another clip', () => {
+			const clipId = audioEngine.getTrackInfo(trackId).clips.clips[0].id;
+			const otherId = audioEngine.generateSilence(1.0);
+			const otherClip = audioEngine.getTrackInfo(otherId).clips.clips[0];
+
+			expect(audioEngine.moveClip(clipId, otherId, 0.5)).toBe(false);
+			expect(audioEngine.moveClip(otherClip.id, trackId, 1.5)).toBe(false);
+			expect(audioEngine.findClip(clipId).trackId).toBe(trackId);
+			expect(audioEngine.getTrackInfo(otherId).clips.clips).toEqual([otherClip]);
+
+			// Clear of the other clip, or moving over where it was itself, is fine
+			expect(audioEngine.moveClip(otherClip.id, trackId, 3.0)).toBe(true);
+			expect(audioEngine.moveClip(clipId, trackId, 0.5)).toBe(true);
+		});
+
+		test('should not move a clip into a track at another sample rate', () => {
+			const clipId = audioEngine.getTrackInfo(trackId).clips.clips[0].id;
+			audioEngine.createTrack('slow', createMockBuffer(1, 22050, 22050), 'Slow');
+
+			expect(audioEngine.moveClip(clipId, 'slow', 2)).toBe(false);
+			expect(audioEngine.findClip(clipId).trackId).toBe(trackId);
+			expect(audioEngine.getTrackInfo('slow').clips.length).toBe(1);
 		});
 
 		test('should return false for invalid cut parameters', () => {
@@ -253,6 +350,287 @@ describe('AudioEngineService', () => {
 		});
 	});
 
+	describe('Mixdown', () => {
+		// A track holding a constant value on every channel
+		const createConstantTrack = (trackId, value, numberOfChannels = 1, sampleRate = 44100) => {
+			const buffer = createMockBuffer(numberOfChannels, sampleRate / 10, sampleRate);
+			for (let c = 0; c < numberOfChannels; c++) buffer.getChannelData(c).fill(value);
+			audioEngine.createTrack(trackId, buffer, trackId);
+		};
+
+		const readBlob = (blob) =>
+			new Promise((resolve) => {
+				const reader = new FileReader();
+				reader.onload = () => resolve(new DataView(reader.result));
+				reader.readAsArrayBuffer(blob);
+			});
+
+		test('should sum tracks with their volume and pan', async () => {
+			createConstantTrack('a', 0.5, 2);
+			createConstantTrack('b', 0.25, 2);
+			audioEngine.setTrackMix('a', { volume: 1, pan: 0 });
+			audioEngine.setTrackMix('b', { volume: 0.5, pan: 1 });
+
+			const mix = await audioEngine.renderMixdown();
+
+			// b: gain 0.25, hard right moves its left channel across
+			expect(mix.numberOfChannels).toBe(2);
+			expect(mix.getChannelData(0)[100]).toBeCloseTo(0.5);
+			expect(mix.getChannelData(1)[100]).toBeCloseTo(0.5 + 0.25 * 0.25 * 2);
+		});
+
+		test('should leave out muted tracks', async () => {
+			createConstantTrack('a', 0.5, 2);
+			createConstantTrack('b', 0.25, 2);
+			audioEngine.setTrackMix('a', { volume: 1 });
+			audioEngine.setTrackMix('b', { muted: true });
+
+			const mix = await audioEngine.renderMixdown();
+
+			expect(mix.getChannelData(0)[100]).toBeCloseTo(0.5);
+		});
+
+		test('should apply track gain envelopes', async () => {
+			createConstantTrack('a', 0.5, 2);
+			audioEngine.setTrackMix('a', { volume: 1 });
+			audioEngine.envelopes.createEnvelope('a.volume', { defaultValue: 1 });
+			audioEngine.envelopes.addAutomationPoint('a.volume', 0, 0);
+			audioEngine.envelopes.addAutomationPoint('a.volume', 0.1, 1);
+
+			const mix = await audioEngine.renderMixdown();
+
+			expect(mix.getChannelData(0)[0]).toBe(0);
+			expect(mix.getChannelData(0)[2205]).toBeCloseTo(0.25, 3);
+		});
+
+		test('should resample and downmix to the requested format', async () => {
+			createConstantTrack('a', 0.5, 2, 48000);
+			audioEngine.setTrackMix('a', { volume: 1 });
+
+			const mix = await audioEngine.renderMixdown({ sampleRate: 22050, numberOfChannels: 1 });
+
+			expect(mix.sampleRate).toBe(22050);
+			expect(mix.numberOfChannels).toBe(1);
+			expect(mix.length).toBe(2205);
+			expect(mix.getChannelData(0)[1000]).toBeCloseTo(0.5, 3);
+		});
+
+		test('should render only the requested range and tracks', async () => {
+			createConstantTrack('a', 0.5, 2);
+			createConstantTrack('b', 0.25, 2);
+			audioEngine.setTrackMix('b', { volume: 1 });
+
+			const mix = await audioEngine.renderMixdown({
+				startTime: 0.05,
+				endTime: 0.075,
+				trackIds: ['b'],
+			});
+
+			expect(mix.length).toBe(1103);
+			expect(mix.getChannelData(0)[500]).toBeCloseTo(0.25);
+		});
+
+		test('should export the mix as WAV at the requested bit depth', async () => {
+			createConstantTrack('a', 0.5, 1);
+			audioEngine.setTrackMix('a', { volume: 1, pan: -1 });
+
+			const blob = await audioEngine.exportMixdown({
+				format: 'wav',
+				sampleRate: 44100,
+				bitDepth: 24,
+				dither: 'none',
+				numberOfChannels: 2,
+			});
+
+			const view = await readBlob(blob);
+			expect(view.getUint16(22, true)).toBe(2);
+			expect(view.getUint16(34, true)).toBe(24);
+			expect(view.getUint32(40, true)).toBe(4410 * 2 * 3);
+			// First left sample: 0.5 of full scale in 24 bits
+			const left = view.getUint8(44) | (view.getUint8(45) << 8) | (view.getInt8(46) << 16);
+			expect(left).toBe(0x400000);
+		});
+
+		test('should export the mix as FLAC that decodes losslessly', async () => {
+			createConstantTrack('a', 0.5, 1);
+			audioEngine.setTrackMix('a', { volume: 1, pan: -1 });
+
+			const blob = await audioEngine.exportMixdown({
+				format: 'flac',
+				bitDepth: 24,
+				dither: 'none',
+				compressionLevel: 8,
+				tags: { TITLE: 'Mix' },
+			});
+
+			expect(blob.type).toBe('audio/flac');
+			const flac = decodeFlac(new Uint8Array((await readBlob(blob)).buffer));
+			expect(flac.bitsPerSample).toBe(24);
+			expect(flac.tags.TITLE).toBe('Mix');
+			expect(flac.channels[0][0]).toBe(0x400000);
+			expect(flac.channels[1][0]).toBe(0);
+		});
+
+		test('should export the mix as Ogg Opus', async () => {
+			const fs = require('fs');
+			await loadOpusModule({
+				wasmBinary: fs.readFileSync(require.resolve('opus-media-recorder/OggOpusEncoder.wasm')),
+			});
+			createConstantTrack('a', 0.5, 2);
+
+			const blob = await audioEngine.exportMixdown({ format: 'opus', bitrate: 96 });
+
+			expect(blob.type).toBe('audio/ogg; codecs=opus');
+			const pages = readOggPages(new Uint8Array((await readBlob(blob)).buffer));
+			expect(pages.every((page) => page.crcValid)).toBe(true);
+			// 0.1 s at 44.1 kHz becomes 4800 samples at 48 kHz, after the pre-skip
+			expect(pages.at(-1).granulePosition).toBe(312 + 4800);
+		});
+
+		test('should write metadata and cue points for the exported range', async () => {
+			createConstantTrack('a', 0.5, 1);
+
+			const blob = await audioEngine.exportMixdown({
+				format: 'wav',
+				startTime: 0.05,
+				endTime: 0.1,
+				labels: [
+					{ time: 0.06, endTime: null, text: 'Clap' },
+					{ time: 0.07, endTime: 0.09, text: 'Line' },
+				],
+				metadata: {
+					bext: { description: 'Reel 2', timeReference: 3600 },
+					info: { INAM: 'Mix' },
+					ixml: { TAKE: '7' },
+				},
+			});
+
+			const wav = decodeWav((await readBlob(blob)).buffer);
+			const metadata = readWavMetadata(wav);
+			expect(metadata.bext.description).toBe('Reel 2');
+			expect(metadata.bext.timeReference).toBeCloseTo(3600.05, 4);
+			expect(metadata.info).toEqual({ INAM: 'Mix' });
+			expect(metadata.ixml).toEqual({ TAKE: '7' });
+			expect(wav.labels.map((label) => label.text)).toEqual(['Clap', 'Line']);
+			expect(wav.labels[0].time).toBeCloseTo(0.01, 4);
+			expect(wav.labels[1].endTime).toBeCloseTo(0.04, 4);
+		});
+
+		test('should export the mix as AIFF-C float with the labels in range', async () => {
+			createConstantTrack('a', 0.5, 1);
+			audioEngine.setTrackMix('a', { volume: 1, pan: -1 });
+
+			const blob = await audioEngine.exportMixdown({
+				format: 'aiff',
+				bitDepth: 32,
+				startTime: 0.02,
+				endTime: 0.08,
+				labels: [
+					{ time: 0.01, endTime: null, text: 'Before' },
+					{ time: 0.03, endTime: null, text: 'Hit' },
+					{ time: 0.04, endTime: 0.06, text: 'Loop', loop: 'sustain' },
+				],
+			});
+
+			expect(blob.type).toBe('audio/x-aifc');
+			const aiff = decodeAiff((await readBlob(blob)).buffer);
+			expect(aiff.compression).toBe('fl32');
+			expect(aiff.sampleRate).toBe(44100);
+			expect(aiff.channels[0][0]).toBe(0.5);
+			expect(aiff.labels.map((label) => label.text)).toEqual(['Hit', 'Loop']);
+			expect(aiff.labels[0].time).toBeCloseTo(0.01, 4);
+			expect(aiff.labels[1]).toMatchObject({ loop: 'sustain' });
+			expect(aiff.labels[1].endTime).toBeCloseTo(0.04, 4);
+		});
+
+		test('should export the mix as 32-bit integer AIFF when asked to', async () => {
+			createConstantTrack('a', 0.5, 1);
+			audioEngine.setTrackMix('a', { volume: 1, pan: -1 });
+
+			const blob = await audioEngine.exportMixdown({ format: 'aiff', bitDepth: 32, float: false });
+
+			expect(blob.type).toBe('audio/aiff');
+			const aiff = decodeAiff((await readBlob(blob)).buffer);
+			expect(aiff).toMatchObject({ compression: 'NONE', bitDepth: 32 });
+			expect(aiff.channels[0][0]).toBeCloseTo(0.5, 6);
+		});
+
+		test('should export the mix as MP3 with an ID3 tag and chapters in range', async () => {
+			createConstantTrack('a', 0.5, 2);
+
+			const blob = await audioEngine.exportMixdown({
+				format: 'mp3',
+				bitrate: 192,
+				channelMode: 'mono',
+				startTime: 0.02,
+				labels: [
+					{ time: 0.03, endTime: null, text: 'Intro' },
+					{ time: 0.05, endTime: 0.07, text: 'Topic' },
+				],
+				metadata: { ...createMetadata(), info: { INAM: 'Episode 1', IART: 'Host' } },
+			});
+
+			expect(blob.type).toBe('audio/mpeg');
+			const bytes = new Uint8Array((await readBlob(blob)).buffer);
+			const tag = readId3Tag(bytes.buffer);
+			expect(bytes[3]).toBe(4);
+			expect(tag.metadata.info).toEqual({ INAM: 'Episode 1', IART: 'Host' });
+			expect(tag.labels).toEqual([
+				{ time: 0.01, endTime: 0.03, text: 'Intro' },
+				{ time: 0.03, endTime: 0.05, text: 'Topic' },
+			]);
+			// The first frame follows the tag: 192 kbps, mono
+			expect(bytes[tag.size]).toBe(0xff);
+			expect(bytes[tag.size + 2] >> 4).toBe(11);
+			expect(bytes[tag.size + 3] >> 6).toBe(3);
+		});
+
+		test('should export a range of one track with faded edges', async () => {
+			createConstantTrack('a', 0.5, 1);
+
+			const blob = await audioEngine.exportAudio('a', 'wav', {
+				bitDepth: 32,
+				startTime: 0.02,
+				endTime: 0.06,
+				fadeLength: 0.01,
+			});
+
+			const samples = decodeWav((await readBlob(blob)).buffer).channels[0];
+			expect(samples).toHaveLength(1764);
+			expect(samples[0]).toBe(0);
+			expect(samples[220]).toBeCloseTo(0.25, 2);
+			expect(samples[882]).toBe(0.5);
+			expect(samples[1763]).toBe(0);
+			// The track itself is untouched
+			const track = await audioEngine.readTrack('a', 0.02, 0.03);
+			expect(track.getChannelData(0)[0]).toBe(0.5);
+		});
+
+		test('should fade the edges of a mixed range', async () => {
+			createConstantTrack('a', 0.5, 2);
+			createConstantTrack('b', 0.25, 2);
+			audioEngine.setTrackMix('a', { volume: 1 });
+
+			const blob = await audioEngine.exportMixdown({
+				format: 'wav',
+				bitDepth: 32,
+				startTime: 0.05,
+				trackIds: ['a'],
+				fadeLength: 0.005,
+			});
+
+			const wav = decodeWav((await readBlob(blob)).buffer);
+			expect(wav.channels[0]).toHaveLength(2205);
+			expect(wav.channels[0][0]).toBe(0);
+			expect(wav.channels[1][1000]).toBeCloseTo(0.5, 5);
+			expect(wav.channels[1][2204]).toBe(0);
+		});
+
+		test('should return null when there is nothing to export', async () => {
+			expect(await audioEngine.exportMixdown({ format: 'wav' })).toBeNull();
+		});
+	});
+
 	describe('Playback Control', () => {
 		let trackId;
 
@@ -276,6 +654,78 @@ describe('AudioEngineService', () => {
 			expect(audioEngine.playingSources.size).toBe(0);
 		});
 
+		test('should resume from the paused position', async () => {
+			await audioEngine.play(trackId, 0);
+			mockAudioContext.currentTime = 0.4;
+			audioEngine.pause();
+
+			expect(audioEngine.isPaused).toBe(true);
+			expect(audioEngine.getCurrentTime()).toBeCloseTo(0.4);
+
+			mockAudioContext.currentTime = 5;
+			await audioEngine.resume();
+
+			expect(audioEngine.isPlaying).toBe(true);
+			expect(mockBufferSource.start).toHaveBeenLastCalledWith(5, expect.closeTo(0.4), expect.closeTo(0.6));
+			mockAudioContext.currentTime = 0;
+		});
+
+		test('should follow the gain envelope as the mixdown does', async () => {
+			const gain = mockGainNode.gain;
+			gain.setValueCurveAtTime = jest.fn();
+			gain.cancelScheduledValues = jest.fn();
+			audioEngine.envelopes.createEnvelope(`${trackId}.volume`, { defaultValue: 1 });
+			audioEngine.envelopes.addAutomationPoint(`${trackId}.volume`, 0, 0);
+			audioEngine.envelopes.addAutomationPoint(`${trackId}.volume`, 1, 1);
+
+			await audioEngine.play(trackId, 0.5);
+
+			const [values, when, duration] = gain.setValueCurveAtTime.mock.calls[0];
+			expect([values[0], values[values.length - 1]]).toEqual([0.5, 1]);
+			expect([when, duration]).toEqual([0, 0.5]);
+
+			audioEngine.stop();
+			expect(gain.cancelScheduledValues).toHaveBeenLastCalledWith(0);
+			delete gain.setValueCurveAtTime;
+			delete gain.cancelScheduledValues;
+		});
+
+		test('should track the position from the audio clock', async () => {
+			await audioEngine.play(trackId, 0.25);
+			mockAudioContext.currentTime = 0.5;
+
+			expect(audioEngine.getCurrentTime()).toBeCloseTo(0.75);
+			mockAudioContext.currentTime = 0;
+		});
+
+		test('should restart sources when seeking during playback', async () => {
+			await audioEngine.play(trackId, 0);
+			audioEngine.seek(0.5);
+
+			expect(mockBufferSource.stop).toHaveBeenCalled();
+			expect(mockBufferSource.start).toHaveBeenLastCalledWith(0, 0.5, 0.5);
+			expect(audioEngine.isPlaying).toBe(true);
+		});
+
+		test('should ignore ended events from stopped sources', async () => {
+			audioEngine.onPlaybackFinished = jest.fn();
+			await audioEngine.play(trackId, 0);
+			const endedHandler = mockBufferSource.onended;
+			audioEngine.pause();
+			endedHandler();
+
+			expect(audioEngine.onPlaybackFinished).not.toHaveBeenCalled();
+		});
+
+		test('should return to the start position when stopped', async () => {
+			await audioEngine.play(trackId, 0.2);
+			mockAudioContext.currentTime = 0.3;
+			audioEngine.stop();
+
+			expect(audioEngine.getCurrentTime()).toBeCloseTo(0.2);
+			mockAudioContext.currentTime = 0;
+		});
+
 		test('should set master volume', () => {
 			audioEngine.setMasterVolume(0.5);
 
@@ -290,6 +740,20 @@ describe('AudioEngineService', () => {
 			expect(audioEngine.playbackRate).toBe(1.5);
 		});
 
+		test('should reschedule clips that have not started when the rate changes', async () => {
+			audioEngine.moveClip(audioEngine.getTrackInfo(trackId).clips.clips[0].id, trackId, 2);
+			await audioEngine.play();
+			mockAudioContext.currentTime = 0.5;
+			mockBufferSource.start.mockClear();
+
+			audioEngine.setPlaybackRate(2);
+
+			// 1.5 s of timeline to go before the clip, at twice the speed
+			expect(mockBufferSource.start).toHaveBeenCalledTimes(1);
+			expect(mockBufferSource.start.mock.calls[0][0]).toBeCloseTo(1.25);
+			mockAudioContext.currentTime = 0;
+		});
+
 		test('should clamp playback rate to valid range', () => {
 			audioEngine.setPlaybackRate(0.1); // Below minimum
 			expect(audioEngine.playbackRate).toBe(0.25);
@@ -299,6 +763,135 @@ describe('AudioEngineService', () => {
 		});
 	});
 
+	describe('Loop Playback', () => {
+		let trackId;
+
+		beforeEach(() => {
+			trackId = audioEngine.generateTone(440, 1.0, 0.5, 'sine');
+			audioEngine.setLoop({ enabled: true, start: 0.2, end: 0.3 });
+		});
+
+		afterEach(() => {
+			mockAudioContext.currentTime = 0;
+		});
+
+		test('should queue loop cycles back to back on the audio clock', async () => {
+			await audioEngine.play(trackId, 0);
+
+			expect(audioEngine.isLooping).toBe(true);
+			expect(mockBufferSource.start).toHaveBeenCalledWith(0, 0.2, expect.closeTo(0.1));
+			expect(mockBufferSource.start).toHaveBeenCalledWith(expect.closeTo(0.1), 0.2, expect.closeTo(0.1));
+		});
+
+		test('should wrap the transport position at the loop end', async () => {
+			await audioEngine.play(trackId, 0);
+			mockAudioContext.currentTime = 0.15;
+
+			expect(audioEngine.getCurrentTime()).toBeCloseTo(0.25);
+		});
+
+		test('should apply loop point changes on the next cycle', async () => {
+			await audioEngine.play(trackId, 0);
+			audioEngine.setLoop({ start: 0.5, end: 0.6 });
+			mockAudioContext.currentTime = 0.15;
+			audioEngine.scheduleLoopCycles();
+
+			expect(mockBufferSource.start).toHaveBeenCalledWith(expect.any(Number), 0.5, expect.closeTo(0.1));
+		});
+
+		test('should continue past the loop end once looping is switched off', async () => {
+			await audioEngine.play(trackId, 0);
+			audioEngine.setLoop({ enabled: false });
+			mockAudioContext.currentTime = 0.15;
+			audioEngine.scheduleLoopCycles();
+
+			expect(audioEngine.isLooping).toBe(false);
+			expect(audioEngine.loopTimer).toBeNull();
+			expect(mockBufferSource.start).toHaveBeenLastCalledWith(expect.any(Number), 0.3, expect.closeTo(0.7));
+		});
+
+		test('should not finish playback between loop cycles', async () => {
+			audioEngine.onPlaybackFinished = jest.fn();
+			await audioEngine.play(trackId, 0);
+			const sources = audioEngine.playingSources.get(trackId);
+			sources.clear();
+			mockBufferSource.onended();
+
+			expect(audioEngine.onPlaybackFinished).not.toHaveBeenCalled();
+		});
+
+		test('should play each clip from its own offset', async () => {
+			audioEngine.setLoop({ enabled: false });
+			const clips = audioEngine.getTrackInfo(trackId).clips;
+			audioEngine.setTrackClips(trackId, clips.clearRange(0.4, 0.6).shiftFrom(0.6, 0.4));
+			await audioEngine.play(trackId, 0.2);
+
+			// Clip 1: 0.2..0.4 now; clip 2 (offset 0.6) starts at 1.0 on the timeline
+			expect(mockBufferSource.start).toHaveBeenCalledWith(0, expect.closeTo(0.2), expect.closeTo(0.2));
+			expect(mockBufferSource.start).toHaveBeenCalledWith(expect.closeTo(0.8), expect.closeTo(0.6), expect.closeTo(0.4));
+		});
+
+		test('should play straight through when the loop region is empty', async () => {
+			audioEngine.setLoop({ start: null, end: null });
+			await audioEngine.play(trackId, 0);
+
+			expect(audioEngine.isLooping).toBe(false);
+			expect(mockBufferSource.start).toHaveBeenCalledWith(0, 0, 1.0);
+		});
+	});
+
+	describe('Track Mixing', () => {
+		let trackId;
+
+		beforeEach(() => {
+			trackId = audioEngine.generateTone(440, 1.0, 0.5, 'sine');
+		});
+
+		test('should route playback through the track channel strip', async () => {
+			await audioEngine.play(trackId, 0, 1.0);
+
+			const strip = audioEngine.channelStrips.get(trackId);
+			expect(strip).toBeTruthy();
+			expect(mockBufferSource.connect).toHaveBeenCalledWith(strip.input);
+			expect(mockBufferSource.connect).not.toHaveBeenCalledWith(audioEngine.masterGain);
+		});
+
+		test('should keep the same strip across playbacks', async () => {
+			await audioEngine.play(trackId, 0, 1.0);
+			const strip = audioEngine.channelStrips.get(trackId);
+			audioEngine.stop();
+			await audioEngine.play(trackId, 0, 1.0);
+
+			expect(audioEngine.channelStrips.get(trackId)).toBe(strip);
+		});
+
+		test('should store mix settings and apply mute/solo', async () => {
+			const otherId = 'other-track';
+			audioEngine.audioBuffers.set(otherId, { ...audioEngine.getTrackInfo(trackId) });
+			await audioEngine.play();
+
+			const strip = audioEngine.channelStrips.get(trackId);
+			const setAudible = jest.spyOn(strip, 'setAudible');
+
+			audioEngine.setTrackMix(otherId, { solo: true });
+
+			expect(audioEngine.getTrackMix(otherId).solo).toBe(true);
+			expect(setAudible).toHaveBeenLastCalledWith(false);
+
+			audioEngine.setTrackMix(otherId, { solo: false });
+			expect(setAudible).toHaveBeenLastCalledWith(true);
+		});
+
+		test('should drop strip and settings when the track is removed', async () => {
+			await audioEngine.play(trackId, 0, 1.0);
+			audioEngine.setTrackMix(trackId, { pan: 0.5 });
+			audioEngine.removeTrack(trackId);
+
+			expect(audioEngine.channelStrips.has(trackId)).toBe(false);
+			expect(audioEngine.trackMixSettings.has(trackId)).toBe(false);
+		});
+	});
+
 	describe('File Loading', () => {
 		test('should load audio from file', async () => {
 			const mockFile = new File(['test'], 'test.wav', { type: 'audio/wav' });
@@ -314,6 +907,76 @@ describe('AudioEngineService', () => {
 			expect(audioEngine.audioBuffers.has(trackId)).toBe(true);
 		});
 
+		test('should decode AIFF itself and keep its markers as labels', async () => {
+			const samples = Float32Array.from({ length: 4410 }, (_, i) => Math.sin(i / 10) / 2);
+			const bytes = encodeAiff([samples], 44100, {
+				bitDepth: 24,
+				dither: 'none',
+				labels: [{ time: 0.05, endTime: null, text: 'Cue' }],
+			});
+			const mockFile = new File(['test'], 'test.aiff', { type: 'audio/aiff' });
+			mockFile.arrayBuffer = jest.fn().mockResolvedValue(bytes);
+
+			const trackId = await audioEngine.loadAudioFromFile(mockFile);
+
+			expect(mockAudioContext.decodeAudioData).not.toHaveBeenCalled();
+			const info = audioEngine.getTrackInfo(trackId);
+			expect(info.labels).toEqual([{ time: 0.05, endTime: null, text: 'Cue' }]);
+			const data = info.clips.clips[0].buffer.getChannelData(0);
+			expect(data[100]).toBeCloseTo(samples[100], 6);
+		});
+
+		test('should decode FLAC itself and keep its Vorbis comments', async () => {
+			const samples = Int32Array.from({ length: 4410 }, (_, i) => Math.round(Math.sin(i / 10) * 1000));
+			const bytes = encodeFlac([samples], {
+				sampleRate: 44100,
+				bitsPerSample: 16,
+				tags: { TITLE: 'Take 1', ARTIST: 'Band' },
+			});
+			const mockFile = new File(['test'], 'take.flac', { type: 'audio/flac' });
+			mockFile.arrayBuffer = jest.fn().mockResolvedValue(bytes.slice().buffer);
+
+			const trackId = await audioEngine.loadAudioFromFile(mockFile);
+
+			expect(mockAudioContext.decodeAudioData).not.toHaveBeenCalled();
+			const info = audioEngine.getTrackInfo(trackId);
+			expect(info.clips.clips[0].buffer.getChannelData(0)[100]).toBe(samples[100] / 32768);
+			expect(info.metadata.info).toEqual({ INAM: 'Take 1', IART: 'Band' });
+		});
+
+		test('should keep the tags and chapters of an MP3 file', async () => {
+			const metadata = { ...createMetadata(), info: { INAM: 'Episode 2' } };
+			const tag = buildId3Tag(metadata, [{ time: 0, endTime: 0.5, text: 'Cold open' }], 1);
+			const mockFile = new File(['test'], 'episode.mp3', { type: 'audio/mpeg' });
+			mockFile.arrayBuffer = jest.fn().mockResolvedValue(tag.buffer);
+
+			const trackId = await audioEngine.loadAudioFromFile(mockFile);
+
+			expect(mockAudioContext.decodeAudioData).toHaveBeenCalled();
+			const info = audioEngine.getTrackInfo(trackId);
+			expect(info.labels).toEqual([{ time: 0, endTime: 0.5, text: 'Cold open' }]);
+			expect(info.metadata.info).toEqual({ INAM: 'Episode 2' });
+		});
+
+		test('should decode multichannel WAV itself and convert it to the project rate', async () => {
+			const channels = Array.from({ length: 6 }, (_, c) => new Float32Array(9600).fill(c / 10));
+			const mockFile = new File(['test'], 'surround.wav', { type: 'audio/wav' });
+			mockFile.arrayBuffer = jest.fn().mockResolvedValue(
+				encodeWav(channels, 96000, { bitDepth: 32 }),
+			);
+
+			const trackId = await audioEngine.loadAudioFromFile(mockFile);
+
+			expect(mockAudioContext.decodeAudioData).not.toHaveBeenCalled();
+			expect(mockAudioContext.createBuffer).toHaveBeenCalledWith(6, 9600, 96000);
+			const info = audioEngine.getTrackInfo(trackId);
+			expect(info.sampleRate).toBe(44100);
+			expect(info.numberOfChannels).toBe(6);
+			expect(info.duration).toBeCloseTo(0.1);
+			expect(info.clips.clips[0].buffer.getChannelData(5)[2000]).toBeCloseTo(0.5, 4);
+			expect(info.metadata).toEqual(createMetadata());
+		});
+
 		test('should handle file loading error', async () => {
 			const mockFile = new File(['test'], 'test.wav', { type: 'audio/wav' });
 			mockFile.arrayBuffer = jest.fn().mockRejectedValue(new Error('Invalid file'));
@@ -325,4 +988,424 @@ describe('AudioEngineService', () => {
 			expect(audioEngine.onError).toHaveBeenCalledWith('Invalid audio file format');
 		});
 	});
+
+	describe('Block Storage', () => {
+		let blockStore;
+
+		beforeEach(() => {
+			const blocks = new Map();
+			blockStore = {
+				write: jest.fn(async (channels) => {
+					blocks.set(`block_${blocks.size}`, channels);
+					return `block_${blocks.size - 1}`;
+				}),
+				read: jest.fn(async (id) => blocks.get(id)),
+				clearSession: jest.fn().mockResolvedValue(),
+				close: jest.fn().mockResolvedValue(),
+			};
+			audioEngine.blockStore = blockStore;
+		});
+
+		// 40 s at 1 kHz, so it is long enough to be offloaded
+		const createLongTrack = (trackId) => {
+			const buffer = createMockBuffer(1, 40000, 1000);
+			buffer.getChannelData(0).fill(0.25);
+			audioEngine.createTrack(trackId, buffer, 'Long');
+			return buffer;
+		};
+
+		test('should move long clips to block storage, keeping clip IDs', async () => {
+			createLongTrack('long');
+			const clipId = audioEngine.getTrackInfo('long').clips.clips[0].id;
+
+			const moved = await audioEngine.offloadTrack('long');
+
+			const clip = audioEngine.getTrackInfo('long').clips.clips[0];
+			expect(moved).toBe(true);
+			expect(clip.buffer).toBeInstanceOf(BlockedAudio);
+			expect(clip.id).toBe(clipId);
+			expect(clip.buffer.length).toBe(40000);
+			expect(blockStore.write).toHaveBeenCalled();
+		});
+
+		test('should leave short clips in memory', async () => {
+			const trackId = audioEngine.generateSilence(1.0);
+
+			expect(await audioEngine.offloadTrack(trackId)).toBe(false);
+			expect(blockStore.write).not.toHaveBeenCalled();
+		});
+
+		test('should switch every track sharing the offloaded buffer', async () => {
+			createLongTrack('long');
+			const copy = audioEngine.copyClips('long', 0, 40);
+			const otherId = audioEngine.generateSilence(1.0);
+			audioEngine.pasteClips(otherId, copy, 1.0);
+
+			await audioEngine.offloadTrack('long');
+
+			const pasted = audioEngine.getTrackInfo(otherId).clips.clips.find((clip) => clip.position === 1.0);
+			expect(pasted.buffer).toBeInstanceOf(BlockedAudio);
+			expect(pasted.buffer).toBe(audioEngine.getTrackInfo('long').clips.clips[0].buffer);
+		});
+
+		test('should stream block-stored clips during playback', async () => {
+			createLongTrack('long');
+			await audioEngine.offloadTrack('long');
+
+			audioEngine.playTrack('long', 0, null, 0);
+
+			const [source] = audioEngine.playingSources.get('long');
+			expect(source).toBeInstanceOf(BlockStreamSource);
+		});
+
+		test('should change the speed while a block-stored clip plays', async () => {
+			createLongTrack('long');
+			await audioEngine.offloadTrack('long');
+			await audioEngine.play();
+
+			expect(() => audioEngine.setPlaybackRate(2)).not.toThrow();
+
+			const [source] = audioEngine.playingSources.get('long');
+			expect(source).toBeInstanceOf(BlockStreamSource);
+			expect(source.rate).toBe(2);
+		});
+
+		test('should process a range of block-stored audio', async () => {
+			createLongTrack('long');
+			await audioEngine.offloadTrack('long');
+			const process = jest.fn((buffer) => buffer);
+
+			const result = await audioEngine.processRange('long', 10, 11, process);
+
+			expect(result).toBe(true);
+			expect(process.mock.calls[0][0].getChannelData(0)[0]).toBe(0.25);
+			expect(audioEngine.getTrackInfo('long').clips.length).toBe(3);
+			expect(audioEngine.getTrackInfo('long').duration).toBeCloseTo(40);
+		});
+
+		test('should import WAV files straight into block storage at the project rate', async () => {
+			const samples = Float32Array.from({ length: 3000 }, (_, i) => Math.sin(i / 10) / 2);
+			const file = new File([encodeWav([samples], 1000, { bitDepth: 32 })], 'long.wav');
+			file.arrayBuffer = jest.fn();
+
+			const trackId = await audioEngine.loadAudioFromFile(file);
+
+			const { buffer } = audioEngine.getTrackInfo(trackId).clips.clips[0];
+			expect(file.arrayBuffer).not.toHaveBeenCalled();
+			expect(buffer).toBeInstanceOf(BlockedAudio);
+			expect(buffer.sampleRate).toBe(44100);
+			expect(buffer.length).toBe(132300);
+			expect(buffer.blocks).toHaveLength(2);
+			const whole = new Resampler().process(samples, 44.1);
+			const [loaded] = await buffer.read(0, buffer.length);
+			expect(loaded.reduce((max, v, i) => Math.max(max, Math.abs(v - whole[i])), 0)).toBeLessThan(1e-6);
+		});
+
+		test('should export block-stored audio', async () => {
+			createLongTrack('long');
+			await audioEngine.offloadTrack('long');
+
+			const blob = await audioEngine.exportAudio('long', 'wav');
+
+			expect(blob).toBeInstanceOf(Blob);
+		});
+	});
+
+	describe('Sample Rate Conversion', () => {
+		// Just enough of a compressed (MPEG) WAV file for its sample rate to be read;
+		// PCM would be decoded by our own parser rather than the browser
+		const wavHeader = (sampleRate) => {
+			const view = new DataView(new ArrayBuffer(36));
+			[..."RIFF"].forEach((c, i) => view.setUint8(i, c.charCodeAt(0)));
+			[..."WAVEfmt "].forEach((c, i) => view.setUint8(8 + i, c.charCodeAt(0)));
+			view.setUint32(16, 16, true);
+			view.setUint16(20, 0x0055, true);
+			view.setUint16(22, 1, true);
+			view.setUint32(24, sampleRate, true);
+			return view.buffer;
+		};
+
+		const createFile = (arrayBuffer) => {
+			const file = new File(['test'], 'test.wav', { type: 'audio/wav' });
+			file.arrayBuffer = jest.fn().mockResolvedValue(arrayBuffer);
+			return file;
+		};
+
+		afterEach(() => {
+			delete window.OfflineAudioContext;
+		});
+
+		test('should decode files at their own rate and convert them to the project rate', async () => {
+			const decoded = createMockBuffer(1, 4800, 48000);
+			const offlineContext = { decodeAudioData: jest.fn().mockResolvedValue(decoded) };
+			window.OfflineAudioContext = jest.fn(() => offlineContext);
+
+			const trackId = await audioEngine.loadAudioFromFile(createFile(wavHeader(48000)));
+
+			expect(window.OfflineAudioContext).toHaveBeenCalledWith(1, 1, 48000);
+			expect(mockAudioContext.decodeAudioData).not.toHaveBeenCalled();
+			const info = audioEngine.getTrackInfo(trackId);
+			expect(info.sampleRate).toBe(44100);
+			expect(info.clips.clips[0].buffer.length).toBe(4410);
+		});
+
+		test('should convert audio the browser decoded to the project rate', async () => {
+			audioEngine.setProjectRate(48000);
+			mockAudioContext.decodeAudioData.mockResolvedValueOnce(createMockBuffer(2, 4410, 44100));
+
+			const trackId = await audioEngine.loadAudioFromFile(createFile(new ArrayBuffer(8)));
+
+			const info = audioEngine.getTrackInfo(trackId);
+			expect(info.sampleRate).toBe(48000);
+			expect(info.numberOfChannels).toBe(2);
+			expect(info.duration).toBeCloseTo(0.1);
+		});
+
+		test('should generate audio at the project rate', () => {
+			audioEngine.setProjectRate(22050);
+
+			const trackId = audioEngine.generateSilence(1.0);
+
+			expect(audioEngine.getTrackInfo(trackId).sampleRate).toBe(22050);
+			expect(audioEngine.getTrackInfo(trackId).clips.clips[0].buffer.length).toBe(22050);
+		});
+
+		test('should resample a track, keeping its clips in place', async () => {
+			const buffer = createMockBuffer(1, 44100, 44100);
+			buffer.getChannelData(0).fill(0.5);
+			const first = new AudioClip({ buffer, offset: 0, duration: 0.25, position: 0 });
+			const second = new AudioClip({ buffer, offset: 0.5, duration: 0.5, position: 1 });
+			audioEngine.createTrackFromClips('track', new ClipSequence([first, second]), 'Track');
+
+			const changed = await audioEngine.resampleTrack('track', 22050, 'medium');
+
+			const info = audioEngine.getTrackInfo('track');
+			const [a, b] = info.clips.clips;
+			expect(changed).toBe(true);
+			expect(info.sampleRate).toBe(22050);
+			expect([a.id, b.id]).toEqual([first.id, second.id]);
+			expect([a.position, b.position]).toEqual([0, 1]);
+			expect(a.sampleRate).toBe(22050);
+			expect(a.buffer.length).toBe(5513);
+			expect(b.buffer.length).toBe(11025);
+			expect(b.duration).toBeCloseTo(0.5);
+			expect(b.buffer.getChannelData(0)[5000]).toBeCloseTo(0.5, 3);
+		});
+
+		test('should leave a track that is already at the rate alone', async () => {
+			const trackId = audioEngine.generateSilence(0.5);
+			const clips = audioEngine.getTrackInfo(trackId).clips;
+
+			expect(await audioEngine.resampleTrack(trackId, 44100)).toBe(false);
+			expect(audioEngine.getTrackInfo(trackId).clips).toBe(clips);
+		});
+	});
+
+	describe('Project Files', () => {
+		// Save the engine's tracks to a project file and read it back
+		const roundTrip = async (engine) => {
+			const { tracks, sources, envelopes } = await engine.getProjectData();
+			return readProject(await writeProject({ tracks, envelopes }, sources));
+		};
+
+		test('should reopen tracks with their clips, mix and envelopes', async () => {
+			const buffer = createMockBuffer(2, 1000, 1000);
+			buffer.getChannelData(1).fill(-0.5);
+			buffer.getChannelData(0)[10] = 0.123456789;
+			const first = new AudioClip({ buffer, offset: 0.25, duration: 0.5, position: 1 });
+			const second = new AudioClip({ buffer, offset: 0, duration: 0.1, position: 3 });
+			audioEngine.createTrackFromClips('track_1', new ClipSequence([first, second]), 'Voice');
+			audioEngine.setTrackMetadata('track_1', { ...createMetadata(), info: { INAM: 'Take 1' } });
+			audioEngine.setTrackMix('track_1', { volume: 60, pan: -0.5, muted: true });
+			audioEngine.envelopes.createEnvelope('track_1.volume', { maxValue: 2 });
+			audioEngine.envelopes.addAutomationPoint('track_1.volume', 0.5, 1.5);
+			audioEngine.envelopes.snapToGrid = false;
+			audioEngine.envelopes.addAutomationPoint('track_1.volume', 1.234, 0.25);
+
+			const project = await roundTrip(audioEngine);
+			const reopened = new AudioEngineService();
+			reopened.audioContext = mockAudioContext;
+			await reopened.loadProjectData(project);
+
+			const info = reopened.getTrackInfo('track_1');
+			const [a, b] = info.clips.clips;
+			expect(project.sources.size).toBe(1);
+			expect(info.name).toBe('Voice');
+			expect(info.metadata.info).toEqual({ INAM: 'Take 1' });
+			expect([a.offset, a.duration, a.position]).toEqual([0.25, 0.5, 1]);
+			expect([b.offset, b.duration, b.position]).toEqual([0, 0.1, 3]);
+			expect(a.buffer).toBe(b.buffer);
+			expect(a.buffer.getChannelData(0)[10]).toBe(Math.fround(0.123456789));
+			expect(a.buffer.getChannelData(1)[999]).toBe(-0.5);
+			expect(reopened.getTrackMix('track_1')).toEqual({ volume: 60, pan: -0.5, muted: true, solo: false });
+			expect(reopened.envelopes.getEnvelopePoints('track_1.volume').map((p) => p.time)).toEqual([0.5, 1.234]);
+			reopened.destroy();
+		});
+
+		test('should open long audio straight into block storage', async () => {
+			const buffer = createMockBuffer(1, 40000, 1000);
+			buffer.getChannelData(0).fill(0.25);
+			audioEngine.createTrack('long', buffer, 'Long');
+			const project = await roundTrip(audioEngine);
+			const reopened = new AudioEngineService();
+			reopened.audioContext = mockAudioContext;
+			const blocks = new Map();
+			reopened.blockStore = {
+				write: jest.fn(async (channels) => {
+					blocks.set(`block_${blocks.size}`, channels);
+					return `block_${blocks.size - 1}`;
+				}),
+				read: jest.fn(async (id) => blocks.get(id)),
+				clearSession: jest.fn().mockResolvedValue(),
+				close: jest.fn().mockResolvedValue(),
+			};
+
+			await reopened.loadProjectData(project);
+
+			const { buffer: opened } = reopened.getTrackInfo('long').clips.clips[0];
+			expect(opened).toBeInstanceOf(BlockedAudio);
+			expect(opened.length).toBe(40000);
+			expect((await opened.read(39999, 1))[0][0]).toBe(0.25);
+			reopened.destroy();
+		});
+
+		test('should replace the tracks that were open', async () => {
+			const oldId = audioEngine.generateSilence(1.0);
+			const project = {
+				tracks: [{ id: 'track_2', name: 'Empty', sampleRate: 8000, numberOfChannels: 1, mix: {}, clips: [] }],
+				sources: new Map(),
+				envelopes: null,
+			};
+
+			expect(await audioEngine.loadProjectData(project)).toBe(true);
+
+			expect(audioEngine.getTrackInfo(oldId)).toBeUndefined();
+			expect(audioEngine.getTrackInfo('track_2')).toMatchObject({ sampleRate: 8000, numberOfChannels: 1 });
+			expect(audioEngine.getTotalDuration()).toBe(0);
+		});
+
+		test('should save block-stored audio', async () => {
+			const blocks = new Map();
+			audioEngine.blockStore = {
+				write: jest.fn(async (channels) => {
+					blocks.set(`block_${blocks.size}`, channels);
+					return `block_${blocks.size - 1}`;
+				}),
+				read: jest.fn(async (id) => blocks.get(id)),
+				clearSession: jest.fn().mockResolvedValue(),
+				close: jest.fn().mockResolvedValue(),
+			};
+			const buffer = createMockBuffer(1, 40000, 1000);
+			buffer.getChannelData(0).fill(0.25);
+			audioEngine.createTrack('long', buffer, 'Long');
+			await audioEngine.offloadTrack('long');
+
+			const { sources } = await audioEngine.getProjectData();
+			const [channel] = await sources[0].read(39000, 2000);
+
+			expect(sources).toHaveLength(1);
+			expect(sources[0].length).toBe(40000);
+			expect(channel).toHaveLength(2000);
+			expect([channel[999], channel[1000]]).toEqual([0.25, 0]);
+		});
+
+		test('should list only the buffers not saved before', async () => {
+			const trackId = audioEngine.generateSilence(1.0);
+			const sourceIds = new Map();
+			const first = await audioEngine.getProjectData(sourceIds);
+			audioEngine.pasteClips(trackId, audioEngine.copyClips(trackId, 0, 0.5), 1.0);
+			const otherId = audioEngine.generateSilence(0.5);
+
+			const second = await audioEngine.getProjectData(sourceIds);
+
+			expect(first.sources).toHaveLength(1);
+			expect(second.sources.map((source) => source.id)).toEqual([
+				sourceIds.get(audioEngine.getTrackInfo(otherId).clips.clips[0].buffer),
+			]);
+			expect(second.tracks[0].clips.map((clip) => clip.source)).toEqual([
+				first.sources[0].id,
+				first.sources[0].id,
+			]);
+		});
+	});
+
+	describe('Autosave', () => {
+		const mockJournal = () => ({
+			sourceIds: new Map(),
+			save: jest.fn().mockResolvedValue(true),
+			load: jest.fn(),
+			discard: jest.fn().mockResolvedValue(),
+			close: jest.fn().mockResolvedValue(),
+		});
+
+		test('should hand the journal only the audio it has not saved', async () => {
+			const journal = mockJournal();
+			audioEngine.sessionJournal = journal;
+			const trackId = audioEngine.generateSilence(1.0);
+
+			await audioEngine.autosave({ tracks: [{ id: trackId, name: 'Renamed', visible: false }], labels: [] });
+			await audioEngine.autosave({ tracks: [{ id: trackId, name: 'Renamed', visible: false }], labels: [] });
+
+			const [[session, sources], [, later]] = journal.save.mock.calls;
+			expect(session.tracks[0]).toMatchObject({ id: trackId, name: 'Renamed', visible: false });
+			expect(session.tracks[0].clips).toHaveLength(1);
+			expect(sources).toHaveLength(1);
+			expect(later).toEqual([]);
+		});
+
+		test('should recover a session in place of the open tracks', async () => {
+			const journal = mockJournal();
+			audioEngine.sessionJournal = journal;
+			const oldId = audioEngine.generateSilence(1.0);
+			journal.load.mockResolvedValue({
+				tracks: [{ id: 'track_9', name: 'Saved', sampleRate: 8000, numberOfChannels: 1, mix: {}, clips: [] }],
+				sources: new Map(),
+				envelopes: null,
+			});
+
+			const session = await audioEngine.recoverSession('session_1');
+
+			expect(session.tracks[0].name).toBe('Saved');
+			expect(audioEngine.getTrackInfo(oldId)).toBeUndefined();
+			expect(audioEngine.getTrackInfo('track_9')).toBeDefined();
+			expect(journal.discard).toHaveBeenCalledWith('session_1');
+		});
+
+		test('should save the undo history with the audio only it holds, and load it back', async () => {
+			const journal = mockJournal();
+			audioEngine.sessionJournal = journal;
+			const trackId = audioEngine.generateSilence(1.0);
+			const history = new UndoRedoManager();
+			history.executeCommand(new RemoveTrackCommand(audioEngine, trackId));
+
+			await audioEngine.autosave({ tracks: [], labels: [] }, history);
+
+			const [[session, sources]] = journal.save.mock.calls;
+			const [step] = session.undoHistory.undo;
+			expect(session.tracks).toEqual([]);
+			expect(step.type).toBe('removeTrack');
+			expect(session.undoHistory.sources).toEqual([sources[0].id]);
+
+			journal.load.mockResolvedValue({
+				...session,
+				sources: new Map(sources.map((source) => [source.id, source])),
+			});
+			const recovered = await audioEngine.recoverSession('session_1');
+			const [saved] = step.detached.data.clips;
+			const clip = recovered.loadClip(saved);
+
+			expect(clip.id).toBe(saved.id);
+			expect(clip.duration).toBe(1.0);
+			expect(clip.buffer.length).toBe(sources[0].length);
+		});
+
+		test('should keep nothing to recover after a clean exit', () => {
+			const journal = mockJournal();
+			audioEngine.sessionJournal = journal;
+
+			audioEngine.destroy();
+
+			expect(journal.discard).toHaveBeenCalledWith();
+		});
+	});
 });
@@ -1,4 +1,6 @@
 import { AudioEngineService } from "../services/AudioEngine";
+import { TrackEditCommand } from "../services/EditCommands";
+import { UndoRedoManager } from "../services/UndoRedoManager";
 
 // Mock the Web Audio API components needed for recording
 const mockMediaStreamSource = {
@@ -18,7 +20,19 @@ const mockMediaStream = {
 	])
 };
 
+const createMockGain = () => ({
+	gain: { value: 1, setValueAtTime: jest.fn() },
+	connect: jest.fn(),
+	disconnect: jest.fn()
+});
+
 const mockAudioContext = {
+	createGain: jest.fn(createMockGain),
+	createChannelSplitter: jest.fn(() => ({ connect: jest.fn(), disconnect: jest.fn() })),
+	createAnalyser: jest.fn(() => ({
+		getFloatTimeDomainData: jest.fn((data) => data.fill(0.5)),
+		disconnect: jest.fn()
+	})),
 	createMediaStreamSource: jest.fn(() => mockMediaStreamSource),
 	createScriptProcessor: jest.fn(() => mockScriptProcessor),
 	createBuffer: jest.fn(() => ({
@@ -28,6 +42,7 @@ const mockAudioContext = {
 		getChannelData: jest.fn(() => new Float32Array(88200))
 	})),
 	sampleRate: 44100,
+	currentTime: 0,
 	destination: {},
 	close: jest.fn()
 };
@@ -45,15 +60,16 @@ describe('AudioEngine Recording', () => {
 	beforeEach(() => {
 		audioEngine = new AudioEngineService();
 		audioEngine.audioContext = mockAudioContext;
+		audioEngine.masterGain = createMockGain();
 		audioEngine.onRecordingFinished = jest.fn();
 		audioEngine.onError = jest.fn();
 		audioEngine.onStatusChange = jest.fn();
 		jest.clearAllMocks();
 	});
 
-	afterEach(() => {
+	afterEach(async () => {
 		if (audioEngine) {
-			audioEngine.destroy();
+			await audioEngine.destroy();
 		}
 	});
 
@@ -77,32 +93,53 @@ describe('AudioEngine Recording', () => {
 				})
 			);
 			expect(mockAudioContext.createScriptProcessor).toHaveBeenCalledWith(4096, 2, 2);
-			expect(mockMediaStreamSource.connect).toHaveBeenCalledWith(mockScriptProcessor);
+			expect(mockMediaStreamSource.connect).toHaveBeenCalledWith(audioEngine.inputGain);
+			expect(audioEngine.inputGain.connect).toHaveBeenCalledWith(mockScriptProcessor);
 			expect(mockScriptProcessor.connect).toHaveBeenCalledWith(mockAudioContext.destination);
 			expect(audioEngine.onStatusChange).toHaveBeenCalledWith("Recording...");
 		});
 
-		test('should stop recording and process audio', () => {
+		test('should stop recording and process audio', async () => {
 			// Setup recording state
+			const capture = { stop: jest.fn().mockResolvedValue() };
 			audioEngine.isRecording = true;
 			audioEngine.recordingSource = mockMediaStreamSource;
-			audioEngine.recordingProcessor = mockScriptProcessor;
+			audioEngine.recordingCapture = capture;
 			audioEngine.recordingBuffers = [
 				[new Float32Array([0.1, 0.2, 0.3])],
 				[new Float32Array([0.4, 0.5, 0.6])]
 			];
 			audioEngine.recordingLength = 3;
 
-			audioEngine.stopRecording();
+			await audioEngine.stopRecording();
 
 			expect(audioEngine.isRecording).toBe(false);
-			expect(mockMediaStreamSource.disconnect).toHaveBeenCalled();
-			expect(mockScriptProcessor.disconnect).toHaveBeenCalled();
+			expect(capture.stop).toHaveBeenCalled();
 			expect(mockAudioContext.createBuffer).toHaveBeenCalledWith(2, 3, 44100);
 			expect(audioEngine.onRecordingFinished).toHaveBeenCalled();
 			expect(audioEngine.onStatusChange).toHaveBeenCalledWith("Recording stopped");
 		});
 
+		test('should record only the channels the input really has', async () => {
+			const monoStream = {
+				...mockMediaStream,
+				getAudioTracks: () => [{ getSettings: () => ({ channelCount: 1 }) }]
+			};
+			navigator.mediaDevices.getUserMedia.mockResolvedValueOnce(monoStream);
+
+			await audioEngine.startRecording();
+			mockScriptProcessor.onaudioprocess({
+				inputBuffer: {
+					numberOfChannels: 1,
+					getChannelData: () => new Float32Array([0.1, 0.2])
+				}
+			});
+
+			expect(mockAudioContext.createScriptProcessor).toHaveBeenCalledWith(4096, 1, 1);
+			expect(audioEngine.recordingBuffers.length).toBe(1);
+			expect(audioEngine.recordingLength).toBe(2);
+		});
+
 		test('should handle recording permission denied', async () => {
 			navigator.mediaDevices.getUserMedia.mockRejectedValueOnce(
 				new Error('Permission denied')
@@ -120,10 +157,57 @@ describe('AudioEngine Recording', () => {
 			expect(navigator.mediaDevices.getUserMedia).not.toHaveBeenCalled();
 		});
 
-		test('should not stop recording if not recording', () => {
+		test('should start one capture when record is pressed again while starting', async () => {
+			const first = audioEngine.startRecording();
+			const second = audioEngine.startRecording();
+			await Promise.all([first, second]);
+
+			expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(1);
+			expect(mockAudioContext.createScriptProcessor).toHaveBeenCalledTimes(1);
+			expect(audioEngine.isRecording).toBe(true);
+		});
+
+		test('should allow another try after a start that failed', async () => {
+			navigator.mediaDevices.getUserMedia.mockRejectedValueOnce(
+				new Error('Permission denied')
+			);
+			await expect(audioEngine.startRecording()).rejects.toThrow('Permission denied');
+
+			await audioEngine.startRecording();
+
+			expect(audioEngine.isRecording).toBe(true);
+		});
+
+		test('should place the take being recorded before closing', async () => {
+			await audioEngine.startRecording();
+			mockScriptProcessor.onaudioprocess({
+				inputBuffer: {
+					numberOfChannels: 2,
+					getChannelData: () => new Float32Array([0.1, 0.2])
+				}
+			});
+
+			await audioEngine.destroy();
+
+			expect(audioEngine.onRecordingFinished).toHaveBeenCalled();
+			expect(mockAudioContext.close).toHaveBeenCalled();
+		});
+
+		test('should still close when the take cannot be finished', async () => {
+			await audioEngine.startRecording();
+			jest.spyOn(audioEngine, 'stopRecording').mockRejectedValue(new Error('Disk full'));
+			jest.spyOn(console, 'error').mockImplementation(() => {});
+
+			await expect(audioEngine.destroy()).resolves.toBeUndefined();
+
+			expect(mockAudioContext.close).toHaveBeenCalled();
+			console.error.mockRestore();
+		});
+
+		test('should not stop recording if not recording', async () => {
 			audioEngine.isRecording = false;
 
-			audioEngine.stopRecording();
+			await audioEngine.stopRecording();
 
 			expect(audioEngine.onStatusChange).not.toHaveBeenCalled();
 		});
@@ -158,6 +242,15 @@ describe('AudioEngine Recording', () => {
 			expect(audioEngine.onRecordingFinished).toHaveBeenCalled();
 		});
 
+		test('should create a mono track from a mono take', () => {
+			audioEngine.recordingBuffers = [[new Float32Array([0.1, 0.2, 0.3])]];
+			audioEngine.recordingLength = 3;
+
+			audioEngine.processRecordingBuffers();
+
+			expect(mockAudioContext.createBuffer).toHaveBeenCalledWith(1, 3, 44100);
+		});
+
 		test('should handle audio processing errors', () => {
 			audioEngine.recordingBuffers = [[], []];
 			audioEngine.recordingLength = 0;
@@ -172,4 +265,377 @@ describe('AudioEngine Recording', () => {
 			);
 		});
 	});
+
+	describe('Take Placement', () => {
+		const createBuffer = (seconds, numberOfChannels = 1) => ({
+			numberOfChannels,
+			sampleRate: 100,
+			length: seconds * 100,
+			duration: seconds,
+			getChannelData: () => new Float32Array(seconds * 100)
+		});
+
+		beforeEach(() => {
+			audioEngine.createTrack('voice', createBuffer(10), 'Voice');
+		});
+
+		test('should plan a punch-in with pre-roll over the selection', () => {
+			audioEngine.setRecordingSettings({ mode: 'replace', preRoll: 2 });
+			const take = audioEngine.planTake({
+				position: 0,
+				trackId: 'voice',
+				selection: { start: 3, end: 5 }
+			});
+
+			expect(take).toEqual({
+				mode: 'replace',
+				trackId: 'voice',
+				startPosition: 1,
+				punchIn: 3,
+				punchOut: 5
+			});
+		});
+
+		test('should fall back to a new track without a selected track', () => {
+			audioEngine.setRecordingSettings({ mode: 'append' });
+			expect(audioEngine.planTake({ position: 4 }).mode).toBe('new');
+		});
+
+		test('should replace only the punched range', () => {
+			audioEngine.setRecordingSettings({ mode: 'replace', preRoll: 2 });
+			audioEngine.recordingTake = audioEngine.planTake({
+				trackId: 'voice',
+				selection: { start: 3, end: 5 }
+			});
+
+			const result = audioEngine.placeTake(createBuffer(6));
+			const clips = audioEngine.getTrackInfo('voice').clips;
+
+			expect(result).toEqual({ trackId: 'voice', isNewTrack: false });
+			expect(clips.length).toBe(3);
+			expect(clips.clipAt(4).offset).toBeCloseTo(2); // take started at 1 s with pre-roll
+			expect(clips.clipAt(6).offset).toBeCloseTo(5);
+			expect(audioEngine.getTrackInfo('voice').duration).toBe(10);
+		});
+
+		test('should make a punch-in one undo step that restores the overwritten audio', () => {
+			const history = new UndoRedoManager();
+			audioEngine.runEdit = (trackIds, edit, description) =>
+				history.executeCommand(new TrackEditCommand(audioEngine, trackIds, edit, description));
+			const original = audioEngine.getTrackInfo('voice').clips;
+
+			audioEngine.setRecordingSettings({ mode: 'replace', preRoll: 0 });
+			audioEngine.recordingTake = audioEngine.planTake({
+				trackId: 'voice',
+				selection: { start: 3, end: 5 }
+			});
+			audioEngine.placeTake(createBuffer(2));
+
+			expect(history.getState().undoDescription).toBe('Punch-in recording');
+			expect(audioEngine.getTrackInfo('voice').clips.length).toBe(3);
+
+			history.undo();
+			const clips = audioEngine.getTrackInfo('voice').clips;
+			expect(clips.length).toBe(1);
+			expect(clips.clips[0].id).toBe(original.clips[0].id);
+			expect(clips.clips[0].duration).toBe(10);
+		});
+
+		test('should land an appended take at the record start, compensating latency', () => {
+			audioEngine.setRecordingSettings({ mode: 'append', latency: 100 });
+			audioEngine.recordingTake = audioEngine.planTake({ position: 12, trackId: 'voice' });
+
+			audioEngine.placeTake(createBuffer(2));
+			const clip = audioEngine.getTrackInfo('voice').clips.clipAt(12.5);
+
+			expect(clip.position).toBe(12);
+			expect(clip.offset).toBeCloseTo(0.1);
+			expect(audioEngine.getTrackInfo('voice').duration).toBeCloseTo(13.9);
+		});
+
+		test('should record to a new track when the channel counts differ', () => {
+			audioEngine.setRecordingSettings({ mode: 'append' });
+			audioEngine.recordingTake = audioEngine.planTake({ position: 1, trackId: 'voice' });
+
+			const result = audioEngine.placeTake(createBuffer(2, 2));
+
+			expect(result.isNewTrack).toBe(true);
+			expect(audioEngine.getTrackInfo(result.trackId).clips.clips[0].position).toBe(1);
+		});
+
+		test('should play the existing tracks while recording', async () => {
+			const play = jest.spyOn(audioEngine, 'play').mockImplementation(async () => {
+				audioEngine.isPlaying = true;
+			});
+			const stop = jest.spyOn(audioEngine, 'stop').mockImplementation(() => {});
+
+			await audioEngine.startRecording({ position: 2 });
+			expect(play).toHaveBeenCalledWith(null, 2, null, { loop: false });
+
+			await audioEngine.stopRecording();
+			expect(stop).toHaveBeenCalled();
+		});
+	});
+
+	describe('Input Settings', () => {
+		test('should request the chosen device with the session toggles', async () => {
+			await audioEngine.setInputSettings({
+				deviceId: 'usb-mic',
+				channelCount: 1,
+				echoCancellation: true,
+				noiseSuppression: true,
+			});
+			await audioEngine.startRecording();
+
+			expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith({
+				audio: {
+					sampleRate: 44100,
+					channelCount: 1,
+					echoCancellation: true,
+					noiseSuppression: true,
+					autoGainControl: false,
+					deviceId: { exact: 'usb-mic' },
+				},
+			});
+		});
+
+		test('should record mono from a stereo input when mono is chosen', async () => {
+			const stereoStream = {
+				...mockMediaStream,
+				getAudioTracks: () => [{ getSettings: () => ({ channelCount: 2 }) }]
+			};
+			navigator.mediaDevices.getUserMedia.mockResolvedValueOnce(stereoStream);
+
+			await audioEngine.setInputSettings({ channelCount: 1 });
+			await audioEngine.startRecording();
+
+			expect(mockAudioContext.createScriptProcessor).toHaveBeenCalledWith(4096, 1, 1);
+			expect(audioEngine.recordingBuffers.length).toBe(1);
+		});
+
+		test('should fall back to the default device when the chosen one is gone', async () => {
+			const missing = Object.assign(new Error('No device'), { name: 'OverconstrainedError' });
+			navigator.mediaDevices.getUserMedia.mockRejectedValueOnce(missing);
+
+			await audioEngine.setInputSettings({ deviceId: 'unplugged' });
+			await audioEngine.startRecording();
+
+			expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(2);
+			expect(navigator.mediaDevices.getUserMedia.mock.calls[1][0].audio.deviceId).toBeUndefined();
+			expect(audioEngine.inputSettings.deviceId).toBeNull();
+			expect(audioEngine.isRecording).toBe(true);
+		});
+
+		test('should list audio inputs only', async () => {
+			navigator.mediaDevices.enumerateDevices = jest.fn().mockResolvedValue([
+				{ kind: 'audioinput', deviceId: 'default', label: 'Built-in' },
+				{ kind: 'videoinput', deviceId: 'cam', label: 'Camera' },
+				{ kind: 'audioinput', deviceId: 'usb', label: '' },
+				{ kind: 'audiooutput', deviceId: 'out', label: 'Speakers' },
+			]);
+
+			const devices = await audioEngine.getInputDevices();
+
+			expect(devices).toEqual([
+				{ deviceId: 'default', label: 'Built-in' },
+				{ deviceId: 'usb', label: 'Microphone 2' },
+			]);
+			delete navigator.mediaDevices.enumerateDevices;
+		});
+
+		test('should reopen the stream after a device change', async () => {
+			await audioEngine.startRecording();
+			await audioEngine.stopRecording();
+			const track = { stop: jest.fn() };
+			audioEngine.recordingStream.getTracks = () => [track];
+
+			await audioEngine.setInputSettings({ deviceId: 'usb-mic' });
+
+			expect(audioEngine.recordingStream).toBeNull();
+			expect(mockMediaStreamSource.disconnect).toHaveBeenCalled();
+			expect(track.stop).toHaveBeenCalled();
+
+			await audioEngine.startRecording();
+			expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(2);
+		});
+
+		test('should keep the stream of a running take until it stops', async () => {
+			await audioEngine.startRecording();
+			const stream = audioEngine.recordingStream;
+
+			await audioEngine.setInputSettings({ noiseSuppression: true });
+			expect(audioEngine.recordingStream).toBe(stream);
+
+			await audioEngine.stopRecording();
+			expect(audioEngine.recordingStream).toBeNull();
+		});
+
+		test('should not reopen the stream for monitoring-only changes', async () => {
+			await audioEngine.startRecording();
+			await audioEngine.stopRecording();
+			const stream = audioEngine.recordingStream;
+
+			await audioEngine.setInputSettings({ monitoring: true });
+
+			expect(audioEngine.recordingStream).toBe(stream);
+			expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(1);
+		});
+
+		test('should route the input to the master bus while monitoring', async () => {
+			await audioEngine.setInputSettings({ monitoring: true });
+
+			expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalled();
+			expect(mockMediaStreamSource.connect).toHaveBeenCalledWith(audioEngine.inputGain);
+			expect(audioEngine.inputGain.connect).toHaveBeenCalledWith(audioEngine.monitorGain);
+			expect(audioEngine.monitorGain.connect).toHaveBeenCalledWith(audioEngine.masterGain);
+			expect(audioEngine.monitorGain.gain.setValueAtTime).toHaveBeenLastCalledWith(1, 0);
+
+			await audioEngine.setInputSettings({ monitoring: false });
+			expect(audioEngine.monitorGain.gain.setValueAtTime).toHaveBeenLastCalledWith(0, 0);
+		});
+
+		test('should drive the input gain from the recording volume', async () => {
+			audioEngine.setRecordingVolume(0.25);
+			await audioEngine.startRecording();
+
+			expect(audioEngine.inputGain.gain.value).toBe(0.5);
+
+			audioEngine.setRecordingVolume(1);
+			expect(audioEngine.inputGain.gain.setValueAtTime).toHaveBeenCalledWith(2, 0);
+		});
+	});
+
+	describe('Level Meters', () => {
+		test('should meter the master bus for playback', () => {
+			const levels = audioEngine.getMeterLevels('output');
+
+			expect(levels).toHaveLength(2);
+			expect(levels[0].peak).toBeCloseTo(-6.02, 2);
+			expect(audioEngine.masterGain.connect).toHaveBeenCalledWith(audioEngine.meters.output.splitter);
+		});
+
+		test('should meter the input after the recording gain', async () => {
+			expect(audioEngine.getMeterLevels('input')).toBeNull();
+
+			const monoStream = {
+				...mockMediaStream,
+				getAudioTracks: () => [{ getSettings: () => ({ channelCount: 1 }) }]
+			};
+			navigator.mediaDevices.getUserMedia.mockResolvedValueOnce(monoStream);
+			await audioEngine.startRecording();
+
+			expect(audioEngine.getMeterLevels('input')).toHaveLength(1);
+			expect(audioEngine.inputGain.connect).toHaveBeenCalledWith(audioEngine.meters.input.splitter);
+		});
+
+		test('should clear clip lights on reset', () => {
+			audioEngine.getMeterLevels('output');
+			audioEngine.meters.output.clipped.fill(true);
+
+			audioEngine.resetMeter('output');
+
+			expect(audioEngine.meters.output.clipped).toEqual([false, false]);
+		});
+	});
+
+	describe('Crash Recovery', () => {
+		const createJournal = () => ({
+			begin: jest.fn().mockResolvedValue('take_1'),
+			append: jest.fn(),
+			end: jest.fn().mockResolvedValue('take_1'),
+			discard: jest.fn().mockResolvedValue(),
+			listTakes: jest.fn().mockResolvedValue([]),
+			load: jest.fn(),
+		});
+
+		test('should journal the take while recording', async () => {
+			const journal = createJournal();
+			audioEngine.recordingJournal = journal;
+
+			await audioEngine.startRecording({ position: 2 });
+			audioEngine.handleRecordedChunk([new Float32Array([0.1]), new Float32Array([0.2])]);
+
+			expect(journal.begin).toHaveBeenCalledWith(
+				expect.objectContaining({ sampleRate: 44100, numberOfChannels: 2, startPosition: 2 })
+			);
+			expect(journal.append).toHaveBeenCalledWith([expect.any(Float32Array), expect.any(Float32Array)]);
+		});
+
+		test('should drop the journaled take once it is in the project', async () => {
+			const journal = createJournal();
+			audioEngine.recordingJournal = journal;
+			await audioEngine.startRecording();
+			audioEngine.handleRecordedChunk([new Float32Array([0.1]), new Float32Array([0.2])]);
+
+			await audioEngine.stopRecording();
+
+			expect(journal.end).toHaveBeenCalled();
+			expect(journal.discard).toHaveBeenCalledWith('take_1');
+		});
+
+		test('should keep the journaled take if it could not be placed', async () => {
+			const journal = createJournal();
+			audioEngine.recordingJournal = journal;
+			await audioEngine.startRecording();
+			audioEngine.handleRecordedChunk([new Float32Array([0.1]), new Float32Array([0.2])]);
+			mockAudioContext.createBuffer.mockImplementationOnce(() => {
+				throw new Error('Out of memory');
+			});
+
+			await audioEngine.stopRecording();
+
+			expect(journal.discard).not.toHaveBeenCalled();
+		});
+
+		test('should keep recording when the journal cannot be opened', async () => {
+			const journal = createJournal();
+			journal.begin.mockRejectedValue(new Error('Quota exceeded'));
+			audioEngine.recordingJournal = journal;
+
+			await audioEngine.startRecording();
+			audioEngine.handleRecordedChunk([new Float32Array([0.1]), new Float32Array([0.2])]);
+
+			expect(audioEngine.isRecording).toBe(true);
+			expect(journal.append).not.toHaveBeenCalled();
+		});
+
+		test('should recover a take as a track in its original format', async () => {
+			const journal = createJournal();
+			journal.load.mockResolvedValue({
+				meta: { id: 'take_1', sampleRate: 22050, numberOfChannels: 1, startPosition: 3, latency: 0, startedAt: 0 },
+				channels: [new Float32Array([0.1, 0.2, 0.3])],
+			});
+			audioEngine.recordingJournal = journal;
+			const data = new Float32Array(3);
+			mockAudioContext.createBuffer.mockReturnValueOnce({
+				duration: 3 / 22050,
+				length: 3,
+				numberOfChannels: 1,
+				sampleRate: 22050,
+				getChannelData: () => data,
+			});
+
+			const trackId = await audioEngine.recoverRecording('take_1');
+
+			expect(mockAudioContext.createBuffer).toHaveBeenCalledWith(1, 3, 22050);
+			expect(Array.from(data)).toEqual([0.1, 0.2, 0.3].map(Math.fround));
+			const info = audioEngine.getTrackInfo(trackId);
+			expect(info.sampleRate).toBe(22050);
+			expect(info.numberOfChannels).toBe(1);
+			expect(audioEngine.audioBuffers.get(trackId).clips.clips[0].position).toBe(3);
+			expect(journal.discard).toHaveBeenCalledWith('take_1');
+		});
+
+		test('should list unfinished takes', async () => {
+			const journal = createJournal();
+			journal.listTakes.mockResolvedValue([
+				{ id: 'take_1', startedAt: 5, sampleRate: 48000, numberOfChannels: 2, startPosition: 0 },
+			]);
+			audioEngine.recordingJournal = journal;
+
+			expect(await audioEngine.getRecoverableRecordings()).toEqual([
+				{ id: 'take_1', startedAt: 5, sampleRate: 48000, numberOfChannels: 2 },
+			]);
+		});
+	});
 });
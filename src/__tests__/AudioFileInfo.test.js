@@ -0,0 +1,81 @@
+import { detectSampleRate } from "../services/AudioFileInfo";
+
+const ascii = (text) => Array.from(text, (c) => c.charCodeAt(0));
+const uint32LE = (value) => [value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff, value >>> 24];
+const uint32BE = (value) => uint32LE(value).reverse();
+const bytes = (...parts) => new Uint8Array(parts.flat()).buffer;
+
+const wav = (sampleRate) =>
+	bytes(
+		ascii("RIFF"),
+		uint32LE(0),
+		ascii("WAVE"),
+		// A chunk before fmt, with an odd size and its pad byte
+		ascii("JUNK"),
+		uint32LE(3),
+		[0, 0, 0, 0],
+		ascii("fmt "),
+		uint32LE(16),
+		[1, 0, 2, 0],
+		uint32LE(sampleRate),
+		new Array(8).fill(0),
+	);
+
+describe("detectSampleRate", () => {
+	test("should read WAV files", () => {
+		expect(detectSampleRate(wav(96000))).toBe(96000);
+		expect(detectSampleRate(wav(22050))).toBe(22050);
+	});
+
+	test("should read AIFF files", () => {
+		// 48000 as an 80-bit extended float
+		const rate = [0x40, 0x0e, 0xbb, 0x80, 0, 0, 0, 0, 0, 0];
+		const aiff = bytes(
+			ascii("FORM"),
+			uint32BE(0),
+			ascii("AIFF"),
+			ascii("COMM"),
+			uint32BE(18),
+			[0, 2],
+			uint32BE(1000),
+			[0, 16],
+			rate,
+		);
+
+		expect(detectSampleRate(aiff)).toBe(48000);
+	});
+
+	test("should read FLAC files", () => {
+		// STREAMINFO: 88200 Hz is 0x15888 in the top 20 bits at byte 10
+		const streamInfo = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0x15, 0x88, 0x80, 0, 0, 0, 0, 0];
+		const flac = bytes(ascii("fLaC"), [0x80, 0, 0, 34], streamInfo);
+
+		expect(detectSampleRate(flac)).toBe(88200);
+	});
+
+	test("should read MP3 files after an ID3 tag", () => {
+		// 20-byte tag, then an MPEG 1 layer III frame header at 32 kHz
+		const mp3 = bytes(ascii("ID3"), [4, 0, 0, 0, 0, 0, 20], new Array(20).fill(0), [
+			0xff, 0xfb, 0x98, 0x44,
+		]);
+
+		expect(detectSampleRate(mp3)).toBe(32000);
+	});
+
+	test("should read Ogg Vorbis and Opus files", () => {
+		const page = (packet) => bytes(ascii("OggS"), new Array(22).fill(0), [1, packet.length], packet);
+		const vorbis = [1, ...ascii("vorbis"), 0, 0, 0, 0, 2, ...uint32LE(44100)];
+		const opus = [...ascii("OpusHead"), 1, 2, 0, 0, ...uint32LE(44100)];
+
+		expect(detectSampleRate(page(vorbis))).toBe(44100);
+		// Opus decodes at 48 kHz whatever the input rate was
+		expect(detectSampleRate(page(opus))).toBe(48000);
+	});
+
+	test("should return null for unknown or truncated files", () => {
+		expect(detectSampleRate(bytes(ascii("hello world")))).toBeNull();
+		expect(detectSampleRate(bytes(ascii("RIFF"), uint32LE(0), ascii("WAVE")))).toBeNull();
+		expect(detectSampleRate(bytes(ascii("fLaC"), [0x80]))).toBeNull();
+		expect(detectSampleRate(new ArrayBuffer(0))).toBeNull();
+	});
+});
@@ -0,0 +1,207 @@
+import { BlockedAudio, BlockStreamSource, SUMMARY_FRAMES } from "../services/BlockedAudio";
+
+// In-memory stand-in for SampleBlockStore
+const createStore = () => {
+	const blocks = new Map();
+	return {
+		blocks,
+		write: jest.fn(async (channels) => {
+			const id = `block_${blocks.size}`;
+			blocks.set(id, channels);
+			return id;
+		}),
+		read: jest.fn(async (id) => blocks.get(id)),
+	};
+};
+
+const createBuffer = (numberOfChannels, length, sampleRate, fill = (c, i) => c * 1000 + i) => {
+	const channels = Array.from({ length: numberOfChannels }, (_, c) => {
+		const data = new Float32Array(length);
+		for (let i = 0; i < length; i++) data[i] = fill(c, i);
+		return data;
+	});
+	return {
+		numberOfChannels,
+		length,
+		sampleRate,
+		duration: length / sampleRate,
+		getChannelData: (channel) => channels[channel],
+	};
+};
+
+// Let pending block reads settle
+const flushPromises = async () => {
+	for (let i = 0; i < 5; i++) await Promise.resolve();
+};
+
+describe("BlockedAudio", () => {
+	test("should split a buffer into fixed-size blocks", async () => {
+		const store = createStore();
+		const audio = await BlockedAudio.fromAudioBuffer(createBuffer(2, 25, 10), store, 10);
+
+		expect(audio.blocks.map((block) => [block.start, block.frames])).toEqual([
+			[0, 10],
+			[10, 10],
+			[20, 5],
+		]);
+		expect(audio.length).toBe(25);
+		expect(audio.duration).toBe(2.5);
+		expect(audio.numberOfChannels).toBe(2);
+		expect(audio.sampleRate).toBe(10);
+	});
+
+	test("should read ranges across block boundaries", async () => {
+		const store = createStore();
+		const audio = await BlockedAudio.fromAudioBuffer(createBuffer(2, 25, 10), store, 10);
+		store.read.mockClear();
+
+		const [left, right] = await audio.read(8, 5);
+
+		expect(Array.from(left)).toEqual([8, 9, 10, 11, 12]);
+		expect(Array.from(right)).toEqual([1008, 1009, 1010, 1011, 1012]);
+		expect(store.read).toHaveBeenCalledTimes(2);
+	});
+
+	test("should only load the blocks a range touches", async () => {
+		const store = createStore();
+		const audio = await BlockedAudio.fromAudioBuffer(createBuffer(1, 40, 10), store, 10);
+		store.read.mockClear();
+
+		await audio.read(22, 3);
+
+		expect(store.read).toHaveBeenCalledTimes(1);
+		expect(store.read).toHaveBeenCalledWith(audio.blocks[2].id);
+	});
+
+	test("should pad reads past the end with silence", async () => {
+		const audio = await BlockedAudio.fromAudioBuffer(createBuffer(1, 5, 10), createStore(), 10);
+
+		const [data] = await audio.read(3, 4);
+
+		expect(Array.from(data)).toEqual([3, 4, 0, 0]);
+	});
+
+	test("should summarise the first channel for waveform drawing", async () => {
+		const length = SUMMARY_FRAMES * 2;
+		const buffer = createBuffer(1, length, 44100, (c, i) => (i < SUMMARY_FRAMES ? 0.5 : 0));
+		const audio = await BlockedAudio.fromAudioBuffer(buffer, createStore());
+
+		expect(audio.summary).toHaveLength(2);
+		expect(audio.summary[0]).toBeCloseTo(0.5);
+		expect(audio.summary[1]).toBe(0);
+	});
+
+	test("should write audio from a reader a block at a time", async () => {
+		const store = createStore();
+		const read = jest.fn(async (start, frames) => [Float32Array.from({ length: frames }, () => 0.5)]);
+		const length = SUMMARY_FRAMES + 100;
+
+		const audio = await BlockedAudio.fromReader(read, { length, numberOfChannels: 1, sampleRate: 8000 }, store, 150);
+
+		expect(read.mock.calls).toEqual([[0, 150], [150, 150], [300, 56]]);
+		expect(audio.length).toBe(length);
+		expect(audio.sampleRate).toBe(8000);
+		expect(audio.summary).toHaveLength(2);
+		expect(audio.summary[1]).toBeCloseTo(0.5);
+	});
+});
+
+describe("BlockStreamSource", () => {
+	let context;
+	let sources;
+
+	beforeEach(() => {
+		jest.useFakeTimers();
+		sources = [];
+		context = {
+			currentTime: 0,
+			createBuffer: jest.fn((numberOfChannels, length, sampleRate) =>
+				createBuffer(numberOfChannels, length, sampleRate, () => 0),
+			),
+			createBufferSource: jest.fn(() => {
+				const source = {
+					connect: jest.fn(),
+					start: jest.fn(),
+					stop: jest.fn(),
+					playbackRate: { value: 1 },
+					onended: null,
+				};
+				sources.push(source);
+				return source;
+			}),
+		};
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+	});
+
+	// 10 blocks of 2 s each
+	const createAudio = () =>
+		BlockedAudio.fromAudioBuffer(createBuffer(1, 200, 10), createStore(), 20);
+
+	test("should queue blocks back to back within the lookahead", async () => {
+		const audio = await createAudio();
+		const stream = new BlockStreamSource(context, audio, {}, 1);
+
+		stream.start(1, 3, 10);
+		await flushPromises();
+
+		// Lookahead is 4 s: timeline 3-4 at 1 and 4-6 at 2; 6-8 starts at 4, out of reach
+		expect(sources).toHaveLength(2);
+		expect(sources[0].start).toHaveBeenCalledWith(1, 0);
+		expect(sources[0].buffer.length).toBe(10);
+		expect(sources[1].start).toHaveBeenCalledWith(2, 0);
+		expect(sources[1].buffer.length).toBe(20);
+
+		context.currentTime = 3;
+		jest.advanceTimersByTime(250);
+		await flushPromises();
+
+		expect(sources).toHaveLength(4);
+		expect(sources[2].start).toHaveBeenCalledWith(4, 0);
+		expect(sources[3].start).toHaveBeenCalledWith(6, 0);
+		stream.stop();
+	});
+
+	test("should fire onended once every block has played", async () => {
+		const audio = await createAudio();
+		const stream = new BlockStreamSource(context, audio, {}, 1);
+		stream.onended = jest.fn();
+
+		stream.start(0, 0, 3);
+		await flushPromises();
+		expect(sources).toHaveLength(2);
+
+		sources[0].onended();
+		expect(stream.onended).not.toHaveBeenCalled();
+		sources[1].onended();
+		expect(stream.onended).toHaveBeenCalledTimes(1);
+	});
+
+	test("should start a late block part-way through", async () => {
+		const audio = await createAudio();
+		const stream = new BlockStreamSource(context, audio, {}, 1);
+		context.currentTime = 0.5;
+
+		stream.start(0, 0, 2);
+		await flushPromises();
+
+		expect(sources[0].start).toHaveBeenCalledWith(0.5, 0.5);
+		stream.stop();
+	});
+
+	test("should stop its block sources and not report the end", async () => {
+		const audio = await createAudio();
+		const stream = new BlockStreamSource(context, audio, {}, 1);
+		stream.onended = jest.fn();
+
+		stream.start(0, 0, 20);
+		await flushPromises();
+		stream.stop();
+
+		sources.forEach((source) => expect(source.stop).toHaveBeenCalled());
+		expect(stream.timer).toBeNull();
+		expect(stream.onended).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,130 @@
+import { ChannelStrip, DEFAULT_TRACK_MIX } from "../services/ChannelStrip";
+
+const createParam = (value) => ({
+	value,
+	setValueAtTime: jest.fn(function (v) {
+		this.value = v;
+	}),
+	setTargetAtTime: jest.fn(function (v) {
+		this.value = v;
+	}),
+	setValueCurveAtTime: jest.fn(),
+	cancelScheduledValues: jest.fn(),
+});
+
+const createMockContext = () => ({
+	currentTime: 0,
+	createGain: jest.fn(() => ({
+		gain: createParam(1),
+		connect: jest.fn(),
+		disconnect: jest.fn(),
+	})),
+	createStereoPanner: jest.fn(() => ({
+		pan: createParam(0),
+		connect: jest.fn(),
+		disconnect: jest.fn(),
+	})),
+});
+
+describe("ChannelStrip", () => {
+	let context;
+	let destination;
+
+	beforeEach(() => {
+		context = createMockContext();
+		destination = { connect: jest.fn() };
+	});
+
+	test("should wire input → gain → panner → gate → destination", () => {
+		const strip = new ChannelStrip(context, destination);
+
+		expect(strip.input.connect).toHaveBeenCalledWith(strip.gainNode);
+		expect(strip.gainNode.connect).toHaveBeenCalledWith(strip.panner);
+		expect(strip.panner.connect).toHaveBeenCalledWith(strip.gate);
+		expect(strip.gate.connect).toHaveBeenCalledWith(destination);
+	});
+
+	test("should fall back to direct routing without StereoPannerNode", () => {
+		delete context.createStereoPanner;
+		const strip = new ChannelStrip(context, destination);
+
+		expect(strip.panner).toBeNull();
+		expect(strip.gainNode.connect).toHaveBeenCalledWith(strip.gate);
+	});
+
+	test("should apply initial settings immediately", () => {
+		const strip = new ChannelStrip(context, destination, {
+			volume: 0.5,
+			pan: -0.25,
+			audible: false,
+		});
+
+		expect(strip.gainNode.gain.value).toBe(0.25);
+		expect(strip.panner.pan.value).toBe(-0.25);
+		expect(strip.gate.gain.value).toBe(0);
+		expect(strip.gainNode.gain.setTargetAtTime).not.toHaveBeenCalled();
+	});
+
+	test("should smooth live parameter changes", () => {
+		const strip = new ChannelStrip(context, destination);
+
+		strip.setVolume(0.5);
+		strip.setPan(2);
+
+		expect(strip.gainNode.gain.setTargetAtTime).toHaveBeenCalledWith(0.25, 0, expect.any(Number));
+		expect(strip.pan).toBe(1);
+		expect(strip.panner.pan.setTargetAtTime).toHaveBeenCalledWith(1, 0, expect.any(Number));
+	});
+
+	test("should follow a gain envelope on the input and drop it again", () => {
+		const strip = new ChannelStrip(context, destination);
+		const values = new Float32Array([0, 0.5, 1]);
+
+		strip.scheduleEnvelope(values, 2, 1.5);
+
+		expect(strip.input.gain.cancelScheduledValues).toHaveBeenCalledWith(2);
+		expect(strip.input.gain.setValueCurveAtTime).toHaveBeenCalledWith(values, 2, 1.5);
+
+		strip.clearEnvelope();
+
+		expect(strip.input.gain.cancelScheduledValues).toHaveBeenLastCalledWith(0);
+		expect(strip.input.gain.value).toBe(1);
+	});
+
+	test("should disconnect all nodes", () => {
+		const strip = new ChannelStrip(context, destination);
+		strip.disconnect();
+
+		expect(strip.input.disconnect).toHaveBeenCalled();
+		expect(strip.panner.disconnect).toHaveBeenCalled();
+		expect(strip.gate.disconnect).toHaveBeenCalled();
+	});
+
+	describe("resolveAudibility", () => {
+		test("should silence muted tracks", () => {
+			const audibility = ChannelStrip.resolveAudibility(
+				new Map([
+					["a", { ...DEFAULT_TRACK_MIX }],
+					["b", { ...DEFAULT_TRACK_MIX, muted: true }],
+				]),
+			);
+
+			expect(audibility.get("a")).toBe(true);
+			expect(audibility.get("b")).toBe(false);
+		});
+
+		test("should only pass soloed tracks when any track is soloed", () => {
+			const audibility = ChannelStrip.resolveAudibility(
+				new Map([
+					["a", { ...DEFAULT_TRACK_MIX, solo: true }],
+					["b", { ...DEFAULT_TRACK_MIX }],
+					["c", { ...DEFAULT_TRACK_MIX, solo: true, muted: true }],
+				]),
+			);
+
+			expect(audibility.get("a")).toBe(true);
+			expect(audibility.get("b")).toBe(false);
+			expect(audibility.get("c")).toBe(false);
+		});
+	});
+});
@@ -0,0 +1,37 @@
+import { ClipSnapper } from "../services/ClipSnapper";
+
+describe("ClipSnapper", () => {
+	test("should snap the clip start to a nearby target", () => {
+		const snapper = new ClipSnapper([2], 0.1);
+		expect(snapper.snap(2.05, 1)).toEqual({ position: 2, target: 2 });
+	});
+
+	test("should snap the clip end to a nearby target", () => {
+		const snapper = new ClipSnapper([5], 0.1);
+		const result = snapper.snap(3.96, 1);
+
+		expect(result.position).toBeCloseTo(4);
+		expect(result.target).toBe(5);
+	});
+
+	test("should leave the position alone outside the threshold", () => {
+		const snapper = new ClipSnapper([2], 0.1);
+		expect(snapper.snap(2.5, 1)).toEqual({ position: 2.5, target: null });
+	});
+
+	test("should collect clip edges, labels and the playhead", () => {
+		const clip = { id: "a", position: 1, end: 2 };
+		const dragged = { id: "b", position: 5, end: 6 };
+		const targets = ClipSnapper.collectTargets({
+			tracks: [{ info: { clips: { clips: [clip, dragged] } } }],
+			labels: [
+				{ time: 3, endTime: null },
+				{ time: 4, endTime: 4.5 },
+			],
+			playhead: 7,
+			excludeClipId: "b",
+		});
+
+		expect(targets.sort()).toEqual([0, 1, 2, 3, 4, 4.5, 7]);
+	});
+});
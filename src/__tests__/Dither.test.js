@@ -0,0 +1,71 @@
+import { DITHER_TYPES, Ditherer } from "../services/Dither";
+
+// Deterministic uniform source so the statistics don't vary between runs
+const seededRandom = (seed = 1) => () => {
+	seed = (seed * 1664525 + 1013904223) >>> 0;
+	return seed / 2 ** 32;
+};
+
+const constant = (value, length) => new Float32Array(length).fill(value);
+
+// Power of the error below roughly rate/128, measured on block averages
+const lowFrequencyErrorPower = (input, output, scale) => {
+	const block = 64;
+	let power = 0;
+	for (let start = 0; start + block <= input.length; start += block) {
+		let sum = 0;
+		for (let i = start; i < start + block; i++) sum += output[i] - input[i] * scale;
+		power += (sum / block) ** 2;
+	}
+	return power;
+};
+
+describe("Ditherer", () => {
+	test("should round and clip without dither", () => {
+		const ditherer = new Ditherer("none");
+
+		const output = ditherer.quantize(new Float32Array([0.5, -1, 1, 2, 0.00002]), 16);
+
+		expect(Array.from(output)).toEqual([16384, -32768, 32767, 32767, 1]);
+	});
+
+	test("should reject unknown dither types", () => {
+		expect(() => new Ditherer("purple")).toThrow("Unknown dither type: purple");
+		expect(DITHER_TYPES).toContain("shaped");
+	});
+
+	test.each(["rectangular", "triangular"])(
+		"should keep %s dither within a couple of steps of the input",
+		(type) => {
+			const ditherer = new Ditherer(type, seededRandom());
+			const input = constant(0.25, 1000);
+
+			const output = ditherer.quantize(input, 8);
+
+			output.forEach((value) => expect(Math.abs(value - 32)).toBeLessThanOrEqual(2));
+		},
+	);
+
+	test("should preserve levels below one step on average", () => {
+		// 0.3 of a 16-bit step: plain rounding loses it entirely
+		const input = constant(0.3 / 32768, 20000);
+
+		const rounded = new Ditherer("none").quantize(input, 16);
+		const dithered = new Ditherer("triangular", seededRandom()).quantize(input, 16);
+
+		expect(rounded.every((value) => value === 0)).toBe(true);
+		const mean = dithered.reduce((sum, value) => sum + value, 0) / dithered.length;
+		expect(mean).toBeCloseTo(0.3, 1);
+	});
+
+	test("should move shaped dither noise away from low frequencies", () => {
+		const input = new Float32Array(16384).map((_, i) => 0.001 * Math.sin(i / 50));
+
+		const flat = new Ditherer("triangular", seededRandom()).quantize(input, 16);
+		const shaped = new Ditherer("shaped", seededRandom()).quantize(input, 16);
+
+		const flatPower = lowFrequencyErrorPower(input, flat, 32768);
+		const shapedPower = lowFrequencyErrorPower(input, shaped, 32768);
+		expect(shapedPower).toBeLessThan(flatPower / 4);
+	});
+});
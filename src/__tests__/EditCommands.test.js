@@ -0,0 +1,221 @@
+import { AudioClip, ClipSequence } from "../services/AudioClip";
+import { AudioEngineService } from "../services/AudioEngine";
+import {
+	AddTrackCommand,
+	MoveClipCommand,
+	RemoveTrackCommand,
+	restoreCommand,
+	TrackEditCommand,
+} from "../services/EditCommands";
+import { UndoRedoManager } from "../services/UndoRedoManager";
+
+describe("MoveClipCommand", () => {
+	let engine;
+	let onChange;
+
+	beforeEach(() => {
+		engine = { moveClip: jest.fn().mockReturnValue(true) };
+		onChange = jest.fn();
+	});
+
+	test("should move the clip to its destination and back on undo", () => {
+		const manager = new UndoRedoManager();
+		const command = new MoveClipCommand(
+			engine,
+			"clip_1",
+			{ trackId: "a", position: 1 },
+			{ trackId: "b", position: 3 },
+			onChange,
+		);
+
+		manager.executeCommand(command);
+		expect(engine.moveClip).toHaveBeenLastCalledWith("clip_1", "b", 3);
+		expect(onChange).toHaveBeenLastCalledWith(["a", "b"]);
+
+		manager.undo();
+		expect(engine.moveClip).toHaveBeenLastCalledWith("clip_1", "a", 1);
+		expect(manager.getRedoDescription()).toBe("Move clip to another track");
+	});
+
+	test("should describe moves within a track", () => {
+		const command = new MoveClipCommand(
+			engine,
+			"clip_1",
+			{ trackId: "a", position: 1 },
+			{ trackId: "a", position: 2 },
+		);
+
+		expect(command.description).toBe("Move clip");
+		expect(command.execute()).toBe(true);
+	});
+});
+
+describe("Track edit commands", () => {
+	let engine;
+	let manager;
+	let onChange;
+
+	// Buffers hold real sample data; in-memory audio is counted at 4 bytes a sample
+	const createBuffer = (numberOfChannels, length, sampleRate) => {
+		const channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+		return {
+			numberOfChannels,
+			length,
+			sampleRate,
+			duration: length / sampleRate,
+			getChannelData: (channel) => channels[channel],
+		};
+	};
+
+	const describeClips = (trackId) =>
+		engine
+			.getTrackInfo(trackId)
+			.clips.clips.map((clip) => [clip.id, clip.position, clip.offset, clip.duration]);
+
+	beforeEach(() => {
+		engine = new AudioEngineService();
+		engine.audioContext = { createBuffer: jest.fn(createBuffer), close: jest.fn() };
+		manager = new UndoRedoManager();
+		onChange = jest.fn();
+		engine.createTrack("a", createBuffer(1, 1000, 100), "A");
+		engine.createTrack("b", createBuffer(1, 500, 100), "B", 2);
+	});
+
+	afterEach(() => {
+		engine.destroy();
+	});
+
+	test("should restore the exact clips a delete changed, and redo it", () => {
+		const before = { a: describeClips("a"), b: describeClips("b") };
+		const command = new TrackEditCommand(
+			engine,
+			["a", "b"],
+			() => ["a", "b"].forEach((trackId) => engine.cutAudio(trackId, 1, 3)),
+			"Delete",
+			onChange,
+		);
+
+		manager.executeCommand(command);
+		const after = { a: describeClips("a"), b: describeClips("b") };
+		expect(engine.getTrackInfo("a").duration).toBe(8);
+		expect(onChange).toHaveBeenLastCalledWith(["a", "b"]);
+
+		manager.undo();
+		expect({ a: describeClips("a"), b: describeClips("b") }).toEqual(before);
+		expect(engine.getTrackInfo("a").duration).toBe(10);
+
+		manager.redo();
+		expect({ a: describeClips("a"), b: describeClips("b") }).toEqual(after);
+		expect(manager.getUndoDescription()).toBe("Delete");
+	});
+
+	test("should only keep the audio no track plays any more", () => {
+		const output = createBuffer(1, 200, 100);
+		const command = new TrackEditCommand(
+			engine,
+			["a"],
+			() => engine.replaceRange("a", 2, 4, ClipSequence.fromBuffer(output)),
+			"Apply amplify",
+		);
+
+		manager.executeCommand(command);
+		// The rest of the track still plays the original buffer
+		expect(command.getMemoryUsage()).toBe(0);
+
+		manager.undo();
+		// Now only the history holds the processed range
+		expect(command.getMemoryUsage()).toBe(200 * 4);
+		expect(engine.getTrackInfo("a").clips.clips).toHaveLength(1);
+	});
+
+	test("should restore the track rate with its clips", () => {
+		const resampled = ClipSequence.fromBuffer(createBuffer(1, 2000, 200));
+		const command = new TrackEditCommand(
+			engine,
+			["b"],
+			() => engine.setTrackClips("b", resampled, { sampleRate: 200 }),
+			"Resample track to 200 Hz",
+		);
+
+		manager.executeCommand(command);
+		expect(engine.getTrackInfo("b").sampleRate).toBe(200);
+
+		manager.undo();
+		expect(engine.getTrackInfo("b").sampleRate).toBe(100);
+		expect(engine.getTrackInfo("b").clips.clips[0].sampleRate).toBe(100);
+		expect(command.getMemoryUsage()).toBe(2000 * 4);
+	});
+
+	test("should remove a track and put it back in its place with its mix", () => {
+		engine.setTrackMix("a", { volume: 30 });
+
+		manager.executeCommand(new RemoveTrackCommand(engine, "a", onChange));
+		expect(engine.getTrackInfo("a")).toBeUndefined();
+		expect(manager.getMemoryUsage()).toBe(1000 * 4);
+
+		manager.undo();
+		expect(Array.from(engine.audioBuffers.keys())).toEqual(["a", "b"]);
+		expect(engine.getTrackMix("a").volume).toBe(30);
+		expect(onChange).toHaveBeenLastCalledWith(["a"]);
+		expect(manager.getMemoryUsage()).toBe(0);
+	});
+
+	test("should take a generated track out on undo and bring the same one back", () => {
+		const create = jest.fn(() => engine.createTrack("c", createBuffer(1, 100, 100), "C"));
+
+		expect(manager.executeCommand(new AddTrackCommand(engine, create, "Generate tone"))).toBe("c");
+		const clips = engine.getTrackInfo("c").clips;
+
+		manager.undo();
+		expect(engine.getTrackInfo("c")).toBeUndefined();
+		manager.redo();
+
+		expect(create).toHaveBeenCalledTimes(1);
+		expect(engine.getTrackInfo("c").clips).toBe(clips);
+	});
+
+	test("should save the history as plain data and undo and redo the same edits from it", () => {
+		const before = describeClips("a");
+		manager.executeCommand(
+			new TrackEditCommand(engine, ["a"], () => engine.cutAudio("a", 1, 3), "Delete"),
+		);
+		manager.executeCommand(new RemoveTrackCommand(engine, "b"));
+		manager.executeCommand(
+			new AddTrackCommand(
+				engine,
+				() => engine.createTrack("c", createBuffer(1, 100, 100), "C"),
+				"Generate tone",
+			),
+		);
+		manager.undo();
+
+		// Clips are saved by buffer, as the autosave lists its sources
+		const buffers = [];
+		const saveClip = (clip) => {
+			if (!buffers.includes(clip.buffer)) buffers.push(clip.buffer);
+			const { id, offset, duration, position } = clip;
+			return { id, source: buffers.indexOf(clip.buffer), offset, duration, position };
+		};
+		const saved = JSON.parse(JSON.stringify(manager.serialize(saveClip)));
+		const loadClip = ({ source, ...clip }) => new AudioClip({ ...clip, buffer: buffers[source] });
+
+		const restored = new UndoRedoManager();
+		restored.restore(saved, (step) => restoreCommand(step, engine, loadClip, onChange));
+		expect(restored.getState()).toMatchObject({
+			undoDescription: "Remove track",
+			redoDescription: "Generate tone",
+			undoStackSize: 2,
+			redoStackSize: 1,
+		});
+		expect(restored.getMemoryUsage()).toBe(manager.getMemoryUsage());
+
+		restored.redo();
+		expect(engine.getTrackInfo("c").name).toBe("C");
+		restored.undo();
+		restored.undo();
+		restored.undo();
+		expect(Array.from(engine.audioBuffers.keys())).toEqual(["a", "b"]);
+		expect(describeClips("a")).toEqual(before);
+		expect(onChange).toHaveBeenLastCalledWith(["a"]);
+	});
+});
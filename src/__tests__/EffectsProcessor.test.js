@@ -104,6 +104,26 @@ describe('EffectsProcessorService', () => {
 			expect(mockAudioContext.createBuffer).toHaveBeenCalled();
 		});
 
+		test('should change speed without aliasing', () => {
+			const createBuffer = (numberOfChannels, length, sampleRate) => {
+				const data = new Float32Array(length);
+				return { numberOfChannels, length, sampleRate, getChannelData: () => data };
+			};
+			const processor = new EffectsProcessorService({ createBuffer });
+			// 15 kHz doubled would be 30 kHz, above Nyquist; linear interpolation folds it to 14.1 kHz
+			const input = createBuffer(1, 44100, 44100);
+			input.getChannelData(0).set(
+				Float32Array.from({ length: 44100 }, (_, i) => Math.sin((2 * Math.PI * 15000 * i) / 44100)),
+			);
+
+			const result = processor.changeSpeed(input, 2);
+
+			const output = result.getChannelData(0);
+			expect(result.length).toBe(22050);
+			const energy = output.slice(500, -500).reduce((sum, x) => sum + x * x, 0);
+			expect(Math.sqrt(energy / (output.length - 1000))).toBeLessThan(0.01);
+		});
+
 		test('should change pitch', () => {
 			const result = effectsProcessor.changePitch(mockAudioBuffer, 1.2);
 
@@ -0,0 +1,90 @@
+import {
+	formatFileName,
+	labelRanges,
+	planExportMultiple,
+	uniqueFileNames,
+} from "../services/ExportMultiple";
+
+describe("formatFileName", () => {
+	test("should fill in the fields and pad the index", () => {
+		expect(formatFileName("{index} {label}", { label: "Intro", index: 3 }, 12)).toBe("03 Intro");
+		expect(formatFileName("{index}-{track}", { track: "Bass", index: 7 }, 120)).toBe("007-Bass");
+	});
+
+	test("should keep unknown fields and replace unsafe characters", () => {
+		const name = formatFileName("{take} {label}", { label: "A/B: mix?", index: 1 });
+		expect(name).toBe("{take} A_B_ mix_");
+		expect(formatFileName("{label}. ", { label: "Outro", index: 1 })).toBe("Outro");
+	});
+
+	test("should name files that would have no name", () => {
+		expect(formatFileName("{label}", { label: "", index: 4 })).toBe("untitled 4");
+	});
+});
+
+describe("uniqueFileNames", () => {
+	test("should number repeats, ignoring case", () => {
+		expect(uniqueFileNames(["Verse", "verse", "Chorus", "Verse"])).toEqual([
+			"Verse",
+			"verse (2)",
+			"Chorus",
+			"Verse (3)",
+		]);
+	});
+});
+
+describe("labelRanges", () => {
+	test("should run point labels to the next label and keep regions", () => {
+		const ranges = labelRanges([
+			{ time: 30, endTime: null, text: "Side B" },
+			{ time: 0, endTime: null, text: "Side A" },
+			{ time: 10, endTime: 20, text: "Bonus" },
+		]);
+
+		expect(ranges.map(({ startTime, endTime }) => [startTime, endTime])).toEqual([
+			[0, 10],
+			[10, 20],
+			[30, null],
+		]);
+	});
+});
+
+describe("planExportMultiple", () => {
+	test("should plan one file per label range", () => {
+		const files = planExportMultiple({
+			splitBy: "labels",
+			labels: [
+				{ time: 0, endTime: null, text: "Intro" },
+				{ time: 5, endTime: 5, text: "Marker" },
+				{ time: 12.5, endTime: null, text: "Intro" },
+			],
+		});
+
+		expect(files.map(({ name, startTime, endTime }) => ({ name, startTime, endTime }))).toEqual([
+			{ name: "01 Intro", startTime: 0, endTime: 5 },
+			{ name: "02 Intro", startTime: 12.5, endTime: null },
+		]);
+		expect(files[1].label.text).toBe("Intro");
+	});
+
+	test("should plan one stem per unmuted track", () => {
+		const tracks = [
+			{ id: "t1", name: "Drums" },
+			{ id: "t2", name: "Click", muted: true },
+			{ id: "t3", name: "Drums" },
+		];
+
+		const files = planExportMultiple({ splitBy: "tracks", tracks, template: "{track}" });
+
+		expect(files.map((file) => [file.name, file.track.id])).toEqual([
+			["Drums", "t1"],
+			["Drums (2)", "t3"],
+		]);
+	});
+
+	test("should reject other splits", () => {
+		expect(() => planExportMultiple({ splitBy: "clips" })).toThrow(
+			"Cannot split an export by clips",
+		);
+	});
+});
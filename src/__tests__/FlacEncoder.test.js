@@ -0,0 +1,136 @@
+import { decodeFlac } from "../services/FlacDecoder";
+import { encodeFlac, FLAC_COMPRESSION_LEVELS } from "../services/FlacEncoder";
+import { Md5 } from "../services/Md5";
+
+const seededRandom = (seed = 1) => () => {
+	seed = (seed * 1664525 + 1013904223) >>> 0;
+	return seed / 2 ** 32;
+};
+
+// A few partials plus a little noise, like real program material
+const music = (length, bitsPerSample, { seed = 1, phase = 0 } = {}) => {
+	const random = seededRandom(seed);
+	const peak = 2 ** (bitsPerSample - 1) - 1;
+	return Int32Array.from({ length }, (_, i) => {
+		const t = i / 44100;
+		const value =
+			0.5 * Math.sin(2 * Math.PI * 220 * t + phase) +
+			0.2 * Math.sin(2 * Math.PI * 1375 * t) +
+			0.01 * (random() - 0.5);
+		return Math.round(value * peak);
+	});
+};
+
+const noise = (length, bitsPerSample, seed = 7) => {
+	const random = seededRandom(seed);
+	const scale = 2 ** bitsPerSample;
+	return Int32Array.from({ length }, () => Math.floor(random() * scale) - scale / 2);
+};
+
+const expectRoundTrip = (channels, options) => {
+	const bytes = encodeFlac(channels, { sampleRate: 44100, ...options });
+	const decoded = decodeFlac(bytes);
+
+	expect(decoded.numberOfChannels).toBe(channels.length);
+	expect(decoded.totalSamples).toBe(channels[0].length);
+	decoded.channels.forEach((data, channel) => expect(data).toEqual(channels[channel]));
+	return { bytes, decoded };
+};
+
+describe("FLAC encoder", () => {
+	test.each(FLAC_COMPRESSION_LEVELS.map((_, level) => level))(
+		"should round-trip stereo audio at level %i",
+		(level) => {
+			const left = music(10000, 16);
+			const right = music(10000, 16, { seed: 2, phase: 0.3 });
+
+			expectRoundTrip([left, right], { compressionLevel: level });
+		},
+	);
+
+	test("should round-trip 24-bit audio", () => {
+		const { decoded } = expectRoundTrip([music(9000, 24), noise(9000, 24)], {
+			bitsPerSample: 24,
+		});
+
+		expect(decoded.bitsPerSample).toBe(24);
+	});
+
+	test("should round-trip full-scale noise, silence and short blocks", () => {
+		expectRoundTrip([noise(5000, 16)], { compressionLevel: 8 });
+		expectRoundTrip([new Int32Array(5000), new Int32Array(5000).fill(-3)], {});
+		expectRoundTrip([Int32Array.of(1, -2, 3)], {});
+		expectRoundTrip([new Int32Array(0)], {});
+	});
+
+	test("should round-trip more than two channels", () => {
+		const channels = [1, 2, 3, 4, 5, 6].map((seed) => music(4500, 16, { seed, phase: seed }));
+
+		expectRoundTrip(channels, { compressionLevel: 5 });
+	});
+
+	test("should write STREAMINFO with the MD5 of the audio", () => {
+		const channels = [music(5000, 16), music(5000, 16, { seed: 3 })];
+
+		const { bytes, decoded } = expectRoundTrip(channels, { sampleRate: 48000 });
+
+		expect(String.fromCharCode(...bytes.subarray(0, 4))).toBe("fLaC");
+		expect(decoded.sampleRate).toBe(48000);
+		expect(decoded.maxBlockSize).toBe(4096);
+
+		const interleaved = new Uint8Array(5000 * 2 * 2);
+		const view = new DataView(interleaved.buffer);
+		for (let i = 0; i < 5000; i++) {
+			view.setInt16(i * 4, channels[0][i], true);
+			view.setInt16(i * 4 + 2, channels[1][i], true);
+		}
+		expect(decoded.md5).toEqual(new Md5().update(interleaved).digest());
+	});
+
+	test("should store tags as Vorbis comments", () => {
+		const { decoded } = expectRoundTrip([music(100, 16)], {
+			tags: { TITLE: "Première prise", ARTIST: ["A", "B"] },
+		});
+
+		expect(decoded.vendor).toBe("WebAudacity");
+		expect(decoded.tags).toEqual({ TITLE: "Première prise", ARTIST: ["A", "B"] });
+	});
+
+	test("should compress better at higher levels", () => {
+		const channels = [music(44100, 16), music(44100, 16, { seed: 2, phase: 0.1 })];
+		const size = (compressionLevel) =>
+			encodeFlac(channels, { sampleRate: 44100, compressionLevel }).length;
+
+		const raw = 44100 * 2 * 2;
+		expect(size(0)).toBeLessThan(raw);
+		expect(size(5)).toBeLessThan(size(0));
+		expect(size(8)).toBeLessThanOrEqual(size(5));
+	});
+
+	test("should reject unsupported input", () => {
+		const channel = new Int32Array(10);
+
+		expect(() => encodeFlac([channel], { sampleRate: 44100, bitsPerSample: 32 })).toThrow(
+			"FLAC bit depth 32 not supported",
+		);
+		expect(() => encodeFlac([channel], { sampleRate: 44100, compressionLevel: 9 })).toThrow(
+			"Unknown FLAC compression level: 9",
+		);
+		expect(() => encodeFlac(new Array(9).fill(channel), { sampleRate: 44100 })).toThrow(
+			"FLAC supports 1 to 8 channels",
+		);
+	});
+});
+
+describe("FLAC decoder", () => {
+	test("should detect corrupted frames", () => {
+		const bytes = encodeFlac([music(2000, 16)], { sampleRate: 44100 });
+		bytes[bytes.length - 1] ^= 0x01; // Last frame's CRC-16
+
+		expect(() => decodeFlac(bytes)).toThrow(/CRC mismatch/);
+	});
+
+	test("should reject other files", () => {
+		expect(() => decodeFlac(new TextEncoder().encode("RIFF...."))).toThrow("Not a FLAC file");
+	});
+});
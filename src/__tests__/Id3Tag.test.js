@@ -0,0 +1,149 @@
+import { buildId3Tag, labelsToChapters, readId3Tag } from "../services/Id3Tag";
+import { createMetadata, mergeMetadata } from "../services/WavMetadata";
+
+const ascii = (bytes) => String.fromCharCode(...bytes);
+const synchsafe = (bytes, offset) =>
+	(bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+
+// Frame IDs and bodies of a v2.4 tag, top level only
+const frames = (tag) => {
+	const list = [];
+	for (let offset = 10; offset < tag.length; ) {
+		const size = synchsafe(tag, offset + 4);
+		const body = tag.subarray(offset + 10, offset + 10 + size);
+		list.push({ id: ascii(tag.subarray(offset, offset + 4)), body });
+		offset += 10 + size;
+	}
+	return list;
+};
+
+const cover = { mimeType: "image/png", data: Uint8Array.of(0x89, 0x50, 0x4e, 0x47, 0, 1, 2) };
+const metadata = mergeMetadata(null, {
+	info: {
+		INAM: "Épisode 12",
+		IART: "Host",
+		IPRD: "The Show",
+		ICRD: "2026",
+		IGNR: "Podcast",
+		ICMT: "Show notes",
+	},
+	cover,
+});
+
+describe("labelsToChapters", () => {
+	test("should run point labels to the next label and regions to their end", () => {
+		const chapters = labelsToChapters(
+			[
+				{ time: 90, endTime: null, text: "Outro" },
+				{ time: 0, endTime: null, text: "Intro" },
+				{ time: 30.5, endTime: 60, text: "Interview" },
+			],
+			120,
+		);
+
+		expect(chapters).toEqual([
+			{ id: "chp0", start: 0, end: 30500, title: "Intro" },
+			{ id: "chp1", start: 30500, end: 60000, title: "Interview" },
+			{ id: "chp2", start: 90000, end: 120000, title: "Outro" },
+		]);
+	});
+});
+
+describe("buildId3Tag", () => {
+	test("should write an ID3v2.4 header with a synchsafe size", () => {
+		const tag = buildId3Tag(metadata, [], 10);
+
+		expect(ascii(tag.subarray(0, 3))).toBe("ID3");
+		expect(Array.from(tag.subarray(3, 6))).toEqual([4, 0, 0]);
+		expect(synchsafe(tag, 6)).toBe(tag.length - 10);
+		expect(frames(tag).map((frame) => frame.id)).toEqual([
+			"TIT2",
+			"TPE1",
+			"TALB",
+			"TDRC",
+			"TCON",
+			"COMM",
+			"APIC",
+		]);
+	});
+
+	test("should write text as UTF-8", () => {
+		const title = frames(buildId3Tag(metadata)).find((frame) => frame.id === "TIT2");
+
+		expect(title.body[0]).toBe(3);
+		expect(new TextDecoder().decode(title.body.subarray(1))).toBe("Épisode 12");
+	});
+
+	test("should list chapters in an ordered top-level table of contents", () => {
+		const labels = [
+			{ time: 0, endTime: null, text: "Intro" },
+			{ time: 1.5, endTime: null, text: "Topic" },
+		];
+		const tag = buildId3Tag(createMetadata(), labels, 4);
+		const [toc, first, second] = frames(tag);
+
+		expect([toc.id, first.id, second.id]).toEqual(["CTOC", "CHAP", "CHAP"]);
+		expect(ascii(toc.body)).toBe("toc\0\x03\x02chp0\0chp1\0");
+
+		const view = new DataView(second.body.buffer, second.body.byteOffset);
+		expect(ascii(second.body.subarray(0, 5))).toBe("chp1\0");
+		expect(view.getUint32(5)).toBe(1500);
+		expect(view.getUint32(9)).toBe(4000);
+		expect(view.getUint32(13)).toBe(0xffffffff);
+		expect(ascii(second.body.subarray(21, 25))).toBe("TIT2");
+	});
+
+	test("should split more than 255 chapters into child tables of contents", () => {
+		const labels = Array.from({ length: 600 }, (_, i) => ({ time: i, endTime: null, text: "" }));
+		const tocs = frames(buildId3Tag(createMetadata(), labels, 600)).filter((frame) => frame.id === "CTOC");
+
+		expect(tocs).toHaveLength(4);
+		expect(ascii(tocs[0].body)).toBe("toc\0\x03\x03toc1.0\0toc1.1\0toc1.2\0");
+		expect(ascii(tocs[3].body.subarray(0, 9))).toBe("toc1.2\0\x01\x5a");
+		expect(ascii(tocs[3].body).endsWith("chp599\0")).toBe(true);
+	});
+
+	test("should write nothing when there is nothing to tag", () => {
+		expect(buildId3Tag(createMetadata(), [], 10)).toHaveLength(0);
+		expect(buildId3Tag(null)).toHaveLength(0);
+	});
+});
+
+describe("readId3Tag", () => {
+	test("should read back the fields, cover and chapters it writes", () => {
+		const labels = [
+			{ time: 0, endTime: 2, text: "Intro" },
+			{ time: 2, endTime: 5.25, text: "Main" },
+		];
+		const tag = buildId3Tag(metadata, labels, 5.25);
+		const file = new Uint8Array(tag.length + 4);
+		file.set(tag);
+		file.set([0xff, 0xfb, 0x90, 0x64], tag.length);
+
+		const read = readId3Tag(file.buffer);
+
+		expect(read.size).toBe(tag.length);
+		expect(read.metadata.info).toEqual(metadata.info);
+		expect(read.metadata.cover.mimeType).toBe("image/png");
+		expect(Array.from(read.metadata.cover.data)).toEqual(Array.from(cover.data));
+		expect(read.labels).toEqual(labels);
+	});
+
+	test("should read ID3v2.3 frames with plain sizes and UTF-16 text", () => {
+		const codes = (text) => Array.from(text, (c) => c.charCodeAt(0));
+		const frame = (id, body) => [...codes(id), 0, 0, 0, body.length, 0, 0, ...body];
+		const utf16 = [1, 0xff, 0xfe, ...codes("Old").flatMap((code) => [code, 0])];
+		// Padding after the frames
+		const body = [...frame("TPE1", utf16), ...frame("TYER", [0, ...codes("1999")]), 0, 0, 0, 0];
+		const tag = Uint8Array.from([0x49, 0x44, 0x33, 3, 0, 0, 0, 0, 0, body.length, ...body]);
+
+		const read = readId3Tag(tag.buffer);
+
+		expect(read.metadata.info).toEqual({ IART: "Old", ICRD: "1999" });
+		expect(read.labels).toEqual([]);
+	});
+
+	test("should return null without a tag", () => {
+		expect(readId3Tag(Uint8Array.of(0xff, 0xfb, 0x90, 0x64, 0, 0, 0, 0, 0, 0).buffer)).toBeNull();
+	});
+});
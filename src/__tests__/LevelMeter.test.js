@@ -0,0 +1,100 @@
+import { LevelMeter, measureBlock, toDecibels } from "../services/LevelMeter";
+
+const createMockContext = () => {
+	const analysers = [];
+	return {
+		analysers,
+		createChannelSplitter: jest.fn(() => ({ connect: jest.fn(), disconnect: jest.fn() })),
+		createAnalyser: jest.fn(() => {
+			const analyser = {
+				fftSize: 0,
+				data: new Float32Array(0),
+				getFloatTimeDomainData: jest.fn((target) => {
+					target.fill(0);
+					target.set(analyser.data.subarray(0, target.length));
+				}),
+				disconnect: jest.fn(),
+			};
+			analysers.push(analyser);
+			return analyser;
+		}),
+	};
+};
+
+describe("LevelMeter", () => {
+	describe("measurement", () => {
+		test("should convert amplitudes to dBFS", () => {
+			expect(toDecibels(1)).toBe(0);
+			expect(toDecibels(0.5)).toBeCloseTo(-6.02, 2);
+			expect(toDecibels(0)).toBe(-Infinity);
+		});
+
+		test("should measure peak and RMS of a block", () => {
+			const result = measureBlock(new Float32Array([0.5, -0.5, 0.5, -0.5]));
+
+			expect(result.peak).toBe(0.5);
+			expect(result.rms).toBeCloseTo(0.5);
+			expect(result.clipped).toBe(false);
+		});
+
+		test("should flag full-scale samples as clipped", () => {
+			expect(measureBlock(new Float32Array([0.2, -1])).clipped).toBe(true);
+		});
+	});
+
+	describe("metering", () => {
+		let context;
+		let meter;
+
+		beforeEach(() => {
+			context = createMockContext();
+			meter = new LevelMeter(context, { channelCount: 2, fftSize: 4, peakHoldTime: 1 });
+		});
+
+		test("should split the tapped node into one analyser per channel", () => {
+			const source = { connect: jest.fn(), disconnect: jest.fn() };
+			meter.connect(source);
+
+			expect(context.createChannelSplitter).toHaveBeenCalledWith(2);
+			expect(source.connect).toHaveBeenCalledWith(meter.splitter);
+			expect(meter.splitter.connect).toHaveBeenCalledWith(context.analysers[0], 0);
+			expect(meter.splitter.connect).toHaveBeenCalledWith(context.analysers[1], 1);
+
+			meter.disconnect();
+			expect(source.disconnect).toHaveBeenCalledWith(meter.splitter);
+		});
+
+		test("should report per-channel levels in dBFS", () => {
+			context.analysers[0].data = new Float32Array([0.5, -0.5, 0.5, -0.5]);
+
+			const [left, right] = meter.read(0);
+
+			expect(left.peak).toBeCloseTo(-6.02, 2);
+			expect(left.rms).toBeCloseTo(-6.02, 2);
+			expect(right.peak).toBe(-Infinity);
+		});
+
+		test("should hold peaks until the hold time passes", () => {
+			context.analysers[0].data = new Float32Array([0.5, 0, 0, 0]);
+			meter.read(0);
+
+			context.analysers[0].data = new Float32Array([0.1, 0, 0, 0]);
+			expect(meter.read(0.5)[0].peakHold).toBeCloseTo(-6.02, 2);
+			expect(meter.read(1.5)[0].peakHold).toBeCloseTo(-20, 2);
+		});
+
+		test("should latch clips until reset", () => {
+			context.analysers[1].data = new Float32Array([1, 0, 0, 0]);
+			expect(meter.read(0)[1].clipped).toBe(true);
+
+			context.analysers[1].data = new Float32Array([0.1, 0, 0, 0]);
+			expect(meter.read(5)[1].clipped).toBe(true);
+
+			meter.reset();
+			const [left, right] = meter.read(6);
+			expect(left.clipped).toBe(false);
+			expect(right.clipped).toBe(false);
+			expect(right.peakHold).toBeCloseTo(-20, 2);
+		});
+	});
+});
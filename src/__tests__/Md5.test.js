@@ -0,0 +1,27 @@
+import { Md5, toHex } from "../services/Md5";
+
+const hash = (text) => toHex(new Md5().update(new TextEncoder().encode(text)).digest());
+
+describe("Md5", () => {
+	test("should match the RFC 1321 test vectors", () => {
+		expect(hash("")).toBe("d41d8cd98f00b204e9800998ecf8427e");
+		expect(hash("abc")).toBe("900150983cd24fb0d6963f7d28e17f72");
+		expect(hash("The quick brown fox jumps over the lazy dog")).toBe(
+			"9e107d9d372bb6826bd81d3542a419d6",
+		);
+		expect(hash("1234567890".repeat(8))).toBe("57edf4a22be3c955ac49da2e2107b67a");
+	});
+
+	test("should give the same digest however the input is split", () => {
+		const bytes = Uint8Array.from({ length: 1000 }, (_, i) => (i * 7) & 0xff);
+		const whole = toHex(new Md5().update(bytes).digest());
+
+		const pieces = new Md5();
+		[0, 3, 64, 65, 200, 999].forEach((start, i, starts) =>
+			pieces.update(bytes.subarray(start, starts[i + 1] ?? bytes.length)),
+		);
+
+		expect(toHex(pieces.digest())).toBe(whole);
+		expect(whole).toBe(require("crypto").createHash("md5").update(bytes).digest("hex"));
+	});
+});
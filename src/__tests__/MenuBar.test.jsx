@@ -3,6 +3,8 @@ import React from "react";
 import MenuBar from "../components/MenuBar";
 import { AudioProvider } from "../context/AudioContext";
 
+const mockSaveProject = jest.fn();
+
 // Mock the audio context
 jest.mock("../context/AudioContext", () => ({
 	...jest.requireActual("../context/AudioContext"),
@@ -14,6 +16,7 @@ jest.mock("../context/AudioContext", () => ({
 		copy: jest.fn(),
 		delete: jest.fn(),
 		selectAll: jest.fn(),
+		saveProject: mockSaveProject,
 	}),
 }));
 
@@ -104,12 +107,33 @@ describe("MenuBar", () => {
 		const fileMenu = screen.getByText("File");
 		fireEvent.mouseEnter(fileMenu.parentElement);
 
-		const openItem = screen.getByText("Open...");
-		fireEvent.click(openItem);
+		const importItem = screen.getByText("Import > Audio...");
+		fireEvent.click(importItem);
 
 		expect(mockOnMenuAction).toHaveBeenCalledWith("file");
 	});
 
+	test("opens a project from Open...", () => {
+		render(<WrappedMenuBar onMenuAction={mockOnMenuAction} />);
+
+		const fileMenu = screen.getByText("File");
+		fireEvent.mouseEnter(fileMenu.parentElement);
+		fireEvent.click(screen.getByText("Open..."));
+
+		expect(mockOnMenuAction).toHaveBeenCalledWith("openProject");
+	});
+
+	test("saves the project through the audio context", () => {
+		mockSaveProject.mockResolvedValue(null);
+		render(<WrappedMenuBar onMenuAction={mockOnMenuAction} />);
+
+		const fileMenu = screen.getByText("File");
+		fireEvent.mouseEnter(fileMenu.parentElement);
+		fireEvent.click(screen.getByText("Save Project"));
+
+		expect(mockSaveProject).toHaveBeenCalled();
+	});
+
 	test("calls onMenuAction when export is clicked", () => {
 		render(<WrappedMenuBar onMenuAction={mockOnMenuAction} />);
 
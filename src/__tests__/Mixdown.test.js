@@ -0,0 +1,121 @@
+import { fadeEdges, Mixdown, mixChannels } from "../services/Mixdown";
+
+const channel = (...values) => new Float32Array(values);
+
+describe("mixChannels", () => {
+	test("should copy mono to both sides of stereo", () => {
+		const [left, right] = mixChannels([channel(0.5, -0.5)], 2);
+
+		expect(Array.from(left)).toEqual([0.5, -0.5]);
+		expect(Array.from(right)).toEqual([0.5, -0.5]);
+	});
+
+	test("should average stereo down to mono", () => {
+		const [mono] = mixChannels([channel(1, 0.5), channel(0, 0.5)], 1);
+
+		expect(Array.from(mono)).toEqual([0.5, 0.5]);
+	});
+
+	test("should fold 5.1 into stereo without the LFE", () => {
+		const input = [1, 0, 1, 1, 0, 1].map((value) => channel(value));
+
+		const [left, right] = mixChannels(input, 2);
+
+		expect(left[0]).toBeCloseTo(1 + Math.SQRT1_2);
+		expect(right[0]).toBeCloseTo(2 * Math.SQRT1_2);
+	});
+
+	test("should map other layouts channel for channel", () => {
+		const output = mixChannels([channel(0.1), channel(0.2), channel(0.3)], 2);
+
+		expect(output.map((data) => data[0])).toEqual([0.1, 0.2].map(Math.fround));
+	});
+
+	test("should return the input when the count already matches", () => {
+		const input = [channel(1), channel(2)];
+
+		expect(mixChannels(input, 2)).toBe(input);
+	});
+});
+
+describe("fadeEdges", () => {
+	test("should ramp both ends of every channel in place", () => {
+		const channels = [new Float32Array(8).fill(1), new Float32Array(8).fill(-1)];
+
+		fadeEdges(channels, 4);
+
+		expect(Array.from(channels[0])).toEqual([0, 0.25, 0.5, 0.75, 0.75, 0.5, 0.25, 0]);
+		expect(channels[1][1]).toBe(-0.25);
+	});
+
+	test("should keep the fades within half the length", () => {
+		const data = new Float32Array(4).fill(1);
+
+		fadeEdges([data], 100);
+
+		expect(Array.from(data)).toEqual([0, 0.5, 0.5, 0]);
+	});
+});
+
+describe("Mixdown", () => {
+	test("should pan mono tracks with equal power", () => {
+		const mixdown = new Mixdown(1);
+
+		mixdown.addTrack([channel(1)]);
+
+		const [left, right] = mixdown.render();
+		expect(left[0]).toBeCloseTo(Math.SQRT1_2);
+		expect(right[0]).toBeCloseTo(Math.SQRT1_2);
+	});
+
+	test("should pan stereo tracks like StereoPannerNode", () => {
+		const mixdown = new Mixdown(1);
+
+		// Hard left moves all of the right channel to the left
+		mixdown.addTrack([channel(0.25), channel(0.5)], { pan: -1 });
+
+		const [left, right] = mixdown.render();
+		expect(left[0]).toBeCloseTo(0.75);
+		expect(right[0]).toBeCloseTo(0);
+	});
+
+	test("should leave centred stereo tracks untouched", () => {
+		const mixdown = new Mixdown(1);
+
+		mixdown.addTrack([channel(0.25), channel(0.5)], { pan: 0 });
+
+		const [left, right] = mixdown.render();
+		expect(left[0]).toBeCloseTo(0.25);
+		expect(right[0]).toBeCloseTo(0.5);
+	});
+
+	test("should sum tracks with their gain and envelope", () => {
+		const mixdown = new Mixdown(3);
+
+		mixdown.addTrack([channel(1, 1, 1), channel(1, 1, 1)], { gain: 0.5 });
+		mixdown.addTrack([channel(1, 1, 1), channel(1, 1, 1)], {
+			envelope: channel(0, 0.5, 1),
+		});
+
+		const [left] = mixdown.render();
+		expect(Array.from(left)).toEqual([0.5, 1, 1.5]);
+	});
+
+	test("should clip tracks to the mix length", () => {
+		const mixdown = new Mixdown(2);
+
+		mixdown.addTrack([channel(1, 1, 1), channel(1, 1, 1)]);
+
+		expect(mixdown.render()[0]).toHaveLength(2);
+	});
+
+	test("should render to mono", () => {
+		const mixdown = new Mixdown(1);
+		mixdown.addTrack([channel(1), channel(0)]);
+
+		const output = mixdown.render(1);
+
+		expect(output).toHaveLength(1);
+		expect(output[0][0]).toBeCloseTo(0.5);
+	});
+});
@@ -1,11 +1,16 @@
-import { render } from "@testing-library/react";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
 import React from "react";
 import {
 	AboutModal,
 	ConfirmModal,
+	ExportModal,
+	ExportMultipleModal,
 	HelpModal,
+	MetadataModal,
 	Modal,
 	PreferencesModal,
+	RecoveryModal,
+	ResampleModal,
 	SpectrumModal,
 } from "../components/Modals";
 
@@ -61,6 +66,330 @@ describe("Modal Components", () => {
 			const modal = document.querySelector(".modal-overlay");
 			expect(modal).toBeInTheDocument();
 		});
+
+		it("saves the project rate, input device and capture options", () => {
+			const onSave = jest.fn();
+			render(
+				<PreferencesModal
+					isOpen={true}
+					onClose={() => {}}
+					onSave={onSave}
+					preferences={{}}
+					inputDevices={[
+						{ deviceId: "built-in", label: "Built-in Microphone" },
+						{ deviceId: "usb", label: "USB Interface" },
+					]}
+				/>,
+			);
+
+			expect(screen.getByText("USB Interface")).toBeInTheDocument();
+			fireEvent.change(screen.getByTestId("input-device-select"), {
+				target: { value: "usb" },
+			});
+			fireEvent.change(screen.getByTestId("input-channels-select"), {
+				target: { value: "1" },
+			});
+			fireEvent.click(screen.getByTestId("noise-suppression-checkbox"));
+			fireEvent.change(screen.getByTestId("sample-rate-select"), {
+				target: { value: "48000" },
+			});
+			fireEvent.change(screen.getByTestId("resample-quality-select"), {
+				target: { value: "best" },
+			});
+			fireEvent.click(screen.getByTestId("monitoring-checkbox"));
+			fireEvent.click(screen.getByTestId("preferences-save-button"));
+
+			expect(onSave).toHaveBeenCalledWith(
+				expect.objectContaining({
+					inputDeviceId: "usb",
+					inputChannels: 1,
+					echoCancellation: false,
+					noiseSuppression: true,
+					monitoring: true,
+					sampleRate: 48000,
+					resampleQuality: "best",
+				}),
+			);
+		});
+	});
+
+	describe("ResampleModal", () => {
+		const tracks = new Map([
+			["track_1", { id: "track_1", name: "Voice", info: { sampleRate: 48000 } }],
+			["track_2", { id: "track_2", name: "Music", info: { sampleRate: 22050 } }],
+		]);
+
+		it("resamples the selected track at the chosen rate and quality", () => {
+			const onResample = jest.fn();
+			render(
+				<ResampleModal
+					isOpen={true}
+					onClose={() => {}}
+					onResample={onResample}
+					tracks={tracks}
+					selectedTrackId="track_2"
+					defaultQuality="medium"
+				/>,
+			);
+
+			expect(screen.getByTestId("resample-track-select")).toHaveValue("track_2");
+			expect(screen.getByTestId("resample-current-rate")).toHaveTextContent("22,050 Hz");
+			expect(screen.getByTestId("resample-quality-select")).toHaveValue("medium");
+
+			fireEvent.change(screen.getByTestId("resample-rate-select"), {
+				target: { value: "44100" },
+			});
+			fireEvent.change(screen.getByTestId("resample-quality-select"), {
+				target: { value: "best" },
+			});
+			fireEvent.click(screen.getByTestId("resample-button"));
+
+			expect(onResample).toHaveBeenCalledWith("track_2", 44100, "best");
+		});
+	});
+
+	describe("MetadataModal", () => {
+		const tracks = new Map([
+			[
+				"track_1",
+				{
+					id: "track_1",
+					name: "Boom",
+					info: { metadata: { bext: { description: "Take 3" }, info: {}, ixml: { SCENE: "4" } } },
+				},
+			],
+		]);
+
+		it("edits project metadata and then a track's own", () => {
+			const onSave = jest.fn();
+			render(
+				<MetadataModal
+					isOpen={true}
+					onClose={() => {}}
+					onSave={onSave}
+					projectMetadata={{ bext: { originator: "Studio" }, info: {}, ixml: {} }}
+					tracks={tracks}
+				/>,
+			);
+
+			expect(screen.getByTestId("metadata-bext-originator")).toHaveValue("Studio");
+			fireEvent.change(screen.getByTestId("metadata-info-INAM"), { target: { value: "Reel 1" } });
+			fireEvent.click(screen.getByTestId("metadata-save-button"));
+			expect(onSave).toHaveBeenLastCalledWith(
+				"project",
+				expect.objectContaining({
+					bext: expect.objectContaining({ originator: "Studio" }),
+					info: { INAM: "Reel 1" },
+				}),
+			);
+
+			fireEvent.change(screen.getByTestId("metadata-scope-select"), {
+				target: { value: "track_1" },
+			});
+			expect(screen.getByTestId("metadata-bext-description")).toHaveValue("Take 3");
+			expect(screen.getByTestId("metadata-ixml-SCENE")).toHaveValue("4");
+			fireEvent.change(screen.getByTestId("metadata-ixml-TAKE"), { target: { value: "5" } });
+			fireEvent.click(screen.getByTestId("metadata-save-button"));
+			expect(onSave).toHaveBeenLastCalledWith(
+				"track_1",
+				expect.objectContaining({ ixml: { SCENE: "4", TAKE: "5" } }),
+			);
+		});
+
+		it("attaches a cover image for MP3 tags", async () => {
+			const onSave = jest.fn();
+			render(<MetadataModal isOpen={true} onClose={() => {}} onSave={onSave} />);
+			const image = new File(["png"], "cover.png", { type: "image/png" });
+			const bytes = Uint8Array.of(0x89, 0x50, 0x4e, 0x47);
+			image.arrayBuffer = jest.fn().mockResolvedValue(bytes.buffer);
+
+			fireEvent.change(screen.getByTestId("metadata-cover-input"), { target: { files: [image] } });
+
+			await waitFor(() =>
+				expect(screen.getByTestId("metadata-cover-info")).toHaveTextContent("image/png, 1 KB"),
+			);
+			fireEvent.click(screen.getByTestId("metadata-save-button"));
+			expect(onSave).toHaveBeenCalledWith(
+				"project",
+				expect.objectContaining({
+					cover: { mimeType: "image/png", data: bytes },
+				}),
+			);
+		});
+	});
+
+	describe("ExportModal", () => {
+		const tracks = new Map([
+			["track_1", { id: "track_1", name: "Host" }],
+			["track_2", { id: "track_2", name: "Guest" }],
+		]);
+
+		it("exports the current selection of the chosen tracks with edge fades", () => {
+			const onExport = jest.fn();
+			render(
+				<ExportModal
+					isOpen={true}
+					onClose={() => {}}
+					onExport={onExport}
+					tracks={tracks}
+					selectedTrackId="track_2"
+					hasSelection={true}
+				/>,
+			);
+
+			expect(screen.queryByTestId("export-track-list")).not.toBeInTheDocument();
+			fireEvent.change(screen.getByTestId("export-range-select"), {
+				target: { value: "selection" },
+			});
+			expect(screen.getByTestId("export-track-track_1")).not.toBeChecked();
+			expect(screen.getByTestId("export-track-track_2")).toBeChecked();
+			fireEvent.click(screen.getByTestId("export-track-track_1"));
+			fireEvent.click(screen.getByTestId("export-fades-checkbox"));
+			fireEvent.change(screen.getByTestId("export-fade-length-input"), { target: { value: "25" } });
+			fireEvent.click(screen.getByTestId("export-button"));
+
+			expect(onExport).toHaveBeenCalledWith(
+				expect.objectContaining({
+					range: "selection",
+					trackIds: ["track_2", "track_1"],
+					exportTracks: "mix",
+					fades: true,
+					fadeLength: 25,
+				}),
+			);
+		});
+
+		it("offers 32-bit integer samples for AIFF only", () => {
+			const onExport = jest.fn();
+			render(<ExportModal isOpen={true} onClose={() => {}} onExport={onExport} tracks={tracks} />);
+
+			expect(screen.getByRole("option", { name: "32-bit PCM" })).toBeDisabled();
+			fireEvent.change(screen.getByTestId("export-format-select"), { target: { value: "aiff" } });
+			fireEvent.change(screen.getByTestId("export-bit-depth-select"), {
+				target: { value: "32-pcm" },
+			});
+			fireEvent.click(screen.getByTestId("export-button"));
+
+			expect(onExport).toHaveBeenCalledWith(
+				expect.objectContaining({ format: "aiff", bitDepth: 32, float: false }),
+			);
+		});
+
+		it("can't export a selection that isn't there or no tracks", () => {
+			render(<ExportModal isOpen={true} onClose={() => {}} onExport={() => {}} tracks={tracks} />);
+
+			expect(screen.getByRole("option", { name: "Current Selection" })).toBeDisabled();
+			fireEvent.change(screen.getByTestId("export-range-select"), { target: { value: "tracks" } });
+			fireEvent.click(screen.getByTestId("export-track-track_1"));
+			fireEvent.click(screen.getByTestId("export-track-track_2"));
+			expect(screen.getByTestId("export-button")).toBeDisabled();
+		});
+	});
+
+	describe("ExportMultipleModal", () => {
+		const labels = [
+			{ id: "label_1", time: 0, endTime: null, text: "Intro" },
+			{ id: "label_2", time: 4, endTime: null, text: "Outro" },
+		];
+		const tracks = new Map([
+			["track_1", { id: "track_1", name: "Vocals" }],
+			["track_2", { id: "track_2", name: "Guitar" }],
+		]);
+
+		it("previews the file names and exports with the split and format chosen", () => {
+			const onExport = jest.fn();
+			render(
+				<ExportMultipleModal
+					isOpen={true}
+					onClose={() => {}}
+					onExport={onExport}
+					labels={labels}
+					tracks={tracks}
+				/>,
+			);
+
+			const fileList = screen.getByTestId("export-multiple-files");
+			expect(fileList).toHaveTextContent("01 Intro.wav02 Outro.wav");
+
+			fireEvent.change(screen.getByTestId("export-multiple-split-select"), {
+				target: { value: "tracks" },
+			});
+			expect(screen.getByTestId("export-multiple-template-input")).toHaveValue("{track}");
+			fireEvent.change(screen.getByTestId("export-multiple-template-input"), {
+				target: { value: "{index} {track}" },
+			});
+			fireEvent.change(screen.getByTestId("export-format-select"), { target: { value: "flac" } });
+			expect(fileList).toHaveTextContent("01 Vocals.flac02 Guitar.flac");
+
+			fireEvent.click(screen.getByTestId("export-multiple-button"));
+			expect(onExport).toHaveBeenCalledWith(
+				expect.objectContaining({ splitBy: "tracks", template: "{index} {track}", format: "flac" }),
+			);
+		});
+
+		it("has nothing to export without labels", () => {
+			render(<ExportMultipleModal isOpen={true} onClose={() => {}} onExport={() => {}} />);
+
+			expect(screen.getByText("Add labels to split the project at.")).toBeInTheDocument();
+			expect(screen.getByTestId("export-multiple-button")).toBeDisabled();
+		});
+	});
+
+	describe("RecoveryModal", () => {
+		it("lists unfinished recordings with recover and discard", () => {
+			const onRecover = jest.fn();
+			const onDiscard = jest.fn();
+			render(
+				<RecoveryModal
+					isOpen={true}
+					onClose={() => {}}
+					recordings={[
+						{ id: "take_1", startedAt: 0, sampleRate: 48000, numberOfChannels: 1 },
+					]}
+					onRecover={onRecover}
+					onDiscard={onDiscard}
+				/>,
+			);
+
+			expect(screen.getByText(/Mono, 48000 Hz/)).toBeInTheDocument();
+			fireEvent.click(screen.getByTestId("recover-button-take_1"));
+			fireEvent.click(screen.getByTestId("discard-button-take_1"));
+
+			expect(onRecover).toHaveBeenCalledWith("take_1");
+			expect(onDiscard).toHaveBeenCalledWith("take_1");
+		});
+
+		it("lists autosaved sessions with restore and discard", () => {
+			const onRecoverSession = jest.fn();
+			const onDiscardSession = jest.fn();
+			render(
+				<RecoveryModal
+					isOpen={true}
+					onClose={() => {}}
+					sessions={[
+						{
+							id: "session_1",
+							startedAt: 0,
+							savedAt: 1000,
+							trackCount: 2,
+							duration: 12.5,
+							history: { undoDescription: "Amplify" },
+						},
+					]}
+					onRecoverSession={onRecoverSession}
+					onDiscardSession={onDiscardSession}
+				/>,
+			);
+
+			expect(screen.getByText("Recover Work")).toBeInTheDocument();
+			expect(screen.getByText(/2 tracks, 12\.5s, last edit: Amplify/)).toBeInTheDocument();
+			expect(screen.getByText(/brings back its undo history/)).toBeInTheDocument();
+			fireEvent.click(screen.getByTestId("restore-session-button-session_1"));
+			fireEvent.click(screen.getByTestId("discard-session-button-session_1"));
+
+			expect(onRecoverSession).toHaveBeenCalledWith("session_1");
+			expect(onDiscardSession).toHaveBeenCalledWith("session_1");
+		});
 	});
 
 	describe("AboutModal", () => {
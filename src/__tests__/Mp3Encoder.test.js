@@ -0,0 +1,73 @@
+import { encodeMp3 } from "../services/Mp3Encoder";
+
+const sine = (length, frequency, sampleRate) =>
+	Int16Array.from({ length }, (_, i) =>
+		Math.round(Math.sin((2 * Math.PI * frequency * i) / sampleRate) * 8000),
+	);
+
+// Header fields of the first MPEG audio frame
+const firstFrame = (bytes) => {
+	const offset = bytes.findIndex((byte, i) => byte === 0xff && (bytes[i + 1] & 0xe0) === 0xe0);
+	return {
+		offset,
+		version: (bytes[offset + 1] >> 3) & 0x03,
+		layer: (bytes[offset + 1] >> 1) & 0x03,
+		bitrateIndex: bytes[offset + 2] >> 4,
+		sampleRateIndex: (bytes[offset + 2] >> 2) & 0x03,
+		mode: bytes[offset + 3] >> 6,
+	};
+};
+
+describe("encodeMp3", () => {
+	const left = sine(44100 / 4, 440, 44100);
+	const right = sine(44100 / 4, 660, 44100);
+
+	test("should write MPEG-1 layer III frames at the requested bitrate", () => {
+		const bytes = encodeMp3([left, right], { sampleRate: 44100, bitrate: 192 });
+		const frame = firstFrame(bytes);
+
+		expect(frame.offset).toBe(0);
+		expect(frame.version).toBe(3);
+		expect(frame.layer).toBe(1);
+		expect(frame.bitrateIndex).toBe(11); // 192 kbps
+		expect(frame.sampleRateIndex).toBe(0); // 44.1 kHz
+		expect(frame.mode).toBe(1); // Joint stereo
+		// 0.25 s at 192 kbps, give or take the encoder delay and padding
+		expect(bytes.length).toBeGreaterThan(6000);
+		expect(bytes.length).toBeLessThan(9000);
+	});
+
+	test.each([
+		["stereo", 0],
+		["mono", 3],
+	])("should encode in %s mode", (channelMode, mode) => {
+		const bytes = encodeMp3([left, right], { sampleRate: 44100, bitrate: 128, channelMode });
+
+		expect(firstFrame(bytes).mode).toBe(mode);
+	});
+
+	test("should encode a single channel as mono at 48 kHz", () => {
+		const bytes = encodeMp3([sine(4800, 440, 48000)], { sampleRate: 48000, bitrate: 64 });
+		const frame = firstFrame(bytes);
+
+		expect(frame.mode).toBe(3);
+		expect(frame.sampleRateIndex).toBe(1);
+	});
+
+	test("should not leave lamejs modules in the global scope", () => {
+		encodeMp3([left], { sampleRate: 44100 });
+
+		expect(globalThis.Lame).toBeUndefined();
+		expect(globalThis.BitStream).toBeUndefined();
+		expect(globalThis.MPEGMode).toBeUndefined();
+	});
+
+	test("should reject what it cannot encode", () => {
+		expect(() => encodeMp3([left, left, left], { sampleRate: 44100 })).toThrow(
+			"MP3 export supports mono and stereo",
+		);
+		expect(() => encodeMp3([left], { sampleRate: 44100, channelMode: "dual" })).toThrow(
+			"MP3 channel mode dual not supported",
+		);
+	});
+});
@@ -0,0 +1,76 @@
+import { oggCrc, OggWriter, readOggPackets, readOggPages } from "../services/OggContainer";
+
+const packet = (length, fill = 1) => new Uint8Array(length).fill(fill);
+
+describe("OggWriter", () => {
+	test("should mark the first and last pages and carry granule positions", () => {
+		const ogg = new OggWriter(1234);
+		ogg.writePacket(packet(19), 0, { flush: true });
+		ogg.writePacket(packet(100), 960);
+		ogg.writePacket(packet(100), 1920, { endOfStream: true });
+
+		const pages = readOggPages(ogg.finish());
+
+		expect(pages).toHaveLength(2);
+		expect(pages[0]).toMatchObject({ begin: true, end: false, granulePosition: 0, sequence: 0 });
+		expect(pages[1]).toMatchObject({ begin: false, end: true, granulePosition: 1920, sequence: 1 });
+		expect(pages.every((page) => page.serial === 1234 && page.crcValid)).toBe(true);
+	});
+
+	test("should continue long packets on the next page", () => {
+		const ogg = new OggWriter(1);
+		// 255 segments fill a page; this packet needs 300
+		const big = Uint8Array.from({ length: 255 * 300 }, (_, i) => i & 0xff);
+		ogg.writePacket(big, 48000, { endOfStream: true });
+
+		const bytes = ogg.finish();
+		const pages = readOggPages(bytes);
+
+		expect(pages).toHaveLength(2);
+		// No packet ends on the first page
+		expect(pages[0].granulePosition).toBe(-1);
+		expect(pages[1].continued).toBe(true);
+		expect(pages[1].segments.at(-1)).toBe(0); // A multiple of 255 ends with an empty segment
+
+		const [decoded] = readOggPackets(bytes);
+		expect(decoded.data).toEqual(big);
+		expect(decoded.granulePosition).toBe(48000);
+	});
+
+	test("should not mark a page continued when the last one filled up between packets", () => {
+		const ogg = new OggWriter(1);
+		// One segment each: the 255th fills the page without ending it
+		for (let i = 1; i <= 256; i++) ogg.writePacket(packet(10), i * 960);
+
+		const pages = readOggPages(ogg.finish());
+
+		expect(pages.map((page) => page.segments.length)).toEqual([255, 1]);
+		expect(pages[1].continued).toBe(false);
+	});
+
+	test("should split packets into pages of about 4 KB", () => {
+		const ogg = new OggWriter(1);
+		for (let i = 1; i <= 100; i++) ogg.writePacket(packet(200, i), i * 960);
+
+		const bytes = ogg.finish();
+		const packets = readOggPackets(bytes);
+
+		expect(readOggPages(bytes).length).toBeGreaterThan(4);
+		expect(packets).toHaveLength(100);
+		expect(packets[99].data[0]).toBe(100);
+	});
+
+	test("should detect damaged pages", () => {
+		const ogg = new OggWriter(1);
+		ogg.writePacket(packet(50), 960, { endOfStream: true });
+		const bytes = ogg.finish();
+		bytes[bytes.length - 1] ^= 0xff;
+
+		expect(() => readOggPackets(bytes)).toThrow("Ogg page 0 has a bad checksum");
+	});
+
+	test("should compute the Ogg CRC-32", () => {
+		// CRC-32/POSIX without the final inversion
+		expect(oggCrc(new TextEncoder().encode("123456789"))).toBe(0x89a1897f);
+	});
+});
@@ -0,0 +1,111 @@
+import fs from "fs";
+import { detectSampleRate } from "../services/AudioFileInfo";
+import { readOggPackets, readOggPages } from "../services/OggContainer";
+import { encodeOggOpus, loadOpusModule } from "../services/OggOpusEncoder";
+
+const readTags = (data) => {
+	const view = new DataView(data.buffer, data.byteOffset);
+	const decoder = new TextDecoder();
+	const vendorLength = view.getUint32(8, true);
+	let offset = 12 + vendorLength;
+	const count = view.getUint32(offset, true);
+	offset += 4;
+	const comments = [];
+	for (let i = 0; i < count; i++) {
+		const length = view.getUint32(offset, true);
+		comments.push(decoder.decode(data.subarray(offset + 4, offset + 4 + length)));
+		offset += 4 + length;
+	}
+	return { vendor: decoder.decode(data.subarray(12, 12 + vendorLength)), comments };
+};
+
+// Frame duration in ms from an Opus TOC byte (RFC 6716 section 3.1)
+const frameDuration = (toc) => {
+	const config = toc >> 3;
+	if (config < 12) return [10, 20, 40, 60][config % 4];
+	if (config < 16) return [10, 20][config % 2];
+	return [2.5, 5, 10, 20][config % 4];
+};
+
+const tone = (length, sampleRate, frequency = 440) =>
+	Float32Array.from({ length }, (_, i) => 0.5 * Math.sin((2 * Math.PI * frequency * i) / sampleRate));
+
+describe("Ogg Opus encoder", () => {
+	let opus;
+
+	beforeAll(async () => {
+		const wasmBinary = fs.readFileSync(
+			require.resolve("opus-media-recorder/OggOpusEncoder.wasm"),
+		);
+		opus = await loadOpusModule({ wasmBinary });
+	});
+
+	test("should write OpusHead and OpusTags on their own pages", () => {
+		const bytes = encodeOggOpus(opus, [tone(4800, 48000), tone(4800, 48000, 660)], {
+			tags: { TITLE: "Café", ARTIST: ["A", "B"] },
+		});
+
+		const pages = readOggPages(bytes);
+		const packets = readOggPackets(bytes);
+		const head = new DataView(packets[0].data.buffer);
+
+		expect(new TextDecoder().decode(packets[0].data.subarray(0, 8))).toBe("OpusHead");
+		expect(packets[0].data[9]).toBe(2);
+		expect(head.getUint16(10, true)).toBe(312); // libopus lookahead at 48 kHz
+		expect(head.getUint32(12, true)).toBe(48000);
+		expect(pages[0].begin).toBe(true);
+		expect(pages[0].segments).toHaveLength(1);
+
+		const { vendor, comments } = readTags(packets[1].data);
+		expect(vendor).toMatch(/libopus/);
+		expect(comments).toEqual(["TITLE=Café", "ARTIST=A", "ARTIST=B"]);
+		expect(pages[1].granulePosition).toBe(0);
+		expect(detectSampleRate(bytes.buffer)).toBe(48000);
+	});
+
+	test("should set granule positions to end exactly at the last sample", () => {
+		const length = 10000; // Not a whole number of 20 ms frames
+		const bytes = encodeOggOpus(opus, [tone(length, 48000)], {});
+
+		const pages = readOggPages(bytes);
+		const audio = readOggPackets(bytes).slice(2);
+		const positions = pages.slice(2).map((page) => page.granulePosition);
+
+		expect(pages.every((page) => page.crcValid)).toBe(true);
+		expect(pages.at(-1).end).toBe(true);
+		expect(positions.at(-1)).toBe(312 + length);
+		expect(audio).toHaveLength(Math.ceil((312 + length) / 960));
+		audio.forEach(({ data }) => {
+			expect(frameDuration(data[0])).toBe(20);
+			expect(data[0] & 0x04).toBe(0); // Mono
+		});
+	});
+
+	test("should resample other rates and keep the original rate in the header", () => {
+		const bytes = encodeOggOpus(opus, [tone(44100, 44100)], { sampleRate: 44100 });
+
+		const packets = readOggPackets(bytes);
+		const head = new DataView(packets[0].data.buffer);
+
+		expect(head.getUint32(12, true)).toBe(44100);
+		expect(packets.at(-1).granulePosition).toBe(312 + 48000);
+	});
+
+	test("should follow the requested bitrate", () => {
+		const channels = [tone(96000, 48000), tone(96000, 48000, 550)].map((data) =>
+			data.map((value, i) => value + 0.1 * Math.sin(i * i * 0.0001)),
+		);
+		const size = (bitrate) => encodeOggOpus(opus, channels, { bitrate, vbr: false }).length;
+
+		// Two seconds at a constant bitrate, give or take the headers
+		expect(size(64)).toBeGreaterThan(14000);
+		expect(size(64)).toBeLessThan(18000);
+		expect(size(192)).toBeGreaterThan(size(64) * 2.5);
+	});
+
+	test("should reject more than two channels", () => {
+		expect(() => encodeOggOpus(opus, [tone(10, 48000), tone(10, 48000), tone(10, 48000)])).toThrow(
+			"Opus export supports mono and stereo",
+		);
+	});
+});
@@ -0,0 +1,120 @@
+import { PROJECT_FORMAT, readProject, writeProject } from "../services/ProjectFile";
+import { createMetadata } from "../services/WavMetadata";
+import { BLOCK_FRAMES } from "../services/BlockedAudio";
+import { createZip, readZip } from "../services/ZipArchive";
+
+const session = {
+	tracks: [
+		{
+			id: "track_1",
+			name: "Voice",
+			sampleRate: 48000,
+			numberOfChannels: 1,
+			metadata: null,
+			mix: { volume: 70, pan: 0.25, muted: false, solo: true },
+			visible: true,
+			clips: [{ source: "source_1", offset: 0, duration: 0.001, position: 2 }],
+		},
+	],
+	labels: [{ id: "label_3", time: 1, endTime: null, text: "Verse", type: "point", color: "#ff0000" }],
+	envelopes: { version: "1.0", envelopes: [] },
+	realTimeEffects: [{ id: "effect_1", type: "reverb", parameters: { roomSize: 0.5 }, bypass: false }],
+	selection: { start: 0.5, end: 1.5 },
+	selectedTrackId: "track_1",
+	loop: { enabled: true, start: 1, end: 2 },
+	playheadPosition: 0.75,
+	zoomLevel: 2,
+	scrollPosition: 40,
+	settings: { sampleRate: 48000, resampleQuality: "high", bitDepth: 24, format: "WAV" },
+	metadata: createMetadata(),
+};
+
+// A source as listed by getProjectData, reading from plain arrays
+const source = (id, channels, sampleRate = 48000) => ({
+	id,
+	sampleRate,
+	numberOfChannels: channels.length,
+	length: channels[0].length,
+	read: jest.fn(async (start, frames) => channels.map((data) => data.subarray(start, start + frames))),
+});
+
+const samples = Float32Array.of(0.1, -0.2, 1e-7);
+const sources = [source("source_1", [samples])];
+
+const bytesOf = async (blob) => new Uint8Array(await blob.arrayBuffer());
+
+describe("ProjectFile", () => {
+	test("should lay out a manifest and one WAV per source", async () => {
+		const entries = readZip(await bytesOf(await writeProject(session, sources)));
+		const manifest = JSON.parse(new TextDecoder().decode(entries[0].data));
+
+		expect(entries.map((entry) => entry.name)).toEqual(["project.json", "audio/source_1.wav"]);
+		expect(manifest.format).toBe(PROJECT_FORMAT);
+		expect(manifest.version).toBe(1);
+		expect(manifest.sources).toEqual([{ id: "source_1", file: "audio/source_1.wav" }]);
+	});
+
+	test("should restore the session and the exact samples", async () => {
+		const project = await readProject(await writeProject(session, sources));
+		const { format, version, saved, sources: audio, ...rest } = project;
+
+		expect(rest).toEqual(session);
+		expect(audio.get("source_1")).toMatchObject({ sampleRate: 48000, numberOfChannels: 1, length: 3 });
+		expect(Array.from((await audio.get("source_1").read(0, 3))[0])).toEqual(Array.from(samples));
+	});
+
+	test("should write and read audio a block at a time", async () => {
+		const long = Float32Array.from({ length: BLOCK_FRAMES + 10 }, (_, i) => i / BLOCK_FRAMES);
+		const stereo = source("source_1", [long, long.map((v) => -v)], 44100);
+
+		const project = await readProject(await writeProject(session, [stereo]));
+		const [left, right] = await project.sources.get("source_1").read(BLOCK_FRAMES - 1, 3);
+
+		expect(stereo.read.mock.calls).toEqual([[0, BLOCK_FRAMES], [BLOCK_FRAMES, 10]]);
+		expect(Array.from(left)).toEqual(Array.from(long.subarray(BLOCK_FRAMES - 1, BLOCK_FRAMES + 2)));
+		expect(right[2]).toBe(-long[BLOCK_FRAMES + 1]);
+	});
+
+	test("should keep cover images as files", async () => {
+		const cover = { mimeType: "image/png", data: Uint8Array.of(0x89, 0x50, 0x4e, 0x47) };
+		const withCovers = {
+			...session,
+			metadata: { ...createMetadata(), cover },
+			tracks: session.tracks.map((track) => ({ ...track, metadata: { ...createMetadata(), cover } })),
+		};
+
+		const blob = await writeProject(withCovers, sources);
+		const project = await readProject(blob);
+
+		expect(readZip(await bytesOf(blob)).map((entry) => entry.name)).toContain("images/track_1");
+		expect(project.metadata.cover).toEqual(cover);
+		expect(project.tracks[0].metadata.cover).toEqual(cover);
+	});
+
+	test("should refuse files that aren't projects", async () => {
+		const zip = (value) =>
+			new Blob([
+				createZip(
+					value === undefined
+						? []
+						: [{ name: "project.json", data: new TextEncoder().encode(JSON.stringify(value)) }],
+				),
+			]);
+
+		await expect(readProject(zip())).rejects.toThrow("Not a WebAudacity project");
+		await expect(readProject(zip({ format: "other" }))).rejects.toThrow("Not a WebAudacity project");
+		await expect(readProject(zip({ format: PROJECT_FORMAT, version: 2 }))).rejects.toThrow(
+			"Project version 2 is newer than this WebAudacity",
+		);
+		await expect(
+			readProject(
+				zip({
+					format: PROJECT_FORMAT,
+					version: 1,
+					tracks: [],
+					sources: [{ id: "source_1", file: "audio/source_1.wav" }],
+				}),
+			),
+		).rejects.toThrow("Project audio audio/source_1.wav is missing");
+	});
+});
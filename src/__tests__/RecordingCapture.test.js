@@ -0,0 +1,135 @@
+import {
+	RECORDER_PROCESSOR_NAME,
+	RECORDER_WORKLET_SOURCE,
+	RecordingCapture,
+} from "../services/RecordingCapture";
+
+// Evaluate the processor source in a fake AudioWorkletGlobalScope
+const loadProcessor = () => {
+	let Processor = null;
+	class FakeAudioWorkletProcessor {
+		constructor() {
+			this.port = { postMessage: jest.fn(), onmessage: null };
+		}
+	}
+	new Function("AudioWorkletProcessor", "registerProcessor", RECORDER_WORKLET_SOURCE)(
+		FakeAudioWorkletProcessor,
+		(name, processorClass) => {
+			expect(name).toBe(RECORDER_PROCESSOR_NAME);
+			Processor = processorClass;
+		},
+	);
+	return Processor;
+};
+
+const quantum = (value, frames = 128) => new Float32Array(frames).fill(value);
+
+describe("Recorder worklet processor", () => {
+	test("should post full chunks per input channel", () => {
+		const Processor = loadProcessor();
+		const processor = new Processor({
+			processorOptions: { channelCount: 2, chunkFrames: 256 },
+		});
+
+		processor.process([[quantum(0.1), quantum(0.2)]]);
+		expect(processor.port.postMessage).not.toHaveBeenCalled();
+
+		processor.process([[quantum(0.3), quantum(0.4)]]);
+		const [message, transfer] = processor.port.postMessage.mock.calls[0];
+		expect(message.type).toBe("chunk");
+		expect(message.channels).toHaveLength(2);
+		expect(message.channels[0]).toHaveLength(256);
+		expect(message.channels[0][200]).toBeCloseTo(0.3);
+		expect(message.channels[1][0]).toBeCloseTo(0.2);
+		expect(transfer).toHaveLength(2);
+	});
+
+	test("should deliver the partial chunk on flush and then stop", () => {
+		const Processor = loadProcessor();
+		const processor = new Processor({
+			processorOptions: { channelCount: 1, chunkFrames: 1024 },
+		});
+
+		processor.process([[quantum(0.5)]]);
+		processor.port.onmessage({ data: "flush" });
+
+		const calls = processor.port.postMessage.mock.calls;
+		expect(calls[0][0].channels[0]).toHaveLength(128);
+		expect(calls[1][0]).toEqual({ type: "flushed" });
+		expect(processor.process([[quantum(0.5)]])).toBe(false);
+	});
+});
+
+describe("RecordingCapture", () => {
+	let source;
+
+	beforeEach(() => {
+		source = { connect: jest.fn() };
+	});
+
+	afterEach(() => {
+		delete window.AudioWorkletNode;
+	});
+
+	test("should capture through an AudioWorklet when available", async () => {
+		const node = {
+			port: { postMessage: jest.fn(), onmessage: null },
+			disconnect: jest.fn(),
+		};
+		window.AudioWorkletNode = jest.fn(() => node);
+		URL.createObjectURL = jest.fn(() => "blob:recorder");
+		URL.revokeObjectURL = jest.fn();
+		const context = { audioWorklet: { addModule: jest.fn().mockResolvedValue() } };
+		const onChunk = jest.fn();
+
+		const capture = new RecordingCapture(context, { channelCount: 1, onChunk });
+		await capture.start(source);
+
+		expect(context.audioWorklet.addModule).toHaveBeenCalledWith("blob:recorder");
+		expect(window.AudioWorkletNode).toHaveBeenCalledWith(
+			context,
+			RECORDER_PROCESSOR_NAME,
+			expect.objectContaining({ channelCount: 1, channelCountMode: "explicit" }),
+		);
+		expect(source.connect).toHaveBeenCalledWith(node);
+
+		const chunk = [new Float32Array(4)];
+		node.port.onmessage({ data: { type: "chunk", channels: chunk } });
+		expect(onChunk).toHaveBeenCalledWith(chunk);
+
+		node.port.postMessage.mockImplementation(() => {
+			node.port.onmessage({ data: { type: "flushed" } });
+		});
+		await capture.stop();
+
+		expect(node.port.postMessage).toHaveBeenCalledWith("flush");
+		expect(node.disconnect).toHaveBeenCalled();
+	});
+
+	test("should fall back to a ScriptProcessor without AudioWorklet", async () => {
+		const processor = { connect: jest.fn(), disconnect: jest.fn() };
+		const context = {
+			createScriptProcessor: jest.fn(() => processor),
+			destination: {},
+		};
+		const onChunk = jest.fn();
+
+		const capture = new RecordingCapture(context, { channelCount: 2, onChunk });
+		await capture.start(source);
+
+		expect(capture.usingWorklet).toBe(false);
+		expect(context.createScriptProcessor).toHaveBeenCalledWith(4096, 2, 2);
+		expect(processor.connect).toHaveBeenCalledWith(context.destination);
+
+		processor.onaudioprocess({
+			inputBuffer: {
+				numberOfChannels: 2,
+				getChannelData: (channel) => quantum(channel + 1, 4),
+			},
+		});
+		expect(onChunk.mock.calls[0][0][1][0]).toBe(2);
+
+		await capture.stop();
+		expect(processor.disconnect).toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,98 @@
+import "fake-indexeddb/auto";
+import { IDBFactory } from "fake-indexeddb";
+import { RecordingJournal } from "../services/RecordingJournal";
+
+const chunk = (...channels) => channels.map((values) => new Float32Array(values));
+
+describe("RecordingJournal", () => {
+	beforeEach(() => {
+		// A fresh database per test
+		global.indexedDB = new IDBFactory();
+		jest.useFakeTimers({ doNotFake: ["setImmediate", "queueMicrotask", "nextTick"] });
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+	});
+
+	test("should persist chunks and read the take back in order", async () => {
+		const journal = new RecordingJournal();
+		const takeId = await journal.begin({ sampleRate: 48000, numberOfChannels: 2, startPosition: 1.5 });
+
+		journal.append(chunk([0.1, 0.2], [0.5, 0.6]));
+		journal.append(chunk([0.3], [0.7]));
+		await journal.flush();
+		journal.append(chunk([0.4], [0.8]));
+		await journal.end();
+
+		const take = await journal.load(takeId);
+
+		expect(take.meta).toMatchObject({ sampleRate: 48000, numberOfChannels: 2, startPosition: 1.5 });
+		expect(Array.from(take.channels[0])).toEqual([0.1, 0.2, 0.3, 0.4].map(Math.fround));
+		expect(Array.from(take.channels[1])).toEqual([0.5, 0.6, 0.7, 0.8].map(Math.fround));
+	});
+
+	test("should flush on its own while recording", async () => {
+		const journal = new RecordingJournal();
+		const takeId = await journal.begin({ sampleRate: 44100, numberOfChannels: 1 });
+		const flush = jest.spyOn(journal, "flush");
+
+		journal.append(chunk([0.25]));
+		jest.advanceTimersByTime(1000);
+		await journal.writing;
+
+		expect(flush).toHaveBeenCalled();
+		const take = await new RecordingJournal().load(takeId);
+		expect(Array.from(take.channels[0])).toEqual([0.25]);
+		await journal.end();
+	});
+
+	test("should offer a take left behind by an earlier session", async () => {
+		// The tab dies mid-take: chunks written, end() never called
+		const crashed = new RecordingJournal();
+		const takeId = await crashed.begin({ sampleRate: 22050, numberOfChannels: 1 });
+		crashed.append(chunk([0.1, 0.2, 0.3]));
+		await crashed.flush();
+		clearInterval(crashed.flushTimer);
+		// ...and the browser drops its lock
+		await crashed.locks.get(takeId)();
+
+		const journal = new RecordingJournal();
+		const takes = await journal.listTakes();
+
+		expect(takes).toHaveLength(1);
+		expect(takes[0]).toMatchObject({ id: takeId, sampleRate: 22050, numberOfChannels: 1 });
+		expect((await journal.load(takeId)).channels[0]).toHaveLength(3);
+	});
+
+	test("should not offer the take being recorded", async () => {
+		const journal = new RecordingJournal();
+		await journal.begin({ sampleRate: 44100, numberOfChannels: 2 });
+
+		expect(await journal.listTakes()).toEqual([]);
+		await journal.end();
+	});
+
+	test("should not offer a take another tab is recording", async () => {
+		const recording = new RecordingJournal();
+		await recording.begin({ sampleRate: 44100, numberOfChannels: 1 });
+		recording.append(chunk([0.1, 0.2]));
+		await recording.flush();
+
+		expect(await new RecordingJournal().listTakes()).toEqual([]);
+		await recording.end();
+	});
+
+	test("should delete a discarded take and its chunks", async () => {
+		const journal = new RecordingJournal();
+		const takeId = await journal.begin({ sampleRate: 44100, numberOfChannels: 1 });
+		journal.append(chunk([0.1]));
+		await journal.end();
+
+		await journal.discard(takeId);
+
+		expect(await journal.listTakes()).toEqual([]);
+		expect(await journal.load(takeId)).toBeNull();
+		expect(await journal.store.getAll("chunks")).toEqual([]);
+	});
+});
@@ -0,0 +1,125 @@
+import { RESAMPLE_QUALITIES, Resampler } from "../services/Resampler";
+
+const sine = (frequency, sampleRate, length, phase = 0) =>
+	Float32Array.from({ length }, (_, i) =>
+		Math.sin((2 * Math.PI * frequency * i) / sampleRate + phase),
+	);
+
+const rms = (data, from = 0, to = data.length) => {
+	let sum = 0;
+	for (let i = from; i < to; i++) sum += data[i] * data[i];
+	return Math.sqrt(sum / (to - from));
+};
+
+// Largest difference from the ideal sine, away from the edges
+const sineError = (output, frequency, sampleRate, margin) => {
+	const ideal = sine(frequency, sampleRate, output.length);
+	let error = 0;
+	for (let i = margin; i < output.length - margin; i++) {
+		error = Math.max(error, Math.abs(output[i] - ideal[i]));
+	}
+	return error;
+};
+
+const createContext = () => ({
+	createBuffer: jest.fn((numberOfChannels, length, sampleRate) => {
+		const channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+		return {
+			numberOfChannels,
+			length,
+			sampleRate,
+			getChannelData: (channel) => channels[channel],
+		};
+	}),
+});
+
+describe("Resampler", () => {
+	test("should produce the length the ratio implies", () => {
+		const resampler = new Resampler("low");
+
+		expect(resampler.process(new Float32Array(44100), 48000 / 44100)).toHaveLength(48000);
+		expect(resampler.process(new Float32Array(48000), 44100 / 48000)).toHaveLength(44100);
+		expect(resampler.process(new Float32Array(100), 2, 150)).toHaveLength(150);
+	});
+
+	test("should convert a tone between rates accurately", () => {
+		const input = sine(1000, 44100, 4410);
+
+		const output = new Resampler("high").process(input, 48000 / 44100);
+
+		expect(sineError(output, 1000, 48000, 200)).toBeLessThan(1e-3);
+	});
+
+	test("should keep DC level", () => {
+		const output = new Resampler("medium").process(new Float32Array(2000).fill(0.5), 0.75);
+
+		expect(output[750]).toBeCloseTo(0.5, 3);
+	});
+
+	test("should filter out frequencies above the new Nyquist frequency", () => {
+		// 18 kHz can't exist at 22.05 kHz; it must not fold back down as 4 kHz
+		const input = sine(18000, 48000, 9600);
+
+		const output = new Resampler("high").process(input, 22050 / 48000);
+
+		expect(rms(output, 200, output.length - 200)).toBeLessThan(0.01);
+	});
+
+	test("should keep frequencies below the new Nyquist frequency", () => {
+		const input = sine(3000, 48000, 9600);
+
+		const output = new Resampler("high").process(input, 22050 / 48000);
+
+		expect(rms(output, 200, output.length - 200)).toBeCloseTo(Math.SQRT1_2, 2);
+	});
+
+	test("should be more accurate at higher qualities", () => {
+		const input = sine(15000, 44100, 4410);
+		const error = (quality) =>
+			sineError(new Resampler(quality).process(input, 48000 / 44100), 15000, 48000, 400);
+
+		expect(error("best")).toBeLessThan(error("medium"));
+		expect(error("medium")).toBeLessThan(error("low"));
+	});
+
+	test("should offer every quality", () => {
+		Object.keys(RESAMPLE_QUALITIES).forEach((quality) => {
+			expect(new Resampler(quality).quality).toBe(quality);
+		});
+		expect(() => new Resampler("ultra")).toThrow("Unknown resampling quality: ultra");
+	});
+
+	test("should resample every channel of a buffer", () => {
+		const context = createContext();
+		const source = context.createBuffer(2, 4410, 44100);
+		source.getChannelData(0).set(sine(440, 44100, 4410));
+		source.getChannelData(1).fill(0.25);
+
+		const output = new Resampler().resampleBuffer(context, source, 22050);
+
+		expect(output.sampleRate).toBe(22050);
+		expect(output.length).toBe(2205);
+		expect(sineError(output.getChannelData(0), 440, 22050, 100)).toBeLessThan(1e-3);
+		expect(output.getChannelData(1)[1000]).toBeCloseTo(0.25, 3);
+	});
+
+	test("should resample a window at a time as it would all at once", async () => {
+		const input = sine(440, 44100, 4410);
+		const read = jest.fn(async (start, frames) => [input.slice(start, start + frames)]);
+		const resampler = new Resampler();
+		const readWindow = resampler.createReader(read, input.length, 48000 / 44100);
+
+		const [window] = await readWindow(1000, 500);
+
+		const whole = resampler.process(input, 48000 / 44100);
+		expect(Math.max(...window.map((v, i) => Math.abs(v - whole[1000 + i])))).toBeLessThan(1e-6);
+		expect(read.mock.calls[0][1]).toBeLessThan(600);
+	});
+
+	test("should return a buffer that is already at the rate", () => {
+		const context = createContext();
+		const source = context.createBuffer(1, 10, 48000);
+
+		expect(new Resampler().resampleBuffer(context, source, 48000)).toBe(source);
+	});
+});
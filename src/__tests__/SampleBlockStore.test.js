@@ -0,0 +1,116 @@
+import "fake-indexeddb/auto";
+import { IDBFactory } from "fake-indexeddb";
+import { SampleBlockStore } from "../services/SampleBlockStore";
+
+// A block of n frames per channel takes n * 4 bytes per channel
+const block = (frames, value, numberOfChannels = 1) =>
+	Array.from({ length: numberOfChannels }, () => new Float32Array(frames).fill(value));
+
+describe("SampleBlockStore", () => {
+	beforeEach(() => {
+		global.indexedDB = new IDBFactory();
+	});
+
+	test("should write blocks and read them back", async () => {
+		const store = new SampleBlockStore();
+		const id = await store.write(block(4, 0.5, 2));
+
+		const channels = await store.read(id);
+
+		expect(channels).toHaveLength(2);
+		expect(Array.from(channels[1])).toEqual([0.5, 0.5, 0.5, 0.5]);
+	});
+
+	test("should keep the cache within its memory budget", async () => {
+		const store = new SampleBlockStore({ cacheBytes: 32 });
+
+		const first = await store.write(block(4, 0.1));
+		const second = await store.write(block(4, 0.2));
+		const third = await store.write(block(4, 0.3));
+
+		expect(store.cachedBytes).toBeLessThanOrEqual(32);
+		expect(store.peek(first)).toBeNull();
+		expect(store.peek(second)).not.toBeNull();
+		expect(store.peek(third)).not.toBeNull();
+	});
+
+	test("should evict the least recently used block first", async () => {
+		const store = new SampleBlockStore({ cacheBytes: 32 });
+		const first = await store.write(block(4, 0.1));
+		const second = await store.write(block(4, 0.2));
+
+		store.peek(first);
+		await store.write(block(4, 0.3));
+
+		expect(store.peek(first)).not.toBeNull();
+		expect(store.peek(second)).toBeNull();
+	});
+
+	test("should reload evicted blocks from disk", async () => {
+		const store = new SampleBlockStore({ cacheBytes: 16 });
+		const first = await store.write(block(4, 0.25));
+		await store.write(block(4, 0.75));
+		expect(store.peek(first)).toBeNull();
+
+		const channels = await store.read(first);
+
+		expect(Array.from(channels[0])).toEqual([0.25, 0.25, 0.25, 0.25]);
+		expect(store.peek(first)).not.toBeNull();
+	});
+
+	test("should not evict blocks that are still being written", async () => {
+		const store = new SampleBlockStore({ cacheBytes: 0 });
+		const writing = store.write(block(4, 0.5));
+
+		expect(store.cache.size).toBe(1);
+		const id = await writing;
+		expect(store.peek(id)).toBeNull();
+	});
+
+	test("should report a missing block", async () => {
+		const store = new SampleBlockStore();
+
+		await expect(store.read("nope")).rejects.toThrow("Sample block nope is missing");
+	});
+
+	test("should remove its own blocks on clearSession", async () => {
+		const other = new SampleBlockStore();
+		const kept = await other.write(block(2, 0.1));
+		const store = new SampleBlockStore();
+		const id = await store.write(block(2, 0.2));
+
+		await store.clearSession();
+
+		await expect(store.read(id)).rejects.toThrow("missing");
+		expect(await new SampleBlockStore().read(kept)).toHaveLength(1);
+	});
+
+	test("should prune blocks left behind by sessions that are gone", async () => {
+		const realNow = Date.now;
+		Date.now = () => realNow() - 1000;
+		const closed = new SampleBlockStore();
+		const stale = await closed.write(block(2, 0.1));
+		await closed.close();
+		Date.now = realNow;
+
+		const store = new SampleBlockStore();
+		await store.write(block(2, 0.2));
+		await store.pruning;
+
+		await expect(new SampleBlockStore().read(stale)).rejects.toThrow("missing");
+	});
+
+	test("should keep old blocks of a session that is still open", async () => {
+		const realNow = Date.now;
+		Date.now = () => realNow() - 2 * 24 * 60 * 60 * 1000;
+		const open = new SampleBlockStore();
+		const old = await open.write(block(2, 0.1));
+		Date.now = realNow;
+
+		const store = new SampleBlockStore();
+		await store.write(block(2, 0.2));
+		await store.pruning;
+
+		expect(await new SampleBlockStore().read(old)).toHaveLength(1);
+	});
+});
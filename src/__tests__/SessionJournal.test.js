@@ -0,0 +1,149 @@
+import "fake-indexeddb/auto";
+import { IDBFactory } from "fake-indexeddb";
+import { BLOCK_FRAMES } from "../services/BlockedAudio";
+import { SessionJournal } from "../services/SessionJournal";
+
+// A source as listed by getProjectData, reading from plain arrays
+const source = (id, ...channels) => {
+	const data = channels.map((values) => Float32Array.from(values));
+	return {
+		id,
+		sampleRate: 48000,
+		numberOfChannels: data.length,
+		length: data[0].length,
+		read: jest.fn(async (start, frames) => data.map((c) => c.subarray(start, start + frames))),
+	};
+};
+
+const session = (...sources) => ({
+	tracks: sources.map((id, index) => ({
+		id: `track_${index}`,
+		name: `Track ${index}`,
+		clips: [{ source: id, offset: 0, duration: 1, position: index * 2 }],
+	})),
+	labels: [],
+	history: { canUndo: true, undoDescription: "Amplify", undoStackSize: 3 },
+});
+
+describe("SessionJournal", () => {
+	beforeEach(() => {
+		// A fresh database per test
+		global.indexedDB = new IDBFactory();
+	});
+
+	test("should read a session back with its audio", async () => {
+		const journal = new SessionJournal();
+		const audio = source("source_1", [0.1, 0.2, 0.3], [0.4, 0.5, 0.6]);
+		journal.sourceIds.set({}, "source_1");
+		await journal.save(session("source_1"), [audio]);
+
+		const recovered = await new SessionJournal().load(journal.sessionId);
+
+		expect(recovered.tracks[0].name).toBe("Track 0");
+		expect(recovered.history.undoDescription).toBe("Amplify");
+		const recoveredAudio = recovered.sources.get("source_1");
+		expect(recoveredAudio.sampleRate).toBe(48000);
+		expect(recoveredAudio.numberOfChannels).toBe(2);
+		expect(Array.from((await recoveredAudio.read(0, 3))[1])).toEqual([0.4, 0.5, 0.6].map(Math.fround));
+	});
+
+	test("should write each source once, in blocks", async () => {
+		const journal = new SessionJournal();
+		const long = source("source_1", new Array(BLOCK_FRAMES + 10).fill(0.5));
+		journal.sourceIds.set({}, "source_1");
+
+		expect(await journal.save(session("source_1"), [long])).toBe(true);
+		expect(long.read).toHaveBeenCalledTimes(2);
+		// Nothing new: not even the session record is rewritten
+		expect(await journal.save(session("source_1"), [])).toBe(false);
+
+		const recovered = await new SessionJournal().load(journal.sessionId);
+		expect(recovered.sources.get("source_1").length).toBe(BLOCK_FRAMES + 10);
+	});
+
+	test("should drop the audio of deleted tracks", async () => {
+		const journal = new SessionJournal();
+		journal.sourceIds.set({}, "source_1");
+		journal.sourceIds.set({}, "source_2");
+		await journal.save(session("source_1", "source_2"), [
+			source("source_1", [0.1]),
+			source("source_2", [0.2]),
+		]);
+
+		await journal.save(session("source_2"), []);
+
+		const recovered = await new SessionJournal().load(journal.sessionId);
+		expect(Array.from(recovered.sources.keys())).toEqual(["source_2"]);
+		expect(recovered.duration).toBe(1);
+	});
+
+	test("should keep the audio undo steps still play", async () => {
+		const journal = new SessionJournal();
+		journal.sourceIds.set({}, "source_1");
+		journal.sourceIds.set({}, "source_2");
+		await journal.save(session("source_1", "source_2"), [
+			source("source_1", [0.1]),
+			source("source_2", [0.2]),
+		]);
+
+		const undoHistory = { undo: [{ type: "removeTrack" }], redo: [], sources: ["source_1"] };
+		await journal.save({ ...session("source_2"), undoHistory }, []);
+
+		const recovered = await new SessionJournal().load(journal.sessionId);
+		expect(Array.from(recovered.sources.keys())).toEqual(["source_1", "source_2"]);
+		expect(recovered.undoHistory.undo).toEqual([{ type: "removeTrack" }]);
+	});
+
+	test("should list sessions of closed tabs, newest first", async () => {
+		const older = new SessionJournal();
+		const newer = new SessionJournal();
+		const now = jest.spyOn(Date, "now").mockReturnValue(1000);
+		await older.save(session(), []);
+		now.mockReturnValue(2000);
+		await newer.save(session(), []);
+		now.mockRestore();
+		await older.close();
+		await newer.close();
+
+		const sessions = await new SessionJournal().listSessions();
+
+		expect(sessions.map((entry) => entry.id)).toEqual([newer.sessionId, older.sessionId]);
+		expect(sessions[0]).toMatchObject({
+			savedAt: 2000,
+			trackCount: 0,
+			history: { undoDescription: "Amplify" },
+		});
+	});
+
+	test("should not list the sessions of open tabs", async () => {
+		const open = new SessionJournal();
+		await open.save(session(), []);
+		const journal = new SessionJournal();
+		await journal.save(session(), []);
+
+		expect(await journal.listSessions()).toEqual([]);
+		expect(await new SessionJournal().listSessions()).toEqual([]);
+	});
+
+	test("should forget a discarded session", async () => {
+		const journal = new SessionJournal();
+		journal.sourceIds.set({}, "source_1");
+		await journal.save(session("source_1"), [source("source_1", [0.1])]);
+
+		await journal.discard();
+
+		expect(journal.sourceIds.size).toBe(0);
+		expect(await new SessionJournal().listSessions()).toEqual([]);
+		expect(await journal.load(journal.sessionId)).toBeNull();
+	});
+
+	test("should list sources again when writing them fails", async () => {
+		const journal = new SessionJournal();
+		const broken = source("source_1", [0.1]);
+		broken.read.mockRejectedValue(new Error("Out of memory"));
+		journal.sourceIds.set({}, "source_1");
+
+		await expect(journal.save(session("source_1"), [broken])).rejects.toThrow("Out of memory");
+		expect(journal.sourceIds.size).toBe(0);
+	});
+});
@@ -19,6 +19,7 @@ describe("Toolbar", () => {
 		expect(screen.getByTitle("Play")).toBeInTheDocument();
 		expect(screen.getByTitle("Skip to Start")).toBeInTheDocument();
 		expect(screen.getByTitle("Skip to End")).toBeInTheDocument();
+		expect(screen.getByTitle("Loop Playback")).toBeInTheDocument();
 	});
 
 	it("renders tool selection buttons", () => {
@@ -30,6 +31,15 @@ describe("Toolbar", () => {
 		expect(screen.getByTitle("Time Shift Tool")).toBeInTheDocument();
 	});
 
+	it("renders recording and playback level meters", () => {
+		render(<WrappedToolbar />);
+
+		expect(screen.getByTestId("input-level-meter")).toBeInTheDocument();
+		expect(screen.getByTestId("output-level-meter")).toBeInTheDocument();
+		expect(screen.getByText("Recording Level")).toBeInTheDocument();
+		expect(screen.getByText("Playback Level")).toBeInTheDocument();
+	});
+
 	it("renders zoom controls", () => {
 		render(<WrappedToolbar />);
 
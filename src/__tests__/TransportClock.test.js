@@ -0,0 +1,90 @@
+import { TransportClock } from "../services/TransportClock";
+
+describe("TransportClock", () => {
+	let now;
+	let clock;
+
+	beforeEach(() => {
+		now = 10;
+		clock = new TransportClock(() => now);
+	});
+
+	test("should start stopped at position zero", () => {
+		expect(clock.isRunning).toBe(false);
+		expect(clock.getPosition()).toBe(0);
+	});
+
+	test("should advance with the audio clock while running", () => {
+		clock.start(2);
+		now = 11.5;
+
+		expect(clock.getPosition()).toBeCloseTo(3.5);
+	});
+
+	test("should not advance before a scheduled start time", () => {
+		clock.start(1, 12);
+		now = 11;
+
+		expect(clock.getPosition()).toBe(1);
+	});
+
+	test("should freeze on pause and continue from there", () => {
+		clock.start(0);
+		now = 13;
+		expect(clock.pause()).toBeCloseTo(3);
+
+		now = 20;
+		expect(clock.getPosition()).toBeCloseTo(3);
+
+		clock.start(clock.getPosition());
+		now = 21;
+		expect(clock.getPosition()).toBeCloseTo(4);
+	});
+
+	test("should seek while running", () => {
+		clock.start(0);
+		now = 12;
+		clock.seek(30);
+		now = 13;
+
+		expect(clock.getPosition()).toBeCloseTo(31);
+	});
+
+	test("should apply rate changes from the moment they happen", () => {
+		clock.start(0);
+		now = 12;
+		clock.setRate(2);
+		now = 13;
+
+		expect(clock.getPosition()).toBeCloseTo(4);
+	});
+
+	test("should park at a position on stop", () => {
+		clock.start(5);
+		now = 15;
+		clock.stop(1);
+
+		expect(clock.isRunning).toBe(false);
+		expect(clock.getPosition()).toBe(1);
+	});
+
+	test("should follow scheduled jumps once the audio clock reaches them", () => {
+		clock.start(2);
+		clock.scheduleJump(11, 1);
+
+		now = 10.5;
+		expect(clock.getPosition()).toBeCloseTo(2.5);
+
+		now = 11.25;
+		expect(clock.getPosition()).toBeCloseTo(1.25);
+	});
+
+	test("should drop scheduled jumps on seek", () => {
+		clock.start(0);
+		clock.scheduleJump(11, 0);
+		clock.seek(5);
+
+		now = 12;
+		expect(clock.getPosition()).toBeCloseTo(7);
+	});
+});
@@ -146,6 +146,91 @@ describe("UndoRedoManager", () => {
 		});
 	});
 
+	describe("Memory Budget", () => {
+		const commandHolding = (bytes, description) => ({
+			execute: jest.fn(),
+			undo: jest.fn(),
+			getMemoryUsage: () => bytes,
+			description,
+		});
+
+		test("should drop the oldest steps once the history holds too much audio", () => {
+			manager = new UndoRedoManager({ memoryBudget: 1000 });
+
+			manager.executeCommand(commandHolding(400, "First"));
+			manager.executeCommand(commandHolding(400, "Second"));
+			manager.executeCommand(commandHolding(0, "Cheap"));
+			manager.executeCommand(commandHolding(400, "Third"));
+
+			expect(manager.undoStack.map((command) => command.description)).toEqual([
+				"Second",
+				"Cheap",
+				"Third",
+			]);
+			expect(manager.getMemoryUsage()).toBe(800);
+		});
+
+		test("should keep the last step even when it alone is over budget", () => {
+			manager = new UndoRedoManager({ memoryBudget: 1000 });
+
+			manager.executeCommand(commandHolding(100, "Small"));
+			manager.executeCommand(commandHolding(5000, "Huge"));
+
+			expect(manager.undoStack).toHaveLength(1);
+			expect(manager.undo()).toBe(true);
+			expect(manager.getRedoDescription()).toBe("Huge");
+		});
+
+		test("should not limit the number of steps by default", () => {
+			for (let i = 0; i < 100; i++) {
+				manager.executeCommand(commandHolding(0, `Command ${i}`));
+			}
+
+			expect(manager.undoStack).toHaveLength(100);
+		});
+
+		test("should count the steps of a macro command", () => {
+			const macro = new MacroCommand([commandHolding(10), commandHolding(20), { execute() {}, undo() {} }]);
+
+			expect(macro.getMemoryUsage()).toBe(30);
+			expect(new Command().getMemoryUsage()).toBe(0);
+		});
+	});
+
+	describe("Saved History", () => {
+		const savedCommand = (description) => ({
+			execute: jest.fn(),
+			undo: jest.fn(),
+			description,
+			serialize: () => ({ description }),
+		});
+
+		test("should save both stacks and restore the same undo position", () => {
+			manager.executeCommand(savedCommand("First"));
+			manager.executeCommand(savedCommand("Second"));
+			manager.undo();
+
+			const restored = new UndoRedoManager();
+			restored.restore(manager.serialize(), ({ description }) => savedCommand(description));
+
+			expect(restored.getState()).toMatchObject({
+				undoDescription: "First",
+				redoDescription: "Second",
+				undoStackSize: 1,
+				redoStackSize: 1,
+			});
+		});
+
+		test("should leave out the steps behind one that can't be saved", () => {
+			manager.executeCommand(savedCommand("First"));
+			manager.executeCommand({ execute() {}, undo() {}, description: "Unsaved" });
+			manager.executeCommand(savedCommand("Last"));
+
+			expect(manager.serialize()).toEqual({ undo: [{ description: "Last" }], redo: [] });
+			expect(new MacroCommand([savedCommand("A"), new Command()]).serialize()).toBeNull();
+		});
+	});
+
 	describe("Edge Cases", () => {
 		test("should not undo when stack is empty", () => {
 			const result = manager.undo();
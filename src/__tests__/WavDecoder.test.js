@@ -0,0 +1,184 @@
+import { decodeWav, isWav, readWavFile, readWavFrames } from "../services/WavDecoder";
+import { encodeWav, WAVE_FORMAT_IEEE_FLOAT, WAVE_FORMAT_PCM } from "../services/WavEncoder";
+
+const ascii = (text) => Array.from(text, (c) => c.charCodeAt(0));
+const uint16 = (value) => [value & 0xff, value >> 8];
+const uint32 = (value) => [value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff, value >>> 24];
+
+const chunk = (id, body) => [...ascii(id), ...uint32(body.length), ...body, ...(body.length % 2 ? [0] : [])];
+const riff = (chunks, magic = "RIFF") => {
+	const body = [...ascii("WAVE"), ...chunks.flat()];
+	return Uint8Array.from([...ascii(magic), ...uint32(body.length), ...body]).buffer;
+};
+const fmt = (formatTag, numberOfChannels, sampleRate, bitDepth, containerBytes = bitDepth / 8) => {
+	const blockAlign = numberOfChannels * containerBytes;
+	return chunk("fmt ", [
+		...uint16(formatTag),
+		...uint16(numberOfChannels),
+		...uint32(sampleRate),
+		...uint32(sampleRate * blockAlign),
+		...uint16(blockAlign),
+		...uint16(bitDepth),
+	]);
+};
+const zstring = (text) => [...ascii(text), 0];
+
+describe("decodeWav", () => {
+	const ramp = Float32Array.from({ length: 32 }, (_, i) => (i - 16) / 16);
+
+	test.each([16, 24])("should decode %i-bit PCM written by encodeWav", (bitDepth) => {
+		const wav = decodeWav(encodeWav([ramp, ramp.map((v) => -v)], 44100, { bitDepth, dither: "none" }));
+
+		expect(wav.sampleRate).toBe(44100);
+		expect(wav.bitDepth).toBe(bitDepth);
+		expect(wav.formatTag).toBe(WAVE_FORMAT_PCM);
+		for (let i = 0; i < ramp.length; i++) {
+			expect(Math.abs(wav.channels[0][i] - ramp[i])).toBeLessThanOrEqual(2 ** (1 - bitDepth));
+			expect(Math.abs(wav.channels[1][i] + ramp[i])).toBeLessThanOrEqual(2 ** (1 - bitDepth));
+		}
+	});
+
+	test("should decode 32-bit float exactly", () => {
+		const samples = Float32Array.of(0.1, -1.5, 2);
+		const wav = decodeWav(encodeWav([samples], 22050, { bitDepth: 32 }));
+
+		expect(wav.formatTag).toBe(WAVE_FORMAT_IEEE_FLOAT);
+		expect(wav.channels[0]).toEqual(samples);
+		expect(wav.chunks.map((c) => c.id)).toEqual(["fact"]);
+	});
+
+	test("should decode extensible files with more than two channels", () => {
+		const channels = Array.from({ length: 6 }, (_, c) => Float32Array.of(c / 8, -(c + 1) / 8));
+		const wav = decodeWav(encodeWav(channels, 48000, { bitDepth: 24, dither: "none" }));
+
+		expect(wav.channelMask).toBe(0x3f);
+		expect(wav.formatTag).toBe(WAVE_FORMAT_PCM);
+		expect(wav.channels.map((data) => Array.from(data))).toEqual(
+			channels.map((data) => Array.from(data)),
+		);
+	});
+
+	test("should decode 8-bit unsigned, 20-bit in 24 and 64-bit float samples at odd rates", () => {
+		const eight = decodeWav(riff([fmt(WAVE_FORMAT_PCM, 1, 11111, 8), chunk("data", [0, 128, 192])]));
+		expect(eight.sampleRate).toBe(11111);
+		expect(Array.from(eight.channels[0])).toEqual([-1, 0, 0.5]);
+
+		// 20 valid bits, left-justified in 3 bytes: 0x80000 << 4 is half scale
+		const twenty = decodeWav(riff([fmt(WAVE_FORMAT_PCM, 1, 44100, 20, 3), chunk("data", [0, 0, 0x40])]));
+		expect(Array.from(twenty.channels[0])).toEqual([0.5]);
+
+		const double = new Uint8Array(Float64Array.of(-0.25).buffer);
+		const float64 = decodeWav(riff([fmt(WAVE_FORMAT_IEEE_FLOAT, 1, 192000, 64), chunk("data", [...double])]));
+		expect(Array.from(float64.channels[0])).toEqual([-0.25]);
+	});
+
+	test("should take RF64 sizes from the ds64 chunk", () => {
+		const samples = [...uint16(0x4000), ...uint16(0xc000)];
+		const ds64 = chunk("ds64", [
+			...uint32(0xffffffff), 0, 0, 0, 0, // RIFF size, unused here
+			...uint32(samples.length), 0, 0, 0, 0,
+			...uint32(2), 0, 0, 0, 0,
+			...uint32(0),
+		]);
+		const data = [...ascii("data"), ...uint32(0xffffffff), ...samples];
+		const wav = decodeWav(riff([ds64, fmt(WAVE_FORMAT_PCM, 1, 48000, 16), data], "RF64"));
+
+		expect(Array.from(wav.channels[0])).toEqual([0.5, -0.5]);
+	});
+
+	test("should read what there is of a truncated data chunk", () => {
+		const data = [...ascii("data"), ...uint32(1000), ...uint16(0x2000), ...uint16(0x2000), 0];
+		const wav = decodeWav(riff([fmt(WAVE_FORMAT_PCM, 2, 44100, 16), data]));
+
+		expect(wav.channels[0]).toHaveLength(1);
+		expect(wav.channels[1][0]).toBe(0.25);
+	});
+
+	test("should turn cue points and their adtl text into labels", () => {
+		const cuePoint = (id, position) => [
+			...uint32(id), ...uint32(position), ...ascii("data"), ...uint32(0), ...uint32(0), ...uint32(position),
+		];
+		const wav = decodeWav(
+			riff([
+				fmt(WAVE_FORMAT_PCM, 1, 1000, 16),
+				chunk("data", new Array(4000).fill(0)),
+				chunk("cue ", [...uint32(2), ...cuePoint(1, 1500), ...cuePoint(2, 250)]),
+				chunk("LIST", [
+					...ascii("adtl"),
+					...chunk("labl", [...uint32(1), ...zstring("Verse")]),
+					...chunk("ltxt", [...uint32(1), ...uint32(500), ...ascii("rgn "), ...new Array(8).fill(0)]),
+					...chunk("note", [...uint32(2), ...zstring("Count in")]),
+				]),
+				chunk("LIST", [...ascii("INFO"), ...chunk("INAM", zstring("Take 3")), ...chunk("IART", zstring("Band"))]),
+				chunk("bext", [1, 2, 3]),
+			]),
+		);
+
+		expect(wav.cues).toEqual([
+			{ id: 1, position: 1500 },
+			{ id: 2, position: 250 },
+		]);
+		expect(wav.labels).toEqual([
+			{ time: 0.25, endTime: null, text: "Count in" },
+			{ time: 1.5, endTime: 2, text: "Verse" },
+		]);
+		expect(wav.info).toEqual({ INAM: "Take 3", IART: "Band" });
+		expect(wav.chunks.map((c) => c.id)).toEqual(["LIST", "LIST", "bext"]);
+		expect(Array.from(wav.chunks[2].data)).toEqual([1, 2, 3]);
+	});
+
+	test("should leave compressed formats to the browser", () => {
+		expect(decodeWav(riff([fmt(0x0055, 2, 44100, 0, 1), chunk("data", [1, 2])]))).toBeNull();
+	});
+
+	test("should reject files that are not WAV", () => {
+		expect(isWav(new ArrayBuffer(8))).toBe(false);
+		expect(() => decodeWav(new ArrayBuffer(16))).toThrow("Not a WAV file");
+		expect(() => decodeWav(riff([chunk("data", [])]))).toThrow("WAV file has no fmt chunk");
+	});
+});
+
+describe("readWavFile", () => {
+	test("should read a file piecewise, decoding frames on request", async () => {
+		const ramp = Float32Array.from({ length: 32 }, (_, i) => (i - 16) / 16);
+		const file = new Blob([encodeWav([ramp], 8000, { bitDepth: 16, dither: "none" })]);
+
+		const wav = await readWavFile(file);
+		const [channel] = await readWavFrames(wav, 30, 4);
+
+		expect(wav).toMatchObject({ sampleRate: 8000, numberOfChannels: 1, frames: 32 });
+		expect(Array.from(channel)).toEqual([ramp[30], ramp[31]]);
+	});
+
+	test("should reach RF64 files larger than 4 GB without reading their audio", async () => {
+		const dataSize = 2 ** 32 + 4;
+		const ds64 = chunk("ds64", [
+			...uint32(0xffffffff), 0, 0, 0, 0,
+			...uint32(4), 1, 0, 0, 0, // data size, high word 1
+			...uint32(2), 1, 0, 0, 0,
+			...uint32(0),
+		]);
+		const header = new Uint8Array(
+			riff([ds64, fmt(WAVE_FORMAT_PCM, 1, 48000, 16), [...ascii("data"), ...uint32(0xffffffff)]], "RF64"),
+		);
+		// Past the header, every sample is 0x4000 (0.5)
+		const byteAt = (offset) => (offset < header.length ? header[offset] : (offset - header.length) % 2 ? 0x40 : 0);
+		const file = {
+			size: header.length + dataSize,
+			slice: jest.fn((start, end) => ({
+				arrayBuffer: async () => Uint8Array.from({ length: end - start }, (_, i) => byteAt(start + i)).buffer,
+			})),
+		};
+
+		const wav = await readWavFile(file);
+		const [channel] = await readWavFrames(wav, wav.frames - 2, 2);
+
+		expect(wav.frames).toBe(dataSize / 2);
+		expect(Array.from(channel)).toEqual([0.5, 0.5]);
+		expect(Math.max(...file.slice.mock.calls.map(([start, end]) => end - start))).toBeLessThan(100);
+	});
+
+	test("should leave files that are not WAV to other decoders", async () => {
+		expect(await readWavFile(new Blob([new Uint8Array(16)]))).toBeNull();
+	});
+});
@@ -0,0 +1,82 @@
+import {
+	encodeWav,
+	WAVE_FORMAT_EXTENSIBLE,
+	WAVE_FORMAT_IEEE_FLOAT,
+	WAVE_FORMAT_PCM,
+} from "../services/WavEncoder";
+
+const channel = (...values) => new Float32Array(values);
+const readString = (view, offset, length) =>
+	String.fromCharCode(...Array.from({ length }, (_, i) => view.getUint8(offset + i)));
+
+describe("encodeWav", () => {
+	test("should write 16-bit PCM", () => {
+		const view = new DataView(
+			encodeWav([channel(0.5, -1), channel(0, 1)], 48000, { dither: "none" }),
+		);
+
+		expect(readString(view, 0, 4)).toBe("RIFF");
+		expect(view.getUint32(4, true)).toBe(view.byteLength - 8);
+		expect(view.getUint32(16, true)).toBe(16);
+		expect(view.getUint16(20, true)).toBe(WAVE_FORMAT_PCM);
+		expect(view.getUint32(24, true)).toBe(48000);
+		expect(view.getUint32(28, true)).toBe(48000 * 4);
+		expect(readString(view, 36, 4)).toBe("data");
+		expect(view.getUint32(40, true)).toBe(8);
+		// Interleaved L R L R
+		expect([0, 2, 4, 6].map((i) => view.getInt16(44 + i, true))).toEqual([
+			16384, 0, -32768, 32767,
+		]);
+	});
+
+	test("should write 32-bit float with a fact chunk", () => {
+		const view = new DataView(encodeWav([channel(0.25, -1.5)], 44100, { bitDepth: 32 }));
+
+		expect(view.getUint32(16, true)).toBe(18);
+		expect(view.getUint16(20, true)).toBe(WAVE_FORMAT_IEEE_FLOAT);
+		expect(view.getUint16(34, true)).toBe(32);
+		expect(readString(view, 38, 4)).toBe("fact");
+		expect(view.getUint32(46, true)).toBe(2);
+		expect(readString(view, 50, 4)).toBe("data");
+		// Float keeps values past full scale
+		expect(view.getFloat32(58, true)).toBe(0.25);
+		expect(view.getFloat32(62, true)).toBe(-1.5);
+	});
+
+	test("should use WAVE_FORMAT_EXTENSIBLE for more than two channels", () => {
+		const channels = [1, 2, 3, 4, 5, 6].map((n) => channel(n / 8));
+		const view = new DataView(encodeWav(channels, 48000, { bitDepth: 24, dither: "none" }));
+
+		expect(view.getUint32(16, true)).toBe(40);
+		expect(view.getUint16(20, true)).toBe(WAVE_FORMAT_EXTENSIBLE);
+		expect(view.getUint16(22, true)).toBe(6);
+		expect(view.getUint16(32, true)).toBe(18);
+		expect(view.getUint16(36, true)).toBe(22);
+		expect(view.getUint16(38, true)).toBe(24);
+		expect(view.getUint32(40, true)).toBe(0x3f); // 5.1
+		expect(view.getUint16(44, true)).toBe(WAVE_FORMAT_PCM);
+		expect(view.getUint32(60 + 4, true)).toBe(18);
+
+		const sample = (index) => {
+			const offset = 68 + index * 3;
+			return view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+		};
+		expect(sample(0)).toBe(0x100000);
+		expect(sample(5)).toBe(0x600000);
+	});
+
+	test("should pad odd-sized data to an even length", () => {
+		const buffer = encodeWav([channel(0)], 44100, { bitDepth: 24 });
+		const view = new DataView(buffer);
+
+		expect(view.getUint32(40, true)).toBe(3);
+		expect(buffer.byteLength).toBe(48);
+		expect(view.getUint32(4, true)).toBe(40);
+	});
+
+	test("should reject unsupported bit depths", () => {
+		expect(() => encodeWav([channel(0)], 44100, { bitDepth: 12 })).toThrow(
+			"WAV bit depth 12 not supported",
+		);
+	});
+});
@@ -0,0 +1,112 @@
+import { decodeWav } from "../services/WavDecoder";
+import { encodeWav } from "../services/WavEncoder";
+import {
+	buildWavMetadataChunks,
+	createMetadata,
+	isMetadataEmpty,
+	mergeMetadata,
+	readBext,
+	readIxml,
+	readWavMetadata,
+	writeBext,
+	writeIxml,
+} from "../services/WavMetadata";
+
+const bext = {
+	description: "Scene 4 dialogue",
+	originator: "WebAudacity",
+	originatorReference: "WA-0001",
+	originationDate: "2026-10-19",
+	originationTime: "14:30:00",
+	timeReference: 50400.5, // 14:00:00.5
+	umid: "060a2b34".padEnd(128, "0"),
+	codingHistory: "A=PCM,F=48000,W=24,M=stereo\r\n",
+};
+
+describe("bext", () => {
+	test("should lay out the EBU fields", () => {
+		const bytes = writeBext(bext, 48000);
+		const view = new DataView(bytes.buffer);
+
+		expect(bytes.length).toBe(602 + bext.codingHistory.length);
+		expect(String.fromCharCode(...bytes.subarray(0, 16))).toBe("Scene 4 dialogue");
+		expect(String.fromCharCode(...bytes.subarray(320, 330))).toBe("2026-10-19");
+		// 50400.5 s at 48 kHz is past 2^31 samples
+		expect(view.getUint32(338, true)).toBe(2419224000);
+		expect(view.getUint32(342, true)).toBe(0);
+		expect(view.getUint16(346, true)).toBe(1);
+		expect(bytes[348]).toBe(0x06);
+	});
+
+	test("should read back what it writes", () => {
+		expect(readBext(writeBext(bext, 48000), 48000)).toEqual({
+			...bext,
+			codingHistory: "A=PCM,F=48000,W=24,M=stereo",
+		});
+	});
+
+	test("should truncate fields to their size", () => {
+		const read = readBext(writeBext({ ...bext, originator: "x".repeat(40) }, 48000), 48000);
+		expect(read.originator).toBe("x".repeat(32));
+		expect(read.originatorReference).toBe("WA-0001");
+	});
+});
+
+describe("iXML", () => {
+	test("should write and read back the edited fields", () => {
+		const xml = writeIxml({ PROJECT: "Feature <Cut 2>", SCENE: "4", TAKE: "3" });
+
+		expect(xml).toContain("<BWFXML>");
+		expect(xml).toContain("<PROJECT>Feature &lt;Cut 2&gt;</PROJECT>");
+		expect(readIxml(xml)).toEqual({ PROJECT: "Feature <Cut 2>", SCENE: "4", TAKE: "3" });
+	});
+});
+
+describe("metadata model", () => {
+	test("should merge only the fields that are filled in", () => {
+		const project = mergeMetadata(null, { bext: { originator: "Studio" }, info: { IART: "Band" } });
+		const track = { bext: { description: "Take 3", originator: "" }, info: { INAM: "Song" } };
+
+		const merged = mergeMetadata(project, track);
+
+		expect(merged.bext.originator).toBe("Studio");
+		expect(merged.bext.description).toBe("Take 3");
+		expect(merged.info).toEqual({ IART: "Band", INAM: "Song" });
+	});
+
+	test("should tell empty metadata apart", () => {
+		expect(isMetadataEmpty(createMetadata())).toBe(true);
+		expect(isMetadataEmpty(null)).toBe(true);
+		expect(isMetadataEmpty(mergeMetadata(null, { ixml: { TAKE: "1" } }))).toBe(false);
+	});
+});
+
+describe("WAV metadata chunks", () => {
+	test("should write nothing for empty metadata and no labels", () => {
+		expect(buildWavMetadataChunks(createMetadata(), [], 48000)).toEqual([]);
+	});
+
+	test("should round-trip metadata and labels through a WAV file", () => {
+		const metadata = mergeMetadata(null, {
+			bext,
+			info: { INAM: "Dialogue", ICMT: "Room tone at the end" },
+			ixml: { SCENE: "4", TAKE: "3" },
+		});
+		const labels = [
+			{ time: 0.25, endTime: null, text: "Slate" },
+			{ time: 0.5, endTime: 0.75, text: "Line" },
+		];
+		const chunks = buildWavMetadataChunks(metadata, labels, 1000);
+
+		expect(chunks.map((chunk) => chunk.id)).toEqual(["bext", "iXML", "LIST", "cue ", "LIST"]);
+
+		const wav = decodeWav(encodeWav([new Float32Array(1000)], 1000, { chunks }));
+		expect(wav.labels).toEqual(labels);
+		expect(readWavMetadata(wav)).toEqual({
+			bext: { ...bext, timeReference: 50400.5, codingHistory: bext.codingHistory.trim() },
+			info: { INAM: "Dialogue", ICMT: "Room tone at the end" },
+			ixml: { SCENE: "4", TAKE: "3" },
+			cover: null,
+		});
+	});
+});
@@ -0,0 +1,48 @@
+import { runWorkerTask } from "../services/WorkerTask";
+
+// Replies on the next tick the way a worker would
+class EchoWorker {
+	postMessage(message, transfer) {
+		EchoWorker.last = { message, transfer };
+		setTimeout(() => {
+			this.onmessage({ data: message.fail ? { error: "bad input" } : { result: message.value * 2 } });
+		});
+	}
+
+	terminate() {
+		this.terminated = true;
+	}
+}
+
+describe("runWorkerTask", () => {
+	afterEach(() => {
+		delete global.Worker;
+	});
+
+	test("should run inline when workers are unavailable", async () => {
+		const inline = jest.fn(() => 42);
+
+		await expect(runWorkerTask(EchoWorker, { value: 1 }, { inline })).resolves.toBe(42);
+		expect(inline).toHaveBeenCalled();
+	});
+
+	test("should post the job to a worker and resolve with its result", async () => {
+		global.Worker = EchoWorker;
+		const buffer = new ArrayBuffer(8);
+		const inline = jest.fn();
+
+		const result = await runWorkerTask(EchoWorker, { value: 21 }, { transfer: [buffer], inline });
+
+		expect(result).toBe(42);
+		expect(EchoWorker.last.transfer).toEqual([buffer]);
+		expect(inline).not.toHaveBeenCalled();
+	});
+
+	test("should reject with the worker's error", async () => {
+		global.Worker = EchoWorker;
+
+		await expect(runWorkerTask(EchoWorker, { fail: true }, { inline: jest.fn() })).rejects.toThrow(
+			"bad input",
+		);
+	});
+});
@@ -0,0 +1,171 @@
+import { crc32, createZip, readZip, readZipEntry, readZipFile, ZipWriter } from "../services/ZipArchive";
+
+// Entries as listed by the central directory, with their stored data
+const readEntries = (zip) => {
+	const view = new DataView(zip.buffer);
+	const end = zip.length - 22;
+	expect(view.getUint32(end, true)).toBe(0x06054b50);
+	const count = view.getUint16(end + 10, true);
+	const entries = [];
+	for (let i = 0, offset = view.getUint32(end + 16, true); i < count; i++) {
+		expect(view.getUint32(offset, true)).toBe(0x02014b50);
+		const nameLength = view.getUint16(offset + 28, true);
+		const local = view.getUint32(offset + 42, true);
+		const size = view.getUint32(offset + 24, true);
+		const dataStart = local + 30 + view.getUint16(local + 26, true);
+		entries.push({
+			name: new TextDecoder().decode(zip.subarray(offset + 46, offset + 46 + nameLength)),
+			flags: view.getUint16(offset + 8, true),
+			method: view.getUint16(offset + 10, true),
+			crc: view.getUint32(offset + 16, true),
+			data: zip.subarray(dataStart, dataStart + size),
+		});
+		offset += 46 + nameLength;
+	}
+	return entries;
+};
+
+describe("crc32", () => {
+	test("should match the standard check value", () => {
+		expect(crc32(new TextEncoder().encode("123456789"))).toBe(0xcbf43926);
+	});
+
+	test("should continue from the CRC of earlier bytes", () => {
+		const bytes = new TextEncoder().encode("123456789");
+
+		expect(crc32(bytes.subarray(4), crc32(bytes.subarray(0, 4)))).toBe(0xcbf43926);
+	});
+});
+
+describe("createZip", () => {
+	test("should store every file with its UTF-8 name and CRC", () => {
+		const files = [
+			{ name: "01 Intro.wav", data: Uint8Array.of(1, 2, 3) },
+			{ name: "stems/Bäss.flac", data: new Uint8Array(1000).fill(7) },
+		];
+
+		const entries = readEntries(createZip(files));
+
+		expect(entries.map((entry) => entry.name)).toEqual(["01 Intro.wav", "stems/Bäss.flac"]);
+		entries.forEach((entry, i) => {
+			expect(entry.method).toBe(0);
+			expect(entry.flags & 0x0800).toBe(0x0800);
+			expect(entry.crc).toBe(crc32(files[i].data));
+			expect(Array.from(entry.data)).toEqual(Array.from(files[i].data));
+		});
+	});
+
+	test("should write the date in MS-DOS form", () => {
+		const date = new Date(2026, 9, 19, 14, 30, 10);
+		const zip = createZip([{ name: "a", data: new Uint8Array(0), date }]);
+		const view = new DataView(zip.buffer);
+
+		expect(view.getUint16(10, true)).toBe((14 << 11) | (30 << 5) | 5);
+		expect(view.getUint16(12, true)).toBe(((2026 - 1980) << 9) | (10 << 5) | 19);
+	});
+
+	test("should write an empty archive", () => {
+		expect(readEntries(createZip([]))).toEqual([]);
+	});
+
+	test("should refuse more files than the directory can count", () => {
+		const files = Array.from({ length: 0x10000 }, (_, i) => ({ name: `${i}`, data: new Uint8Array(0) }));
+
+		expect(() => createZip(files)).toThrow("ZIP archive of more than 65535 files not supported");
+	});
+});
+
+describe("readZip", () => {
+	const files = [
+		{ name: "project.json", data: new TextEncoder().encode("{}") },
+		{ name: "audio/source_1.wav", data: new Uint8Array(300).fill(9) },
+	];
+
+	test("should read back what createZip writes", () => {
+		const entries = readZip(createZip(files));
+
+		expect(entries.map((entry) => entry.name)).toEqual(["project.json", "audio/source_1.wav"]);
+		entries.forEach((entry, i) => {
+			expect(Array.from(entry.data)).toEqual(Array.from(files[i].data));
+		});
+	});
+
+	test("should find the directory behind an archive comment", () => {
+		const zip = createZip(files);
+		const commented = new Uint8Array(zip.length + 5);
+		commented.set(zip);
+		new DataView(commented.buffer).setUint16(zip.length - 2, 5, true);
+
+		expect(readZip(commented)).toHaveLength(2);
+	});
+
+	test("should refuse damaged and compressed entries", () => {
+		const damaged = createZip(files);
+		damaged[30 + "project.json".length] ^= 0xff;
+		expect(() => readZip(damaged)).toThrow("ZIP entry project.json is damaged");
+
+		const compressed = createZip(files);
+		const end = compressed.length - 22;
+		const directory = new DataView(compressed.buffer).getUint32(end + 16, true);
+		compressed[directory + 10] = 8; // Deflate
+		expect(() => readZip(compressed)).toThrow("only stored entries can be read");
+
+		expect(() => readZip(new Uint8Array(100))).toThrow("Not a ZIP archive");
+	});
+});
+
+describe("ZipWriter", () => {
+	async function* chunks(...parts) {
+		for (const part of parts) yield part;
+	}
+
+	test("should stream an entry in from chunks", async () => {
+		const zip = new ZipWriter();
+		zip.add("project.json", new TextEncoder().encode("{}"));
+		await zip.addStream("audio/source_1.wav", chunks(Uint8Array.of(1, 2), Uint8Array.of(3)));
+
+		const entries = readEntries(new Uint8Array(await zip.toBlob().arrayBuffer()));
+
+		expect(entries.map((entry) => entry.name)).toEqual(["project.json", "audio/source_1.wav"]);
+		expect(Array.from(entries[1].data)).toEqual([1, 2, 3]);
+		expect(entries[1].crc).toBe(crc32(Uint8Array.of(1, 2, 3)));
+	});
+
+	test("should stop before an archive passes 4 GB", async () => {
+		const zip = new ZipWriter();
+		zip.add("first", new Uint8Array(10));
+		// Only the length is looked at before the limit is hit
+		const huge = { length: 0xffffffff - 40 };
+
+		await expect(zip.addStream("second", chunks(huge))).rejects.toThrow(
+			"ZIP archive larger than 4 GB not supported",
+		);
+	});
+});
+
+describe("readZipFile", () => {
+	const files = [
+		{ name: "project.json", data: new TextEncoder().encode("{}") },
+		{ name: "audio/source_1.wav", data: new Uint8Array(300).fill(9) },
+	];
+
+	test("should list entries as slices of the file and read them on request", async () => {
+		const entries = await readZipFile(new Blob([createZip(files)]));
+
+		expect(entries.map((entry) => [entry.name, entry.size])).toEqual([
+			["project.json", 2],
+			["audio/source_1.wav", 300],
+		]);
+		expect(entries[1].data).toBeInstanceOf(Blob);
+		expect(Array.from(await readZipEntry(entries[1]))).toEqual(Array.from(files[1].data));
+	});
+
+	test("should refuse damaged entries and files that aren't ZIP", async () => {
+		const damaged = createZip(files);
+		damaged[30 + "project.json".length] ^= 0xff;
+		const [entry] = await readZipFile(new Blob([damaged]));
+
+		await expect(readZipEntry(entry)).rejects.toThrow("ZIP entry project.json is damaged");
+		await expect(readZipFile(new Blob([new Uint8Array(100)]))).rejects.toThrow("Not a ZIP archive");
+	});
+});
@@ -0,0 +1,97 @@
+import React, { useRef, useState } from "react";
+import { useAudioActions } from "../context/AudioContext";
+import { useLevelMeter } from "../hooks/useLevelMeter";
+import { METER_FLOOR_DB } from "../services/LevelMeter";
+
+const CHANNEL_LABELS = ["L", "R"];
+
+// Position of a dBFS level along the meter, as a percentage
+const levelToPercent = (db) => {
+	if (!Number.isFinite(db) || db <= METER_FLOOR_DB) return 0;
+	return Math.min(100, (1 - db / METER_FLOOR_DB) * 100);
+};
+
+const formatDb = (db) => (Number.isFinite(db) && db > METER_FLOOR_DB ? db.toFixed(1) : "-∞");
+
+/**
+ * Per-channel peak/RMS meter with peak-hold markers and latched clip lights.
+ * Levels are drawn straight into the DOM each animation frame; React only
+ * re-renders when the channel count changes.
+ */
+const LevelMeter = ({ meter, label }) => {
+	const actions = useAudioActions();
+	const [channelCount, setChannelCount] = useState(2);
+	const rowsRef = useRef([]);
+	const readoutRef = useRef(null);
+
+	useLevelMeter(meter, (levels) => {
+		if (levels && levels.length !== channelCount) {
+			setChannelCount(levels.length);
+			return;
+		}
+
+		let loudest = -Infinity;
+		rowsRef.current.forEach((row, channel) => {
+			if (!row) return;
+			const level = levels?.[channel];
+
+			row.querySelector(".level-meter-rms").style.width = `${levelToPercent(level?.rms)}%`;
+			row.querySelector(".level-meter-peak").style.width = `${levelToPercent(level?.peak)}%`;
+			row.querySelector(".level-meter-hold").style.left = `${levelToPercent(level?.peakHold)}%`;
+			// Clip lights stay lit until clicked, even after the meter stops
+			if (level?.clipped) {
+				row.querySelector(".level-meter-clip").classList.add("clipped");
+			}
+			if (level && level.peakHold > loudest) {
+				loudest = level.peakHold;
+			}
+		});
+
+		if (readoutRef.current) {
+			readoutRef.current.textContent = levels ? `${formatDb(loudest)} dB` : "";
+		}
+	});
+
+	const handleClipReset = () => {
+		actions.resetMeter(meter);
+		rowsRef.current.forEach((row) => {
+			row?.querySelector(".level-meter-clip").classList.remove("clipped");
+		});
+	};
+
+	return (
+		<div className="level-meter" data-testid={`${meter}-level-meter`}>
+			<div className="level-meter-header">
+				<label>{label}</label>
+				<span className="level-meter-readout" ref={readoutRef} />
+			</div>
+			{Array.from({ length: channelCount }, (_, channel) => (
+				<div
+					key={channel}
+					className="level-meter-channel"
+					ref={(element) => {
+						rowsRef.current[channel] = element;
+					}}
+				>
+					<span className="level-meter-channel-label">
+						{channelCount === 1 ? "M" : CHANNEL_LABELS[channel]}
+					</span>
+					<div className="level-meter-bar">
+						<div className="level-meter-peak" />
+						<div className="level-meter-rms" />
+						<div className="level-meter-hold" />
+					</div>
+					<button
+						type="button"
+						className="level-meter-clip"
+						onClick={handleClipReset}
+						title="Clip indicator (click to reset)"
+						data-testid={`${meter}-clip-${channel}`}
+					/>
+				</div>
+			))}
+		</div>
+	);
+};
+
+export default LevelMeter;
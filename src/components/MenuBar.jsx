@@ -1,5 +1,6 @@
 import React, { useState } from "react";
 import { useAudioActions, useAudioState } from "../context/AudioContext";
+import { PROJECT_FILE_EXTENSION } from "../services/ProjectFile";
 
 const MenuBar = ({ onMenuAction }) => {
 	const [activeMenu, setActiveMenu] = useState(null);
@@ -14,6 +15,10 @@ const MenuBar = ({ onMenuAction }) => {
 		onMenuAction?.("export");
 	};
 
+	const handleExportMultiple = () => {
+		onMenuAction?.("exportMultiple");
+	};
+
 	const handleNewProject = () => {
 		// Clear all tracks and reset state
 		actions.clearError();
@@ -29,42 +34,23 @@ const MenuBar = ({ onMenuAction }) => {
 		onMenuAction?.("generate", { type });
 	};
 
-	// Save project functionality
-	const handleSaveProject = () => {
-		try {
-			const projectData = {
-				tracks: Array.from(state.tracks.entries()).map(([id, track]) => ({
-					id,
-					name: track.name,
-					// Note: In a real implementation, you'd serialize the audio data
-					// For now, we'll just save metadata
-					metadata: {
-						duration: track.duration,
-						sampleRate: track.sampleRate,
-						channels: track.channels,
-					},
-				})),
-				settings: state.projectSettings,
-				timestamp: new Date().toISOString(),
-			};
-
-			const blob = new Blob([JSON.stringify(projectData, null, 2)], {
-				type: "application/json",
-			});
+	const handleOpenProject = () => {
+		onMenuAction?.("openProject");
+	};
 
-			const url = URL.createObjectURL(blob);
-			const a = document.createElement("a");
-			a.href = url;
-			a.download = `webaudacity-project-${Date.now()}.json`;
-			document.body.appendChild(a);
-			a.click();
-			document.body.removeChild(a);
-			URL.revokeObjectURL(url);
+	// Save the project with its audio, to be opened again later
+	const handleSaveProject = async () => {
+		const blob = await actions.saveProject();
+		if (!blob) return;
 
-			actions.setStatus("Project saved successfully");
-		} catch (error) {
-			actions.setError("Failed to save project");
-		}
+		const url = URL.createObjectURL(blob);
+		const a = document.createElement("a");
+		a.href = url;
+		a.download = `webaudacity-project-${Date.now()}${PROJECT_FILE_EXTENSION}`;
+		document.body.appendChild(a);
+		a.click();
+		document.body.removeChild(a);
+		URL.revokeObjectURL(url);
 	};
 
 	// Undo/Redo functionality
@@ -95,6 +81,19 @@ const MenuBar = ({ onMenuAction }) => {
 		actions.paste();
 	};
 
+	const handleMetadata = () => {
+		onMenuAction?.("metadata");
+	};
+
+	const handleResample = () => {
+		if (state.tracks.size === 0) {
+			actions.setStatus("No audio tracks to resample");
+			return;
+		}
+
+		onMenuAction?.("resample");
+	};
+
 	// Analysis tools
 	const handlePlotSpectrum = () => {
 		if (state.tracks.size === 0) {
@@ -162,12 +161,13 @@ const MenuBar = ({ onMenuAction }) => {
 			label: "File",
 			items: [
 				{ label: "New", action: handleNewProject },
-				{ label: "Open...", action: handleFileImport },
+				{ label: "Open...", action: handleOpenProject },
 				{
 					label: "Save Project",
 					action: handleSaveProject,
 				},
 				{ label: "Export Audio...", action: handleExport },
+				{ label: "Export Multiple...", action: handleExportMultiple },
 				{ type: "separator" },
 				{ label: "Import > Audio...", action: handleFileImport },
 			],
@@ -195,8 +195,14 @@ const MenuBar = ({ onMenuAction }) => {
 				{ label: "Delete", action: actions.delete },
 				{ type: "separator" },
 				{ label: "Select All", action: actions.selectAll },
+				{ type: "separator" },
+				{ label: "Metadata...", action: handleMetadata },
 			],
 		},
+		{
+			label: "Tracks",
+			items: [{ label: "Resample...", action: handleResample }],
+		},
 		{
 			label: "Generate",
 			items: [
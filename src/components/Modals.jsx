@@ -1,5 +1,26 @@
 import { AlertTriangle, CheckCircle, Info, X } from "lucide-react";
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import { DEFAULT_FILE_NAME_TEMPLATES, planExportMultiple } from "../services/ExportMultiple";
+import {
+	createMetadata,
+	INFO_FIELDS,
+	IXML_FIELDS,
+	mergeMetadata,
+} from "../services/WavMetadata";
+
+// Rates offered for the project and for resampling tracks
+const PROJECT_RATES = [
+	8000, 11025, 16000, 22050, 32000, 44100, 48000, 88200, 96000, 176400, 192000,
+];
+// Bitrates offered for the lossy formats, in kbps
+const MP3_BITRATES = [32, 48, 64, 96, 128, 160, 192, 224, 256, 320];
+const OPUS_BITRATES = [32, 48, 64, 96, 128, 160, 192, 256];
+const RESAMPLE_QUALITY_OPTIONS = [
+	{ value: "low", label: "Low (fastest)" },
+	{ value: "medium", label: "Medium" },
+	{ value: "high", label: "High" },
+	{ value: "best", label: "Best (slowest)" },
+];
 
 const Modal = ({
 	isOpen,
@@ -171,6 +192,8 @@ const FileModal = ({
 	title = "Select File",
 	accept = ".wav,.mp3,.flac,.aiff,.m4a",
 	multiple = false,
+	prompt = "Drop audio files here or click to browse",
+	formats = "WAV, MP3, FLAC, AIFF, M4A",
 }) => {
 	const [dragOver, setDragOver] = useState(false);
 
@@ -213,7 +236,7 @@ const FileModal = ({
 					data-testid="file-drop-zone"
 				>
 					<div className="file-drop-content">
-						<p>Drop audio files here or click to browse</p>
+						<p>{prompt}</p>
 						<input
 							type="file"
 							accept={accept}
@@ -234,7 +257,7 @@ const FileModal = ({
 				</div>
 				<div className="supported-formats" data-testid="supported-formats">
 					<p>
-						<strong>Supported formats:</strong> WAV, MP3, FLAC, AIFF, M4A
+						<strong>Supported formats:</strong> {formats}
 					</p>
 				</div>
 			</div>
@@ -242,109 +265,445 @@ const FileModal = ({
 	);
 };
 
+// Export settings shared by single and multiple export
+const DEFAULT_EXPORT_OPTIONS = {
+	format: "wav",
+	quality: "high",
+	sampleRate: 44100,
+	bitDepth: 16,
+	float: true, // 32-bit samples are float, or integers where the format has them
+	dither: "triangular",
+	compressionLevel: 5,
+	bitrate: 128,
+	vbr: true,
+	channelMode: "joint",
+	channels: "stereo",
+};
+
+// Keep settings valid for the chosen format
+const normalizeExportOptions = (options) => {
+	const next = { ...options };
+	// Only AIFF stores 8-bit samples
+	if (next.format !== "aiff" && next.bitDepth === 8) next.bitDepth = 16;
+	// ...and 32-bit integers
+	if (next.format !== "aiff") next.float = true;
+	// 224 and 320 kbps are offered for MP3 only
+	if (next.format === "opus" && !OPUS_BITRATES.includes(next.bitrate)) next.bitrate = 128;
+	return next;
+};
+
+// Format, rate, sample format and channel controls
+const ExportFormatOptions = ({ options, onChange }) => {
+	// Formats that take a bitrate rather than a sample format
+	const isLossy = options.format === "mp3" || options.format === "opus";
+
+	return (
+		<>
+			<div className="option-group">
+				<label>Format:</label>
+				<select
+					value={options.format}
+					onChange={(e) => onChange("format", e.target.value)}
+					data-testid="export-format-select"
+				>
+					<option value="wav">WAV</option>
+					<option value="mp3">MP3</option>
+					<option value="flac">FLAC</option>
+					<option value="opus">Ogg Opus</option>
+					<option value="aiff">AIFF</option>
+				</select>
+			</div>
+
+			<div className="option-group">
+				<label>Sample Rate:</label>
+				<select
+					value={options.sampleRate}
+					onChange={(e) =>
+						onChange("sampleRate", parseInt(e.target.value))
+					}
+					data-testid="export-sample-rate-select"
+				>
+					<option value={22050}>22050 Hz</option>
+					<option value={44100}>44100 Hz</option>
+					<option value={48000}>48000 Hz</option>
+					<option value={96000}>96000 Hz</option>
+				</select>
+			</div>
+
+			<div className="option-group">
+				<label>Bit Depth:</label>
+				<select
+					value={options.bitDepth === 32 && !options.float ? "32-pcm" : options.bitDepth}
+					onChange={(e) => {
+						onChange("bitDepth", parseInt(e.target.value));
+						onChange("float", e.target.value !== "32-pcm");
+					}}
+					disabled={isLossy}
+					data-testid="export-bit-depth-select"
+				>
+					<option value={8} disabled={options.format !== "aiff"}>
+						8-bit PCM
+					</option>
+					<option value={16}>16-bit PCM</option>
+					<option value={24}>24-bit PCM</option>
+					<option value="32-pcm" disabled={options.format !== "aiff"}>
+						32-bit PCM
+					</option>
+					<option value={32} disabled={options.format === "flac"}>
+						32-bit float
+					</option>
+				</select>
+			</div>
+
+			{options.format === "flac" && (
+				<div className="option-group">
+					<label>Compression Level:</label>
+					<select
+						value={options.compressionLevel}
+						onChange={(e) =>
+							onChange("compressionLevel", parseInt(e.target.value))
+						}
+						data-testid="export-compression-select"
+					>
+						{[0, 1, 2, 3, 4, 5, 6, 7, 8].map((level) => (
+							<option key={level} value={level}>
+								{level === 0 ? "0 (fastest)" : level === 8 ? "8 (smallest)" : level}
+							</option>
+						))}
+					</select>
+				</div>
+			)}
+
+			{isLossy && (
+				<div className="option-group">
+					<label>Bitrate:</label>
+					<select
+						value={options.bitrate}
+						onChange={(e) => onChange("bitrate", parseInt(e.target.value))}
+						data-testid="export-bitrate-select"
+					>
+						{(options.format === "mp3" ? MP3_BITRATES : OPUS_BITRATES).map((kbps) => (
+							<option key={kbps} value={kbps}>
+								{kbps} kbps
+							</option>
+						))}
+					</select>
+				</div>
+			)}
+
+			{options.format === "mp3" && (
+				<div className="option-group">
+					<label>Channel Mode:</label>
+					<select
+						value={options.channelMode}
+						onChange={(e) => onChange("channelMode", e.target.value)}
+						data-testid="export-channel-mode-select"
+					>
+						<option value="joint">Joint Stereo</option>
+						<option value="stereo">Stereo</option>
+						<option value="mono">Mono</option>
+					</select>
+				</div>
+			)}
+
+			{options.format === "opus" && (
+				<>
+					<div className="option-group">
+						<label>Bitrate Mode:</label>
+						<select
+							value={options.vbr ? "vbr" : "cbr"}
+							onChange={(e) => onChange("vbr", e.target.value === "vbr")}
+							data-testid="export-bitrate-mode-select"
+						>
+							<option value="vbr">Variable</option>
+							<option value="cbr">Constant</option>
+						</select>
+					</div>
+				</>
+			)}
+
+			<div className="option-group">
+				<label>Dither:</label>
+				<select
+					value={options.dither}
+					onChange={(e) => onChange("dither", e.target.value)}
+					disabled={
+						options.format === "opus" ||
+						(options.format !== "mp3" && options.bitDepth === 32)
+					}
+					data-testid="export-dither-select"
+				>
+					<option value="none">None</option>
+					<option value="rectangular">Rectangular</option>
+					<option value="triangular">Triangular</option>
+					<option value="shaped">Shaped (noise shaping)</option>
+				</select>
+			</div>
+
+			<div className="option-group">
+				<label>Channels:</label>
+				<select
+					value={options.channels}
+					onChange={(e) => onChange("channels", e.target.value)}
+					data-testid="export-channels-select"
+				>
+					<option value="mono">Mono</option>
+					<option value="stereo">Stereo</option>
+				</select>
+			</div>
+		</>
+	);
+};
+
 // Export Modal Component
-const ExportModal = ({ isOpen, onClose, onExport, tracks = [] }) => {
+const ExportModal = ({
+	isOpen,
+	onClose,
+	onExport,
+	tracks = new Map(),
+	selectedTrackId = null,
+	hasSelection = false,
+}) => {
+	const trackList = Array.from(tracks.values());
 	const [exportOptions, setExportOptions] = useState({
-		format: "wav",
-		quality: "high",
-		sampleRate: 44100,
-		bitDepth: 16,
-		channels: "stereo",
+		...DEFAULT_EXPORT_OPTIONS,
+		range: "project",
+		trackIds: [],
 		exportTracks: "mix",
+		fades: false,
+		fadeLength: 10, // ms
 	});
 
+	// Start from the selected track, or every track, each time the dialog opens
+	useEffect(() => {
+		if (!isOpen) return;
+		const ids = Array.from(tracks.keys());
+		setExportOptions((prev) => ({
+			...prev,
+			trackIds: ids.includes(selectedTrackId) ? [selectedTrackId] : ids,
+		}));
+	}, [isOpen, tracks, selectedTrackId]);
+
 	const handleExport = () => {
 		onExport(exportOptions);
 		onClose();
 	};
 
 	const handleOptionChange = (key, value) => {
-		setExportOptions((prev) => ({ ...prev, [key]: value }));
+		setExportOptions((prev) => normalizeExportOptions({ ...prev, [key]: value }));
 	};
 
+	const toggleTrack = (trackId, checked) => {
+		setExportOptions((prev) => ({
+			...prev,
+			trackIds: checked
+				? [...prev.trackIds, trackId]
+				: prev.trackIds.filter((id) => id !== trackId),
+		}));
+	};
+
+	const choosesTracks = exportOptions.range !== "project";
+	const canExport =
+		(!choosesTracks || exportOptions.trackIds.length > 0) &&
+		(exportOptions.range !== "selection" || hasSelection);
+
 	return (
 		<Modal isOpen={isOpen} onClose={onClose} title="Export Audio" size="medium">
 			<div className="export-modal-content" data-testid="export-modal-content">
 				<div className="export-options" data-testid="export-options">
+					<ExportFormatOptions options={exportOptions} onChange={handleOptionChange} />
+
 					<div className="option-group">
-						<label>Format:</label>
+						<label>Export Range:</label>
 						<select
-							value={exportOptions.format}
-							onChange={(e) => handleOptionChange("format", e.target.value)}
-							data-testid="export-format-select"
+							value={exportOptions.range}
+							onChange={(e) => handleOptionChange("range", e.target.value)}
+							data-testid="export-range-select"
 						>
-							<option value="wav">WAV</option>
-							<option value="mp3">MP3</option>
-							<option value="flac">FLAC</option>
+							<option value="project">Entire Project</option>
+							<option value="tracks">Selected Tracks</option>
+							<option value="selection" disabled={!hasSelection}>
+								Current Selection
+							</option>
 						</select>
 					</div>
 
+					{choosesTracks && (
+						<div className="option-group export-track-list" data-testid="export-track-list">
+							<label>Tracks:</label>
+							<div>
+								{trackList.map((track) => (
+									<label key={track.id}>
+										<input
+											type="checkbox"
+											checked={exportOptions.trackIds.includes(track.id)}
+											onChange={(e) => toggleTrack(track.id, e.target.checked)}
+											data-testid={`export-track-${track.id}`}
+										/>
+										{track.name}
+									</label>
+								))}
+							</div>
+						</div>
+					)}
+
 					<div className="option-group">
-						<label>Sample Rate:</label>
+						<label>Export:</label>
 						<select
-							value={exportOptions.sampleRate}
+							value={exportOptions.exportTracks}
 							onChange={(e) =>
-								handleOptionChange("sampleRate", parseInt(e.target.value))
+								handleOptionChange("exportTracks", e.target.value)
 							}
-							data-testid="export-sample-rate-select"
+							data-testid="export-tracks-select"
 						>
-							<option value={22050}>22050 Hz</option>
-							<option value={44100}>44100 Hz</option>
-							<option value={48000}>48000 Hz</option>
-							<option value={96000}>96000 Hz</option>
+							<option value="mix">Mixed Down</option>
+							<option value="individual">One File per Track</option>
 						</select>
 					</div>
 
 					<div className="option-group">
-						<label>Bit Depth:</label>
-						<select
-							value={exportOptions.bitDepth}
+						<label>
+							<input
+								type="checkbox"
+								checked={exportOptions.fades}
+								onChange={(e) => handleOptionChange("fades", e.target.checked)}
+								data-testid="export-fades-checkbox"
+							/>
+							Fade in and out at the edges
+						</label>
+						<input
+							type="number"
+							min={1}
+							max={1000}
+							value={exportOptions.fadeLength}
+							disabled={!exportOptions.fades}
 							onChange={(e) =>
-								handleOptionChange("bitDepth", parseInt(e.target.value))
+								handleOptionChange("fadeLength", Math.max(1, parseInt(e.target.value) || 1))
 							}
-							disabled={exportOptions.format === "mp3"}
-							data-testid="export-bit-depth-select"
-						>
-							<option value={16}>16-bit</option>
-							<option value={24}>24-bit</option>
-							<option value={32}>32-bit</option>
-						</select>
+							data-testid="export-fade-length-input"
+						/>
+						ms
 					</div>
+				</div>
+
+				<div className="export-actions" data-testid="export-actions">
+					<button
+						type="button"
+						className="button secondary"
+						onClick={onClose}
+						data-testid="export-cancel-button"
+					>
+						Cancel
+					</button>
+					<button
+						type="button"
+						className="button primary"
+						onClick={handleExport}
+						disabled={!canExport}
+						data-testid="export-button"
+					>
+						Export
+					</button>
+				</div>
+			</div>
+		</Modal>
+	);
+};
+
+// Export Multiple Modal: one file per label or per track, zipped
+const ExportMultipleModal = ({ isOpen, onClose, onExport, labels = [], tracks = new Map() }) => {
+	const [exportOptions, setExportOptions] = useState({
+		...DEFAULT_EXPORT_OPTIONS,
+		splitBy: "labels",
+		template: DEFAULT_FILE_NAME_TEMPLATES.labels,
+	});
+
+	const files = useMemo(
+		() =>
+			planExportMultiple({
+				splitBy: exportOptions.splitBy,
+				labels,
+				tracks: Array.from(tracks.values()),
+				template: exportOptions.template,
+			}),
+		[exportOptions.splitBy, exportOptions.template, labels, tracks],
+	);
+
+	const handleOptionChange = (key, value) => {
+		setExportOptions((prev) => normalizeExportOptions({ ...prev, [key]: value }));
+	};
 
+	// An untouched template follows the split
+	const handleSplitChange = (splitBy) => {
+		setExportOptions((prev) => ({
+			...prev,
+			splitBy,
+			template:
+				prev.template === DEFAULT_FILE_NAME_TEMPLATES[prev.splitBy]
+					? DEFAULT_FILE_NAME_TEMPLATES[splitBy]
+					: prev.template,
+		}));
+	};
+
+	const handleExport = () => {
+		onExport(exportOptions);
+		onClose();
+	};
+
+	return (
+		<Modal isOpen={isOpen} onClose={onClose} title="Export Multiple" size="medium">
+			<div className="export-modal-content" data-testid="export-multiple-modal-content">
+				<div className="export-options">
 					<div className="option-group">
-						<label>Channels:</label>
+						<label>Split Files Based On:</label>
 						<select
-							value={exportOptions.channels}
-							onChange={(e) => handleOptionChange("channels", e.target.value)}
-							data-testid="export-channels-select"
+							value={exportOptions.splitBy}
+							onChange={(e) => handleSplitChange(e.target.value)}
+							data-testid="export-multiple-split-select"
 						>
-							<option value="mono">Mono</option>
-							<option value="stereo">Stereo</option>
+							<option value="labels">Labels</option>
+							<option value="tracks">Tracks</option>
 						</select>
 					</div>
 
 					<div className="option-group">
-						<label>Export:</label>
-						<select
-							value={exportOptions.exportTracks}
-							onChange={(e) =>
-								handleOptionChange("exportTracks", e.target.value)
-							}
-							data-testid="export-tracks-select"
-						>
-							<option value="mix">Mixed Down</option>
-							<option value="selection">Selection Only</option>
-							<option value="individual">Individual Tracks</option>
-						</select>
+						<label>File Name:</label>
+						<input
+							type="text"
+							value={exportOptions.template}
+							onChange={(e) => handleOptionChange("template", e.target.value)}
+							data-testid="export-multiple-template-input"
+						/>
+						<small>Fields: {"{label}"}, {"{track}"}, {"{index}"}</small>
 					</div>
+
+					<ExportFormatOptions options={exportOptions} onChange={handleOptionChange} />
 				</div>
 
-				<div className="export-actions" data-testid="export-actions">
+				<div className="form-group">
+					<label>Files ({files.length}):</label>
+					<ul className="export-multiple-files" data-testid="export-multiple-files">
+						{files.map((file) => (
+							<li key={file.name}>
+								{file.name}.{exportOptions.format}
+							</li>
+						))}
+					</ul>
+					{files.length === 0 && (
+						<p>
+							{exportOptions.splitBy === "labels"
+								? "Add labels to split the project at."
+								: "There are no unmuted tracks."}
+						</p>
+					)}
+				</div>
+
+				<div className="export-actions">
 					<button
 						type="button"
 						className="button secondary"
 						onClick={onClose}
-						data-testid="export-cancel-button"
+						data-testid="export-multiple-cancel-button"
 					>
 						Cancel
 					</button>
@@ -352,7 +711,8 @@ const ExportModal = ({ isOpen, onClose, onExport, tracks = [] }) => {
 						type="button"
 						className="button primary"
 						onClick={handleExport}
-						data-testid="export-button"
+						disabled={files.length === 0}
+						data-testid="export-multiple-button"
 					>
 						Export
 					</button>
@@ -872,6 +1232,13 @@ const EffectModal = ({ isOpen, onClose, onApply, effectName }) => {
 							step: 0.1,
 							default: 1.2,
 						},
+						{
+							name: "quality",
+							label: "Quality",
+							type: "select",
+							options: ["low", "medium", "high", "best"],
+							default: "high",
+						},
 					],
 				};
 			case "changePitch":
@@ -1335,15 +1702,39 @@ const EffectModal = ({ isOpen, onClose, onApply, effectName }) => {
 };
 
 // Preferences Modal Component
-const PreferencesModal = ({ isOpen, onClose, onSave }) => {
+const PreferencesModal = ({
+	isOpen,
+	onClose,
+	onSave,
+	preferences,
+	inputDevices = [],
+}) => {
 	const [settings, setSettings] = useState({
 		sampleRate: 44100,
+		resampleQuality: "high",
 		bitDepth: 16,
 		bufferSize: 512,
 		enableAutoSave: false,
 		theme: "light",
+		recordingMode: "new",
+		latency: 0,
+		preRoll: 0,
+		inputDeviceId: "",
+		inputChannels: 2,
+		echoCancellation: false,
+		noiseSuppression: false,
+		autoGainControl: false,
+		monitoring: false,
+		...preferences,
 	});
 
+	// Start from the current session values each time the dialog opens
+	useEffect(() => {
+		if (isOpen && preferences) {
+			setSettings((prev) => ({ ...prev, ...preferences }));
+		}
+	}, [isOpen, preferences]);
+
 	const handleSave = () => {
 		onSave(settings);
 		onClose();
@@ -1365,7 +1756,7 @@ const PreferencesModal = ({ isOpen, onClose, onSave }) => {
 				>
 					<h4>Audio Settings</h4>
 					<div className="form-group">
-						<label>Sample Rate:</label>
+						<label>Project Rate:</label>
 						<select
 							value={settings.sampleRate}
 							onChange={(e) =>
@@ -1373,10 +1764,25 @@ const PreferencesModal = ({ isOpen, onClose, onSave }) => {
 							}
 							data-testid="sample-rate-select"
 						>
-							<option value={22050}>22,050 Hz</option>
-							<option value={44100}>44,100 Hz</option>
-							<option value={48000}>48,000 Hz</option>
-							<option value={96000}>96,000 Hz</option>
+							{PROJECT_RATES.map((rate) => (
+								<option key={rate} value={rate}>
+									{rate.toLocaleString("en-US")} Hz
+								</option>
+							))}
+						</select>
+					</div>
+					<div className="form-group">
+						<label>Resampling Quality:</label>
+						<select
+							value={settings.resampleQuality}
+							onChange={(e) => updateSetting("resampleQuality", e.target.value)}
+							data-testid="resample-quality-select"
+						>
+							{RESAMPLE_QUALITY_OPTIONS.map(({ value, label }) => (
+								<option key={value} value={value}>
+									{label}
+								</option>
+							))}
 						</select>
 					</div>
 					<div className="form-group">
@@ -1410,6 +1816,135 @@ const PreferencesModal = ({ isOpen, onClose, onSave }) => {
 					</div>
 				</div>
 
+				<div
+					className="preference-section"
+					data-testid="recording-settings-section"
+				>
+					<h4>Recording</h4>
+					<div className="form-group">
+						<label>Input Device:</label>
+						<select
+							value={
+								inputDevices.some((d) => d.deviceId === settings.inputDeviceId)
+									? settings.inputDeviceId
+									: ""
+							}
+							onChange={(e) => updateSetting("inputDeviceId", e.target.value)}
+							data-testid="input-device-select"
+						>
+							<option value="">System default</option>
+							{inputDevices.map((device) => (
+								<option key={device.deviceId} value={device.deviceId}>
+									{device.label}
+								</option>
+							))}
+						</select>
+					</div>
+					<div className="form-group">
+						<label>Channels:</label>
+						<select
+							value={settings.inputChannels}
+							onChange={(e) =>
+								updateSetting("inputChannels", parseInt(e.target.value))
+							}
+							data-testid="input-channels-select"
+						>
+							<option value={1}>1 (Mono)</option>
+							<option value={2}>2 (Stereo)</option>
+						</select>
+					</div>
+					<div className="form-group">
+						<label>
+							<input
+								type="checkbox"
+								checked={settings.echoCancellation}
+								onChange={(e) =>
+									updateSetting("echoCancellation", e.target.checked)
+								}
+								data-testid="echo-cancellation-checkbox"
+							/>
+							Echo Cancellation
+						</label>
+					</div>
+					<div className="form-group">
+						<label>
+							<input
+								type="checkbox"
+								checked={settings.noiseSuppression}
+								onChange={(e) =>
+									updateSetting("noiseSuppression", e.target.checked)
+								}
+								data-testid="noise-suppression-checkbox"
+							/>
+							Noise Suppression
+						</label>
+					</div>
+					<div className="form-group">
+						<label>
+							<input
+								type="checkbox"
+								checked={settings.autoGainControl}
+								onChange={(e) =>
+									updateSetting("autoGainControl", e.target.checked)
+								}
+								data-testid="auto-gain-control-checkbox"
+							/>
+							Automatic Gain Control
+						</label>
+					</div>
+					<div className="form-group">
+						<label>
+							<input
+								type="checkbox"
+								checked={settings.monitoring}
+								onChange={(e) => updateSetting("monitoring", e.target.checked)}
+								data-testid="monitoring-checkbox"
+							/>
+							Monitor Input (use headphones to avoid feedback)
+						</label>
+					</div>
+					<div className="form-group">
+						<label>Record Into:</label>
+						<select
+							value={settings.recordingMode}
+							onChange={(e) => updateSetting("recordingMode", e.target.value)}
+							data-testid="recording-mode-select"
+						>
+							<option value="new">New track</option>
+							<option value="append">Selected track, at the playhead</option>
+							<option value="replace">Selected range (punch in/out)</option>
+						</select>
+					</div>
+					<div className="form-group">
+						<label>Latency Compensation (ms):</label>
+						<input
+							type="number"
+							min="0"
+							max="1000"
+							step="1"
+							value={settings.latency}
+							onChange={(e) =>
+								updateSetting("latency", Math.max(0, parseFloat(e.target.value) || 0))
+							}
+							data-testid="latency-input"
+						/>
+					</div>
+					<div className="form-group">
+						<label>Punch-in Pre-roll (s):</label>
+						<input
+							type="number"
+							min="0"
+							max="30"
+							step="0.5"
+							value={settings.preRoll}
+							onChange={(e) =>
+								updateSetting("preRoll", Math.max(0, parseFloat(e.target.value) || 0))
+							}
+							data-testid="pre-roll-input"
+						/>
+					</div>
+				</div>
+
 				<div
 					className="preference-section"
 					data-testid="general-settings-section"
@@ -1464,6 +1999,420 @@ const PreferencesModal = ({ isOpen, onClose, onSave }) => {
 	);
 };
 
+// Recording Recovery Modal Component
+const RecoveryModal = ({
+	isOpen,
+	onClose,
+	recordings = [],
+	onRecover,
+	onDiscard,
+	sessions = [],
+	onRecoverSession,
+	onDiscardSession,
+}) => {
+	const formatFormat = (recording) =>
+		`${recording.numberOfChannels === 1 ? "Mono" : `${recording.numberOfChannels} channels`}, ${recording.sampleRate} Hz`;
+
+	const formatSession = (session) => {
+		const tracks = `${session.trackCount} ${session.trackCount === 1 ? "track" : "tracks"}`;
+		const lastEdit = session.history?.undoDescription
+			? `, last edit: ${session.history.undoDescription}`
+			: "";
+		return `${tracks}, ${session.duration.toFixed(1)}s${lastEdit}`;
+	};
+
+	return (
+		<Modal
+			isOpen={isOpen}
+			onClose={onClose}
+			title={sessions.length > 0 ? "Recover Work" : "Recover Recordings"}
+			type="warning"
+			size="medium"
+		>
+			<div className="recovery-modal-content" data-testid="recovery-modal-content">
+				{sessions.length > 0 && (
+					<>
+						<p>
+							WebAudacity did not close properly. Restoring an autosaved session
+							replaces the current tracks and brings back its undo history, so
+							edits made before the session was saved can still be undone.
+						</p>
+						<ul className="recovery-list">
+							{sessions.map((session) => (
+								<li
+									key={session.id}
+									className="recovery-item"
+									data-testid={`recovery-session-${session.id}`}
+								>
+									<span className="recovery-info">
+										Saved {new Date(session.savedAt).toLocaleString()} (
+										{formatSession(session)})
+									</span>
+									<button
+										type="button"
+										className="button primary"
+										onClick={() => onRecoverSession(session.id)}
+										data-testid={`restore-session-button-${session.id}`}
+									>
+										Restore
+									</button>
+									<button
+										type="button"
+										className="button secondary"
+										onClick={() => onDiscardSession(session.id)}
+										data-testid={`discard-session-button-${session.id}`}
+									>
+										Discard
+									</button>
+								</li>
+							))}
+						</ul>
+					</>
+				)}
+				{recordings.length > 0 && (
+					<>
+						<p>
+							These recordings were interrupted before they were finished. Recover
+							them as new tracks, or discard them.
+						</p>
+						<ul className="recovery-list">
+							{recordings.map((recording) => (
+								<li
+									key={recording.id}
+									className="recovery-item"
+									data-testid={`recovery-item-${recording.id}`}
+								>
+									<span className="recovery-info">
+										{new Date(recording.startedAt).toLocaleString()} (
+										{formatFormat(recording)})
+									</span>
+									<button
+										type="button"
+										className="button primary"
+										onClick={() => onRecover(recording.id)}
+										data-testid={`recover-button-${recording.id}`}
+									>
+										Recover
+									</button>
+									<button
+										type="button"
+										className="button secondary"
+										onClick={() => onDiscard(recording.id)}
+										data-testid={`discard-button-${recording.id}`}
+									>
+										Discard
+									</button>
+								</li>
+							))}
+						</ul>
+					</>
+				)}
+				<div className="modal-buttons">
+					<button
+						type="button"
+						className="button secondary"
+						onClick={onClose}
+						data-testid="recovery-later-button"
+					>
+						Decide Later
+					</button>
+				</div>
+			</div>
+		</Modal>
+	);
+};
+
+// Resample Track Modal Component
+const ResampleModal = ({
+	isOpen,
+	onClose,
+	onResample,
+	tracks = new Map(),
+	selectedTrackId = null,
+	defaultQuality = "high",
+}) => {
+	const trackList = Array.from(tracks.values());
+	const [trackId, setTrackId] = useState("");
+	const [sampleRate, setSampleRate] = useState(44100);
+	const [quality, setQuality] = useState(defaultQuality);
+
+	// Start from the selected track and the project quality each time the dialog opens
+	useEffect(() => {
+		if (!isOpen) return;
+		const initial = tracks.get(selectedTrackId) || tracks.values().next().value;
+		setTrackId(initial?.id || "");
+		setSampleRate(initial?.info?.sampleRate || 44100);
+		setQuality(defaultQuality);
+	}, [isOpen, selectedTrackId, tracks, defaultQuality]);
+
+	const track = tracks.get(trackId);
+
+	const handleResample = () => {
+		if (!track) return;
+		onResample(trackId, sampleRate, quality);
+		onClose();
+	};
+
+	return (
+		<Modal isOpen={isOpen} onClose={onClose} title="Resample Track" size="small">
+			<div className="resample-modal-content" data-testid="resample-modal-content">
+				<div className="form-group">
+					<label>Track:</label>
+					<select
+						value={trackId}
+						onChange={(e) => setTrackId(e.target.value)}
+						data-testid="resample-track-select"
+					>
+						{trackList.map((item) => (
+							<option key={item.id} value={item.id}>
+								{item.name}
+							</option>
+						))}
+					</select>
+				</div>
+				{track?.info?.sampleRate && (
+					<p className="resample-current" data-testid="resample-current-rate">
+						Current rate: {track.info.sampleRate.toLocaleString("en-US")} Hz
+					</p>
+				)}
+				<div className="form-group">
+					<label>New Rate:</label>
+					<select
+						value={sampleRate}
+						onChange={(e) => setSampleRate(parseInt(e.target.value))}
+						data-testid="resample-rate-select"
+					>
+						{PROJECT_RATES.map((rate) => (
+							<option key={rate} value={rate}>
+								{rate.toLocaleString("en-US")} Hz
+							</option>
+						))}
+					</select>
+				</div>
+				<div className="form-group">
+					<label>Quality:</label>
+					<select
+						value={quality}
+						onChange={(e) => setQuality(e.target.value)}
+						data-testid="resample-quality-select"
+					>
+						{RESAMPLE_QUALITY_OPTIONS.map(({ value, label }) => (
+							<option key={value} value={value}>
+								{label}
+							</option>
+						))}
+					</select>
+				</div>
+				<div className="modal-buttons">
+					<button
+						type="button"
+						className="button secondary"
+						onClick={onClose}
+						data-testid="resample-cancel-button"
+					>
+						Cancel
+					</button>
+					<button
+						type="button"
+						className="button primary"
+						onClick={handleResample}
+						disabled={!track}
+						data-testid="resample-button"
+					>
+						Resample
+					</button>
+				</div>
+			</div>
+		</Modal>
+	);
+};
+
+// Metadata Modal Component
+const BEXT_TEXT_INPUTS = [
+	{ key: "originator", label: "Originator", maxLength: 32 },
+	{ key: "originatorReference", label: "Originator Reference", maxLength: 32 },
+	{ key: "originationDate", label: "Origination Date", type: "date" },
+	{ key: "originationTime", label: "Origination Time", type: "time" },
+];
+
+const MetadataModal = ({
+	isOpen,
+	onClose,
+	onSave,
+	projectMetadata = null,
+	tracks = new Map(),
+}) => {
+	const trackList = Array.from(tracks.values());
+	const [scope, setScope] = useState("project");
+	const [metadata, setMetadata] = useState(createMetadata);
+
+	// Copy of what is stored for the project or a track, filled out with every field
+	const storedMetadata = (id) =>
+		mergeMetadata(null, id === "project" ? projectMetadata : tracks.get(id)?.info?.metadata);
+
+	// Start from the project each time the dialog opens
+	useEffect(() => {
+		if (!isOpen) return;
+		setScope("project");
+		setMetadata(mergeMetadata(null, projectMetadata));
+	}, [isOpen, projectMetadata]);
+
+	const handleScopeChange = (id) => {
+		setScope(id);
+		setMetadata(storedMetadata(id));
+	};
+
+	const updateField = (section, key, value) => {
+		setMetadata((prev) => ({ ...prev, [section]: { ...prev[section], [key]: value } }));
+	};
+
+	const handleCoverChange = async (file) => {
+		if (!file) return;
+		const data = new Uint8Array(await file.arrayBuffer());
+		setMetadata((prev) => ({ ...prev, cover: { mimeType: file.type || "image/jpeg", data } }));
+	};
+
+	const handleSave = () => {
+		onSave(scope, metadata);
+		onClose();
+	};
+
+	return (
+		<Modal isOpen={isOpen} onClose={onClose} title="Metadata" size="medium">
+			<div className="metadata-modal-content" data-testid="metadata-modal-content">
+				<div className="form-group">
+					<label>Applies To:</label>
+					<select
+						value={scope}
+						onChange={(e) => handleScopeChange(e.target.value)}
+						data-testid="metadata-scope-select"
+					>
+						<option value="project">Project</option>
+						{trackList.map((track) => (
+							<option key={track.id} value={track.id}>
+								Track: {track.name}
+							</option>
+						))}
+					</select>
+				</div>
+
+				<h4>Broadcast WAV (bext)</h4>
+				<div className="form-group">
+					<label>Description:</label>
+					<textarea
+						value={metadata.bext.description}
+						maxLength={256}
+						onChange={(e) => updateField("bext", "description", e.target.value)}
+						data-testid="metadata-bext-description"
+					/>
+				</div>
+				{BEXT_TEXT_INPUTS.map(({ key, label, maxLength, type = "text" }) => (
+					<div className="form-group" key={key}>
+						<label>{label}:</label>
+						<input
+							type={type}
+							step={type === "time" ? 1 : undefined}
+							value={metadata.bext[key]}
+							maxLength={maxLength}
+							onChange={(e) => updateField("bext", key, e.target.value)}
+							data-testid={`metadata-bext-${key}`}
+						/>
+					</div>
+				))}
+				<div className="form-group">
+					<label>Time Reference (seconds since midnight):</label>
+					<input
+						type="number"
+						min={0}
+						step="any"
+						value={metadata.bext.timeReference}
+						onChange={(e) =>
+							updateField("bext", "timeReference", parseFloat(e.target.value) || 0)
+						}
+						data-testid="metadata-bext-timeReference"
+					/>
+				</div>
+				<div className="form-group">
+					<label>Coding History:</label>
+					<textarea
+						value={metadata.bext.codingHistory}
+						onChange={(e) => updateField("bext", "codingHistory", e.target.value)}
+						data-testid="metadata-bext-codingHistory"
+					/>
+				</div>
+
+				<h4>Tags (LIST/INFO, ID3)</h4>
+				{Object.entries(INFO_FIELDS).map(([id, label]) => (
+					<div className="form-group" key={id}>
+						<label>{label}:</label>
+						<input
+							type="text"
+							value={metadata.info[id] ?? ""}
+							onChange={(e) => updateField("info", id, e.target.value)}
+							data-testid={`metadata-info-${id}`}
+						/>
+					</div>
+				))}
+
+				<div className="form-group">
+					<label>Cover Image (MP3):</label>
+					<input
+						type="file"
+						accept="image/jpeg,image/png"
+						onChange={(e) => handleCoverChange(e.target.files?.[0])}
+						data-testid="metadata-cover-input"
+					/>
+					{metadata.cover && (
+						<p data-testid="metadata-cover-info">
+							{metadata.cover.mimeType}, {Math.ceil(metadata.cover.data.length / 1024)} KB{" "}
+							<button
+								type="button"
+								className="button secondary"
+								onClick={() => setMetadata((prev) => ({ ...prev, cover: null }))}
+								data-testid="metadata-cover-remove"
+							>
+								Remove
+							</button>
+						</p>
+					)}
+				</div>
+
+				<h4>iXML</h4>
+				{IXML_FIELDS.map((field) => (
+					<div className="form-group" key={field}>
+						<label>{field.charAt(0) + field.slice(1).toLowerCase()}:</label>
+						<input
+							type="text"
+							value={metadata.ixml[field] ?? ""}
+							onChange={(e) => updateField("ixml", field, e.target.value)}
+							data-testid={`metadata-ixml-${field}`}
+						/>
+					</div>
+				))}
+
+				<div className="modal-buttons">
+					<button
+						type="button"
+						className="button secondary"
+						onClick={onClose}
+						data-testid="metadata-cancel-button"
+					>
+						Cancel
+					</button>
+					<button
+						type="button"
+						className="button primary"
+						onClick={handleSave}
+						data-testid="metadata-save-button"
+					>
+						Save
+					</button>
+				</div>
+			</div>
+		</Modal>
+	);
+};
+
 // About Modal Component
 const AboutModal = ({ isOpen, onClose }) => {
 	return (
@@ -1953,9 +2902,13 @@ export {
 	ConfirmModal,
 	FileModal,
 	ExportModal,
+	ExportMultipleModal,
 	GenerateModal,
 	EffectModal,
 	PreferencesModal,
+	RecoveryModal,
+	ResampleModal,
+	MetadataModal,
 	AboutModal,
 	HelpModal,
 	SpectrumModal,
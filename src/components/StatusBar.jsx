@@ -47,7 +47,7 @@ const StatusBar = () => {
 			<div className="status-section" data-testid="project-info">
 				<div className="status-item">
 					<span className="status-label">Project Rate:</span>
-					<span className="status-value">{state.sampleRate} Hz</span>
+					<span className="status-value">{state.projectSettings.sampleRate} Hz</span>
 				</div>
 			</div>
 
@@ -71,8 +71,7 @@ const StatusBar = () => {
 				<div className="status-item audio-info">
 					<Volume2 size={14} />
 					<span className="status-value">
-						Level: {state.isRecording ? "●" : "○"}
-						{state.audioLevel ? `${Math.round(state.audioLevel * 100)}%` : "0%"}
+						{state.isRecording ? "● Recording" : "○ Idle"}
 					</span>
 				</div>
 			</div>
@@ -1,9 +1,20 @@
-import React, { useCallback, useEffect, useRef } from "react";
-import { useAudioState } from "../context/AudioContext";
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { useAudioActions, useAudioState } from "../context/AudioContext";
+import { usePlayhead } from "../hooks/usePlayhead";
 
 const Timeline = () => {
 	const canvasRef = useRef(null);
+	const playheadRef = useRef(null);
 	const state = useAudioState();
+	const actions = useAudioActions();
+	const [loopDragStart, setLoopDragStart] = useState(null);
+
+	// Move the playhead marker every frame while playing without re-rendering the ruler
+	usePlayhead((position) => {
+		if (playheadRef.current) {
+			playheadRef.current.style.left = `${position * 100 * state.zoomLevel - state.scrollPosition}px`;
+		}
+	});
 
 	const formatTime = useCallback((seconds) => {
 		const hours = Math.floor(seconds / 3600);
@@ -114,6 +125,49 @@ const Timeline = () => {
 		}
 	}, [state.zoomLevel, state.scrollPosition, formatTime]);
 
+	const timeFromEvent = useCallback(
+		(e) => {
+			const rect = canvasRef.current.getBoundingClientRect();
+			const x = e.clientX - rect.left;
+			return Math.max(0, (x + state.scrollPosition) / (100 * state.zoomLevel));
+		},
+		[state.zoomLevel, state.scrollPosition],
+	);
+
+	// Dragging on the ruler draws the loop region; a plain click clears it
+	const handleMouseDown = useCallback(
+		(e) => {
+			setLoopDragStart(timeFromEvent(e));
+		},
+		[timeFromEvent],
+	);
+
+	useEffect(() => {
+		if (loopDragStart === null) return undefined;
+
+		const minDragTime = 3 / (100 * state.zoomLevel); // ~3px
+		const handleMouseMove = (e) => {
+			const time = timeFromEvent(e);
+			if (Math.abs(time - loopDragStart) >= minDragTime) {
+				actions.setLoopRegion(loopDragStart, time);
+			}
+		};
+		const handleMouseUp = (e) => {
+			const time = timeFromEvent(e);
+			if (Math.abs(time - loopDragStart) < minDragTime) {
+				actions.clearLoopRegion();
+			}
+			setLoopDragStart(null);
+		};
+
+		document.addEventListener("mousemove", handleMouseMove);
+		document.addEventListener("mouseup", handleMouseUp);
+		return () => {
+			document.removeEventListener("mousemove", handleMouseMove);
+			document.removeEventListener("mouseup", handleMouseUp);
+		};
+	}, [loopDragStart, timeFromEvent, state.zoomLevel, actions]);
+
 	useEffect(() => {
 		resizeCanvas();
 		drawTimeline();
@@ -135,6 +189,26 @@ const Timeline = () => {
 				ref={canvasRef}
 				className="timeline-canvas"
 				data-testid="timeline-canvas"
+				onMouseDown={handleMouseDown}
+				title="Drag to set the loop region, click to clear it"
+			/>
+			{state.loop.start !== null && state.loop.end !== null && (
+				<div
+					className={`loop-region ${state.loop.enabled ? "enabled" : ""}`}
+					data-testid="loop-region"
+					style={{
+						left: `${state.loop.start * 100 * state.zoomLevel - state.scrollPosition}px`,
+						width: `${(state.loop.end - state.loop.start) * 100 * state.zoomLevel}px`,
+					}}
+				/>
+			)}
+			<div
+				ref={playheadRef}
+				className="playhead timeline-playhead"
+				data-testid="timeline-playhead"
+				style={{
+					left: `${state.playheadPosition * 100 * state.zoomLevel - state.scrollPosition}px`,
+				}}
 			/>
 		</div>
 	);
@@ -5,6 +5,7 @@ import {
 	Move,
 	Pause,
 	Play,
+	Repeat,
 	SkipBack,
 	SkipForward,
 	Square,
@@ -14,6 +15,7 @@ import {
 } from "lucide-react";
 import React from "react";
 import { useAudioActions, useAudioState } from "../context/AudioContext";
+import LevelMeter from "./LevelMeter";
 
 const Toolbar = () => {
 	const state = useAudioState();
@@ -28,7 +30,10 @@ const Toolbar = () => {
 	};
 
 	const handlePlayClick = () => {
-		if (state.selection.start !== null && state.selection.end !== null) {
+		if (state.isPaused) {
+			// Resume from where playback was paused
+			actions.play();
+		} else if (state.selection.start !== null && state.selection.end !== null) {
 			actions.play(
 				state.selection.start,
 				state.selection.end - state.selection.start,
@@ -115,6 +120,17 @@ const Toolbar = () => {
 						<Play size={16} />
 					</button>
 				)}
+
+				<button
+					className={`tool-btn ${state.loop.enabled ? "active" : ""}`}
+					onClick={actions.toggleLoop}
+					title="Loop Playback"
+					aria-pressed={state.loop.enabled}
+					disabled={!state.isInitialized}
+					data-testid="loop-button"
+				>
+					<Repeat size={16} />
+				</button>
 			</div>
 
 			{/* Skip Controls */}
@@ -209,6 +225,12 @@ const Toolbar = () => {
 				</button>
 			</div>
 
+			{/* Level Meters */}
+			<div className="toolbar-section meter-section" data-testid="level-meters">
+				<LevelMeter meter="input" label="Recording Level" />
+				<LevelMeter meter="output" label="Playback Level" />
+			</div>
+
 			{/* Volume Controls */}
 			<div
 				className="toolbar-section volume-section"
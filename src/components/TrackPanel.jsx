@@ -1,13 +1,62 @@
 import React, { useCallback, useEffect, useRef, useState } from "react";
 import { useAudioActions, useAudioState } from "../context/AudioContext";
+import { usePlayhead } from "../hooks/usePlayhead";
+import { SUMMARY_FRAMES } from "../services/BlockedAudio";
+import { ClipSnapper } from "../services/ClipSnapper";
+
+// Snap distance for the time shift tool, in screen pixels
+const SNAP_DISTANCE_PX = 8;
+
+const formatPan = (pan) => {
+	if (Math.abs(pan) < 0.005) return "C";
+	const amount = Math.round(Math.abs(pan) * 100);
+	return pan < 0 ? `${amount}L` : `${amount}R`;
+};
+
+// RMS of the first channel over a frame range; block-stored audio is drawn from its summary
+const columnRms = (buffer, from, to) => {
+	let sum = 0;
+	let count = 0;
+
+	if (buffer.summary) {
+		const last = Math.min(buffer.summary.length, Math.ceil(to / SUMMARY_FRAMES));
+		for (let i = Math.floor(from / SUMMARY_FRAMES); i < last; i++) {
+			sum += buffer.summary[i] * buffer.summary[i];
+			count++;
+		}
+	} else {
+		const channelData = buffer.getChannelData(0);
+		for (let i = from; i < to; i++) {
+			sum += channelData[i] * channelData[i];
+			count++;
+		}
+	}
+
+	return count > 0 ? Math.sqrt(sum / count) : 0;
+};
+
+// Track under the pointer, for dragging clips between tracks
+const trackIdAtPoint = (x, y) =>
+	document.elementFromPoint?.(x, y)?.closest?.("[data-track-id]")?.dataset.trackId ??
+	null;
 
 const TrackPanel = ({ track }) => {
 	const canvasRef = useRef(null);
 	const containerRef = useRef(null);
+	const playheadRef = useRef(null);
 	const state = useAudioState();
 	const actions = useAudioActions();
 	const [isDragging, setIsDragging] = useState(false);
 	const [dragStart, setDragStart] = useState(null);
+	const [isShifting, setIsShifting] = useState(false);
+	const clipDragRef = useRef(null);
+
+	// Move the playhead every frame while playing without re-rendering the panel
+	usePlayhead((position) => {
+		if (playheadRef.current) {
+			playheadRef.current.style.left = `${position * 100 * state.zoomLevel - state.scrollPosition}px`;
+		}
+	});
 
 	const resizeCanvas = useCallback(() => {
 		const canvas = canvasRef.current;
@@ -24,10 +73,11 @@ const TrackPanel = ({ track }) => {
 		ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
 	}, []);
 
-	// Waveform drawing function
+	// Waveform drawing function: each clip is drawn from its own buffer window
 	const drawWaveform = useCallback(() => {
 		const canvas = canvasRef.current;
-		if (!canvas || !track?.audioBuffer) return;
+		const clips = track?.info?.clips?.clips;
+		if (!canvas || !clips) return;
 
 		const ctx = canvas.getContext("2d");
 		const rect = canvas.getBoundingClientRect();
@@ -37,58 +87,57 @@ const TrackPanel = ({ track }) => {
 		// Clear canvas
 		ctx.clearRect(0, 0, width, height);
 
-		const audioBuffer = track.audioBuffer;
 		const pixelsPerSecond = 100 * state.zoomLevel;
 		const startTime = state.scrollPosition / pixelsPerSecond;
 		const endTime = startTime + width / pixelsPerSecond;
 
-		// Calculate the sample range to display
-		const sampleRate = audioBuffer.sampleRate;
-		const startSample = Math.floor(startTime * sampleRate);
-		const endSample = Math.min(Math.floor(endTime * sampleRate), audioBuffer.length);
-		const totalSamples = endSample - startSample;
-
-		if (totalSamples <= 0) return;
-
-		// Get channel data
-		const channelData = audioBuffer.getChannelData(0);
-		
-		// Set drawing styles
-		ctx.fillStyle = "#4a90e2";
-		ctx.strokeStyle = "#2171b5";
-		ctx.lineWidth = 1;
-
-		// Calculate samples per pixel
-		const samplesPerPixel = totalSamples / width;
-
-		// Draw waveform
-		ctx.beginPath();
-		
-		for (let x = 0; x < width; x++) {
-			const sampleIndex = startSample + Math.floor(x * samplesPerPixel);
-			
-			if (sampleIndex >= audioBuffer.length) break;
-			
-			// Get RMS value for this pixel column
-			let sum = 0;
-			let count = 0;
-			const endPixelSample = Math.min(startSample + Math.floor((x + 1) * samplesPerPixel), audioBuffer.length);
-			
-			for (let i = sampleIndex; i < endPixelSample; i++) {
-				sum += channelData[i] * channelData[i];
-				count++;
+		for (const clip of clips) {
+			if (clip.end <= startTime || clip.position >= endTime) continue;
+
+			const clipLeft = (clip.position - startTime) * pixelsPerSecond;
+			const clipRight = (clip.end - startTime) * pixelsPerSecond;
+			const firstX = Math.max(0, Math.floor(clipLeft));
+			const lastX = Math.min(width, Math.ceil(clipRight));
+
+			// Clip body and edges
+			ctx.fillStyle = "rgba(74, 144, 226, 0.12)";
+			ctx.fillRect(clipLeft, 0, clipRight - clipLeft, height);
+			ctx.strokeStyle = "#2171b5";
+			ctx.lineWidth = 1;
+			ctx.strokeRect(clipLeft + 0.5, 0.5, clipRight - clipLeft - 1, height - 1);
+
+			const buffer = clip.buffer;
+			const sampleRate = buffer.sampleRate;
+			const samplesPerPixel = sampleRate / pixelsPerSecond;
+			const clipStartSample = clip.offset * sampleRate;
+			const clipEndSample = Math.min(
+				buffer.length,
+				Math.floor((clip.offset + clip.duration) * sampleRate),
+			);
+
+			ctx.fillStyle = "#4a90e2";
+
+			for (let x = firstX; x < lastX; x++) {
+				const time = startTime + x / pixelsPerSecond;
+				const sampleIndex = Math.floor(
+					clipStartSample + (time - clip.position) * sampleRate,
+				);
+				if (sampleIndex >= clipEndSample) break;
+
+				// Get RMS value for this pixel column
+				const endPixelSample = Math.min(
+					sampleIndex + Math.max(1, Math.floor(samplesPerPixel)),
+					clipEndSample,
+				);
+				const rms = columnRms(buffer, Math.max(0, sampleIndex), endPixelSample);
+				const amplitude = Math.min(rms * 3, 1); // Scale and clamp
+				const barHeight = amplitude * height * 0.8; // Use 80% of height
+
+				// Draw vertical bar centered
+				const y = (height - barHeight) / 2;
+				ctx.fillRect(x, y, 1, barHeight);
 			}
-			
-			const rms = count > 0 ? Math.sqrt(sum / count) : 0;
-			const amplitude = Math.min(rms * 3, 1); // Scale and clamp
-			const barHeight = amplitude * height * 0.8; // Use 80% of height
-			
-			// Draw vertical bar centered
-			const y = (height - barHeight) / 2;
-			ctx.fillRect(x, y, 1, barHeight);
 		}
-		
-		ctx.fill();
 	}, [track, state.zoomLevel, state.scrollPosition]);
 
 	const handleMouseDown = useCallback(
@@ -98,13 +147,46 @@ const TrackPanel = ({ track }) => {
 			const pixelsPerSecond = 100 * state.zoomLevel;
 			const time = (x + state.scrollPosition) / pixelsPerSecond;
 
+			actions.selectTrack(track.id);
+
+			if (state.currentTool === "timeshift") {
+				const clip = track.info?.clips?.clipAt(time);
+				if (!clip) return;
+
+				const targets = ClipSnapper.collectTargets({
+					tracks: state.tracks.values(),
+					labels: state.labels,
+					playhead: state.playheadPosition,
+					excludeClipId: clip.id,
+				});
+				clipDragRef.current = {
+					clipId: clip.id,
+					grabOffset: time - clip.position,
+					duration: clip.duration,
+					from: { trackId: track.id, position: clip.position },
+					to: { trackId: track.id, position: clip.position },
+					snapper: new ClipSnapper(targets, SNAP_DISTANCE_PX / pixelsPerSecond),
+				};
+				setIsShifting(true);
+				return;
+			}
+
 			setIsDragging(true);
 			setDragStart(time);
 
 			// Start selection - Fixed: use separate parameters instead of object
 			actions.setSelection(time, time);
 		},
-		[state.zoomLevel, state.scrollPosition, actions],
+		[
+			track,
+			state.currentTool,
+			state.tracks,
+			state.labels,
+			state.playheadPosition,
+			state.zoomLevel,
+			state.scrollPosition,
+			actions,
+		],
 	);
 
 	const handleMouseMove = useCallback(
@@ -157,6 +239,59 @@ const TrackPanel = ({ track }) => {
 		};
 	}, [isDragging, handleMouseMove, handleMouseUp]);
 
+	// Time shift drag: move the clip live, record the whole drag as one undo step on release
+	useEffect(() => {
+		if (!isShifting) return;
+
+		const handleShiftMove = (e) => {
+			const drag = clipDragRef.current;
+			if (!drag || !canvasRef.current) return;
+
+			const rect = canvasRef.current.getBoundingClientRect();
+			const pixelsPerSecond = 100 * state.zoomLevel;
+			const time = (e.clientX - rect.left + state.scrollPosition) / pixelsPerSecond;
+			const { position } = drag.snapper.snap(
+				Math.max(0, time - drag.grabOffset),
+				drag.duration,
+			);
+			const trackId = trackIdAtPoint(e.clientX, e.clientY) ?? drag.to.trackId;
+
+			// Tracks with a different channel count or rate, or another clip in the way,
+			// refuse the clip; it then stays where it last fitted
+			if (
+				trackId !== drag.to.trackId &&
+				actions.previewClipMove(drag.clipId, trackId, position)
+			) {
+				drag.to = { trackId, position };
+			} else if (
+				position !== drag.to.position &&
+				actions.previewClipMove(drag.clipId, drag.to.trackId, position)
+			) {
+				drag.to = { trackId: drag.to.trackId, position };
+			}
+		};
+
+		const handleShiftEnd = () => {
+			const drag = clipDragRef.current;
+			clipDragRef.current = null;
+			setIsShifting(false);
+
+			if (
+				drag &&
+				(drag.to.trackId !== drag.from.trackId || drag.to.position !== drag.from.position)
+			) {
+				actions.moveClip(drag.clipId, drag.from, drag.to);
+			}
+		};
+
+		document.addEventListener("mousemove", handleShiftMove);
+		document.addEventListener("mouseup", handleShiftEnd);
+		return () => {
+			document.removeEventListener("mousemove", handleShiftMove);
+			document.removeEventListener("mouseup", handleShiftEnd);
+		};
+	}, [isShifting, state.zoomLevel, state.scrollPosition, actions]);
+
 	useEffect(() => {
 		resizeCanvas();
 	}, [resizeCanvas]);
@@ -167,6 +302,11 @@ const TrackPanel = ({ track }) => {
 		return () => window.removeEventListener("resize", handleResize);
 	}, [resizeCanvas]);
 
+	const getCursor = () => {
+		if (state.currentTool === "timeshift") return isShifting ? "grabbing" : "grab";
+		return isDragging ? "text" : "crosshair";
+	};
+
 	// Draw waveform when track, zoom, or scroll changes
 	useEffect(() => {
 		drawWaveform();
@@ -175,18 +315,23 @@ const TrackPanel = ({ track }) => {
 	return (
 		<div
 			className={`track-panel ${state.selectedTrackId === track.id ? "selected" : ""}`}
+			data-track-id={track.id}
 			data-testid={`track-panel-${track.id}`}
 		>
-			<div className="track-header" data-testid={`track-header-${track.id}`}>
+			<div
+				className="track-header"
+				onClick={() => actions.selectTrack(track.id)}
+				data-testid={`track-header-${track.id}`}
+			>
 				<div
 					className="track-controls"
 					data-testid={`track-controls-${track.id}`}
 				>
 					<button
 						type="button"
-						className="track-solo"
+						className={`track-solo ${track.solo ? "active" : ""}`}
 						onClick={() => actions.toggleTrackSolo(track.id)}
-						disabled={!track.audioBuffer}
+						aria-pressed={!!track.solo}
 						aria-label={`${track.solo ? "Unsolo" : "Solo"} track ${track.name}`}
 						data-testid={`track-solo-${track.id}`}
 					>
@@ -194,10 +339,10 @@ const TrackPanel = ({ track }) => {
 					</button>
 					<button
 						type="button"
-						className="track-mute"
+						className={`track-mute ${track.muted ? "active" : ""}`}
 						onClick={() => actions.toggleTrackMute(track.id)}
-						disabled={!track.audioBuffer}
-						aria-label={`${track.mute ? "Unmute" : "Mute"} track ${track.name}`}
+						aria-pressed={!!track.muted}
+						aria-label={`${track.muted ? "Unmute" : "Mute"} track ${track.name}`}
 						data-testid={`track-mute-${track.id}`}
 					>
 						M
@@ -206,8 +351,8 @@ const TrackPanel = ({ track }) => {
 				<div className="track-info" data-testid={`track-info-${track.id}`}>
 					<div className="track-name">{track.name}</div>
 					<div className="track-format">
-						{track.audioBuffer
-							? `${track.audioBuffer.sampleRate}Hz, ${track.audioBuffer.numberOfChannels} channel${track.audioBuffer.numberOfChannels > 1 ? "s" : ""}`
+						{track.info?.clips?.length > 0
+							? `${track.info.sampleRate}Hz, ${track.info.numberOfChannels} channel${track.info.numberOfChannels > 1 ? "s" : ""}`
 							: "No audio"}
 					</div>
 				</div>
@@ -217,15 +362,34 @@ const TrackPanel = ({ track }) => {
 						min="0"
 						max="1"
 						step="0.01"
-						value={track.gain}
+						value={track.volume ?? 1}
 						onChange={(e) =>
-							actions.setTrackGain(track.id, parseFloat(e.target.value))
+							actions.setTrackVolume(track.id, parseFloat(e.target.value))
 						}
 						className="volume-slider"
 						aria-label={`Volume for track ${track.name}`}
 						data-testid={`track-volume-slider-${track.id}`}
 					/>
-					<span className="volume-value">{Math.round(track.gain * 100)}%</span>
+					<span className="volume-value">
+						{Math.round((track.volume ?? 1) * 100)}%
+					</span>
+				</div>
+				<div className="track-pan" data-testid={`track-pan-${track.id}`}>
+					<input
+						type="range"
+						min="-1"
+						max="1"
+						step="0.01"
+						value={track.pan ?? 0}
+						onChange={(e) =>
+							actions.setTrackPan(track.id, parseFloat(e.target.value))
+						}
+						onDoubleClick={() => actions.setTrackPan(track.id, 0)}
+						className="pan-slider"
+						aria-label={`Pan for track ${track.name}`}
+						data-testid={`track-pan-slider-${track.id}`}
+					/>
+					<span className="pan-value">{formatPan(track.pan ?? 0)}</span>
 				</div>
 			</div>
 			<div
@@ -238,13 +402,15 @@ const TrackPanel = ({ track }) => {
 					className="track-waveform"
 					onMouseDown={handleMouseDown}
 					onDoubleClick={handleDoubleClick}
-					style={{ cursor: isDragging ? "text" : "crosshair" }}
+					style={{ cursor: getCursor() }}
 					data-testid={`track-waveform-${track.id}`}
 				/>
 				{/* Playhead indicator */}
 				{state.playheadPosition >= 0 && (
 					<div
+						ref={playheadRef}
 						className="playhead"
+						data-testid={`track-playhead-${track.id}`}
 						style={{
 							left: `${state.playheadPosition * 100 * state.zoomLevel - state.scrollPosition}px`,
 						}}
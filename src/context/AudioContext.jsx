@@ -7,11 +7,27 @@ import React, {
 	useRef,
 } from "react";
 import { AudioEngineService } from "../services/AudioEngine";
+import { DEFAULT_TRACK_MIX } from "../services/ChannelStrip";
+import {
+	AddTrackCommand,
+	MoveClipCommand,
+	RemoveTrackCommand,
+	restoreCommand,
+	TrackEditCommand,
+} from "../services/EditCommands";
 import { EffectsProcessorService } from "../services/EffectsProcessor";
 import { EnvelopeManager } from "../services/EnvelopeManager";
 import { LabelTrackManager } from "../services/LabelTrackManager";
+import { readProject, writeProject } from "../services/ProjectFile";
 import { RealTimeEffectsManager } from "../services/RealTimeEffectsManager";
+import {
+	DEFAULT_INPUT_SETTINGS,
+	DEFAULT_RECORDING_SETTINGS,
+} from "../services/RecordingCapture";
+import { DEFAULT_RESAMPLE_QUALITY } from "../services/Resampler";
+import { AUTOSAVE_INTERVAL_MS } from "../services/SessionJournal";
 import { UndoRedoManager } from "../services/UndoRedoManager";
+import { createMetadata, isMetadataEmpty } from "../services/WavMetadata";
 
 // Initial state
 const initialState = {
@@ -22,22 +38,33 @@ const initialState = {
 	currentTime: 0,
 	totalDuration: 0,
 	tracks: new Map(),
+	detachedTracks: new Map(), // Tracks undo may bring back, as they were in the panel
 	labels: [],
 	realTimeEffects: [],
 	envelopes: [],
 	selection: { start: null, end: null },
+	loop: { enabled: false, start: null, end: null }, // start/end: loop region drawn on the ruler
 	playheadPosition: 0,
 	zoomLevel: 1.0,
 	scrollPosition: 0,
 	currentTool: "selection",
 	status: "Initializing...",
 	projectSettings: {
-		sampleRate: 44100,
+		sampleRate: 44100, // Imported and generated audio is converted to this rate
+		resampleQuality: DEFAULT_RESAMPLE_QUALITY,
 		bitDepth: 16,
 		format: "WAV",
 	},
+	projectMetadata: createMetadata(), // bext, iXML and LIST/INFO written on export
 	playbackVolume: 80,
 	recordingVolume: 50,
+	recordingSettings: { ...DEFAULT_RECORDING_SETTINGS },
+	inputSettings: { ...DEFAULT_INPUT_SETTINGS },
+	inputDevices: [],
+	recoverableRecordings: [], // Takes a crashed session left behind
+	recoverableSessions: [], // Autosaves a crashed session left behind
+	autoSaveEnabled: false,
+	selectedTrackId: null,
 	clipboard: null,
 	loading: false,
 	error: null,
@@ -59,13 +86,16 @@ const ActionTypes = {
 	SET_CURRENT_TIME: "SET_CURRENT_TIME",
 	SET_TOTAL_DURATION: "SET_TOTAL_DURATION",
 	ADD_TRACK: "ADD_TRACK",
-	REMOVE_TRACK: "REMOVE_TRACK",
+	SYNC_TRACKS: "SYNC_TRACKS",
 	UPDATE_TRACK: "UPDATE_TRACK",
 	UPDATE_LABELS: "UPDATE_LABELS",
 	UPDATE_REAL_TIME_EFFECTS: "UPDATE_REAL_TIME_EFFECTS",
 	UPDATE_ENVELOPES: "UPDATE_ENVELOPES",
 	SET_SELECTION: "SET_SELECTION",
 	CLEAR_SELECTION: "CLEAR_SELECTION",
+	SET_LOOP_ENABLED: "SET_LOOP_ENABLED",
+	SET_LOOP_REGION: "SET_LOOP_REGION",
+	CLEAR_LOOP_REGION: "CLEAR_LOOP_REGION",
 	SET_PLAYHEAD_POSITION: "SET_PLAYHEAD_POSITION",
 	SET_ZOOM_LEVEL: "SET_ZOOM_LEVEL",
 	SET_SCROLL_POSITION: "SET_SCROLL_POSITION",
@@ -73,11 +103,24 @@ const ActionTypes = {
 	SET_STATUS: "SET_STATUS",
 	SET_PLAYBACK_VOLUME: "SET_PLAYBACK_VOLUME",
 	SET_RECORDING_VOLUME: "SET_RECORDING_VOLUME",
+	SET_RECORDING_SETTINGS: "SET_RECORDING_SETTINGS",
+	SET_PROJECT_SETTINGS: "SET_PROJECT_SETTINGS",
+	SET_PROJECT_METADATA: "SET_PROJECT_METADATA",
+	IMPORT_PROJECT_METADATA: "IMPORT_PROJECT_METADATA",
+	SET_SELECTED_TRACK: "SET_SELECTED_TRACK",
+	SET_INPUT_SETTINGS: "SET_INPUT_SETTINGS",
+	SET_INPUT_DEVICES: "SET_INPUT_DEVICES",
+	SET_RECOVERABLE_RECORDINGS: "SET_RECOVERABLE_RECORDINGS",
+	REMOVE_RECOVERABLE_RECORDING: "REMOVE_RECOVERABLE_RECORDING",
+	SET_RECOVERABLE_SESSIONS: "SET_RECOVERABLE_SESSIONS",
+	REMOVE_RECOVERABLE_SESSION: "REMOVE_RECOVERABLE_SESSION",
+	SET_AUTO_SAVE: "SET_AUTO_SAVE",
 	SET_CLIPBOARD: "SET_CLIPBOARD",
 	SET_LOADING: "SET_LOADING",
 	SET_ERROR: "SET_ERROR",
 	CLEAR_ERROR: "CLEAR_ERROR",
 	UPDATE_UNDO_REDO_STATE: "UPDATE_UNDO_REDO_STATE",
+	LOAD_PROJECT: "LOAD_PROJECT",
 };
 
 // Reducer
@@ -140,12 +183,30 @@ function audioReducer(state, action) {
 			};
 		}
 
-		case ActionTypes.REMOVE_TRACK: {
-			const updatedTracks = new Map(state.tracks);
-			updatedTracks.delete(action.payload);
+		// Follow the engine's track list after an undoable edit: payload is
+		// [{ id, info, mix }] in engine order
+		case ActionTypes.SYNC_TRACKS: {
+			const syncedTracks = new Map();
+			const detachedTracks = new Map(state.detachedTracks);
+			for (const { id, info, mix } of action.payload) {
+				const track = state.tracks.get(id) ?? detachedTracks.get(id);
+				detachedTracks.delete(id);
+				syncedTracks.set(id, {
+					...(track ?? { id, name: info.name, visible: true }),
+					...mix,
+					info,
+				});
+			}
+			for (const [id, track] of state.tracks) {
+				if (!syncedTracks.has(id)) detachedTracks.set(id, track);
+			}
 			return {
 				...state,
-				tracks: updatedTracks,
+				tracks: syncedTracks,
+				detachedTracks,
+				selectedTrackId: syncedTracks.has(state.selectedTrackId)
+					? state.selectedTrackId
+					: null,
 			};
 		}
 
@@ -193,6 +254,24 @@ function audioReducer(state, action) {
 				selection: { start: null, end: null },
 			};
 
+		case ActionTypes.SET_LOOP_ENABLED:
+			return {
+				...state,
+				loop: { ...state.loop, enabled: action.payload },
+			};
+
+		case ActionTypes.SET_LOOP_REGION:
+			return {
+				...state,
+				loop: { ...state.loop, ...action.payload },
+			};
+
+		case ActionTypes.CLEAR_LOOP_REGION:
+			return {
+				...state,
+				loop: { ...state.loop, start: null, end: null },
+			};
+
 		case ActionTypes.SET_PLAYHEAD_POSITION:
 			return {
 				...state,
@@ -235,6 +314,79 @@ function audioReducer(state, action) {
 				recordingVolume: action.payload,
 			};
 
+		case ActionTypes.SET_RECORDING_SETTINGS:
+			return {
+				...state,
+				recordingSettings: { ...state.recordingSettings, ...action.payload },
+			};
+
+		case ActionTypes.SET_PROJECT_SETTINGS:
+			return {
+				...state,
+				projectSettings: { ...state.projectSettings, ...action.payload },
+			};
+
+		case ActionTypes.SET_PROJECT_METADATA:
+			return { ...state, projectMetadata: action.payload };
+
+		// Metadata from an imported file only fills a project that has none yet
+		case ActionTypes.IMPORT_PROJECT_METADATA:
+			return isMetadataEmpty(state.projectMetadata)
+				? { ...state, projectMetadata: action.payload }
+				: state;
+
+		case ActionTypes.SET_INPUT_SETTINGS:
+			return {
+				...state,
+				inputSettings: { ...state.inputSettings, ...action.payload },
+			};
+
+		case ActionTypes.SET_INPUT_DEVICES:
+			return {
+				...state,
+				inputDevices: action.payload,
+			};
+
+		case ActionTypes.SET_RECOVERABLE_RECORDINGS:
+			return {
+				...state,
+				recoverableRecordings: action.payload,
+			};
+
+		case ActionTypes.REMOVE_RECOVERABLE_RECORDING:
+			return {
+				...state,
+				recoverableRecordings: state.recoverableRecordings.filter(
+					(recording) => recording.id !== action.payload,
+				),
+			};
+
+		case ActionTypes.SET_RECOVERABLE_SESSIONS:
+			return {
+				...state,
+				recoverableSessions: action.payload,
+			};
+
+		case ActionTypes.REMOVE_RECOVERABLE_SESSION:
+			return {
+				...state,
+				recoverableSessions: state.recoverableSessions.filter(
+					(session) => session.id !== action.payload,
+				),
+			};
+
+		case ActionTypes.SET_AUTO_SAVE:
+			return {
+				...state,
+				autoSaveEnabled: action.payload,
+			};
+
+		case ActionTypes.SET_SELECTED_TRACK:
+			return {
+				...state,
+				selectedTrackId: action.payload,
+			};
+
 		case ActionTypes.SET_CLIPBOARD:
 			return {
 				...state,
@@ -265,11 +417,57 @@ function audioReducer(state, action) {
 				undoRedo: action.payload,
 			};
 
+		// An opened project replaces the session; labels arrive through the label manager
+		case ActionTypes.LOAD_PROJECT: {
+			const project = action.payload;
+			return {
+				...state,
+				tracks: project.tracks,
+				detachedTracks: new Map(),
+				totalDuration: project.totalDuration,
+				realTimeEffects: project.realTimeEffects ?? [],
+				selection: project.selection ?? initialState.selection,
+				selectedTrackId: project.selectedTrackId ?? null,
+				loop: project.loop ?? initialState.loop,
+				currentTime: project.playheadPosition ?? 0,
+				playheadPosition: project.playheadPosition ?? 0,
+				zoomLevel: project.zoomLevel ?? initialState.zoomLevel,
+				scrollPosition: project.scrollPosition ?? 0,
+				projectSettings: { ...initialState.projectSettings, ...project.settings },
+				projectMetadata: project.metadata ?? createMetadata(),
+				clipboard: null,
+				isPlaying: false,
+				isPaused: false,
+			};
+		}
+
 		default:
 			return state;
 	}
 }
 
+// The session as saved in project files and autosaves, less the audio and envelopes
+// the engine lists; tracks carry what only the track panel knows
+const describeSession = (state, labels) => ({
+	tracks: Array.from(state.tracks.values(), ({ id, name, visible }) => ({ id, name, visible })),
+	labels,
+	realTimeEffects: state.realTimeEffects,
+	selection: state.selection,
+	selectedTrackId: state.selectedTrackId,
+	loop: state.loop,
+	playheadPosition: state.playheadPosition,
+	zoomLevel: state.zoomLevel,
+	scrollPosition: state.scrollPosition,
+	settings: state.projectSettings,
+	metadata: state.projectMetadata,
+});
+
+// A selection may start at 0, so test for null rather than falsiness
+const hasSelection = (selection) =>
+	selection.start !== null &&
+	selection.end !== null &&
+	selection.end > selection.start;
+
 // Create contexts
 const AudioStateContext = createContext();
 const AudioActionsContext = createContext();
@@ -297,6 +495,7 @@ export const AudioProvider = ({ children }) => {
 	const audioEngineRef = useRef(null);
 	const effectsProcessorRef = useRef(null);
 	const undoRedoManagerRef = useRef(null);
+	const labelManagerRef = useRef(null);
 
 	// Helper function to ensure effects processor is initialized
 	const ensureEffectsProcessor = useCallback(async () => {
@@ -317,6 +516,14 @@ export const AudioProvider = ({ children }) => {
 		undoRedoManagerRef.current = new UndoRedoManager();
 	}
 
+	// Initialize label manager; state.labels mirrors it
+	if (!labelManagerRef.current) {
+		labelManagerRef.current = new LabelTrackManager();
+		labelManagerRef.current.setOnLabelsChanged((labels) =>
+			dispatch({ type: ActionTypes.UPDATE_LABELS, payload: labels }),
+		);
+	}
+
 	// Helper function to update undo/redo state
 	const updateUndoRedoState = useCallback(() => {
 		if (undoRedoManagerRef.current) {
@@ -335,17 +542,34 @@ export const AudioProvider = ({ children }) => {
 			payload: {
 				id: trackId,
 				track: {
+					id: trackId,
+					name: trackInfo.name,
 					info: trackInfo,
-					muted: false,
-					solo: false,
-					volume: 0.8,
-					pan: 0,
+					...DEFAULT_TRACK_MIX,
 					visible: true,
 				},
 			},
 		});
 	}, []);
 
+	// Copy the transport position into state once (on pause/stop/seek/finish);
+	// while playing, the playhead is animated from getPlaybackPosition instead
+	const syncTransportPosition = useCallback(() => {
+		const position = audioEngineRef.current?.getCurrentTime?.() ?? 0;
+		dispatch({ type: ActionTypes.SET_CURRENT_TIME, payload: position });
+		dispatch({ type: ActionTypes.SET_PLAYHEAD_POSITION, payload: position });
+	}, []);
+
+	// Push the engine's current clip list of a track into state (redraws its waveform)
+	const refreshTrack = useCallback((trackId) => {
+		const info = audioEngineRef.current?.getTrackInfo(trackId);
+		if (!info) return;
+		dispatch({
+			type: ActionTypes.UPDATE_TRACK,
+			payload: { id: trackId, updates: { info } },
+		});
+	}, []);
+
 	const updateTotalDuration = useCallback(() => {
 		if (audioEngineRef.current) {
 			const duration = audioEngineRef.current.getTotalDuration();
@@ -353,6 +577,79 @@ export const AudioProvider = ({ children }) => {
 		}
 	}, []);
 
+	// Undoable edits change the engine's tracks; state follows whatever they did
+	const handleTracksChanged = useCallback(() => {
+		const engine = audioEngineRef.current;
+		if (!engine) return;
+
+		dispatch({
+			type: ActionTypes.SYNC_TRACKS,
+			payload: Array.from(engine.audioBuffers.keys(), (id) => ({
+				id,
+				info: engine.getTrackInfo(id),
+				mix: engine.getTrackMix(id),
+			})),
+		});
+		updateTotalDuration();
+	}, [updateTotalDuration]);
+
+	const runCommand = useCallback(
+		(command) => {
+			const result = undoRedoManagerRef.current.executeCommand(command);
+			updateUndoRedoState();
+			return result;
+		},
+		[updateUndoRedoState],
+	);
+
+	// Generators add a track as one undoable step
+	const addGeneratedTrack = useCallback(
+		(create, description) => {
+			const engine = audioEngineRef.current;
+			if (!engine) return null;
+
+			return runCommand(
+				new AddTrackCommand(engine, () => create(engine), description, handleTracksChanged),
+			);
+		},
+		[runCommand, handleTracksChanged],
+	);
+
+	// Bring state in line with a project or autosave the engine has just loaded
+	const applyProject = useCallback(
+		(project) => {
+			const engine = audioEngineRef.current;
+			const settings = project.settings ?? {};
+			if (settings.sampleRate) engine.setProjectRate(settings.sampleRate);
+			if (settings.resampleQuality) engine.setResampleQuality(settings.resampleQuality);
+			engine.seek(project.playheadPosition ?? 0);
+
+			const tracks = new Map(
+				project.tracks.map(({ id, name, mix, visible }) => [
+					id,
+					{
+						id,
+						name,
+						info: engine.getTrackInfo(id),
+						...DEFAULT_TRACK_MIX,
+						...mix,
+						visible: visible ?? true,
+					},
+				]),
+			);
+			labelManagerRef.current.loadLabels(project.labels ?? []);
+			dispatch({
+				type: ActionTypes.LOAD_PROJECT,
+				payload: { ...project, tracks, totalDuration: engine.getTotalDuration() },
+			});
+			// Edits of the previous session can't be undone in this one; a recovered
+			// session brings back its own (see recoverSession)
+			undoRedoManagerRef.current.clear();
+			updateUndoRedoState();
+		},
+		[updateUndoRedoState],
+	);
+
 	// Initialize audio services
 	useEffect(() => {
 		const initializeAudio = async () => {
@@ -364,6 +661,7 @@ export const AudioProvider = ({ children }) => {
 
 				// Set up callbacks
 				audioEngineRef.current.onPlaybackFinished = () => {
+					syncTransportPosition();
 					dispatch({ type: ActionTypes.SET_PLAYING, payload: false });
 					dispatch({
 						type: ActionTypes.SET_STATUS,
@@ -371,14 +669,41 @@ export const AudioProvider = ({ children }) => {
 					});
 				};
 
-				audioEngineRef.current.onRecordingFinished = (trackId) => {
+				// Takes either open a new track or land in an existing one
+				audioEngineRef.current.onRecordingFinished = (
+					trackId,
+					{ isNewTrack = true } = {},
+				) => {
+					dispatch({ type: ActionTypes.SET_RECORDING, payload: false });
+					dispatch({
+						type: ActionTypes.SET_PLAYING,
+						payload: !!audioEngineRef.current.isPlaying,
+					});
+					syncTransportPosition();
+
 					const trackInfo = audioEngineRef.current.getTrackInfo(trackId);
 					if (trackInfo) {
-						addTrack(trackId, trackInfo);
+						if (isNewTrack) {
+							addTrack(trackId, trackInfo);
+						} else {
+							refreshTrack(trackId);
+						}
 						updateTotalDuration();
 					}
 				};
 
+				// Takes that overwrite or extend a track are undone like any other edit
+				audioEngineRef.current.runEdit = (trackIds, edit, description) =>
+					runCommand(
+						new TrackEditCommand(
+							audioEngineRef.current,
+							trackIds,
+							edit,
+							description,
+							handleTracksChanged,
+						),
+					);
+
 				audioEngineRef.current.onError = (error) => {
 					dispatch({ type: ActionTypes.SET_ERROR, payload: error });
 				};
@@ -389,6 +714,25 @@ export const AudioProvider = ({ children }) => {
 
 				// Mark as initialized (AudioContext will be created on first user interaction)
 				dispatch({ type: ActionTypes.INITIALIZE_SUCCESS });
+
+				// Offer to recover takes an earlier session didn't get to finish
+				const recoverable =
+					await audioEngineRef.current.getRecoverableRecordings?.();
+				if (recoverable?.length > 0) {
+					dispatch({
+						type: ActionTypes.SET_RECOVERABLE_RECORDINGS,
+						payload: recoverable,
+					});
+				}
+
+				// ... and whole sessions autosaved by a tab that crashed or was killed
+				const sessions = await audioEngineRef.current.getRecoverableSessions?.();
+				if (sessions?.length > 0) {
+					dispatch({
+						type: ActionTypes.SET_RECOVERABLE_SESSIONS,
+						payload: sessions,
+					});
+				}
 			} catch (error) {
 				dispatch({
 					type: ActionTypes.INITIALIZE_ERROR,
@@ -407,7 +751,111 @@ export const AudioProvider = ({ children }) => {
 				audioEngineRef.current.destroy();
 			}
 		};
-	}, [addTrack, updateTotalDuration]);
+	}, [
+		addTrack,
+		refreshTrack,
+		updateTotalDuration,
+		syncTransportPosition,
+		runCommand,
+		handleTracksChanged,
+	]);
+
+	// Keep the engine's loop region in sync: the ruler loop region wins, else the selection
+	useEffect(() => {
+		const hasLoopRegion = state.loop.start !== null && state.loop.end !== null;
+		const region = hasLoopRegion ? state.loop : state.selection;
+		audioEngineRef.current?.setLoop?.({
+			enabled: state.loop.enabled,
+			start: region.start,
+			end: region.end,
+		});
+	}, [state.loop, state.selection]);
+
+	// Autosave every AUTOSAVE_INTERVAL_MS while enabled; the interval reads the latest
+	// state through a ref so it isn't restarted on every change
+	const latestStateRef = useRef(state);
+	latestStateRef.current = state;
+	useEffect(() => {
+		if (!state.autoSaveEnabled) return;
+
+		let saving = false;
+		const autosave = async () => {
+			const engine = audioEngineRef.current;
+			if (saving || !engine?.autosave) return;
+
+			saving = true;
+			try {
+				const current = latestStateRef.current;
+				await engine.autosave(
+					{
+						...describeSession(current, labelManagerRef.current.getAllLabels()),
+						// Describes the session in the recovery dialog
+						history: current.undoRedo,
+					},
+					undoRedoManagerRef.current,
+				);
+			} finally {
+				saving = false;
+			}
+		};
+
+		autosave();
+		const interval = setInterval(autosave, AUTOSAVE_INTERVAL_MS);
+		return () => clearInterval(interval);
+	}, [state.autoSaveEnabled]);
+
+	// Leaving the page on purpose is a clean exit: nothing to recover next time.
+	// Pages kept in the back/forward cache (persisted) may still come back.
+	useEffect(() => {
+		const handlePageHide = (event) => {
+			if (!event.persisted) audioEngineRef.current?.clearAutosave?.();
+		};
+
+		window.addEventListener("pagehide", handlePageHide);
+		return () => window.removeEventListener("pagehide", handlePageHide);
+	}, []);
+
+	// Keep the input device list current as devices are plugged in and out
+	useEffect(() => {
+		const mediaDevices = navigator.mediaDevices;
+		if (!mediaDevices?.addEventListener) return;
+
+		const handleDeviceChange = async () => {
+			const devices = await audioEngineRef.current?.getInputDevices?.();
+			if (devices) {
+				dispatch({ type: ActionTypes.SET_INPUT_DEVICES, payload: devices });
+			}
+		};
+
+		mediaDevices.addEventListener("devicechange", handleDeviceChange);
+		return () => {
+			mediaDevices.removeEventListener("devicechange", handleDeviceChange);
+		};
+	}, []);
+
+	// Delete and Cut take the selection out of every track as one undoable step
+	const deleteSelection = useCallback(
+		(description) => {
+			const engine = audioEngineRef.current;
+			if (!engine) return;
+
+			const { start, end } = state.selection;
+			const trackIds = Array.from(state.tracks.keys());
+			runCommand(
+				new TrackEditCommand(
+					engine,
+					trackIds,
+					() => trackIds.forEach((trackId) => engine.cutAudio(trackId, start, end)),
+					description,
+					handleTracksChanged,
+				),
+			);
+
+			dispatch({ type: ActionTypes.CLEAR_SELECTION });
+			dispatch({ type: ActionTypes.SET_STATUS, payload: "Deleted selection" });
+		},
+		[state.selection, state.tracks, runCommand, handleTracksChanged],
+	);
 
 	// Actions
 	const actions = {
@@ -416,18 +864,27 @@ export const AudioProvider = ({ children }) => {
 			(startTime, duration) => {
 				if (!audioEngineRef.current || !state.isInitialized) return;
 
-				audioEngineRef.current.play(null, startTime, duration);
+				if (startTime === undefined && state.isPaused) {
+					audioEngineRef.current.resume();
+				} else {
+					audioEngineRef.current.play(
+						null,
+						startTime ?? state.playheadPosition ?? 0,
+						duration,
+					);
+				}
 				dispatch({ type: ActionTypes.SET_PLAYING, payload: true });
 			},
-			[state.isInitialized],
+			[state.isInitialized, state.isPaused, state.playheadPosition],
 		),
 
 		pause: useCallback(() => {
 			if (!audioEngineRef.current) return;
 
 			audioEngineRef.current.pause();
+			syncTransportPosition();
 			dispatch({ type: ActionTypes.SET_PAUSED, payload: true });
-		}, []),
+		}, [syncTransportPosition]),
 
 		stop: useCallback(() => {
 			if (!audioEngineRef.current) return;
@@ -435,32 +892,59 @@ export const AudioProvider = ({ children }) => {
 			audioEngineRef.current.stop();
 			dispatch({ type: ActionTypes.SET_PLAYING, payload: false });
 			dispatch({ type: ActionTypes.SET_PAUSED, payload: false });
-			dispatch({ type: ActionTypes.SET_CURRENT_TIME, payload: 0 });
-		}, []),
+			syncTransportPosition();
+		}, [syncTransportPosition]),
 
 		startRecording: useCallback(async () => {
 			if (!audioEngineRef.current) return;
 
 			try {
-				await audioEngineRef.current.startRecording();
+				await audioEngineRef.current.startRecording({
+					position: state.playheadPosition,
+					trackId: state.selectedTrackId,
+					selection: state.selection,
+				});
 				dispatch({ type: ActionTypes.SET_RECORDING, payload: true });
+				dispatch({
+					type: ActionTypes.SET_PLAYING,
+					payload: !!audioEngineRef.current.isPlaying,
+				});
 			} catch (error) {
 				dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
 			}
-		}, []),
+		}, [state.playheadPosition, state.selectedTrackId, state.selection]),
 
-		stopRecording: useCallback(() => {
+		stopRecording: useCallback(async () => {
 			if (!audioEngineRef.current) return;
 
-			audioEngineRef.current.stopRecording();
 			dispatch({ type: ActionTypes.SET_RECORDING, payload: false });
+			await audioEngineRef.current.stopRecording();
 		}, []),
 
-		seekToTime: useCallback((time) => {
-			if (!audioEngineRef.current) return;
+		seekToTime: useCallback(
+			(time) => {
+				if (!audioEngineRef.current) return;
 
-			audioEngineRef.current.currentTime = time;
-			dispatch({ type: ActionTypes.SET_CURRENT_TIME, payload: time });
+				audioEngineRef.current.seek(time);
+				syncTransportPosition();
+			},
+			[syncTransportPosition],
+		),
+
+		// Read the live transport position (for requestAnimationFrame loops)
+		getPlaybackPosition: useCallback(
+			() => audioEngineRef.current?.getCurrentTime?.() ?? 0,
+			[],
+		),
+
+		// Read the live "input" or "output" meter levels (for requestAnimationFrame loops)
+		getMeterLevels: useCallback(
+			(meter) => audioEngineRef.current?.getMeterLevels?.(meter) ?? null,
+			[],
+		),
+
+		resetMeter: useCallback((meter) => {
+			audioEngineRef.current?.resetMeter?.(meter);
 		}, []),
 
 		// File operations
@@ -474,6 +958,14 @@ export const AudioProvider = ({ children }) => {
 
 				if (trackInfo) {
 					actions.addTrack(trackId, trackInfo);
+					// Markers stored in the file (WAV cue points, AIFF MARK/INST) become labels
+					trackInfo.labels?.forEach((label) => actions.addLabel(label));
+					if (!isMetadataEmpty(trackInfo.metadata)) {
+						dispatch({
+							type: ActionTypes.IMPORT_PROJECT_METADATA,
+							payload: trackInfo.metadata,
+						});
+					}
 					actions.updateTotalDuration();
 					dispatch({
 						type: ActionTypes.SET_STATUS,
@@ -490,6 +982,14 @@ export const AudioProvider = ({ children }) => {
 			}
 		}, []),
 
+		// Labels: { time, endTime, text, ... }, endTime null for a point label
+		addLabel: useCallback(({ time, endTime = null, text = "", ...rest }) => {
+			const labelManager = labelManagerRef.current;
+			const labelId = labelManager.addLabel(time, text, endTime);
+			if (Object.keys(rest).length > 0) labelManager.updateLabel(labelId, rest);
+			return labelId;
+		}, []),
+
 		exportAudio: useCallback(async (trackId, format = "wav") => {
 			if (!audioEngineRef.current) return null;
 
@@ -502,17 +1002,89 @@ export const AudioProvider = ({ children }) => {
 			}
 		}, []),
 
-		// Track management
-		addTrack,
+		exportMixdown: useCallback(async (options) => {
+			if (!audioEngineRef.current) return null;
 
-		removeTrack: useCallback((trackId) => {
-			if (audioEngineRef.current) {
-				audioEngineRef.current.removeTrack(trackId);
+			dispatch({ type: ActionTypes.SET_LOADING, payload: true });
+			try {
+				return await audioEngineRef.current.exportMixdown(options);
+			} catch (error) {
+				dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+				return null;
+			} finally {
+				dispatch({ type: ActionTypes.SET_LOADING, payload: false });
 			}
-			dispatch({ type: ActionTypes.REMOVE_TRACK, payload: trackId });
-			actions.updateTotalDuration();
 		}, []),
 
+		// Project files: the whole session with its audio (see ProjectFile)
+		saveProject: useCallback(async () => {
+			if (!audioEngineRef.current) return null;
+
+			dispatch({ type: ActionTypes.SET_LOADING, payload: true });
+			try {
+				const { tracks, sources, envelopes } =
+					await audioEngineRef.current.getProjectData();
+				const session = describeSession(state, labelManagerRef.current.getAllLabels());
+				const panelTracks = new Map(session.tracks.map((track) => [track.id, track]));
+				const project = {
+					...session,
+					// Names and visibility can be changed in the track panel only
+					tracks: tracks.map((track) => ({ ...track, ...panelTracks.get(track.id) })),
+					envelopes,
+				};
+				const blob = await writeProject(project, sources);
+				dispatch({ type: ActionTypes.SET_STATUS, payload: "Project saved" });
+				return blob;
+			} catch (error) {
+				console.error("Failed to save project:", error);
+				dispatch({ type: ActionTypes.SET_ERROR, payload: "Failed to save project" });
+				return null;
+			} finally {
+				dispatch({ type: ActionTypes.SET_LOADING, payload: false });
+			}
+		}, [state]),
+
+		openProject: useCallback(
+			async (file) => {
+				const engine = audioEngineRef.current;
+				if (!engine) return false;
+
+				dispatch({ type: ActionTypes.SET_LOADING, payload: true });
+				try {
+					const project = await readProject(file);
+					if (!(await engine.loadProjectData(project))) return false;
+
+					applyProject(project);
+					dispatch({ type: ActionTypes.SET_STATUS, payload: `Opened: ${file.name}` });
+					return true;
+				} catch (error) {
+					console.error("Failed to open project:", error);
+					dispatch({
+						type: ActionTypes.SET_ERROR,
+						payload: `Failed to open project: ${error.message}`,
+					});
+					return false;
+				} finally {
+					dispatch({ type: ActionTypes.SET_LOADING, payload: false });
+				}
+			},
+			[applyProject],
+		),
+
+		// Track management
+		addTrack,
+
+		removeTrack: useCallback(
+			(trackId) => {
+				if (!audioEngineRef.current) return false;
+
+				return runCommand(
+					new RemoveTrackCommand(audioEngineRef.current, trackId, handleTracksChanged),
+				);
+			},
+			[runCommand, handleTracksChanged],
+		),
+
 		updateTrack: useCallback((trackId, updates) => {
 			dispatch({
 				type: ActionTypes.UPDATE_TRACK,
@@ -520,6 +1092,53 @@ export const AudioProvider = ({ children }) => {
 			});
 		}, []),
 
+		// Track mixing (applied live to the engine's channel strips)
+		setTrackVolume: useCallback((trackId, volume) => {
+			audioEngineRef.current?.setTrackMix(trackId, { volume });
+			dispatch({
+				type: ActionTypes.UPDATE_TRACK,
+				payload: { id: trackId, updates: { volume } },
+			});
+		}, []),
+
+		setTrackPan: useCallback((trackId, pan) => {
+			audioEngineRef.current?.setTrackMix(trackId, { pan });
+			dispatch({
+				type: ActionTypes.UPDATE_TRACK,
+				payload: { id: trackId, updates: { pan } },
+			});
+		}, []),
+
+		toggleTrackMute: useCallback(
+			(trackId) => {
+				const track = state.tracks.get(trackId);
+				if (!track) return;
+
+				const muted = !track.muted;
+				audioEngineRef.current?.setTrackMix(trackId, { muted });
+				dispatch({
+					type: ActionTypes.UPDATE_TRACK,
+					payload: { id: trackId, updates: { muted } },
+				});
+			},
+			[state.tracks],
+		),
+
+		toggleTrackSolo: useCallback(
+			(trackId) => {
+				const track = state.tracks.get(trackId);
+				if (!track) return;
+
+				const solo = !track.solo;
+				audioEngineRef.current?.setTrackMix(trackId, { solo });
+				dispatch({
+					type: ActionTypes.UPDATE_TRACK,
+					payload: { id: trackId, updates: { solo } },
+				});
+			},
+			[state.tracks],
+		),
+
 		// Selection
 		setSelection: useCallback((start, end) => {
 			dispatch({
@@ -532,6 +1151,22 @@ export const AudioProvider = ({ children }) => {
 			dispatch({ type: ActionTypes.CLEAR_SELECTION });
 		}, []),
 
+		// Loop playback
+		toggleLoop: useCallback(() => {
+			dispatch({ type: ActionTypes.SET_LOOP_ENABLED, payload: !state.loop.enabled });
+		}, [state.loop.enabled]),
+
+		setLoopRegion: useCallback((start, end) => {
+			dispatch({
+				type: ActionTypes.SET_LOOP_REGION,
+				payload: { start: Math.min(start, end), end: Math.max(start, end) },
+			});
+		}, []),
+
+		clearLoopRegion: useCallback(() => {
+			dispatch({ type: ActionTypes.CLEAR_LOOP_REGION });
+		}, []),
+
 		selectAll: useCallback(() => {
 			if (audioEngineRef.current) {
 				const duration = audioEngineRef.current.getTotalDuration();
@@ -541,7 +1176,7 @@ export const AudioProvider = ({ children }) => {
 
 		// Edit operations
 		cut: useCallback(() => {
-			if (!state.selection.start || !state.selection.end) {
+			if (!hasSelection(state.selection)) {
 				dispatch({
 					type: ActionTypes.SET_STATUS,
 					payload: "No selection to cut",
@@ -553,15 +1188,11 @@ export const AudioProvider = ({ children }) => {
 			actions.copy();
 
 			// Then delete
-			actions.delete();
-		}, [state.selection]),
+			deleteSelection("Cut");
+		}, [state.selection, deleteSelection]),
 
 		copy: useCallback(() => {
-			if (
-				!state.selection.start ||
-				!state.selection.end ||
-				!audioEngineRef.current
-			) {
+			if (!hasSelection(state.selection) || !audioEngineRef.current) {
 				dispatch({
 					type: ActionTypes.SET_STATUS,
 					payload: "No selection to copy",
@@ -575,13 +1206,13 @@ export const AudioProvider = ({ children }) => {
 			};
 
 			for (const [trackId] of state.tracks) {
-				const buffer = audioEngineRef.current.copyAudio(
+				const clips = audioEngineRef.current.copyClips(
 					trackId,
 					state.selection.start,
 					state.selection.end,
 				);
-				if (buffer) {
-					clipboard.tracks.set(trackId, buffer);
+				if (clips && clips.length > 0) {
+					clipboard.tracks.set(trackId, clips);
 				}
 			}
 
@@ -590,11 +1221,7 @@ export const AudioProvider = ({ children }) => {
 		}, [state.selection, state.tracks]),
 
 		delete: useCallback(() => {
-			if (
-				!state.selection.start ||
-				!state.selection.end ||
-				!audioEngineRef.current
-			) {
+			if (!hasSelection(state.selection) || !audioEngineRef.current) {
 				dispatch({
 					type: ActionTypes.SET_STATUS,
 					payload: "No selection to delete",
@@ -602,18 +1229,8 @@ export const AudioProvider = ({ children }) => {
 				return;
 			}
 
-			for (const [trackId] of state.tracks) {
-				audioEngineRef.current.cutAudio(
-					trackId,
-					state.selection.start,
-					state.selection.end,
-				);
-			}
-
-			actions.clearSelection();
-			actions.updateTotalDuration();
-			dispatch({ type: ActionTypes.SET_STATUS, payload: "Deleted selection" });
-		}, [state.selection, state.tracks]),
+			deleteSelection("Delete");
+		}, [state.selection, deleteSelection]),
 
 		paste: useCallback(() => {
 			if (!state.clipboard || !audioEngineRef.current) {
@@ -627,17 +1244,28 @@ export const AudioProvider = ({ children }) => {
 			try {
 				// If we have a selection, paste at the selection start
 				// Otherwise, paste at the current playhead position
-				const pastePosition =
-					state.selection.start || state.playheadPosition || 0;
-
-				for (const [trackId, buffer] of state.clipboard.tracks) {
-					// Check if the track still exists
-					if (state.tracks.has(trackId)) {
-						audioEngineRef.current.pasteAudio(trackId, buffer, pastePosition);
-					}
-				}
-
-				actions.updateTotalDuration();
+				const pastePosition = hasSelection(state.selection)
+					? state.selection.start
+					: state.playheadPosition || 0;
+
+				const engine = audioEngineRef.current;
+				// Only into tracks that still exist
+				const targets = Array.from(state.clipboard.tracks).filter(([trackId]) =>
+					state.tracks.has(trackId),
+				);
+				runCommand(
+					new TrackEditCommand(
+						engine,
+						targets.map(([trackId]) => trackId),
+						() => {
+							for (const [trackId, clips] of targets) {
+								engine.pasteClips(trackId, clips, pastePosition);
+							}
+						},
+						"Paste",
+						handleTracksChanged,
+					),
+				);
 				dispatch({ type: ActionTypes.SET_STATUS, payload: "Pasted audio" });
 			} catch {
 				dispatch({
@@ -650,15 +1278,55 @@ export const AudioProvider = ({ children }) => {
 			state.selection,
 			state.playheadPosition,
 			state.tracks,
+			runCommand,
+			handleTracksChanged,
 		]),
 
+		// Time shift: the clip follows the mouse live, the drop is recorded as one command
+		previewClipMove: useCallback(
+			(clipId, trackId, position) => {
+				const engine = audioEngineRef.current;
+				const found = engine?.findClip?.(clipId);
+				if (!found) return false;
+
+				const moved = engine.moveClip(clipId, trackId, position);
+				if (moved) {
+					refreshTrack(found.trackId);
+					if (trackId !== found.trackId) refreshTrack(trackId);
+				}
+				return moved;
+			},
+			[refreshTrack],
+		),
+
+		moveClip: useCallback(
+			(clipId, from, to) => {
+				if (!audioEngineRef.current || !undoRedoManagerRef.current) return false;
+
+				const command = new MoveClipCommand(
+					audioEngineRef.current,
+					clipId,
+					from,
+					to,
+					(trackIds) => {
+						trackIds.forEach(refreshTrack);
+						updateTotalDuration();
+					},
+				);
+				const result = undoRedoManagerRef.current.executeCommand(command);
+				updateUndoRedoState();
+				return result;
+			},
+			[refreshTrack, updateTotalDuration, updateUndoRedoState],
+		),
+
 		// Effects
 		applyEffect: useCallback(
 			async (effectName, parameters) => {
 				const effectsProcessor = await ensureEffectsProcessor();
 				if (!effectsProcessor || !audioEngineRef.current) return;
 
-				if (!state.selection.start || !state.selection.end) {
+				if (!hasSelection(state.selection)) {
 					dispatch({
 						type: ActionTypes.SET_STATUS,
 						payload: "No selection for effect",
@@ -668,26 +1336,37 @@ export const AudioProvider = ({ children }) => {
 
 				dispatch({ type: ActionTypes.SET_LOADING, payload: true });
 
-				setTimeout(() => {
+				setTimeout(async () => {
 					try {
+						// Every track is processed first, then changed in one undoable step
+						const engine = audioEngineRef.current;
+						const processed = new Map();
 						for (const [trackId] of state.tracks) {
-							const trackInfo = audioEngineRef.current.getTrackInfo(trackId);
-							if (trackInfo) {
-								const newBuffer = effectsProcessor.applyEffect(
-									effectName,
-									trackInfo.buffer,
-									parameters,
-								);
-
-								audioEngineRef.current.audioBuffers.set(trackId, {
-									...trackInfo,
-									buffer: newBuffer,
-									duration: newBuffer.duration,
-								});
-							}
+							const range = await engine.renderProcessedRange(
+								trackId,
+								state.selection.start,
+								state.selection.end,
+								(buffer) =>
+									effectsProcessor.applyEffect(effectName, buffer, parameters),
+							);
+							if (range) processed.set(trackId, range);
 						}
 
-						actions.updateTotalDuration();
+						if (processed.size > 0) {
+							runCommand(
+								new TrackEditCommand(
+									engine,
+									Array.from(processed.keys()),
+									() => {
+										for (const [trackId, { start, end, material }] of processed) {
+											engine.replaceRange(trackId, start, end, material);
+										}
+									},
+									`Apply ${effectName}`,
+									handleTracksChanged,
+								),
+							);
+						}
 						dispatch({
 							type: ActionTypes.SET_STATUS,
 							payload: `Applied ${effectName}`,
@@ -699,227 +1378,176 @@ export const AudioProvider = ({ children }) => {
 					}
 				}, 100);
 			},
-			[state.selection, state.tracks, ensureEffectsProcessor],
+			[
+				state.selection,
+				state.tracks,
+				ensureEffectsProcessor,
+				runCommand,
+				handleTracksChanged,
+			],
 		),
 
 		// Generate audio
-		generateTone: useCallback((frequency, duration, amplitude, waveform) => {
-			if (!audioEngineRef.current) return;
-
-			const trackId = audioEngineRef.current.generateTone(
-				frequency,
-				duration,
-				amplitude,
-				waveform,
-			);
-			const trackInfo = audioEngineRef.current.getTrackInfo(trackId);
-
-			if (trackInfo) {
-				actions.addTrack(trackId, trackInfo);
-				actions.updateTotalDuration();
-			}
-		}, []),
-
-		generateNoise: useCallback((duration, amplitude, type) => {
-			if (!audioEngineRef.current) return;
-
-			const trackId = audioEngineRef.current.generateNoise(
-				duration,
-				amplitude,
-				type,
-			);
-			const trackInfo = audioEngineRef.current.getTrackInfo(trackId);
-
-			if (trackInfo) {
-				actions.addTrack(trackId, trackInfo);
-				actions.updateTotalDuration();
-			}
-		}, []),
-
-		generateSilence: useCallback((duration) => {
-			if (!audioEngineRef.current) return;
+		generateTone: useCallback(
+			(frequency, duration, amplitude, waveform) =>
+				addGeneratedTrack(
+					(engine) => engine.generateTone(frequency, duration, amplitude, waveform),
+					"Generate tone",
+				),
+			[addGeneratedTrack],
+		),
 
-			const trackId = audioEngineRef.current.generateSilence(duration);
-			const trackInfo = audioEngineRef.current.getTrackInfo(trackId);
+		generateNoise: useCallback(
+			(duration, amplitude, type) =>
+				addGeneratedTrack(
+					(engine) => engine.generateNoise(duration, amplitude, type),
+					"Generate noise",
+				),
+			[addGeneratedTrack],
+		),
 
-			if (trackInfo) {
-				actions.addTrack(trackId, trackInfo);
-				actions.updateTotalDuration();
-			}
-		}, []),
+		generateSilence: useCallback(
+			(duration) =>
+				addGeneratedTrack((engine) => engine.generateSilence(duration), "Generate silence"),
+			[addGeneratedTrack],
+		),
 
 		// Phase 1 Priority Generators
 		generateChirp: useCallback(
-			(startFreq, endFreq, duration, amplitude, waveform) => {
-				if (!audioEngineRef.current) return;
-
-				const trackId = audioEngineRef.current.generateChirp(
-					startFreq,
-					endFreq,
-					duration,
-					amplitude,
-					waveform,
-				);
-				const trackInfo = audioEngineRef.current.getTrackInfo(trackId);
-
-				if (trackInfo) {
-					actions.addTrack(trackId, trackInfo);
-					actions.updateTotalDuration();
-				}
-			},
-			[],
+			(startFreq, endFreq, duration, amplitude, waveform) =>
+				addGeneratedTrack(
+					(engine) =>
+						engine.generateChirp(startFreq, endFreq, duration, amplitude, waveform),
+					"Generate chirp",
+				),
+			[addGeneratedTrack],
 		),
 
-		generateDTMF: useCallback((digit, duration, amplitude) => {
-			if (!audioEngineRef.current) return;
-
-			const trackId = audioEngineRef.current.generateDTMF(
-				digit,
-				duration,
-				amplitude,
-			);
-			const trackInfo = audioEngineRef.current.getTrackInfo(trackId);
-
-			if (trackInfo) {
-				actions.addTrack(trackId, trackInfo);
-				actions.updateTotalDuration();
-			}
-		}, []),
+		generateDTMF: useCallback(
+			(digit, duration, amplitude) =>
+				addGeneratedTrack(
+					(engine) => engine.generateDTMF(digit, duration, amplitude),
+					"Generate DTMF tones",
+				),
+			[addGeneratedTrack],
+		),
 
 		generateRhythmTrack: useCallback(
-			(bpm, duration, beatsPerMeasure, amplitude) => {
-				if (!audioEngineRef.current) return;
-
-				const trackId = audioEngineRef.current.generateRhythmTrack(
-					bpm,
-					duration,
-					beatsPerMeasure,
-					amplitude,
-				);
-				const trackInfo = audioEngineRef.current.getTrackInfo(trackId);
-
-				if (trackInfo) {
-					actions.addTrack(trackId, trackInfo);
-					actions.updateTotalDuration();
-				}
-			},
-			[],
+			(bpm, duration, beatsPerMeasure, amplitude) =>
+				addGeneratedTrack(
+					(engine) =>
+						engine.generateRhythmTrack(bpm, duration, beatsPerMeasure, amplitude),
+					"Generate rhythm track",
+				),
+			[addGeneratedTrack],
 		),
 
-		generatePluck: useCallback((frequency, duration, amplitude, decay) => {
-			if (!audioEngineRef.current) return;
-
-			const trackId = audioEngineRef.current.generatePluck(
-				frequency,
-				duration,
-				amplitude,
-				decay,
-			);
-			const trackInfo = audioEngineRef.current.getTrackInfo(trackId);
-
-			if (trackInfo) {
-				actions.addTrack(trackId, trackInfo);
-				actions.updateTotalDuration();
-			}
-		}, []),
-
-		generateRissetDrum: useCallback((frequency, duration, amplitude) => {
-			if (!audioEngineRef.current) return;
-
-			const trackId = audioEngineRef.current.generateRissetDrum(
-				frequency,
-				duration,
-				amplitude,
-			);
-			const trackInfo = audioEngineRef.current.getTrackInfo(trackId);
+		generatePluck: useCallback(
+			(frequency, duration, amplitude, decay) =>
+				addGeneratedTrack(
+					(engine) => engine.generatePluck(frequency, duration, amplitude, decay),
+					"Generate pluck",
+				),
+			[addGeneratedTrack],
+		),
 
-			if (trackInfo) {
-				actions.addTrack(trackId, trackInfo);
-				actions.updateTotalDuration();
-			}
-		}, []),
+		generateRissetDrum: useCallback(
+			(frequency, duration, amplitude) =>
+				addGeneratedTrack(
+					(engine) => engine.generateRissetDrum(frequency, duration, amplitude),
+					"Generate Risset drum",
+				),
+			[addGeneratedTrack],
+		),
 
 		// Generic generator method for UI
-		generate: useCallback((type, parameters) => {
-			if (!audioEngineRef.current) return;
+		generate: useCallback(
+			(type, parameters) => {
+				let create;
+				switch (type) {
+					case "tone":
+						create = (engine) =>
+							engine.generateTone(
+								parameters.frequency,
+								parameters.duration,
+								parameters.amplitude,
+								parameters.waveform,
+							);
+						break;
+					case "noise":
+						create = (engine) =>
+							engine.generateNoise(
+								parameters.duration,
+								parameters.amplitude,
+								parameters.type,
+							);
+						break;
+					case "silence":
+						create = (engine) => engine.generateSilence(parameters.duration);
+						break;
+					case "chirp":
+						create = (engine) =>
+							engine.generateChirp(
+								parameters.startFreq,
+								parameters.endFreq,
+								parameters.duration,
+								parameters.amplitude,
+								parameters.waveform,
+							);
+						break;
+					case "dtmf":
+						create = (engine) =>
+							engine.generateDTMF(
+								parameters.digit,
+								parameters.duration,
+								parameters.amplitude,
+							);
+						break;
+					case "rhythm":
+						create = (engine) =>
+							engine.generateRhythmTrack(
+								parameters.bpm,
+								parameters.duration,
+								parameters.beatsPerMeasure,
+								parameters.amplitude,
+							);
+						break;
+					case "pluck":
+						create = (engine) =>
+							engine.generatePluck(
+								parameters.frequency,
+								parameters.duration,
+								parameters.amplitude,
+								parameters.decay,
+							);
+						break;
+					case "drum":
+						create = (engine) =>
+							engine.generateRissetDrum(
+								parameters.frequency,
+								parameters.duration,
+								parameters.amplitude,
+							);
+						break;
+					default:
+						dispatch({
+							type: ActionTypes.SET_ERROR,
+							payload: `Unknown generator: ${type}`,
+						});
+						return null;
+				}
 
-			let trackId;
-			switch (type) {
-				case "tone":
-					trackId = audioEngineRef.current.generateTone(
-						parameters.frequency,
-						parameters.duration,
-						parameters.amplitude,
-						parameters.waveform,
-					);
-					break;
-				case "noise":
-					trackId = audioEngineRef.current.generateNoise(
-						parameters.duration,
-						parameters.amplitude,
-						parameters.type,
-					);
-					break;
-				case "silence":
-					trackId = audioEngineRef.current.generateSilence(parameters.duration);
-					break;
-				case "chirp":
-					trackId = audioEngineRef.current.generateChirp(
-						parameters.startFreq,
-						parameters.endFreq,
-						parameters.duration,
-						parameters.amplitude,
-						parameters.waveform,
-					);
-					break;
-				case "dtmf":
-					trackId = audioEngineRef.current.generateDTMF(
-						parameters.digit,
-						parameters.duration,
-						parameters.amplitude,
-					);
-					break;
-				case "rhythm":
-					trackId = audioEngineRef.current.generateRhythmTrack(
-						parameters.bpm,
-						parameters.duration,
-						parameters.beatsPerMeasure,
-						parameters.amplitude,
-					);
-					break;
-				case "pluck":
-					trackId = audioEngineRef.current.generatePluck(
-						parameters.frequency,
-						parameters.duration,
-						parameters.amplitude,
-						parameters.decay,
-					);
-					break;
-				case "drum":
-					trackId = audioEngineRef.current.generateRissetDrum(
-						parameters.frequency,
-						parameters.duration,
-						parameters.amplitude,
-					);
-					break;
-				default:
+				const trackId = addGeneratedTrack(create, `Generate ${type}`);
+				if (trackId) {
 					dispatch({
-						type: ActionTypes.SET_ERROR,
-						payload: `Unknown generator: ${type}`,
+						type: ActionTypes.SET_STATUS,
+						payload: `Generated ${type}`,
 					});
-					return;
-			}
-
-			const trackInfo = audioEngineRef.current.getTrackInfo(trackId);
-			if (trackInfo) {
-				actions.addTrack(trackId, trackInfo);
-				actions.updateTotalDuration();
-				dispatch({
-					type: ActionTypes.SET_STATUS,
-					payload: `Generated ${type}`,
-				});
-			}
-		}, []),
+				}
+				return trackId;
+			},
+			[addGeneratedTrack],
+		),
 
 		// UI controls
 		setTool: useCallback((tool) => {
@@ -935,6 +1563,8 @@ export const AudioProvider = ({ children }) => {
 		}, []),
 
 		setPlayheadPosition: useCallback((position) => {
+			audioEngineRef.current?.seek?.(position);
+			dispatch({ type: ActionTypes.SET_CURRENT_TIME, payload: position });
 			dispatch({ type: ActionTypes.SET_PLAYHEAD_POSITION, payload: position });
 		}, []),
 
@@ -946,9 +1576,153 @@ export const AudioProvider = ({ children }) => {
 		}, []),
 
 		setRecordingVolume: useCallback((volume) => {
+			audioEngineRef.current?.setRecordingVolume?.(volume / 100);
 			dispatch({ type: ActionTypes.SET_RECORDING_VOLUME, payload: volume });
 		}, []),
 
+		setRecordingSettings: useCallback((settings) => {
+			audioEngineRef.current?.setRecordingSettings?.(settings);
+			dispatch({ type: ActionTypes.SET_RECORDING_SETTINGS, payload: settings });
+		}, []),
+
+		setProjectSettings: useCallback((settings) => {
+			const engine = audioEngineRef.current;
+			if (settings.sampleRate) engine?.setProjectRate?.(settings.sampleRate);
+			if (settings.resampleQuality) engine?.setResampleQuality?.(settings.resampleQuality);
+			dispatch({ type: ActionTypes.SET_PROJECT_SETTINGS, payload: settings });
+		}, []),
+
+		setProjectMetadata: useCallback((metadata) => {
+			dispatch({ type: ActionTypes.SET_PROJECT_METADATA, payload: metadata });
+		}, []),
+
+		setTrackMetadata: useCallback(
+			(trackId, metadata) => {
+				if (audioEngineRef.current?.setTrackMetadata?.(trackId, metadata)) {
+					refreshTrack(trackId);
+				}
+			},
+			[refreshTrack],
+		),
+
+		resampleTrack: useCallback(
+			async (trackId, sampleRate, quality) => {
+				if (!audioEngineRef.current) return false;
+
+				dispatch({ type: ActionTypes.SET_LOADING, payload: true });
+				try {
+					const engine = audioEngineRef.current;
+					const clips = await engine.renderResampledClips(trackId, sampleRate, quality);
+					const changed = clips !== null;
+					if (changed) {
+						runCommand(
+							new TrackEditCommand(
+								engine,
+								[trackId],
+								() => {
+									engine.setTrackClips(trackId, clips, { sampleRate });
+									engine.scheduleOffload(trackId);
+								},
+								`Resample track to ${sampleRate} Hz`,
+								handleTracksChanged,
+							),
+						);
+					}
+					dispatch({
+						type: ActionTypes.SET_STATUS,
+						payload: changed
+							? `Resampled track to ${sampleRate} Hz`
+							: `Track is already ${sampleRate} Hz`,
+					});
+					return changed;
+				} catch (error) {
+					console.error("Failed to resample track:", error);
+					dispatch({ type: ActionTypes.SET_ERROR, payload: "Failed to resample track" });
+					return false;
+				} finally {
+					dispatch({ type: ActionTypes.SET_LOADING, payload: false });
+				}
+			},
+			[runCommand, handleTracksChanged],
+		),
+
+		setInputSettings: useCallback((settings) => {
+			audioEngineRef.current?.setInputSettings?.(settings);
+			dispatch({ type: ActionTypes.SET_INPUT_SETTINGS, payload: settings });
+		}, []),
+
+		refreshInputDevices: useCallback(async () => {
+			const devices = await audioEngineRef.current?.getInputDevices?.();
+			if (devices) {
+				dispatch({ type: ActionTypes.SET_INPUT_DEVICES, payload: devices });
+			}
+		}, []),
+
+		recoverRecording: useCallback(
+			async (takeId) => {
+				if (!audioEngineRef.current) return null;
+
+				const trackId = await audioEngineRef.current.recoverRecording(takeId);
+				dispatch({ type: ActionTypes.REMOVE_RECOVERABLE_RECORDING, payload: takeId });
+				if (trackId) {
+					addTrack(trackId, audioEngineRef.current.getTrackInfo(trackId));
+					updateTotalDuration();
+					dispatch({ type: ActionTypes.SET_STATUS, payload: "Recording recovered" });
+				}
+				return trackId;
+			},
+			[addTrack, updateTotalDuration],
+		),
+
+		discardRecording: useCallback(async (takeId) => {
+			await audioEngineRef.current?.discardRecording?.(takeId);
+			dispatch({ type: ActionTypes.REMOVE_RECOVERABLE_RECORDING, payload: takeId });
+		}, []),
+
+		// Autosave (see SessionJournal); turning it off forgets what was saved
+		setAutoSave: useCallback((enabled) => {
+			dispatch({ type: ActionTypes.SET_AUTO_SAVE, payload: enabled });
+			if (!enabled) audioEngineRef.current?.clearAutosave?.();
+		}, []),
+
+		// Replaces the current tracks, as opening a project does
+		recoverSession: useCallback(
+			async (sessionId) => {
+				const engine = audioEngineRef.current;
+				if (!engine) return false;
+
+				dispatch({ type: ActionTypes.SET_LOADING, payload: true });
+				try {
+					const session = await engine.recoverSession(sessionId);
+					dispatch({ type: ActionTypes.REMOVE_RECOVERABLE_SESSION, payload: sessionId });
+					if (!session) return false;
+
+					applyProject(session);
+					// Pick up where the session left off, undo steps included
+					if (session.undoHistory) {
+						undoRedoManagerRef.current.restore(session.undoHistory, (step) =>
+							restoreCommand(step, engine, session.loadClip, handleTracksChanged),
+						);
+						updateUndoRedoState();
+					}
+					dispatch({ type: ActionTypes.SET_STATUS, payload: "Session recovered" });
+					return true;
+				} finally {
+					dispatch({ type: ActionTypes.SET_LOADING, payload: false });
+				}
+			},
+			[applyProject, handleTracksChanged, updateUndoRedoState],
+		),
+
+		discardSession: useCallback(async (sessionId) => {
+			await audioEngineRef.current?.discardSession?.(sessionId);
+			dispatch({ type: ActionTypes.REMOVE_RECOVERABLE_SESSION, payload: sessionId });
+		}, []),
+
+		selectTrack: useCallback((trackId) => {
+			dispatch({ type: ActionTypes.SET_SELECTED_TRACK, payload: trackId });
+		}, []),
+
 		setStatus: useCallback((status) => {
 			dispatch({ type: ActionTypes.SET_STATUS, payload: status });
 		}, []),
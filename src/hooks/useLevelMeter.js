@@ -0,0 +1,45 @@
+import { useEffect, useRef } from "react";
+import { useAudioActions, useAudioState } from "../context/AudioContext";
+
+/**
+ * Poll a level meter while it has something to show.
+ * Calls onFrame(levels) once per animation frame, outside of React rendering,
+ * so meters can be drawn by writing to the DOM directly. The recording meter runs
+ * while recording or monitoring, the playback meter while playing; when a meter
+ * stops, onFrame receives null.
+ * @param {string} meter - "input" or "output"
+ * @param {Function} onFrame - Receives per-channel levels in dBFS, or null
+ */
+export const useLevelMeter = (meter, onFrame) => {
+	const state = useAudioState();
+	const actions = useAudioActions();
+	const onFrameRef = useRef(onFrame);
+	const getLevelsRef = useRef(actions.getMeterLevels);
+
+	onFrameRef.current = onFrame;
+	getLevelsRef.current = actions.getMeterLevels;
+
+	const active =
+		meter === "input"
+			? state.isRecording || !!state.inputSettings?.monitoring
+			: state.isPlaying;
+
+	useEffect(() => {
+		if (!active) {
+			onFrameRef.current(null);
+			return undefined;
+		}
+
+		let frameId = null;
+		const tick = () => {
+			onFrameRef.current(getLevelsRef.current?.(meter) ?? null);
+			frameId = window.requestAnimationFrame(tick);
+		};
+		frameId = window.requestAnimationFrame(tick);
+
+		return () => {
+			window.cancelAnimationFrame(frameId);
+			onFrameRef.current(null);
+		};
+	}, [meter, active]);
+};
@@ -0,0 +1,34 @@
+import { useEffect, useRef } from "react";
+import { useAudioActions, useAudioState } from "../context/AudioContext";
+
+/**
+ * Follow the transport position while playing.
+ * Calls onFrame(position) once per animation frame, outside of React rendering,
+ * so components can move the playhead by writing to the DOM directly.
+ * When playback is not running, onFrame receives the playhead position from state.
+ */
+export const usePlayhead = (onFrame) => {
+	const state = useAudioState();
+	const actions = useAudioActions();
+	const onFrameRef = useRef(onFrame);
+	const getPositionRef = useRef(actions.getPlaybackPosition);
+
+	onFrameRef.current = onFrame;
+	getPositionRef.current = actions.getPlaybackPosition;
+
+	useEffect(() => {
+		if (!state.isPlaying) {
+			onFrameRef.current(state.playheadPosition);
+			return undefined;
+		}
+
+		let frameId = null;
+		const tick = () => {
+			onFrameRef.current(getPositionRef.current?.() ?? 0);
+			frameId = window.requestAnimationFrame(tick);
+		};
+		frameId = window.requestAnimationFrame(tick);
+
+		return () => window.cancelAnimationFrame(frameId);
+	}, [state.isPlaying, state.playheadPosition]);
+};
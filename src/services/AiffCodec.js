@@ -0,0 +1,404 @@
+/**
+ * AIFF codec for WebAudacity
+ * Reads and writes AIFF and AIFF-C: 8 to 32-bit integer PCM, 32-bit float
+ * ("fl32") and, when reading, little-endian "sowt" and 64-bit float. Labels
+ * travel as MARK markers: a point label is one marker, a region label a pair
+ * of markers with the same name, and a region label with a `loop` of
+ * "sustain" or "release" becomes that loop of the INST chunk.
+ */
+
+import { DEFAULT_DITHER, Ditherer } from "./Dither";
+
+export const AIFF_BIT_DEPTHS = [8, 16, 24, 32];
+
+// AIFF-C version 1 timestamp, the only one defined
+const AIFC_VERSION = 0xa2805140;
+const DEFAULT_INSTRUMENT = {
+	baseNote: 60,
+	detune: 0,
+	lowNote: 0,
+	highNote: 127,
+	lowVelocity: 1,
+	highVelocity: 127,
+	gain: 0,
+};
+const LOOP_FORWARD = 1;
+
+/**
+ * Read an 80-bit IEEE 754 extended float (big-endian), as AIFF stores its sample rate
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {number}
+ */
+export const readExtended = (view, offset) => {
+	const sign = view.getUint8(offset) & 0x80 ? -1 : 1;
+	const exponent = view.getUint16(offset) & 0x7fff;
+	const mantissa = view.getUint32(offset + 2) * 2 ** 32 + view.getUint32(offset + 6);
+	if (exponent === 0 && mantissa === 0) return 0;
+	return sign * mantissa * 2 ** (exponent - 16383 - 63);
+};
+
+/**
+ * Write an 80-bit IEEE 754 extended float (big-endian)
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} value - Finite number
+ */
+export const writeExtended = (view, offset, value) => {
+	if (value === 0) {
+		for (let i = 0; i < 10; i++) view.setUint8(offset + i, 0);
+		return;
+	}
+
+	const sign = value < 0 ? 0x8000 : 0;
+	const magnitude = Math.abs(value);
+	let exponent = Math.floor(Math.log2(magnitude));
+	// log2 can land one off for values just below a power of two
+	if (2 ** exponent > magnitude) exponent--;
+	if (2 ** (exponent + 1) <= magnitude) exponent++;
+
+	// The mantissa keeps its leading one explicitly: 1.xxx scaled to 64 bits
+	const scaled = (magnitude / 2 ** exponent) * 2 ** 31;
+	const high = Math.floor(scaled);
+	view.setUint16(offset, sign | (exponent + 16383));
+	view.setUint32(offset + 2, high);
+	view.setUint32(offset + 6, Math.floor((scaled - high) * 2 ** 32));
+};
+
+// Pascal string padded to an even total length; names are Mac Roman, Latin-1 is close enough
+const pascalString = (text) => {
+	const bytes = Array.from(text.slice(0, 255), (c) => (c.charCodeAt(0) < 256 ? c.charCodeAt(0) : 0x3f));
+	const output = new Uint8Array((bytes.length + 2) & ~1);
+	output[0] = bytes.length;
+	output.set(bytes, 1);
+	return output;
+};
+
+const readPascalString = (view, offset) => {
+	const length = view.getUint8(offset);
+	let text = "";
+	for (let i = 0; i < length; i++) text += String.fromCharCode(view.getUint8(offset + 1 + i));
+	return { text, size: (length + 2) & ~1 };
+};
+
+const asciiBytes = (text) => Uint8Array.from(text, (c) => c.charCodeAt(0));
+
+/**
+ * Turn labels into MARK markers and INST loops
+ * @param {Object[]} labels - { time, endTime, text, loop } in seconds
+ * @param {number} sampleRate
+ * @returns {Object} - { markers: [{ id, position, name }], loops: { sustain, release } }
+ */
+export const labelsToMarkers = (labels, sampleRate) => {
+	const markers = [];
+	const loops = {};
+	for (const label of labels) {
+		const start = { id: markers.length + 1, position: Math.round(label.time * sampleRate), name: label.text ?? "" };
+		markers.push(start);
+
+		if (label.endTime !== null && label.endTime !== undefined) {
+			const end = { id: markers.length + 1, position: Math.round(label.endTime * sampleRate), name: start.name };
+			markers.push(end);
+			if ((label.loop === "sustain" || label.loop === "release") && !loops[label.loop]) {
+				loops[label.loop] = { playMode: LOOP_FORWARD, begin: start.id, end: end.id };
+			}
+		}
+	}
+	return { markers, loops };
+};
+
+/**
+ * Turn MARK markers and INST loops back into labels
+ * @param {Object[]} markers - { id, position, name }
+ * @param {Object} instrument - Decoded INST chunk, or null
+ * @param {number} sampleRate
+ * @returns {Object[]} - { time, endTime, text, loop? } sorted by time
+ */
+export const markersToLabels = (markers, instrument, sampleRate) => {
+	const byId = new Map(markers.map((marker) => [marker.id, marker]));
+	const used = new Set();
+	const labels = [];
+
+	for (const kind of ["sustain", "release"]) {
+		const loop = instrument?.[`${kind}Loop`];
+		const begin = byId.get(loop?.begin);
+		const end = byId.get(loop?.end);
+		if (!loop?.playMode || !begin || !end) continue;
+
+		labels.push({
+			time: begin.position / sampleRate,
+			endTime: end.position / sampleRate,
+			text: begin.name,
+			loop: kind,
+		});
+		used.add(begin.id).add(end.id);
+	}
+
+	// Two markers sharing a name mark a region; anything else is a point
+	const byName = new Map();
+	for (const marker of markers) {
+		if (used.has(marker.id)) continue;
+		byName.set(marker.name, [...(byName.get(marker.name) ?? []), marker]);
+	}
+	for (const [name, group] of byName) {
+		if (group.length === 2) {
+			const [first, second] = [...group].sort((a, b) => a.position - b.position);
+			labels.push({ time: first.position / sampleRate, endTime: second.position / sampleRate, text: name });
+		} else {
+			group.forEach((marker) =>
+				labels.push({ time: marker.position / sampleRate, endTime: null, text: name }),
+			);
+		}
+	}
+
+	return labels.sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Encode channels as AIFF, or AIFF-C for float samples
+ * @param {Float32Array[]} channels - One array per channel, all the same length
+ * @param {number} sampleRate - Rate of the file
+ * @param {Object} options
+ * @param {number} options.bitDepth - 8, 16, 24 or 32
+ * @param {boolean} options.float - 32-bit float ("fl32", AIFF-C) instead of integers
+ * @param {string} options.dither - Dither type for integer samples, see DITHER_TYPES
+ * @param {Object[]} options.labels - Labels to store as markers, in seconds
+ * @param {Object} options.instrument - INST note and velocity settings
+ * @returns {ArrayBuffer}
+ */
+export const encodeAiff = (
+	channels,
+	sampleRate,
+	{ bitDepth = 16, float = false, dither = DEFAULT_DITHER, labels = [], instrument = null } = {},
+) => {
+	if (float ? bitDepth !== 32 : !AIFF_BIT_DEPTHS.includes(bitDepth)) {
+		throw new Error(`AIFF ${float ? "float " : ""}bit depth ${bitDepth} not supported`);
+	}
+
+	const numberOfChannels = channels.length;
+	const length = channels[0]?.length ?? 0;
+	const bytesPerSample = bitDepth / 8;
+	const chunks = [];
+
+	if (float) {
+		const fver = new Uint8Array(4);
+		new DataView(fver.buffer).setUint32(0, AIFC_VERSION);
+		chunks.push(["FVER", fver]);
+	}
+
+	const compressionName = float ? pascalString("32-bit floating point") : new Uint8Array(0);
+	const comm = new Uint8Array(18 + (float ? 4 + compressionName.length : 0));
+	const commView = new DataView(comm.buffer);
+	commView.setUint16(0, numberOfChannels);
+	commView.setUint32(2, length);
+	commView.setUint16(6, bitDepth);
+	writeExtended(commView, 8, sampleRate);
+	if (float) {
+		comm.set(asciiBytes("fl32"), 18);
+		comm.set(compressionName, 22);
+	}
+	chunks.push(["COMM", comm]);
+
+	const { markers, loops } = labelsToMarkers(labels, sampleRate);
+	if (markers.length > 0) {
+		const names = markers.map(({ name }) => pascalString(name));
+		const mark = new Uint8Array(2 + names.reduce((sum, name) => sum + 6 + name.length, 0));
+		const view = new DataView(mark.buffer);
+		view.setUint16(0, markers.length);
+		let offset = 2;
+		markers.forEach((marker, i) => {
+			view.setUint16(offset, marker.id);
+			view.setUint32(offset + 2, marker.position);
+			mark.set(names[i], offset + 6);
+			offset += 6 + names[i].length;
+		});
+		chunks.push(["MARK", mark]);
+	}
+
+	if (instrument || loops.sustain || loops.release) {
+		const settings = { ...DEFAULT_INSTRUMENT, ...instrument };
+		const inst = new Uint8Array(20);
+		const view = new DataView(inst.buffer);
+		view.setInt8(0, settings.baseNote);
+		view.setInt8(1, settings.detune);
+		view.setInt8(2, settings.lowNote);
+		view.setInt8(3, settings.highNote);
+		view.setInt8(4, settings.lowVelocity);
+		view.setInt8(5, settings.highVelocity);
+		view.setInt16(6, settings.gain);
+		[loops.sustain, loops.release].forEach((loop, i) => {
+			view.setInt16(8 + i * 6, loop?.playMode ?? 0);
+			view.setInt16(10 + i * 6, loop?.begin ?? 0);
+			view.setInt16(12 + i * 6, loop?.end ?? 0);
+		});
+		chunks.push(["INST", inst]);
+	}
+
+	const ssnd = new Uint8Array(8 + length * numberOfChannels * bytesPerSample);
+	const data = new DataView(ssnd.buffer, 8); // Offset and block size stay zero
+	const samples = float ? channels : channels.map((c) => new Ditherer(dither).quantize(c, bitDepth));
+	let offset = 0;
+	for (let i = 0; i < length; i++) {
+		for (let channel = 0; channel < numberOfChannels; channel++) {
+			const value = samples[channel][i];
+			if (float) {
+				data.setFloat32(offset, value);
+			} else if (bitDepth === 8) {
+				data.setInt8(offset, value);
+			} else if (bitDepth === 16) {
+				data.setInt16(offset, value);
+			} else if (bitDepth === 24) {
+				data.setUint8(offset, (value >> 16) & 0xff);
+				data.setUint8(offset + 1, (value >> 8) & 0xff);
+				data.setUint8(offset + 2, value & 0xff);
+			} else {
+				data.setInt32(offset, value);
+			}
+			offset += bytesPerSample;
+		}
+	}
+	chunks.push(["SSND", ssnd]);
+
+	const size = chunks.reduce((sum, [, body]) => sum + 8 + body.length + (body.length % 2), 12);
+	const output = new Uint8Array(size);
+	const view = new DataView(output.buffer);
+	output.set(asciiBytes("FORM"));
+	view.setUint32(4, size - 8);
+	output.set(asciiBytes(float ? "AIFC" : "AIFF"), 8);
+	let position = 12;
+	for (const [id, body] of chunks) {
+		output.set(asciiBytes(id), position);
+		view.setUint32(position + 4, body.length);
+		output.set(body, position + 8);
+		position += 8 + body.length + (body.length % 2);
+	}
+	return output.buffer;
+};
+
+/**
+ * Whether a file is AIFF or AIFF-C, judged by its FORM header
+ * @param {ArrayBuffer} arrayBuffer - File bytes
+ * @returns {boolean}
+ */
+export const isAiff = (arrayBuffer) => {
+	if (arrayBuffer.byteLength < 12) return false;
+	const header = String.fromCharCode(...new Uint8Array(arrayBuffer, 0, 12));
+	return header.startsWith("FORM") && (header.endsWith("AIFF") || header.endsWith("AIFC"));
+};
+
+/**
+ * Decode an AIFF or AIFF-C file
+ * @param {ArrayBuffer} arrayBuffer - The whole file
+ * @returns {Object} - { sampleRate, bitDepth, compression, channels: Float32Array[],
+ *   markers, instrument, labels }
+ */
+export const decodeAiff = (arrayBuffer) => {
+	if (!isAiff(arrayBuffer)) throw new Error("Not an AIFF file");
+	const view = new DataView(arrayBuffer);
+	const formType = String.fromCharCode(...new Uint8Array(arrayBuffer, 8, 4));
+
+	let comm = null;
+	let soundData = null;
+	let markers = [];
+	let instrument = null;
+
+	for (let offset = 12; offset + 8 <= view.byteLength; ) {
+		const id = String.fromCharCode(...new Uint8Array(arrayBuffer, offset, 4));
+		const size = view.getUint32(offset + 4);
+		const body = offset + 8;
+		if (body + size > view.byteLength && id !== "SSND") throw new Error(`Truncated AIFF ${id} chunk`);
+
+		if (id === "COMM") {
+			comm = {
+				numberOfChannels: view.getUint16(body),
+				frames: view.getUint32(body + 2),
+				bitDepth: view.getUint16(body + 6),
+				sampleRate: readExtended(view, body + 8),
+				compression:
+					formType === "AIFC" ? String.fromCharCode(...new Uint8Array(arrayBuffer, body + 18, 4)) : "NONE",
+			};
+		} else if (id === "SSND") {
+			soundData = { start: body + 8 + view.getUint32(body), end: Math.min(body + size, view.byteLength) };
+		} else if (id === "MARK") {
+			let position = body + 2;
+			markers = Array.from({ length: view.getUint16(body) }, () => {
+				const { text, size: nameSize } = readPascalString(view, position + 6);
+				const marker = { id: view.getUint16(position), position: view.getUint32(position + 2), name: text };
+				position += 6 + nameSize;
+				return marker;
+			});
+		} else if (id === "INST") {
+			const loop = (at) => ({
+				playMode: view.getInt16(at),
+				begin: view.getInt16(at + 2),
+				end: view.getInt16(at + 4),
+			});
+			instrument = {
+				baseNote: view.getInt8(body),
+				detune: view.getInt8(body + 1),
+				lowNote: view.getInt8(body + 2),
+				highNote: view.getInt8(body + 3),
+				lowVelocity: view.getInt8(body + 4),
+				highVelocity: view.getInt8(body + 5),
+				gain: view.getInt16(body + 6),
+				sustainLoop: loop(body + 8),
+				releaseLoop: loop(body + 14),
+			};
+		}
+		offset = body + size + (size % 2);
+	}
+
+	if (!comm) throw new Error("AIFF file has no COMM chunk");
+	if (!soundData && comm.frames > 0) throw new Error("AIFF file has no SSND chunk");
+
+	const { numberOfChannels, bitDepth, sampleRate, compression } = comm;
+	let readSample;
+	let bytesPerSample;
+	if (compression === "NONE" || compression === "twos" || compression === "sowt") {
+		// Samples are stored left-justified in whole bytes
+		bytesPerSample = Math.ceil(bitDepth / 8);
+		const littleEndian = compression === "sowt";
+		const scale = 2 ** (bytesPerSample * 8 - 1);
+		readSample = (at) => {
+			let value = 0;
+			for (let b = 0; b < bytesPerSample; b++) {
+				const byte = view.getUint8(littleEndian ? at + bytesPerSample - 1 - b : at + b);
+				value = value * 256 + byte;
+			}
+			return (value >= scale ? value - 2 * scale : value) / scale;
+		};
+	} else if (compression === "fl32" || compression === "FL32") {
+		bytesPerSample = 4;
+		readSample = (at) => view.getFloat32(at);
+	} else if (compression === "fl64" || compression === "FL64") {
+		bytesPerSample = 8;
+		readSample = (at) => view.getFloat64(at);
+	} else {
+		throw new Error(`AIFF-C compression "${compression}" not supported`);
+	}
+
+	const available = soundData
+		? Math.floor((soundData.end - soundData.start) / (bytesPerSample * numberOfChannels))
+		: 0;
+	const length = Math.min(comm.frames, available);
+	const channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+	let offset = soundData?.start ?? 0;
+	for (let i = 0; i < length; i++) {
+		for (let channel = 0; channel < numberOfChannels; channel++) {
+			channels[channel][i] = readSample(offset);
+			offset += bytesPerSample;
+		}
+	}
+
+	return {
+		sampleRate,
+		bitDepth,
+		compression,
+		channels,
+		markers,
+		instrument,
+		labels: markersToLabels(markers, instrument, sampleRate),
+	};
+};
+
+export default encodeAiff;
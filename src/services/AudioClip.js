@@ -0,0 +1,389 @@
+/**
+ * Clip model for WebAudacity
+ * A track is an ordered list of clips. Each clip shows a window of a source
+ * AudioBuffer or BlockedAudio (offset + duration) at a position on the timeline.
+ * Clips and clip sequences are immutable: edits return new objects and share
+ * the underlying sample buffers, so earlier states stay cheap to keep around.
+ */
+
+import { BlockedAudio } from "./BlockedAudio";
+import { DEFAULT_RESAMPLE_QUALITY, Resampler } from "./Resampler";
+
+// Times closer than this are treated as equal (well below one sample at 192 kHz)
+const TIME_EPSILON = 1e-9;
+
+let nextClipId = 1;
+
+export class AudioClip {
+	/**
+	 * @param {Object} options
+	 * @param {AudioBuffer|BlockedAudio} options.buffer - Source samples
+	 * @param {number} [options.offset=0] - Start of the clip inside the buffer, in seconds
+	 * @param {number} [options.duration] - Clip length in seconds (defaults to the rest of the buffer)
+	 * @param {number} [options.position=0] - Timeline position of the clip start, in seconds
+	 * @param {string} [options.id] - Clip ID
+	 */
+	constructor({ buffer, offset = 0, duration, position = 0, id }) {
+		this.id = id || `clip_${nextClipId++}`;
+		// IDs read back from a project or autosave are never handed out again
+		const number = Number(id?.match(/^clip_(\d+)$/)?.[1]);
+		if (number >= nextClipId) nextClipId = number + 1;
+		this.buffer = buffer;
+		this.offset = offset;
+		this.duration = duration ?? AudioClip.bufferDuration(buffer) - offset;
+		this.position = position;
+		Object.freeze(this);
+	}
+
+	get end() {
+		return this.position + this.duration;
+	}
+
+	get sampleRate() {
+		return this.buffer.sampleRate;
+	}
+
+	get numberOfChannels() {
+		return this.buffer.numberOfChannels;
+	}
+
+	/**
+	 * Copy the clip with some properties changed
+	 * @param {Object} updates - Properties to change
+	 * @param {boolean} keepId - Keep the clip ID (for moves) instead of creating a new clip
+	 * @returns {AudioClip}
+	 */
+	with(updates, keepId = false) {
+		return new AudioClip({
+			buffer: this.buffer,
+			offset: this.offset,
+			duration: this.duration,
+			position: this.position,
+			...updates,
+			id: keepId ? this.id : updates.id,
+		});
+	}
+
+	/**
+	 * Cut the clip down to the part inside a timeline range
+	 * @param {number} start - Range start in seconds
+	 * @param {number} end - Range end in seconds
+	 * @returns {AudioClip|null} - Trimmed clip, or null if nothing is left
+	 */
+	trimTo(start, end) {
+		const newStart = Math.max(start, this.position);
+		const newEnd = Math.min(end, this.end);
+		if (newEnd - newStart <= TIME_EPSILON) return null;
+		if (newStart === this.position && newEnd === this.end) return this;
+
+		return this.with({
+			offset: this.offset + (newStart - this.position),
+			duration: newEnd - newStart,
+			position: newStart,
+		});
+	}
+
+	static bufferDuration(buffer) {
+		return buffer.duration ?? buffer.length / buffer.sampleRate;
+	}
+}
+
+export class ClipSequence {
+	/**
+	 * @param {AudioClip[]} clips - Clips of the track, in any order
+	 */
+	constructor(clips = []) {
+		this.clips = Object.freeze(
+			[...clips].sort((a, b) => a.position - b.position),
+		);
+		Object.freeze(this);
+	}
+
+	/**
+	 * Build a sequence holding one buffer
+	 * @param {AudioBuffer} buffer - Source samples
+	 * @param {number} position - Timeline position
+	 * @returns {ClipSequence}
+	 */
+	static fromBuffer(buffer, position = 0) {
+		return new ClipSequence([new AudioClip({ buffer, position })]);
+	}
+
+	get length() {
+		return this.clips.length;
+	}
+
+	/**
+	 * End of the last clip (track duration)
+	 */
+	get duration() {
+		let end = 0;
+		for (const clip of this.clips) {
+			end = Math.max(end, clip.end);
+		}
+		return end;
+	}
+
+	/**
+	 * Start of the first clip
+	 */
+	get start() {
+		return this.clips.length > 0 ? this.clips[0].position : 0;
+	}
+
+	getClip(clipId) {
+		return this.clips.find((clip) => clip.id === clipId) || null;
+	}
+
+	/**
+	 * Find the clip under a timeline position
+	 * @param {number} time - Time in seconds
+	 * @returns {AudioClip|null}
+	 */
+	clipAt(time) {
+		for (let i = this.clips.length - 1; i >= 0; i--) {
+			const clip = this.clips[i];
+			if (time >= clip.position && time < clip.end) return clip;
+		}
+		return null;
+	}
+
+	/**
+	 * Clips overlapping a timeline range
+	 * @param {number} start - Range start in seconds
+	 * @param {number} end - Range end in seconds
+	 * @returns {AudioClip[]}
+	 */
+	clipsInRange(start, end) {
+		return this.clips.filter(
+			(clip) => clip.end - start > TIME_EPSILON && end - clip.position > TIME_EPSILON,
+		);
+	}
+
+	/**
+	 * Split the clip under a time into two clips
+	 * @param {number} time - Split position in seconds
+	 * @returns {ClipSequence}
+	 */
+	splitAt(time) {
+		const clip = this.clipAt(time);
+		if (!clip || time - clip.position <= TIME_EPSILON || clip.end - time <= TIME_EPSILON) {
+			return this;
+		}
+
+		const left = clip.trimTo(clip.position, time);
+		const right = clip.trimTo(time, clip.end);
+		return new ClipSequence([
+			...this.clips.filter((c) => c !== clip),
+			left,
+			right,
+		]);
+	}
+
+	/**
+	 * Copy the material inside a range; clip positions become relative to the range start
+	 * @param {number} start - Range start in seconds
+	 * @param {number} end - Range end in seconds
+	 * @returns {ClipSequence}
+	 */
+	slice(start, end) {
+		const clips = [];
+		for (const clip of this.clipsInRange(start, end)) {
+			const trimmed = clip.trimTo(start, end);
+			if (trimmed) {
+				clips.push(trimmed.with({ position: trimmed.position - start }));
+			}
+		}
+		return new ClipSequence(clips);
+	}
+
+	/**
+	 * Remove the material inside a range, leaving a gap
+	 * @param {number} start - Range start in seconds
+	 * @param {number} end - Range end in seconds
+	 * @returns {ClipSequence}
+	 */
+	clearRange(start, end) {
+		const clips = [];
+		for (const clip of this.clips) {
+			if (clip.end - start <= TIME_EPSILON || end - clip.position <= TIME_EPSILON) {
+				clips.push(clip);
+				continue;
+			}
+			const before = clip.trimTo(clip.position, start);
+			const after = clip.trimTo(end, clip.end);
+			if (before) clips.push(before);
+			if (after) clips.push(after);
+		}
+		return new ClipSequence(clips);
+	}
+
+	/**
+	 * Remove the material inside a range and close the gap
+	 * @param {number} start - Range start in seconds
+	 * @param {number} end - Range end in seconds
+	 * @returns {ClipSequence}
+	 */
+	deleteRange(start, end) {
+		return this.clearRange(start, end).shiftFrom(end, -(end - start));
+	}
+
+	/**
+	 * Move every clip starting at or after a time
+	 * @param {number} time - Clips starting at/after this time move
+	 * @param {number} delta - Offset in seconds
+	 * @returns {ClipSequence}
+	 */
+	shiftFrom(time, delta) {
+		if (delta === 0) return this;
+		return new ClipSequence(
+			this.clips.map((clip) =>
+				clip.position >= time - TIME_EPSILON
+					? clip.with({ position: clip.position + delta }, true)
+					: clip,
+			),
+		);
+	}
+
+	/**
+	 * Insert material at a time, pushing later material to the right
+	 * @param {ClipSequence} material - Clips positioned relative to 0
+	 * @param {number} time - Insert position in seconds
+	 * @returns {ClipSequence}
+	 */
+	insert(material, time) {
+		const span = material.duration;
+		const shifted = this.splitAt(time).shiftFrom(time, span);
+		return new ClipSequence([
+			...shifted.clips,
+			...material.clips.map((clip) => clip.with({ position: clip.position + time })),
+		]);
+	}
+
+	/**
+	 * Replace the material inside a range with new material
+	 * @param {number} start - Range start in seconds
+	 * @param {number} end - Range end in seconds
+	 * @param {ClipSequence} material - Clips positioned relative to 0
+	 * @returns {ClipSequence}
+	 */
+	replaceRange(start, end, material) {
+		return this.deleteRange(start, end).insert(material, start);
+	}
+
+	withClip(clip) {
+		return new ClipSequence([...this.clips, clip]);
+	}
+
+	withoutClip(clipId) {
+		return new ClipSequence(this.clips.filter((clip) => clip.id !== clipId));
+	}
+
+	/**
+	 * Bring the block-stored audio of a range into memory
+	 * @param {BaseAudioContext} audioContext - Context used to create buffers
+	 * @param {number} start - Range start in seconds
+	 * @param {number} end - Range end in seconds
+	 * @returns {Promise<ClipSequence>} - Sequence whose clips inside the range can be rendered
+	 */
+	async load(audioContext, start, end) {
+		const clips = await Promise.all(
+			this.clips.map(async (clip) => {
+				if (!(clip.buffer instanceof BlockedAudio)) return clip;
+
+				const trimmed = clip.trimTo(start, end);
+				if (!trimmed) return clip;
+
+				const sampleRate = clip.sampleRate;
+				const buffer = await clip.buffer.toAudioBuffer(
+					audioContext,
+					Math.round(trimmed.offset * sampleRate),
+					Math.round(trimmed.duration * sampleRate),
+				);
+				return clip.with(
+					{ buffer, offset: 0, duration: trimmed.duration, position: trimmed.position },
+					true,
+				);
+			}),
+		);
+		return new ClipSequence(clips);
+	}
+
+	/**
+	 * Mix the clips inside a range into one buffer. Clips at another sample rate
+	 * are converted with the Resampler. Block-stored clips have to be brought in
+	 * with load() first.
+	 * @param {BaseAudioContext} audioContext - Context used to create the buffer
+	 * @param {number} start - Range start in seconds
+	 * @param {number} end - Range end in seconds
+	 * @param {Object} format - { numberOfChannels, sampleRate, quality } of the result;
+	 *   quality is the resampling quality (see RESAMPLE_QUALITIES)
+	 * @returns {AudioBuffer|null}
+	 */
+	render(audioContext, start, end, format) {
+		const { numberOfChannels, sampleRate, quality = DEFAULT_RESAMPLE_QUALITY } = format;
+		const length = Math.round((end - start) * sampleRate);
+		if (length <= 0) return null;
+
+		const output = audioContext.createBuffer(numberOfChannels, length, sampleRate);
+		let resampler = null;
+
+		for (const clip of this.clipsInRange(start, end)) {
+			const trimmed = clip.trimTo(start, end);
+			if (!trimmed) continue;
+			if (trimmed.buffer instanceof BlockedAudio) {
+				throw new Error("Clip audio is in block storage; load() the range first");
+			}
+
+			const clipRate = trimmed.sampleRate;
+			const targetStart = Math.round((trimmed.position - start) * sampleRate);
+			const frames = Math.min(
+				Math.round(trimmed.duration * sampleRate),
+				length - targetStart,
+			);
+
+			for (let channel = 0; channel < numberOfChannels; channel++) {
+				const sourceChannel = Math.min(channel, trimmed.numberOfChannels - 1);
+				const source = trimmed.buffer.getChannelData(sourceChannel);
+				const target = output.getChannelData(channel);
+
+				if (clipRate === sampleRate) {
+					const sourceStart = Math.round(trimmed.offset * clipRate);
+					const count = Math.min(frames, source.length - sourceStart);
+					for (let i = 0; i < count; i++) {
+						target[targetStart + i] += source[sourceStart + i];
+					}
+					continue;
+				}
+
+				// The kernel may reach past the range, but not past the clip's own audio
+				resampler ??= new Resampler(quality);
+				const ratio = sampleRate / clipRate;
+				const reach = Math.ceil(resampler.reach(ratio));
+				const sourceTime = trimmed.offset * clipRate;
+				const from = Math.max(
+					Math.round(clip.offset * clipRate),
+					Math.floor(sourceTime) - reach,
+				);
+				const to = Math.min(
+					Math.round((clip.offset + clip.duration) * clipRate),
+					source.length,
+					Math.ceil(sourceTime + frames / ratio) + reach,
+				);
+				const converted = resampler.processInto(
+					source.subarray(from, Math.max(from, to)),
+					ratio,
+					new Float32Array(Math.max(0, frames)),
+					sourceTime - from,
+				);
+				for (let i = 0; i < converted.length; i++) {
+					target[targetStart + i] += converted[i];
+				}
+			}
+		}
+
+		return output;
+	}
+}
+
+export default AudioClip;
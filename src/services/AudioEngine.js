@@ -3,32 +3,125 @@
  * Handles recording, playback, file loading, and audio context management
  */
 
+import FlacEncoderWorker from "../workers/flacEncoder.worker.js?worker";
+import Mp3EncoderWorker from "../workers/mp3Encoder.worker.js?worker";
+import OpusEncoderWorker from "../workers/opusEncoder.worker.js?worker";
+import { decodeAiff, encodeAiff, isAiff } from "./AiffCodec";
+import { AudioClip, ClipSequence } from "./AudioClip";
+import { detectSampleRate } from "./AudioFileInfo";
+import { BlockedAudio, BlockStreamSource } from "./BlockedAudio";
+import { ChannelStrip, DEFAULT_TRACK_MIX } from "./ChannelStrip";
+import { DEFAULT_DITHER, Ditherer } from "./Dither";
+import { EnvelopeManager } from "./EnvelopeManager";
+import { decodeFlac, isFlac, readFlacMetadata } from "./FlacDecoder";
+import { DEFAULT_FLAC_COMPRESSION, encodeFlac, FLAC_BIT_DEPTHS } from "./FlacEncoder";
+import { buildId3Tag, readId3Tag } from "./Id3Tag";
+import { LevelMeter } from "./LevelMeter";
+import { fadeEdges, Mixdown, mixChannels } from "./Mixdown";
+import { DEFAULT_MP3_BITRATE, DEFAULT_MP3_CHANNEL_MODE, encodeMp3 } from "./Mp3Encoder";
+import { DEFAULT_OPUS_BITRATE, encodeOggOpus, loadOpusModule } from "./OggOpusEncoder";
+import {
+	DEFAULT_INPUT_SETTINGS,
+	DEFAULT_RECORDING_SETTINGS,
+	RecordingCapture,
+} from "./RecordingCapture";
+import { RecordingJournal } from "./RecordingJournal";
+import { DEFAULT_RESAMPLE_QUALITY, Resampler } from "./Resampler";
+import { SampleBlockStore } from "./SampleBlockStore";
+import { SessionJournal } from "./SessionJournal";
+import { TransportClock } from "./TransportClock";
+import { decodeWav, isWav, readWavFile, readWavFrames } from "./WavDecoder";
+import { encodeWav } from "./WavEncoder";
+import { buildWavMetadataChunks, readWavMetadata } from "./WavMetadata";
+import { runWorkerTask } from "./WorkerTask";
+
+// Loop cycles are queued this far ahead of the audio clock (seconds)
+const LOOP_LOOKAHEAD = 0.2;
+const LOOP_SCHEDULER_INTERVAL_MS = 25;
+const MIN_LOOP_LENGTH = 0.01;
+// Input settings that need a new getUserMedia stream when they change
+const STREAM_SETTINGS = [
+	"deviceId",
+	"channelCount",
+	"echoCancellation",
+	"noiseSuppression",
+	"autoGainControl",
+];
+// Values per second of timeline that gain envelopes are sampled at for playback
+const ENVELOPE_CONTROL_RATE = 100;
+// Clips at least this long (seconds) are moved from memory to block storage
+const OFFLOAD_MIN_DURATION = 30;
+// getUserMedia errors meaning the requested device can't be opened
+const DEVICE_UNAVAILABLE_ERRORS = ["NotFoundError", "OverconstrainedError"];
+
+let nextTrackNumber = 1;
+// The counter keeps IDs unique within a millisecond; the clock keeps them apart from
+// the IDs of projects saved by earlier sessions
+const createTrackId = (kind) => `${kind}_${Date.now()}_${nextTrackNumber++}`;
+
 export class AudioEngineService {
 	constructor() {
 		this.audioContext = null;
 		this.mediaRecorder = null;
 		this.recordingStream = null;
 		this.recordingSource = null;
-		this.recordingProcessor = null;
-		this.recordingBuffers = null;
+		this.recordingCapture = null;
+		this.recordingBuffers = null; // One array of Float32Array chunks per input channel
 		this.recordingLength = 0;
+		this.recordingSettings = { ...DEFAULT_RECORDING_SETTINGS };
+		this.recordingTake = null; // Where the running take goes: { mode, trackId, startPosition, punchIn, punchOut, overdub }
+		this.punchOutTimer = null;
+		// Takes are journaled to IndexedDB as they are recorded, for crash recovery
+		this.recordingJournal = RecordingJournal.isSupported() ? new RecordingJournal() : null;
+		this.journaling = false;
+		// The whole session is autosaved to IndexedDB when enabled, for crash recovery
+		this.sessionJournal = SessionJournal.isSupported() ? new SessionJournal() : null;
+		this.inputSettings = { ...DEFAULT_INPUT_SETTINGS };
+		this.inputGain = null; // source -> inputGain -> capture, and -> monitorGain -> masterGain
+		this.monitorGain = null;
+		this.inputVolume = 0.5; // Recording volume slider position, 0.5 is unity gain
+		this.inputStale = false; // Input settings changed mid-take; reopen the stream afterwards
+		this.inputChannelCount = 0;
+		this.meters = { input: null, output: null }; // Created on first read
 		this.audioBuffers = new Map();
+		// Long clips keep their samples here instead of in AudioBuffers
+		this.blockStore = SampleBlockStore.isSupported() ? new SampleBlockStore() : null;
 		this.playingSources = new Map();
 		this.currentTime = 0;
 		this.isPlaying = false;
 		this.isRecording = false;
+		this.isStartingRecording = false; // Opening the input for a take; see startRecording
 		this.isPaused = false;
 		this.playbackRate = 1.0;
 		this.masterGain = null;
 		this.recordingData = [];
-		this.sampleRate = 44100;
+		this.sampleRate = 44100; // Rate the realtime context runs at
+		this.projectRate = this.sampleRate; // Imported and generated audio is converted to this rate
+		this.resampleQuality = DEFAULT_RESAMPLE_QUALITY;
 		this.channels = 2;
+		this.trackMixSettings = new Map(); // trackId -> { volume, pan, muted, solo }
+		this.channelStrips = new Map(); // trackId -> ChannelStrip in the realtime context
+		// Gain automation; "<trackId>.volume" envelopes scale a track in playback and the mixdown
+		this.envelopes = new EnvelopeManager();
+		this.nextSourceId = 1; // Source buffers listed in saved projects and autosaves
+		this.transport = new TransportClock(() => this.audioContext?.currentTime ?? 0);
+		this.playbackTrackId = null; // Track being played alone, or null for all tracks
+		this.playbackEndTime = null; // Timeline position playback stops at, or null for the end
+		this.playbackStartTime = 0; // Where the last play() started; stop() returns here
+		this.loop = { enabled: false, start: null, end: null };
+		this.isLooping = false;
+		this.loopTimer = null;
+		this.loopCycleEnd = 0; // Timeline end of the last scheduled loop cycle
+		this.nextLoopCycleTime = 0; // Audio clock time the next loop cycle starts
 
 		// Event callbacks
 		this.onPlaybackFinished = null;
 		this.onRecordingFinished = null;
 		this.onError = null;
 		this.onStatusChange = null;
+		// Runs an edit the engine makes on its own (placing a take) as one undo step:
+		// (trackIds, edit, description) => edit result. Without it edits just apply.
+		this.runEdit = null;
 	}
 
 	async initializeAudioContext() {
@@ -73,17 +166,48 @@ export class AudioEngineService {
 		return true;
 	}
 
+	/**
+	 * getUserMedia audio constraints for the current input settings
+	 * @returns {MediaTrackConstraints}
+	 */
+	getInputConstraints() {
+		const { deviceId, channelCount, echoCancellation, noiseSuppression, autoGainControl } =
+			this.inputSettings;
+		const constraints = {
+			sampleRate: this.sampleRate,
+			channelCount,
+			echoCancellation,
+			noiseSuppression,
+			autoGainControl,
+		};
+		if (deviceId) {
+			constraints.deviceId = { exact: deviceId };
+		}
+		return constraints;
+	}
+
 	async requestMicrophoneAccess() {
 		try {
-			const stream = await navigator.mediaDevices.getUserMedia({
-				audio: {
-					sampleRate: this.sampleRate,
-					channelCount: this.channels,
-					echoCancellation: false,
-					noiseSuppression: false,
-					autoGainControl: false,
-				},
-			});
+			let stream;
+			try {
+				stream = await navigator.mediaDevices.getUserMedia({
+					audio: this.getInputConstraints(),
+				});
+			} catch (error) {
+				// The chosen device was unplugged; fall back to the system default
+				if (
+					!this.inputSettings.deviceId ||
+					!DEVICE_UNAVAILABLE_ERRORS.includes(error.name)
+				) {
+					throw error;
+				}
+				console.warn("Input device unavailable, using the default:", error);
+				this.onStatusChange?.("Selected input device not found, using the default device");
+				this.inputSettings = { ...this.inputSettings, deviceId: null };
+				stream = await navigator.mediaDevices.getUserMedia({
+					audio: this.getInputConstraints(),
+				});
+			}
 
 			this.recordingStream = stream;
 			return stream;
@@ -94,134 +218,782 @@ export class AudioEngineService {
 		}
 	}
 
-	async startRecording() {
-		if (this.isRecording) return;
+	/**
+	 * List the audio input devices. Labels are empty until microphone access is granted.
+	 * @returns {Promise<Array<{deviceId: string, label: string}>>}
+	 */
+	async getInputDevices() {
+		if (!navigator.mediaDevices?.enumerateDevices) return [];
+
+		try {
+			const devices = await navigator.mediaDevices.enumerateDevices();
+			return devices
+				.filter((device) => device.kind === "audioinput")
+				.map((device, index) => ({
+					deviceId: device.deviceId,
+					label: device.label || `Microphone ${index + 1}`,
+				}));
+		} catch (error) {
+			console.error("Failed to list input devices:", error);
+			return [];
+		}
+	}
+
+	/**
+	 * Update the input device and capture options
+	 * @param {Object} settings - Any of DEFAULT_INPUT_SETTINGS' keys
+	 */
+	async setInputSettings(settings) {
+		const previous = this.inputSettings;
+		this.inputSettings = { ...previous, ...settings };
+
+		const streamChanged = STREAM_SETTINGS.some(
+			(key) => this.inputSettings[key] !== previous[key],
+		);
+
+		// A running take keeps its stream; the new one is opened once it stops
+		if (streamChanged && this.recordingStream) {
+			if (this.isRecording) {
+				this.inputStale = true;
+			} else {
+				this.closeInput();
+			}
+		}
+
+		this.updateMonitoring();
+		if (this.inputSettings.monitoring && !this.recordingSource) {
+			try {
+				await this.openInput();
+			} catch (error) {
+				console.error("Failed to open input for monitoring:", error);
+			}
+		}
+	}
+
+	/**
+	 * Set the recording volume
+	 * @param {number} volume - Slider position 0-1; 0.5 is unity gain, 1 boosts by 6 dB
+	 */
+	setRecordingVolume(volume) {
+		this.inputVolume = Math.max(0, Math.min(1, volume));
+		if (this.inputGain) {
+			this.inputGain.gain.setValueAtTime(this.inputVolume * 2, this.audioContext.currentTime);
+		}
+	}
+
+	/**
+	 * Open the input stream and build the input chain if it isn't already
+	 * @returns {Promise<number>} - Channels delivered by the input
+	 */
+	async openInput() {
+		const contextReady = await this.ensureAudioContext();
+		if (!contextReady) throw new Error("Audio context unavailable");
+
+		if (!this.recordingStream) {
+			await this.requestMicrophoneAccess();
+		}
+
+		if (!this.inputGain) {
+			this.inputGain = this.audioContext.createGain();
+			this.inputGain.gain.value = this.inputVolume * 2;
+			this.monitorGain = this.audioContext.createGain();
+			this.inputGain.connect(this.monitorGain);
+			this.monitorGain.connect(this.masterGain);
+			this.updateMonitoring();
+		}
+
+		if (!this.recordingSource) {
+			this.recordingSource = this.audioContext.createMediaStreamSource(this.recordingStream);
+			this.recordingSource.connect(this.inputGain);
+			this.inputChannelCount = this.getInputChannelCount(this.recordingStream);
+
+			// The input meter follows the new stream's channel layout
+			if (this.meters.input?.channelCount !== this.inputChannelCount) {
+				this.meters.input?.destroy();
+				this.meters.input = null;
+			}
+		}
+
+		return this.inputChannelCount;
+	}
+
+	/**
+	 * Release the input stream so the next take re-acquires it with the current settings
+	 */
+	closeInput() {
+		if (this.recordingSource) {
+			this.recordingSource.disconnect();
+			this.recordingSource = null;
+		}
+		if (this.recordingStream) {
+			this.recordingStream.getTracks().forEach((track) => track.stop());
+			this.recordingStream = null;
+		}
+		this.inputStale = false;
+	}
+
+	/**
+	 * Current levels of the recording meter (after the input gain) or the playback
+	 * meter (on the master bus)
+	 * @param {string} meter - "input" or "output"
+	 * @returns {Array<Object>|null} - Per-channel dBFS levels, or null while there is nothing to meter
+	 */
+	getMeterLevels(meter) {
+		if (!this.meters[meter]) {
+			const source = meter === "input" ? this.inputGain : this.masterGain;
+			if (!source) return null;
+
+			const channelCount = meter === "input" ? this.inputChannelCount : this.channels;
+			this.meters[meter] = new LevelMeter(this.audioContext, { channelCount });
+			this.meters[meter].connect(source);
+		}
+		return this.meters[meter].read();
+	}
+
+	/**
+	 * Clear a meter's clip indicators and peak holds
+	 * @param {string} meter - "input" or "output"
+	 */
+	resetMeter(meter) {
+		this.meters[meter]?.reset();
+	}
+
+	updateMonitoring() {
+		if (this.monitorGain) {
+			this.monitorGain.gain.setValueAtTime(
+				this.inputSettings.monitoring ? 1 : 0,
+				this.audioContext.currentTime,
+			);
+		}
+	}
+
+	/**
+	 * Update how takes are placed
+	 * @param {Object} settings - { mode, latency, preRoll }
+	 */
+	setRecordingSettings(settings) {
+		this.recordingSettings = { ...this.recordingSettings, ...settings };
+	}
+
+	/**
+	 * Start recording; existing tracks play back along with the take (overdub)
+	 * @param {Object} options
+	 * @param {number} [options.position] - Timeline position to record at (defaults to the transport)
+	 * @param {string} [options.trackId] - Selected track, used by the append and replace modes
+	 * @param {Object} [options.selection] - Selected { start, end } range, punched in replace mode
+	 */
+	async startRecording(options = {}) {
+		// A second press while the input is still opening would start a second capture
+		if (this.isRecording || this.isStartingRecording) return;
+		this.isStartingRecording = true;
 
 		try {
 			// Ensure audio context is ready
 			const contextReady = await this.ensureAudioContext();
 			if (!contextReady) return;
 
-			if (!this.recordingStream) {
-				await this.requestMicrophoneAccess();
+			const channelCount = await this.openInput();
+			this.recordingBuffers = Array.from({ length: channelCount }, () => []);
+			this.recordingLength = 0;
+
+			this.recordingCapture = new RecordingCapture(this.audioContext, {
+				channelCount,
+				onChunk: (channels) => this.handleRecordedChunk(channels),
+			});
+			this.recordingTake = this.planTake(options);
+			await this.beginJournal(channelCount);
+			await this.recordingCapture.start(this.inputGain);
+
+			// Play the existing tracks from where the take starts
+			if (this.audioBuffers.size > 0) {
+				await this.play(null, this.recordingTake.startPosition, null, { loop: false });
+				this.recordingTake.overdub = this.isPlaying;
 			}
 
-			// Use Web Audio API for recording instead of MediaRecorder
-			this.recordingSource = this.audioContext.createMediaStreamSource(this.recordingStream);
-			this.recordingProcessor = this.audioContext.createScriptProcessor(4096, 2, 2);
-			this.recordingBuffers = [[], []]; // Left and right channels
-			this.recordingLength = 0;
-			
-			this.recordingProcessor.onaudioprocess = (event) => {
-				if (!this.isRecording) return;
-				
-				const inputBuffer = event.inputBuffer;
-				const leftChannel = inputBuffer.getChannelData(0);
-				const rightChannel = inputBuffer.numberOfChannels > 1 ? 
-					inputBuffer.getChannelData(1) : leftChannel;
-				
-				// Copy data to our recording buffers
-				this.recordingBuffers[0].push(new Float32Array(leftChannel));
-				this.recordingBuffers[1].push(new Float32Array(rightChannel));
-				this.recordingLength += leftChannel.length;
-			};
-			
-			// Connect the recording chain
-			this.recordingSource.connect(this.recordingProcessor);
-			this.recordingProcessor.connect(this.audioContext.destination);
+			if (this.recordingTake.mode === "replace") {
+				const { startPosition, punchOut } = this.recordingTake;
+				const latency = this.recordingSettings.latency / 1000;
+				this.punchOutTimer = setTimeout(
+					() => this.stopRecording(),
+					((punchOut - startPosition) / this.playbackRate + latency) * 1000,
+				);
+			}
 
 			this.isRecording = true;
 			this.onStatusChange?.("Recording...");
 
-			console.log("Recording started with Web Audio API");
+			console.log(
+				"Recording started:",
+				this.recordingCapture.usingWorklet ? "AudioWorklet" : "ScriptProcessor",
+				`${channelCount} channel(s)`,
+			);
 		} catch (error) {
 			console.error("Failed to start recording:", error);
 			this.onError?.("Recording failed: " + error.message);
 			throw error;
+		} finally {
+			this.isStartingRecording = false;
+		}
+	}
+
+	/**
+	 * Work out where a take will land from the recording mode
+	 * @param {Object} options - startRecording options
+	 * @returns {Object} - { mode, trackId, startPosition, punchIn, punchOut }
+	 */
+	planTake({ position, trackId, selection } = {}) {
+		const { mode, preRoll } = this.recordingSettings;
+		const target = trackId && this.audioBuffers.has(trackId) ? trackId : null;
+		const startPosition = Math.max(0, position ?? this.getCurrentTime());
+
+		if (
+			mode === "replace" &&
+			target &&
+			selection &&
+			selection.start !== null &&
+			selection.end !== null &&
+			selection.end > selection.start
+		) {
+			return {
+				mode,
+				trackId: target,
+				startPosition: Math.max(0, selection.start - preRoll),
+				punchIn: selection.start,
+				punchOut: selection.end,
+			};
+		}
+
+		if (mode === "append" && target) {
+			return { mode, trackId: target, startPosition };
+		}
+
+		return { mode: "new", trackId: null, startPosition };
+	}
+
+	/**
+	 * Channel count actually delivered by an input stream
+	 * @param {MediaStream} stream - Input stream
+	 * @returns {number}
+	 */
+	getInputChannelCount(stream) {
+		const requested = this.inputSettings.channelCount;
+		const settings = stream?.getAudioTracks?.()[0]?.getSettings?.();
+		return Math.min(requested, settings?.channelCount || requested);
+	}
+
+	/**
+	 * Store a captured chunk (one Float32Array per channel)
+	 * @param {Float32Array[]} channels - Chunk data
+	 */
+	handleRecordedChunk(channels) {
+		if (!this.recordingBuffers) return;
+
+		channels.forEach((data, channel) => {
+			this.recordingBuffers[channel]?.push(data);
+		});
+		this.recordingLength += channels[0]?.length || 0;
+		if (this.journaling) {
+			this.recordingJournal.append(channels);
+		}
+	}
+
+	/**
+	 * Start persisting the take; recording goes ahead without it if storage fails
+	 * @param {number} numberOfChannels - Channels being captured
+	 */
+	async beginJournal(numberOfChannels) {
+		if (!this.recordingJournal) return;
+
+		try {
+			await this.recordingJournal.begin({
+				sampleRate: this.audioContext.sampleRate,
+				numberOfChannels,
+				startPosition: this.recordingTake.startPosition,
+				latency: this.recordingSettings.latency,
+			});
+			this.journaling = true;
+		} catch (error) {
+			console.warn("Recording will not be crash-safe:", error);
+			this.journaling = false;
+		}
+	}
+
+	/**
+	 * Takes left unfinished by a crash or a closed tab
+	 * @returns {Promise<Array<Object>>} - { id, startedAt, sampleRate, numberOfChannels }
+	 */
+	async getRecoverableRecordings() {
+		if (!this.recordingJournal) return [];
+
+		try {
+			const takes = await this.recordingJournal.listTakes();
+			return takes.map(({ id, startedAt, sampleRate, numberOfChannels }) => ({
+				id,
+				startedAt,
+				sampleRate,
+				numberOfChannels,
+			}));
+		} catch (error) {
+			console.error("Failed to look for unfinished recordings:", error);
+			return [];
+		}
+	}
+
+	/**
+	 * Restore an unfinished take as a new track, in its original format
+	 * @param {string} takeId - Journaled take
+	 * @returns {Promise<string|null>} - New track ID, or null if the take held no audio
+	 */
+	async recoverRecording(takeId) {
+		const contextReady = await this.ensureAudioContext();
+		if (!contextReady || !this.recordingJournal) return null;
+
+		try {
+			const take = await this.recordingJournal.load(takeId);
+			const length = take?.channels[0]?.length || 0;
+			if (length === 0) {
+				await this.recordingJournal.discard(takeId);
+				return null;
+			}
+
+			const { meta, channels } = take;
+			const buffer = this.audioContext.createBuffer(
+				meta.numberOfChannels,
+				length,
+				meta.sampleRate,
+			);
+			channels.forEach((data, channel) => buffer.getChannelData(channel).set(data));
+
+			// Placed as it would have been as a new track, latency compensation included
+			const trackId = createTrackId("recovered");
+			const latency = Math.max(0, meta.latency || 0) / 1000;
+			const clip = new AudioClip({
+				buffer,
+				offset: Math.min(latency, AudioClip.bufferDuration(buffer)),
+				position: meta.startPosition || 0,
+			});
+			this.createTrackFromClips(
+				trackId,
+				new ClipSequence([clip]),
+				"Recovered Recording " + new Date(meta.startedAt).toLocaleString(),
+			);
+			this.scheduleOffload(trackId);
+
+			await this.recordingJournal.discard(takeId);
+			return trackId;
+		} catch (error) {
+			console.error("Failed to recover recording:", error);
+			this.onError?.("Failed to recover recording: " + error.message);
+			return null;
+		}
+	}
+
+	/**
+	 * Throw away an unfinished take
+	 * @param {string} takeId - Journaled take
+	 */
+	async discardRecording(takeId) {
+		try {
+			await this.recordingJournal?.discard(takeId);
+		} catch (error) {
+			console.error("Failed to discard recording:", error);
+		}
+	}
+
+	/**
+	 * Autosave the session; only audio not saved before is written
+	 * @param {Object} session - The rest of the session as for writeProject (tracks with
+	 *   their names and visibility, labels, selection, settings, ...) plus history
+	 * @param {UndoRedoManager} undoRedo - Undo history to save with it, and the audio it holds
+	 * @returns {Promise<boolean>} - Whether anything had changed
+	 */
+	async autosave(session, undoRedo = null) {
+		if (!this.sessionJournal) return false;
+
+		try {
+			const { tracks, sources, envelopes, undoHistory } = await this.getProjectData(
+				this.sessionJournal.sourceIds,
+				undoRedo,
+			);
+			const stateTracks = new Map(session.tracks.map((track) => [track.id, track]));
+			return await this.sessionJournal.save(
+				{
+					...session,
+					tracks: tracks.map((track) => ({ ...track, ...stateTracks.get(track.id) })),
+					envelopes,
+					undoHistory,
+				},
+				sources,
+			);
+		} catch (error) {
+			console.error("Failed to autosave:", error);
+			return false;
+		}
+	}
+
+	/**
+	 * Forget this session's autosave (autosave turned off, or a clean exit)
+	 */
+	async clearAutosave() {
+		try {
+			await this.sessionJournal?.discard();
+		} catch (error) {
+			console.error("Failed to clear autosave:", error);
+		}
+	}
+
+	/**
+	 * Sessions autosaved by tabs that crashed or were killed
+	 * @returns {Promise<Array<Object>>} - { id, startedAt, savedAt, trackCount, duration, history }
+	 */
+	async getRecoverableSessions() {
+		if (!this.sessionJournal) return [];
+
+		try {
+			return await this.sessionJournal.listSessions();
+		} catch (error) {
+			console.error("Failed to look for autosaved sessions:", error);
+			return [];
 		}
 	}
 
-	stopRecording() {
+	/**
+	 * Replace every track with those of an autosaved session
+	 * @param {string} sessionId - Autosaved session
+	 * @returns {Promise<Object|null>} - The session as read by readProject, or null.
+	 *   Its undoHistory (see getProjectData) is restored with loadClip, which turns
+	 *   the saved clips back into AudioClips.
+	 */
+	async recoverSession(sessionId) {
+		if (!this.sessionJournal) return null;
+
+		try {
+			const session = await this.sessionJournal.load(sessionId);
+			const buffers = new Map();
+			if (!session || !(await this.loadProjectData(session, buffers))) return null;
+
+			await this.sessionJournal.discard(sessionId);
+			const loadClip = ({ id, source, offset, duration, position }) =>
+				new AudioClip({ id, buffer: buffers.get(source), offset, duration, position });
+			return { ...session, loadClip };
+		} catch (error) {
+			console.error("Failed to recover session:", error);
+			this.onError?.("Failed to recover session: " + error.message);
+			return null;
+		}
+	}
+
+	/**
+	 * Throw away an autosaved session
+	 * @param {string} sessionId - Autosaved session
+	 */
+	async discardSession(sessionId) {
+		try {
+			await this.sessionJournal?.discard(sessionId);
+		} catch (error) {
+			console.error("Failed to discard session:", error);
+		}
+	}
+
+	async stopRecording() {
 		if (!this.isRecording) return;
 
 		this.isRecording = false;
+		if (this.punchOutTimer) {
+			clearTimeout(this.punchOutTimer);
+			this.punchOutTimer = null;
+		}
+		if (this.recordingTake?.overdub) {
+			this.stop();
+		}
 
-		// Disconnect the recording chain
-		if (this.recordingSource) {
-			this.recordingSource.disconnect();
+		// Let the capture hand over its last samples, then disconnect the chain
+		if (this.recordingCapture) {
+			try {
+				await this.recordingCapture.stop();
+			} catch (error) {
+				console.error("Failed to stop recording capture:", error);
+			}
+			this.recordingCapture = null;
 		}
-		if (this.recordingProcessor) {
-			this.recordingProcessor.disconnect();
+		if (this.inputStale) {
+			this.closeInput();
+			if (this.inputSettings.monitoring) {
+				this.openInput().catch((error) => console.error("Failed to reopen input:", error));
+			}
 		}
 
+		const journaledTakeId = this.journaling ? await this.recordingJournal.end() : null;
+		this.journaling = false;
+
 		// Process the recorded audio data
+		let placed = true;
 		if (this.recordingBuffers && this.recordingLength > 0) {
-			this.processRecordingBuffers();
+			placed = this.processRecordingBuffers();
+		}
+
+		// The take is safely in the project now; keep the journal if it isn't
+		if (journaledTakeId && placed) {
+			await this.discardRecording(journaledTakeId);
 		}
 
 		this.onStatusChange?.("Recording stopped");
 		console.log("Recording stopped");
 	}
 
+	/**
+	 * Build the take from the captured chunks and place it
+	 * @returns {boolean} - Whether the take made it into the project
+	 */
 	processRecordingBuffers() {
 		try {
-			// Create audio buffer from recorded data
+			// Create audio buffer from recorded data, keeping the input's channel layout
 			const audioBuffer = this.audioContext.createBuffer(
-				2, // stereo
+				this.recordingBuffers.length,
 				this.recordingLength,
 				this.audioContext.sampleRate
 			);
 
 			// Merge recorded chunks into continuous buffers
-			const leftData = audioBuffer.getChannelData(0);
-			const rightData = audioBuffer.getChannelData(1);
-			
-			let offset = 0;
-			for (let i = 0; i < this.recordingBuffers[0].length; i++) {
-				const leftChunk = this.recordingBuffers[0][i];
-				const rightChunk = this.recordingBuffers[1][i];
-				
-				leftData.set(leftChunk, offset);
-				rightData.set(rightChunk, offset);
-				offset += leftChunk.length;
+			for (let channel = 0; channel < this.recordingBuffers.length; channel++) {
+				const channelData = audioBuffer.getChannelData(channel);
+				let offset = 0;
+				for (const chunk of this.recordingBuffers[channel]) {
+					channelData.set(chunk, offset);
+					offset += chunk.length;
+				}
 			}
 
-			// Create track from recorded buffer
-			const trackId = "recording_" + Date.now();
-			this.audioBuffers.set(trackId, {
-				buffer: audioBuffer,
-				name: "Recording " + new Date().toLocaleTimeString(),
-				duration: audioBuffer.duration,
-				sampleRate: audioBuffer.sampleRate,
-				numberOfChannels: audioBuffer.numberOfChannels,
-			});
+			const { trackId, isNewTrack } = this.placeTake(audioBuffer);
+			if (trackId) {
+				this.scheduleOffload(trackId);
+			}
 
 			// Clean up recording data
 			this.recordingBuffers = null;
 			this.recordingLength = 0;
 
 			console.log("Recording processed successfully:", trackId);
-			this.onRecordingFinished?.(trackId);
-
+			this.onRecordingFinished?.(trackId, { isNewTrack });
+			return true;
 		} catch (error) {
 			console.error("Failed to process recording:", error);
 			this.onError?.("Failed to process recording: " + error.message);
+			return false;
 		}
 	}
 
+	/**
+	 * Put a finished take on the timeline according to the recording mode
+	 * @param {AudioBuffer} buffer - Recorded audio
+	 * @returns {{trackId: string|null, isNewTrack: boolean}}
+	 */
+	placeTake(buffer) {
+		const take = this.recordingTake || { mode: "new", trackId: null, startPosition: 0 };
+		this.recordingTake = null;
+
+		// The input reaches us late by the round-trip latency: skip that much of the take
+		const latency = Math.max(0, this.recordingSettings.latency) / 1000;
+		let clip = new AudioClip({
+			buffer,
+			offset: Math.min(latency, AudioClip.bufferDuration(buffer)),
+			position: take.startPosition,
+		});
+		if (take.mode === "replace") {
+			clip = clip.trimTo(take.punchIn, take.punchOut);
+			if (!clip) return { trackId: null, isNewTrack: false };
+		}
+
+		const target = take.trackId ? this.audioBuffers.get(take.trackId) : null;
+		if (target && target.numberOfChannels === buffer.numberOfChannels) {
+			const [start, end] =
+				take.mode === "replace" ? [take.punchIn, take.punchOut] : [clip.position, clip.end];
+			const edit = () =>
+				this.setTrackClips(take.trackId, target.clips.clearRange(start, end).withClip(clip));
+			const description = take.mode === "replace" ? "Punch-in recording" : "Record";
+			if (this.runEdit) {
+				this.runEdit([take.trackId], edit, description);
+			} else {
+				edit();
+			}
+			return { trackId: take.trackId, isNewTrack: false };
+		}
+
+		if (target) {
+			this.onStatusChange?.(
+				`Take has ${buffer.numberOfChannels} channel(s), the track ${target.numberOfChannels}: recorded to a new track`,
+			);
+		}
+
+		const trackId = createTrackId("recording");
+		this.createTrackFromClips(
+			trackId,
+			new ClipSequence([clip]),
+			"Recording " + new Date().toLocaleTimeString(),
+		);
+		return { trackId, isNewTrack: true };
+	}
+
+	/**
+	 * Decode a file at its own sample rate and convert it to the project rate.
+	 * Decoding straight into the realtime context would have the browser resample
+	 * it to the device rate first, at whatever quality it likes.
+	 * @param {ArrayBuffer} arrayBuffer - Encoded audio
+	 * @returns {Promise<AudioBuffer>}
+	 */
+	async decodeAudio(arrayBuffer) {
+		return (await this.decodeAudioFile(arrayBuffer)).audioBuffer;
+	}
+
+	/**
+	 * Decode a file along with the labels and metadata it carries. Uncompressed
+	 * WAV and AIFF are read by our own decoders, which handle every sample format
+	 * and keep cue points, markers and metadata chunks; so is FLAC, bit-exact and
+	 * with its Vorbis comments. Anything else goes through the browser, with an
+	 * ID3 tag read for its metadata and chapters.
+	 * @param {ArrayBuffer} arrayBuffer - Encoded audio
+	 * @returns {Promise<Object>} - { audioBuffer, labels, metadata }, labels in seconds;
+	 *   metadata (see WavMetadata) for WAV, tagged FLAC and ID3-tagged files, null
+	 *   otherwise
+	 */
+	async decodeAudioFile(arrayBuffer) {
+		const wav = isWav(arrayBuffer) ? decodeWav(arrayBuffer) : null;
+		if (wav) {
+			return {
+				audioBuffer: this.bufferFromChannels(wav.channels, wav.sampleRate),
+				labels: wav.labels,
+				metadata: readWavMetadata(wav),
+			};
+		}
+		if (isAiff(arrayBuffer)) {
+			const aiff = decodeAiff(arrayBuffer);
+			return {
+				audioBuffer: this.bufferFromChannels(aiff.channels, Math.round(aiff.sampleRate)),
+				labels: aiff.labels,
+				metadata: null,
+			};
+		}
+		if (isFlac(arrayBuffer)) {
+			const flac = decodeFlac(arrayBuffer);
+			const scale = 2 ** (flac.bitsPerSample - 1);
+			const channels = flac.channels.map((data) =>
+				Float32Array.from(data, (sample) => sample / scale),
+			);
+			return {
+				audioBuffer: this.bufferFromChannels(channels, flac.sampleRate),
+				labels: [],
+				metadata: readFlacMetadata(flac.tags),
+			};
+		}
+
+		// MP3 tags and chapters; the browser decodes the audio after them
+		const id3 = readId3Tag(arrayBuffer);
+		const nativeRate = detectSampleRate(arrayBuffer);
+		const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+		let audioBuffer = null;
+
+		if (OfflineContext && nativeRate && nativeRate !== this.audioContext.sampleRate) {
+			try {
+				// decodeAudioData detaches its input, so keep the original for the fallback
+				audioBuffer = await new OfflineContext(1, 1, nativeRate).decodeAudioData(
+					arrayBuffer.slice(0),
+				);
+			} catch (error) {
+				console.warn("Failed to decode at the native rate, using the context rate:", error);
+			}
+		}
+		audioBuffer ??= await this.audioContext.decodeAudioData(arrayBuffer);
+
+		return {
+			audioBuffer: this.resampleBuffer(audioBuffer, this.projectRate),
+			labels: id3?.labels ?? [],
+			metadata: id3?.metadata ?? null,
+		};
+	}
+
+	/**
+	 * Import an uncompressed WAV file straight into block storage. Only its chunk
+	 * headers and metadata are read whole; the audio is decoded, and converted to
+	 * the project rate, a block at a time, so RF64 files of any size fit.
+	 * @param {File} file - The file
+	 * @returns {Promise<Object|null>} - As decodeAudioFile, with a BlockedAudio, or null
+	 *   if the file has to be decoded whole (not WAV, compressed, or no block storage)
+	 */
+	async importWavFile(file) {
+		if (!this.blockStore) return null;
+		const wav = await readWavFile(file);
+		if (!wav || wav.frames === 0) return null;
+
+		const ratio = this.projectRate / wav.sampleRate;
+		let read = (start, frames) => readWavFrames(wav, start, frames);
+		if (ratio !== 1) {
+			read = new Resampler(this.resampleQuality).createReader(read, wav.frames, ratio);
+		}
+		const audioBuffer = await BlockedAudio.fromReader(
+			read,
+			{
+				length: Math.max(1, Math.round(wav.frames * ratio)),
+				numberOfChannels: wav.numberOfChannels,
+				sampleRate: this.projectRate,
+			},
+			this.blockStore,
+		);
+
+		return { audioBuffer, labels: wav.labels, metadata: readWavMetadata(wav) };
+	}
+
+	/**
+	 * Build a buffer from decoded samples and convert it to the project rate
+	 * @param {Float32Array[]} channels - Samples at the file's rate
+	 * @param {number} sampleRate - Rate of the file
+	 * @returns {AudioBuffer}
+	 */
+	bufferFromChannels(channels, sampleRate) {
+		const buffer = this.audioContext.createBuffer(
+			channels.length,
+			Math.max(1, channels[0].length),
+			sampleRate,
+		);
+		channels.forEach((data, channel) => buffer.getChannelData(channel).set(data));
+		return this.resampleBuffer(buffer, this.projectRate);
+	}
+
+	/**
+	 * Convert a buffer to another sample rate
+	 * @param {AudioBuffer} buffer - Source audio
+	 * @param {number} sampleRate - Target sample rate
+	 * @param {string} quality - Resampling quality (see RESAMPLE_QUALITIES)
+	 * @returns {AudioBuffer} - The same buffer if it is already at that rate
+	 */
+	resampleBuffer(buffer, sampleRate, quality = this.resampleQuality) {
+		if (buffer.sampleRate === sampleRate) return buffer;
+		return new Resampler(quality).resampleBuffer(this.audioContext, buffer, sampleRate);
+	}
+
+	/**
+	 * @param {number} sampleRate - Rate new audio is imported and generated at
+	 */
+	setProjectRate(sampleRate) {
+		this.projectRate = sampleRate;
+	}
+
+	/**
+	 * @param {string} quality - Default resampling quality (see RESAMPLE_QUALITIES)
+	 */
+	setResampleQuality(quality) {
+		this.resampleQuality = quality;
+	}
+
 	async loadAudioFromFile(file) {
 		try {
-			const arrayBuffer = await file.arrayBuffer();
-			const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-
-			const trackId = "track_" + Date.now();
-			this.audioBuffers.set(trackId, {
-				buffer: audioBuffer,
-				name: file.name,
-				duration: audioBuffer.duration,
-				sampleRate: audioBuffer.sampleRate,
-				numberOfChannels: audioBuffer.numberOfChannels,
-			});
+			const { audioBuffer, labels, metadata } =
+				(await this.importWavFile(file)) ??
+				(await this.decodeAudioFile(await file.arrayBuffer()));
+
+			const trackId = createTrackId("track");
+			this.createTrack(trackId, audioBuffer, file.name);
+			Object.assign(this.audioBuffers.get(trackId), { labels, metadata });
+			this.scheduleOffload(trackId);
 
 			console.log("Audio file loaded:", file.name, audioBuffer);
 			return trackId;
@@ -235,16 +1007,12 @@ export class AudioEngineService {
 	async loadAudioFromBlob(blob, name = "Audio") {
 		try {
 			const arrayBuffer = await blob.arrayBuffer();
-			const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-
-			const trackId = "track_" + Date.now();
-			this.audioBuffers.set(trackId, {
-				buffer: audioBuffer,
-				name: name,
-				duration: audioBuffer.duration,
-				sampleRate: audioBuffer.sampleRate,
-				numberOfChannels: audioBuffer.numberOfChannels,
-			});
+			const { audioBuffer, labels, metadata } = await this.decodeAudioFile(arrayBuffer);
+
+			const trackId = createTrackId("track");
+			this.createTrack(trackId, audioBuffer, name);
+			Object.assign(this.audioBuffers.get(trackId), { labels, metadata });
+			this.scheduleOffload(trackId);
 
 			return trackId;
 		} catch (error) {
@@ -254,28 +1022,31 @@ export class AudioEngineService {
 		}
 	}
 
-	async play(trackId = null, startTime = 0, duration = null) {
+	async play(trackId = null, startTime = 0, duration = null, options = {}) {
 		// Ensure audio context is ready
 		const contextReady = await this.ensureAudioContext();
 		if (!contextReady) return;
 
 		if (this.isPlaying) {
-			this.stop();
+			this.stopSources();
 		}
 
 		try {
-			if (trackId && this.audioBuffers.has(trackId)) {
-				this.playTrack(trackId, startTime, duration);
-			} else {
-				for (const [id] of this.audioBuffers) {
-					this.playTrack(id, startTime, duration);
-				}
+			this.isLooping = (options.loop ?? this.loop.enabled) && this.hasValidLoopRegion();
+			this.playbackTrackId = trackId && this.audioBuffers.has(trackId) ? trackId : null;
+			this.playbackEndTime = duration && !this.isLooping ? startTime + duration : null;
+			this.playbackStartTime = startTime;
+			this.startSources(startTime);
+
+			if (this.playingSources.size === 0 && !this.isLooping) {
+				this.finishPlayback();
+				return;
 			}
 
 			this.isPlaying = true;
 			this.isPaused = false;
 			this.currentTime = startTime;
-			this.onStatusChange?.("Playing...");
+			this.onStatusChange?.(this.isLooping ? "Looping..." : "Playing...");
 
 			console.log("Playback started");
 		} catch (error) {
@@ -284,204 +1055,857 @@ export class AudioEngineService {
 		}
 	}
 
-	playTrack(trackId, startTime = 0, duration = null) {
+	/**
+	 * Continue a paused playback from the position it was paused at
+	 */
+	async resume() {
+		if (!this.isPaused) return;
+
+		const contextReady = await this.ensureAudioContext();
+		if (!contextReady) return;
+
+		const position = this.transport.getPosition();
+		this.startSources(position);
+		if (this.playingSources.size === 0 && !this.isLooping) {
+			this.finishPlayback();
+			return;
+		}
+
+		this.isPlaying = true;
+		this.isPaused = false;
+		this.onStatusChange?.(this.isLooping ? "Looping..." : "Playing...");
+	}
+
+	/**
+	 * Start sources for the current playback target at a timeline position
+	 * and anchor the transport clock to the moment they start
+	 * @param {number} position - Timeline position in seconds
+	 */
+	startSources(position) {
+		const when = this.audioContext.currentTime;
+		this.clearLoopScheduler();
+		this.transport.setRate(this.playbackRate);
+
+		if (!this.isLooping) {
+			this.scheduleSegment(position, this.playbackEndTime, when);
+			this.transport.start(position, when);
+			return;
+		}
+
+		// Looping: play to the end of the region, then keep whole cycles scheduled ahead
+		const { start, end } = this.loop;
+		const cycleStart = position >= start && position < end ? position : start;
+		this.scheduleSegment(cycleStart, end, when);
+		this.transport.start(cycleStart, when);
+		this.loopCycleEnd = end;
+		this.nextLoopCycleTime = when + (end - cycleStart) / this.playbackRate;
+
+		this.scheduleLoopCycles();
+		this.loopTimer = setInterval(() => this.scheduleLoopCycles(), LOOP_SCHEDULER_INTERVAL_MS);
+	}
+
+	/**
+	 * Schedule every playing track over a timeline range
+	 * @param {number} from - Timeline start in seconds
+	 * @param {number|null} to - Timeline end in seconds, or null for the end of each track
+	 * @param {number} when - Audio clock time the range starts playing
+	 */
+	scheduleSegment(from, to, when) {
+		const trackIds = this.playbackTrackId
+			? [this.playbackTrackId]
+			: Array.from(this.audioBuffers.keys());
+
+		for (const id of trackIds) {
+			const duration = to !== null ? to - from : null;
+			if (duration !== null && duration <= 0) continue;
+			this.playTrack(id, from, duration, when);
+		}
+	}
+
+	/**
+	 * Schedule loop cycles that start within the lookahead window.
+	 * Cycles are queued on the audio clock back to back, so the wrap-around is
+	 * sample-accurate; the loop region is read per cycle, so edits made during
+	 * playback apply from the next cycle on.
+	 */
+	scheduleLoopCycles() {
+		const horizon = this.audioContext.currentTime + LOOP_LOOKAHEAD;
+
+		while (this.nextLoopCycleTime < horizon) {
+			if (!this.loop.enabled || !this.hasValidLoopRegion()) {
+				// Looping was switched off: carry on past the end of the current cycle
+				this.isLooping = false;
+				this.clearLoopScheduler();
+				this.scheduleSegment(this.loopCycleEnd, null, this.nextLoopCycleTime);
+				return;
+			}
+
+			const { start, end } = this.loop;
+			this.scheduleSegment(start, end, this.nextLoopCycleTime);
+			this.transport.scheduleJump(this.nextLoopCycleTime, start);
+			this.loopCycleEnd = end;
+			this.nextLoopCycleTime += (end - start) / this.playbackRate;
+		}
+	}
+
+	clearLoopScheduler() {
+		if (this.loopTimer) {
+			clearInterval(this.loopTimer);
+			this.loopTimer = null;
+		}
+	}
+
+	/**
+	 * Set the loop mode and region; takes effect from the next loop cycle
+	 * @param {Object} loop - { enabled, start, end }
+	 */
+	setLoop(loop) {
+		const wasLooping = this.isPlaying && this.isLooping;
+		this.loop = { ...this.loop, ...loop };
+
+		// Switching looping on mid-playback restarts the sources on the loop schedule
+		if (this.isPlaying && !wasLooping && this.loop.enabled && this.hasValidLoopRegion()) {
+			this.isLooping = true;
+			this.seek(this.getCurrentTime());
+		}
+	}
+
+	hasValidLoopRegion() {
+		const { start, end } = this.loop;
+		return (
+			start !== null &&
+			end !== null &&
+			start >= 0 &&
+			end - start >= MIN_LOOP_LENGTH
+		);
+	}
+
+	/**
+	 * Schedule the clips of a track over a timeline range
+	 * @param {string} trackId - Track ID
+	 * @param {number} startTime - Timeline start in seconds
+	 * @param {number|null} duration - Length to play, or null for the rest of the track
+	 * @param {number} when - Audio clock time startTime is reached
+	 */
+	playTrack(trackId, startTime = 0, duration = null, when = this.audioContext.currentTime) {
 		const trackData = this.audioBuffers.get(trackId);
 		if (!trackData) return;
 
-		const source = this.audioContext.createBufferSource();
-		source.buffer = trackData.buffer;
-		source.playbackRate.value = this.playbackRate;
+		const endTime = duration ? startTime + duration : trackData.duration;
+		if (startTime >= endTime) return;
+
+		const sources = this.scheduleClips(
+			this.audioContext,
+			trackData.clips.clipsInRange(startTime, endTime),
+			this.getChannelStrip(trackId).input,
+			startTime,
+			endTime,
+			when,
+			this.playbackRate,
+		);
+
+		if (sources.length === 0) return;
+		this.scheduleTrackEnvelope(trackId, startTime, endTime, when);
+		if (!this.playingSources.has(trackId)) {
+			this.playingSources.set(trackId, new Set());
+		}
 
-		source.connect(this.masterGain);
+		for (const source of sources) {
+			this.playingSources.get(trackId).add(source);
 
-		const actualDuration = duration || trackData.duration - startTime;
-		source.start(this.audioContext.currentTime, startTime, actualDuration);
+			source.onended = () => {
+				// Ignore sources that were stopped by a seek/pause/stop
+				const trackSources = this.playingSources.get(trackId);
+				if (!trackSources || !trackSources.has(source)) return;
 
-		this.playingSources.set(trackId, source);
+				trackSources.delete(source);
+				if (trackSources.size === 0) {
+					this.playingSources.delete(trackId);
+				}
+				if (this.playingSources.size === 0 && !this.isLooping) {
+					this.finishPlayback();
+				}
+			};
+		}
+	}
 
-		source.onended = () => {
-			this.playingSources.delete(trackId);
-			if (this.playingSources.size === 0) {
-				this.isPlaying = false;
-				this.onPlaybackFinished?.();
+	/**
+	 * Have a track's strip follow its gain envelope over a timeline range, as
+	 * renderMixdown applies it; envelope edits are heard from the next play or cycle
+	 * @param {string} trackId - Track ID
+	 * @param {number} startTime - Timeline start in seconds
+	 * @param {number} endTime - Timeline end in seconds
+	 * @param {number} when - Audio clock time startTime is reached
+	 */
+	scheduleTrackEnvelope(trackId, startTime, endTime, when) {
+		const length = Math.max(2, Math.ceil((endTime - startTime) * ENVELOPE_CONTROL_RATE) + 1);
+		const values = this.envelopes.renderValues(
+			`${trackId}.volume`,
+			startTime,
+			(length - 1) / (endTime - startTime),
+			length,
+		);
+		if (!values) return;
+
+		try {
+			this.getChannelStrip(trackId).scheduleEnvelope(
+				values,
+				when,
+				(endTime - startTime) / this.playbackRate,
+			);
+		} catch (error) {
+			console.warn(`Failed to schedule the envelope of ${trackId}:`, error);
+		}
+	}
+
+	/**
+	 * Start one buffer source per clip, each covering the part of the clip inside the range
+	 * @param {BaseAudioContext} context - Realtime or offline context
+	 * @param {AudioClip[]} clips - Clips to play
+	 * @param {AudioNode} destination - Node the sources connect to
+	 * @param {number} startTime - Timeline start in seconds
+	 * @param {number} endTime - Timeline end in seconds
+	 * @param {number} when - Context time startTime is reached
+	 * @param {number} rate - Playback rate
+	 * @returns {Array<AudioBufferSourceNode|BlockStreamSource>} - Started sources
+	 */
+	scheduleClips(context, clips, destination, startTime, endTime, when, rate = 1) {
+		const sources = [];
+
+		for (const clip of clips) {
+			const from = Math.max(startTime, clip.position);
+			const to = Math.min(endTime, clip.end);
+			if (to <= from) continue;
+
+			// Block-stored clips are streamed rather than handed over as one buffer
+			let source;
+			if (clip.buffer instanceof BlockedAudio) {
+				source = new BlockStreamSource(context, clip.buffer, destination, rate);
+			} else {
+				source = context.createBufferSource();
+				source.buffer = clip.buffer;
+				source.playbackRate.value = rate;
+				source.connect(destination);
 			}
-		};
+			source.start(
+				when + (from - startTime) / rate,
+				clip.offset + (from - clip.position),
+				to - from,
+			);
+			sources.push(source);
+		}
+
+		return sources;
+	}
+
+	/**
+	 * Playback ran out of material: park the transport where playback started
+	 */
+	finishPlayback() {
+		this.clearLoopScheduler();
+		this.transport.stop(this.playbackStartTime);
+		this.currentTime = this.playbackStartTime;
+		this.isPlaying = false;
+		this.isPaused = false;
+		this.onPlaybackFinished?.();
 	}
 
 	pause() {
 		if (!this.isPlaying) return;
 
-		this.stop();
+		this.currentTime = this.transport.pause();
+		this.stopSources();
+		this.isPlaying = false;
 		this.isPaused = true;
 		this.onStatusChange?.("Paused");
 		console.log("Playback paused");
 	}
 
 	stop() {
-		for (const [, source] of this.playingSources) {
-			try {
-				source.stop();
-			} catch {
-				// Source might already be stopped
-			}
-		}
-
-		this.playingSources.clear();
+		this.stopSources();
+		this.transport.stop(this.playbackStartTime);
+		this.currentTime = this.playbackStartTime;
 		this.isPlaying = false;
 		this.isPaused = false;
 		this.onStatusChange?.("Stopped");
 		console.log("Playback stopped");
 	}
 
-	setMasterVolume(volume) {
-		if (this.masterGain) {
-			const gain = volume === 0 ? 0 : volume ** 2;
-			this.masterGain.gain.setValueAtTime(gain, this.audioContext.currentTime);
-		}
+	stopSources() {
+		this.clearLoopScheduler();
+
+		const trackSources = Array.from(this.playingSources.values());
+		this.playingSources.clear();
+
+		for (const sources of trackSources) {
+			for (const source of sources) {
+				try {
+					source.stop();
+				} catch {
+					// Source might already be stopped
+				}
+			}
+		}
+		for (const strip of this.channelStrips.values()) {
+			strip.clearEnvelope();
+		}
+	}
+
+	/**
+	 * Move the transport to a timeline position; a running playback continues from there
+	 * @param {number} time - Timeline position in seconds
+	 */
+	seek(time) {
+		const position = Math.max(0, time);
+		this.currentTime = position;
+
+		if (this.isPlaying) {
+			this.stopSources();
+			this.startSources(position);
+		} else {
+			this.transport.stop(position);
+		}
+	}
+
+	setMasterVolume(volume) {
+		if (this.masterGain) {
+			const gain = volume === 0 ? 0 : volume ** 2;
+			this.masterGain.gain.setValueAtTime(gain, this.audioContext.currentTime);
+		}
+	}
+
+	setPlaybackRate(rate) {
+		this.playbackRate = Math.max(0.25, Math.min(4.0, rate));
+		this.transport.setRate(this.playbackRate);
+
+		// Clips yet to start, envelope curves and loop cycles are all booked at
+		// audio clock times worked out at the old rate: reschedule from here
+		if (this.isPlaying) {
+			this.seek(this.getCurrentTime());
+		}
+	}
+
+	/**
+	 * Get the mix settings of a track
+	 * @param {string} trackId - Track ID
+	 * @returns {Object} - { volume, pan, muted, solo }
+	 */
+	getTrackMix(trackId) {
+		return this.trackMixSettings.get(trackId) || { ...DEFAULT_TRACK_MIX };
+	}
+
+	/**
+	 * Update the mix settings of a track; applies live to a running playback
+	 * @param {string} trackId - Track ID
+	 * @param {Object} updates - Any of { volume, pan, muted, solo }
+	 */
+	setTrackMix(trackId, updates) {
+		const settings = { ...this.getTrackMix(trackId), ...updates };
+		this.trackMixSettings.set(trackId, settings);
+
+		const strip = this.channelStrips.get(trackId);
+		if (strip) {
+			if (updates.volume !== undefined) strip.setVolume(settings.volume);
+			if (updates.pan !== undefined) strip.setPan(settings.pan);
+		}
+
+		if (updates.muted !== undefined || updates.solo !== undefined) {
+			this.updateTrackAudibility();
+		}
+	}
+
+	/**
+	 * Re-evaluate mute/solo for every strip (soloing one track affects all others)
+	 */
+	updateTrackAudibility() {
+		const audibility = ChannelStrip.resolveAudibility(this.getMixSettingsForAllTracks());
+		for (const [trackId, strip] of this.channelStrips) {
+			strip.setAudible(audibility.get(trackId) ?? true);
+		}
+	}
+
+	getMixSettingsForAllTracks() {
+		const settings = new Map();
+		for (const [trackId] of this.audioBuffers) {
+			settings.set(trackId, this.getTrackMix(trackId));
+		}
+		return settings;
+	}
+
+	/**
+	 * Get (creating on first use) the session-long channel strip of a track
+	 * @param {string} trackId - Track ID
+	 * @returns {ChannelStrip}
+	 */
+	getChannelStrip(trackId) {
+		let strip = this.channelStrips.get(trackId);
+		if (!strip) {
+			const settings = this.getTrackMix(trackId);
+			const audibility = ChannelStrip.resolveAudibility(this.getMixSettingsForAllTracks());
+			strip = new ChannelStrip(this.audioContext, this.masterGain, {
+				volume: settings.volume,
+				pan: settings.pan,
+				audible: audibility.get(trackId) ?? true,
+			});
+			this.channelStrips.set(trackId, strip);
+		}
+		return strip;
+	}
+
+	/**
+	 * Mix the audible tracks into a single buffer, applying each track's volume,
+	 * pan and gain envelope the way playback does
+	 * @param {Object} options
+	 * @param {number} options.startTime - Range start in seconds
+	 * @param {number} options.endTime - Range end in seconds (defaults to the project end)
+	 * @param {number} options.sampleRate - Rate of the result (defaults to the project rate)
+	 * @param {number} options.numberOfChannels - Channels of the result
+	 * @param {string[]} options.trackIds - Tracks to include (defaults to every track)
+	 * @param {string} options.quality - Resampling quality for tracks at other rates
+	 * @returns {Promise<AudioBuffer|null>} - Rendered mix
+	 */
+	async renderMixdown(options = {}) {
+		const startTime = options.startTime || 0;
+		const endTime = options.endTime ?? this.getTotalDuration();
+		const sampleRate = options.sampleRate || this.projectRate;
+		const numberOfChannels = options.numberOfChannels || 2;
+		const quality = options.quality || this.resampleQuality;
+		const length = Math.ceil((endTime - startTime) * sampleRate);
+		if (length <= 0) return null;
+
+		const mixdown = new Mixdown(length);
+		const audibility = ChannelStrip.resolveAudibility(this.getMixSettingsForAllTracks());
+		const trackIds = options.trackIds ?? Array.from(this.audioBuffers.keys());
+
+		for (const trackId of trackIds) {
+			const trackData = this.audioBuffers.get(trackId);
+			if (!trackData || !audibility.get(trackId)) continue;
+			if (startTime >= trackData.duration) continue;
+
+			const rendered = await this.readTrack(
+				trackId,
+				startTime,
+				Math.min(endTime, trackData.duration),
+			);
+			if (!rendered) continue;
+
+			const buffer = this.resampleBuffer(rendered, sampleRate, quality);
+			const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) =>
+				buffer.getChannelData(c),
+			);
+			const settings = this.getTrackMix(trackId);
+			mixdown.addTrack(channels, {
+				gain: ChannelStrip.volumeToGain(settings.volume),
+				pan: settings.pan,
+				envelope: this.envelopes.renderValues(
+					`${trackId}.volume`,
+					startTime,
+					sampleRate,
+					buffer.length,
+				),
+			});
+		}
+
+		const output = this.audioContext.createBuffer(numberOfChannels, length, sampleRate);
+		mixdown.render(numberOfChannels).forEach((data, channel) => {
+			output.getChannelData(channel).set(data);
+		});
+		return output;
+	}
+
+	/**
+	 * Register a new track holding its audio as a single clip
+	 * @param {string} trackId - Track ID
+	 * @param {AudioBuffer} buffer - Track audio
+	 * @param {string} name - Track name
+	 * @param {number} position - Timeline position of the clip
+	 * @returns {string} - Track ID
+	 */
+	createTrack(trackId, buffer, name, position = 0) {
+		return this.createTrackFromClips(trackId, ClipSequence.fromBuffer(buffer, position), name);
+	}
+
+	/**
+	 * Register a new track from a clip list; the format follows the first clip
+	 * @param {string} trackId - Track ID
+	 * @param {ClipSequence} clips - Track clips
+	 * @param {string} name - Track name
+	 * @returns {string} - Track ID
+	 */
+	createTrackFromClips(trackId, clips, name) {
+		const first = clips.clips[0];
+		this.audioBuffers.set(trackId, {
+			clips,
+			name,
+			duration: clips.duration,
+			sampleRate: first?.sampleRate ?? this.projectRate,
+			numberOfChannels: first?.numberOfChannels ?? this.channels,
+		});
+		return trackId;
+	}
+
+	/**
+	 * Set the metadata written when a track is exported on its own
+	 * @param {string} trackId - Track ID
+	 * @param {Object} metadata - Metadata model (see WavMetadata)
+	 * @returns {boolean} - Success
+	 */
+	setTrackMetadata(trackId, metadata) {
+		const trackData = this.audioBuffers.get(trackId);
+		if (!trackData) return false;
+
+		this.audioBuffers.set(trackId, { ...trackData, metadata });
+		return true;
+	}
+
+	/**
+	 * Replace the clips of a track
+	 * @param {string} trackId - Track ID
+	 * @param {ClipSequence} clips - New clip list
+	 * @param {Object} updates - Other track data changing with them ({ sampleRate, ... })
+	 * @returns {boolean} - Success
+	 */
+	setTrackClips(trackId, clips, updates = {}) {
+		const trackData = this.audioBuffers.get(trackId);
+		if (!trackData) return false;
+
+		this.audioBuffers.set(trackId, {
+			...trackData,
+			...updates,
+			clips,
+			duration: clips.duration,
+		});
+		return true;
+	}
+
+	/**
+	 * Mix the in-memory clips of a track over a range into one buffer
+	 * (see readTrack for tracks that may use block storage)
+	 * @param {string} trackId - Track ID
+	 * @param {number} startTime - Range start in seconds
+	 * @param {number} endTime - Range end in seconds (defaults to the track end)
+	 * @returns {AudioBuffer|null}
+	 */
+	renderTrack(trackId, startTime = 0, endTime = null) {
+		const trackData = this.audioBuffers.get(trackId);
+		if (!trackData) return null;
+
+		const end = endTime ?? trackData.duration;
+		if (startTime < 0 || end <= startTime) return null;
+
+		return trackData.clips.render(this.audioContext, startTime, end, {
+			numberOfChannels: trackData.numberOfChannels,
+			sampleRate: trackData.sampleRate,
+			quality: this.resampleQuality,
+		});
+	}
+
+	/**
+	 * Mix the clips of a track over a range into one buffer, loading block-stored audio
+	 * @param {string} trackId - Track ID
+	 * @param {number} startTime - Range start in seconds
+	 * @param {number} endTime - Range end in seconds (defaults to the track end)
+	 * @returns {Promise<AudioBuffer|null>}
+	 */
+	async readTrack(trackId, startTime = 0, endTime = null) {
+		const trackData = this.audioBuffers.get(trackId);
+		if (!trackData) return null;
+
+		const end = endTime ?? trackData.duration;
+		if (startTime < 0 || end <= startTime) return null;
+
+		const clips = await trackData.clips.load(this.audioContext, startTime, end);
+		return clips.render(this.audioContext, startTime, end, {
+			numberOfChannels: trackData.numberOfChannels,
+			sampleRate: trackData.sampleRate,
+			quality: this.resampleQuality,
+		});
+	}
+
+	/**
+	 * Move a track's long in-memory clips into block storage. Clips in other tracks
+	 * sharing the same buffers are switched over too; clip IDs don't change.
+	 * @param {string} trackId - Track ID
+	 * @returns {Promise<boolean>} - Whether anything was moved
+	 */
+	async offloadTrack(trackId) {
+		const trackData = this.audioBuffers.get(trackId);
+		if (!this.blockStore || !trackData) return false;
+
+		const converted = new Map();
+		for (const clip of trackData.clips.clips) {
+			const buffer = clip.buffer;
+			if (buffer instanceof BlockedAudio || converted.has(buffer)) continue;
+			if (AudioClip.bufferDuration(buffer) < OFFLOAD_MIN_DURATION) continue;
+
+			converted.set(buffer, await BlockedAudio.fromAudioBuffer(buffer, this.blockStore));
+		}
+		if (converted.size === 0) return false;
+
+		// Tracks may have been edited while the blocks were written: swap in their current clips
+		for (const [id, data] of this.audioBuffers) {
+			if (!data.clips.clips.some((clip) => converted.has(clip.buffer))) continue;
+
+			this.setTrackClips(
+				id,
+				new ClipSequence(
+					data.clips.clips.map((clip) =>
+						converted.has(clip.buffer)
+							? clip.with({ buffer: converted.get(clip.buffer) }, true)
+							: clip,
+					),
+				),
+			);
+		}
+		return true;
+	}
+
+	/**
+	 * Offload a track in the background
+	 * @param {string} trackId - Track ID
+	 */
+	scheduleOffload(trackId) {
+		if (!this.blockStore) return;
+
+		this.offloadTrack(trackId).catch((error) => {
+			console.error("Failed to move audio to block storage:", error);
+		});
 	}
 
-	setPlaybackRate(rate) {
-		this.playbackRate = Math.max(0.25, Math.min(4.0, rate));
+	/**
+	 * Process a range of a track and put the result back in place
+	 * @param {string} trackId - Track ID
+	 * @param {number} startTime - Range start in seconds
+	 * @param {number} endTime - Range end in seconds
+	 * @param {Function} process - (AudioBuffer) => AudioBuffer, may change the length
+	 * @returns {Promise<boolean>} - Success
+	 */
+	async processRange(trackId, startTime, endTime, process) {
+		const processed = await this.renderProcessedRange(trackId, startTime, endTime, process);
+		if (!processed) return false;
 
-		for (const [, source] of this.playingSources) {
-			source.playbackRate.value = this.playbackRate;
-		}
+		return this.replaceRange(trackId, processed.start, processed.end, processed.material);
 	}
 
-	// Audio buffer manipulation methods
-	cutAudio(trackId, startTime, endTime) {
+	/**
+	 * Process a range of a track without changing the track (the first half of
+	 * processRange, for edits that are applied as one undoable step)
+	 * @param {string} trackId - Track ID
+	 * @param {number} startTime - Range start in seconds
+	 * @param {number} endTime - Range end in seconds
+	 * @param {Function} process - (AudioBuffer) => AudioBuffer, may change the length
+	 * @returns {Promise<Object|null>} - { start, end, material } for replaceRange
+	 */
+	async renderProcessedRange(trackId, startTime, endTime, process) {
 		const trackData = this.audioBuffers.get(trackId);
-		if (!trackData) return false;
+		if (!trackData) return null;
 
-		if (startTime >= endTime || startTime < 0 || endTime < 0) return false;
+		// Only the blocks under the range are loaded; the rest of the track is untouched
+		const end = Math.min(endTime, trackData.duration);
+		const input = await this.readTrack(trackId, startTime, end);
+		if (!input) return null;
 
-		const buffer = trackData.buffer;
-		const sampleRate = buffer.sampleRate;
-		const startSample = Math.floor(startTime * sampleRate);
-		const endSample = Math.floor(endTime * sampleRate);
+		const output = await process(input);
+		if (!output) return null;
 
-		const beforeLength = startSample;
-		const afterStart = endSample;
-		const afterLength = buffer.length - endSample;
-		const newLength = beforeLength + afterLength;
+		return { start: startTime, end, material: ClipSequence.fromBuffer(output) };
+	}
 
-		if (newLength <= 0) return null;
+	/**
+	 * Replace a range of a track with other material
+	 * @param {string} trackId - Track ID
+	 * @param {number} startTime - Range start in seconds
+	 * @param {number} endTime - Range end in seconds
+	 * @param {ClipSequence} material - Clips positioned relative to 0
+	 * @returns {boolean} - Success
+	 */
+	replaceRange(trackId, startTime, endTime, material) {
+		const trackData = this.audioBuffers.get(trackId);
+		if (!trackData) return false;
 
-		const newBuffer = this.audioContext.createBuffer(
-			buffer.numberOfChannels,
-			newLength,
-			sampleRate,
+		const success = this.setTrackClips(
+			trackId,
+			trackData.clips.replaceRange(startTime, endTime, material),
 		);
+		this.scheduleOffload(trackId);
+		return success;
+	}
 
-		for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
-			const oldData = buffer.getChannelData(channel);
-			const newData = newBuffer.getChannelData(channel);
+	/**
+	 * Convert every clip of a track to another sample rate. Clips keep their
+	 * IDs and timeline positions.
+	 * @param {string} trackId - Track ID
+	 * @param {number} sampleRate - Target sample rate
+	 * @param {string} quality - Resampling quality (see RESAMPLE_QUALITIES)
+	 * @returns {Promise<boolean>} - Whether the track changed
+	 */
+	async resampleTrack(trackId, sampleRate, quality = this.resampleQuality) {
+		const clips = await this.renderResampledClips(trackId, sampleRate, quality);
+		if (!clips) return false;
 
-			for (let i = 0; i < beforeLength; i++) {
-				newData[i] = oldData[i];
-			}
+		const success = this.setTrackClips(trackId, clips, { sampleRate });
+		this.scheduleOffload(trackId);
+		return success;
+	}
 
-			for (let i = 0; i < afterLength; i++) {
-				newData[beforeLength + i] = oldData[afterStart + i];
-			}
+	/**
+	 * Resample the clips of a track without changing the track (the first half of
+	 * resampleTrack, for edits that are applied as one undoable step)
+	 * @param {string} trackId - Track ID
+	 * @param {number} sampleRate - Target sample rate
+	 * @param {string} quality - Resampling quality (see RESAMPLE_QUALITIES)
+	 * @returns {Promise<ClipSequence|null>} - The converted clips, or null if the
+	 *   track is already at that rate
+	 */
+	async renderResampledClips(trackId, sampleRate, quality = this.resampleQuality) {
+		const trackData = this.audioBuffers.get(trackId);
+		if (!trackData) return null;
+		if (
+			trackData.sampleRate === sampleRate &&
+			trackData.clips.clips.every((clip) => clip.sampleRate === sampleRate)
+		) {
+			return null;
 		}
 
-		this.audioBuffers.set(trackId, {
-			...trackData,
-			buffer: newBuffer,
-			duration: newBuffer.duration,
-		});
-
-		return true;
+		const resampler = new Resampler(quality);
+		const clips = [];
+		for (const clip of trackData.clips.clips) {
+			clips.push(
+				clip.sampleRate === sampleRate
+					? clip
+					: await this.resampleClip(clip, sampleRate, resampler),
+			);
+		}
+		return new ClipSequence(clips);
 	}
 
-	copyAudio(trackId, startTime, endTime) {
-		const trackData = this.audioBuffers.get(trackId);
-		if (!trackData) return null;
+	/**
+	 * Resample the part of a clip's source audio that the clip shows
+	 * @param {AudioClip} clip - Clip to convert
+	 * @param {number} sampleRate - Target sample rate
+	 * @param {Resampler} resampler - Resampler to use
+	 * @returns {Promise<AudioClip>} - Clip over the new buffer, with the same ID
+	 */
+	async resampleClip(clip, sampleRate, resampler) {
+		const [loaded] = (
+			await new ClipSequence([clip]).load(this.audioContext, clip.position, clip.end)
+		).clips;
+		const source = loaded.buffer;
+		const start = Math.round(loaded.offset * source.sampleRate);
+		const frames = Math.min(
+			Math.round(loaded.duration * source.sampleRate),
+			source.length - start,
+		);
+		const ratio = sampleRate / source.sampleRate;
+		const length = Math.max(1, Math.round(frames * ratio));
+
+		const buffer = this.audioContext.createBuffer(source.numberOfChannels, length, sampleRate);
+		for (let channel = 0; channel < source.numberOfChannels; channel++) {
+			resampler.processInto(
+				source.getChannelData(channel).subarray(start, start + frames),
+				ratio,
+				buffer.getChannelData(channel),
+			);
+		}
 
-		const buffer = trackData.buffer;
-		const sampleRate = buffer.sampleRate;
-		const startSample = Math.floor(startTime * sampleRate);
-		const endSample = Math.floor(endTime * sampleRate);
-		const selectionLength = endSample - startSample;
+		return clip.with({ buffer, offset: 0, duration: length / sampleRate }, true);
+	}
 
-		if (selectionLength <= 0) return null;
+	// Audio buffer manipulation methods
+	cutAudio(trackId, startTime, endTime) {
+		const trackData = this.audioBuffers.get(trackId);
+		if (!trackData) return false;
 
-		const newBuffer = this.audioContext.createBuffer(
-			buffer.numberOfChannels,
-			selectionLength,
-			sampleRate,
-		);
+		if (startTime >= endTime || startTime < 0 || endTime < 0) return false;
 
-		for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
-			const oldData = buffer.getChannelData(channel);
-			const newData = newBuffer.getChannelData(channel);
+		return this.setTrackClips(trackId, trackData.clips.deleteRange(startTime, endTime));
+	}
 
-			for (let i = 0; i < selectionLength; i++) {
-				newData[i] = oldData[startSample + i];
-			}
-		}
+	/**
+	 * Copy a range of a track as clips (positions relative to the range start)
+	 * @param {string} trackId - Track ID
+	 * @param {number} startTime - Range start in seconds
+	 * @param {number} endTime - Range end in seconds
+	 * @returns {ClipSequence|null}
+	 */
+	copyClips(trackId, startTime, endTime) {
+		const trackData = this.audioBuffers.get(trackId);
+		if (!trackData || endTime <= startTime) return null;
 
-		return newBuffer;
+		return trackData.clips.slice(startTime, endTime);
 	}
 
-	pasteAudio(trackId, sourceBuffer, pasteTime) {
+	/**
+	 * Insert clips at a time, pushing later audio to the right
+	 * @param {string} trackId - Track ID
+	 * @param {ClipSequence} clips - Clips positioned relative to 0
+	 * @param {number} pasteTime - Insert position in seconds
+	 * @returns {boolean} - Success
+	 */
+	pasteClips(trackId, clips, pasteTime) {
 		const trackData = this.audioBuffers.get(trackId);
-		if (!trackData || !sourceBuffer) return false;
+		if (!trackData || !clips || clips.length === 0) return false;
 
-		const buffer = trackData.buffer;
-		const sampleRate = buffer.sampleRate;
-		const pastePosition = Math.floor(pasteTime * sampleRate);
-		const sourceLength = sourceBuffer.length;
-		
-		// Create a new buffer that's large enough to hold both the original and pasted audio
-		const newLength = Math.max(buffer.length, pastePosition + sourceLength);
-		const newBuffer = this.audioContext.createBuffer(
-			buffer.numberOfChannels,
-			newLength,
-			sampleRate,
-		);
+		return this.setTrackClips(trackId, trackData.clips.insert(clips, Math.max(0, pasteTime)));
+	}
 
-		// Copy original audio data
-		for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
-			const oldData = buffer.getChannelData(channel);
-			const newData = newBuffer.getChannelData(channel);
-			
-			// Copy original data
-			for (let i = 0; i < buffer.length; i++) {
-				newData[i] = oldData[i];
-			}
-			
-			// Paste new data (mix if overlapping)
-			const sourceChannelData = sourceBuffer.getChannelData(
-				Math.min(channel, sourceBuffer.numberOfChannels - 1)
-			);
-			
-			for (let i = 0; i < sourceLength; i++) {
-				const targetIndex = pastePosition + i;
-				if (targetIndex < newLength) {
-					// Mix the audio if there's existing content
-					if (targetIndex < buffer.length) {
-						newData[targetIndex] = (newData[targetIndex] + sourceChannelData[i]) * 0.5;
-					} else {
-						newData[targetIndex] = sourceChannelData[i];
-					}
-				}
-			}
+	/**
+	 * Find a clip and the track holding it
+	 * @param {string} clipId - Clip ID
+	 * @returns {{trackId: string, clip: AudioClip}|null}
+	 */
+	findClip(clipId) {
+		for (const [trackId, trackData] of this.audioBuffers) {
+			const clip = trackData.clips?.getClip(clipId);
+			if (clip) return { trackId, clip };
+		}
+		return null;
+	}
+
+	/**
+	 * Move a clip along the timeline and/or into another track
+	 * @param {string} clipId - Clip ID
+	 * @param {string} toTrackId - Destination track (must have the clip's channel count
+	 *   and sample rate)
+	 * @param {number} position - New timeline position in seconds; the clip may not
+	 *   overlap another clip there
+	 * @returns {boolean} - Success
+	 */
+	moveClip(clipId, toTrackId, position) {
+		const found = this.findClip(clipId);
+		const target = this.audioBuffers.get(toTrackId);
+		if (!found || !target) return false;
+		if (target.numberOfChannels !== found.clip.numberOfChannels) return false;
+		// A track's clips are all at its rate (see resampleTrack)
+		if (target.sampleRate !== found.clip.sampleRate) return false;
+
+		// Dropped onto another clip, the two would play mixed: the drop is refused and
+		// a drag leaves the clip where it last fitted
+		const moved = found.clip.with({ position: Math.max(0, position) }, true);
+		const others = target.clips.withoutClip(clipId);
+		if (others.clipsInRange(moved.position, moved.end).length > 0) return false;
+
+		if (found.trackId === toTrackId) {
+			return this.setTrackClips(toTrackId, others.withClip(moved));
 		}
 
-		// Update the track with the new buffer
-		this.audioBuffers.set(trackId, {
-			...trackData,
-			buffer: newBuffer,
-		});
+		const source = this.audioBuffers.get(found.trackId);
+		this.setTrackClips(found.trackId, source.clips.withoutClip(clipId));
+		return this.setTrackClips(toTrackId, target.clips.withClip(moved));
+	}
 
-		return true;
+	copyAudio(trackId, startTime, endTime) {
+		return this.renderTrack(trackId, startTime, endTime);
+	}
+
+	pasteAudio(trackId, sourceBuffer, pasteTime) {
+		if (!sourceBuffer) return false;
+		return this.pasteClips(trackId, ClipSequence.fromBuffer(sourceBuffer), pasteTime);
 	}
 
 	// Generate audio content
 	generateTone(frequency, duration, amplitude = 0.5, waveform = "sine") {
-		const sampleRate = this.audioContext.sampleRate;
+		const sampleRate = this.projectRate;
 		const length = Math.floor(duration * sampleRate);
 		const buffer = this.audioContext.createBuffer(1, length, sampleRate);
 		const data = buffer.getChannelData(0);
@@ -511,20 +1935,14 @@ export class AudioEngineService {
 			data[i] = sample * amplitude;
 		}
 
-		const trackId = "generated_" + Date.now();
-		this.audioBuffers.set(trackId, {
-			buffer: buffer,
-			name: `${waveform} ${frequency}Hz`,
-			duration: duration,
-			sampleRate: sampleRate,
-			numberOfChannels: 1,
-		});
+		const trackId = createTrackId("generated");
+		this.createTrack(trackId, buffer, `${waveform} ${frequency}Hz`);
 
 		return trackId;
 	}
 
 	generateNoise(duration, amplitude = 0.1, type = "white") {
-		const sampleRate = this.audioContext.sampleRate;
+		const sampleRate = this.projectRate;
 		const length = Math.floor(duration * sampleRate);
 		const buffer = this.audioContext.createBuffer(1, length, sampleRate);
 		const data = buffer.getChannelData(0);
@@ -555,31 +1973,19 @@ export class AudioEngineService {
 			}
 		}
 
-		const trackId = "noise_" + Date.now();
-		this.audioBuffers.set(trackId, {
-			buffer: buffer,
-			name: `${type} Noise`,
-			duration: duration,
-			sampleRate: sampleRate,
-			numberOfChannels: 1,
-		});
+		const trackId = createTrackId("noise");
+		this.createTrack(trackId, buffer, `${type} Noise`);
 
 		return trackId;
 	}
 
 	generateSilence(duration) {
-		const sampleRate = this.audioContext.sampleRate;
+		const sampleRate = this.projectRate;
 		const length = Math.floor(duration * sampleRate);
 		const buffer = this.audioContext.createBuffer(1, length, sampleRate);
 
-		const trackId = "silence_" + Date.now();
-		this.audioBuffers.set(trackId, {
-			buffer: buffer,
-			name: "Silence",
-			duration: duration,
-			sampleRate: sampleRate,
-			numberOfChannels: 1,
-		});
+		const trackId = createTrackId("silence");
+		this.createTrack(trackId, buffer, "Silence");
 
 		return trackId;
 	}
@@ -590,7 +1996,7 @@ export class AudioEngineService {
 	 * Generate Chirp - Frequency sweep tones
 	 */
 	generateChirp(startFreq = 440, endFreq = 880, duration = 2, amplitude = 0.5, waveform = "sine") {
-		const sampleRate = this.audioContext.sampleRate;
+		const sampleRate = this.projectRate;
 		const length = Math.floor(duration * sampleRate);
 		const buffer = this.audioContext.createBuffer(1, length, sampleRate);
 		const channelData = buffer.getChannelData(0);
@@ -621,14 +2027,8 @@ export class AudioEngineService {
 			channelData[i] = sample * amplitude;
 		}
 
-		const trackId = "chirp_" + Date.now();
-		this.audioBuffers.set(trackId, {
-			buffer: buffer,
-			name: `Chirp (${startFreq}Hz-${endFreq}Hz)`,
-			duration: duration,
-			sampleRate: sampleRate,
-			numberOfChannels: 1,
-		});
+		const trackId = createTrackId("chirp");
+		this.createTrack(trackId, buffer, `Chirp (${startFreq}Hz-${endFreq}Hz)`);
 
 		return trackId;
 	}
@@ -646,7 +2046,7 @@ export class AudioEngineService {
 		};
 
 		const frequencies = dtmfFreqs[digit] || dtmfFreqs["1"];
-		const sampleRate = this.audioContext.sampleRate;
+		const sampleRate = this.projectRate;
 		const length = Math.floor(duration * sampleRate);
 		const buffer = this.audioContext.createBuffer(1, length, sampleRate);
 		const channelData = buffer.getChannelData(0);
@@ -658,14 +2058,8 @@ export class AudioEngineService {
 			channelData[i] = (sample1 + sample2) * amplitude * 0.5;
 		}
 
-		const trackId = "dtmf_" + Date.now();
-		this.audioBuffers.set(trackId, {
-			buffer: buffer,
-			name: `DTMF ${digit}`,
-			duration: duration,
-			sampleRate: sampleRate,
-			numberOfChannels: 1,
-		});
+		const trackId = createTrackId("dtmf");
+		this.createTrack(trackId, buffer, `DTMF ${digit}`);
 
 		return trackId;
 	}
@@ -674,7 +2068,7 @@ export class AudioEngineService {
 	 * Generate Rhythm Track - Metronome/click track
 	 */
 	generateRhythmTrack(bpm = 120, duration = 10, beatsPerMeasure = 4, amplitude = 0.7) {
-		const sampleRate = this.audioContext.sampleRate;
+		const sampleRate = this.projectRate;
 		const length = Math.floor(duration * sampleRate);
 		const buffer = this.audioContext.createBuffer(1, length, sampleRate);
 		const channelData = buffer.getChannelData(0);
@@ -702,14 +2096,8 @@ export class AudioEngineService {
 			}
 		}
 
-		const trackId = "rhythm_" + Date.now();
-		this.audioBuffers.set(trackId, {
-			buffer: buffer,
-			name: `Rhythm ${bpm}BPM`,
-			duration: duration,
-			sampleRate: sampleRate,
-			numberOfChannels: 1,
-		});
+		const trackId = createTrackId("rhythm");
+		this.createTrack(trackId, buffer, `Rhythm ${bpm}BPM`);
 
 		return trackId;
 	}
@@ -718,7 +2106,7 @@ export class AudioEngineService {
 	 * Generate Pluck - Synthesized pluck instrument
 	 */
 	generatePluck(frequency = 440, duration = 2, amplitude = 0.5, decay = 0.5) {
-		const sampleRate = this.audioContext.sampleRate;
+		const sampleRate = this.projectRate;
 		const length = Math.floor(duration * sampleRate);
 		const buffer = this.audioContext.createBuffer(1, length, sampleRate);
 		const channelData = buffer.getChannelData(0);
@@ -754,14 +2142,8 @@ export class AudioEngineService {
 			delayIndex = nextIndex;
 		}
 
-		const trackId = "pluck_" + Date.now();
-		this.audioBuffers.set(trackId, {
-			buffer: buffer,
-			name: `Pluck ${frequency}Hz`,
-			duration: duration,
-			sampleRate: sampleRate,
-			numberOfChannels: 1,
-		});
+		const trackId = createTrackId("pluck");
+		this.createTrack(trackId, buffer, `Pluck ${frequency}Hz`);
 
 		return trackId;
 	}
@@ -770,7 +2152,7 @@ export class AudioEngineService {
 	 * Generate Risset Drum - Realistic drum synthesis
 	 */
 	generateRissetDrum(frequency = 60, duration = 1, amplitude = 0.8) {
-		const sampleRate = this.audioContext.sampleRate;
+		const sampleRate = this.projectRate;
 		const length = Math.floor(duration * sampleRate);
 		const buffer = this.audioContext.createBuffer(1, length, sampleRate);
 		const channelData = buffer.getChannelData(0);
@@ -798,252 +2180,483 @@ export class AudioEngineService {
 			channelData[i] = sample * amplitude;
 		}
 
-		const trackId = "drum_" + Date.now();
-		this.audioBuffers.set(trackId, {
-			buffer: buffer,
-			name: `Risset Drum ${frequency}Hz`,
-			duration: duration,
-			sampleRate: sampleRate,
-			numberOfChannels: 1,
-		});
+		const trackId = createTrackId("drum");
+		this.createTrack(trackId, buffer, `Risset Drum ${frequency}Hz`);
 
 		return trackId;
 	}
 
-	async exportAudio(trackId, format = "wav") {
-		const trackData = this.audioBuffers.get(trackId);
-		if (!trackData) return null;
+	/**
+	 * Export one track as it is, without mixing
+	 * @param {string} trackId - Track ID
+	 * @param {string} format - wav, mp3, flac, opus (or ogg) or aiff
+	 * @param {Object} options - Encoder options, see encodeAudio, and:
+	 * @param {number} options.startTime - Range start in seconds
+	 * @param {number} options.endTime - Range end in seconds (defaults to the track end)
+	 * @param {number} options.fadeLength - Seconds of fade in and out at the range edges
+	 * @returns {Promise<Blob|null>}
+	 */
+	async exportAudio(trackId, format = "wav", options = {}) {
+		const buffer = await this.readTrack(trackId, options.startTime ?? 0, options.endTime ?? null);
+		if (!buffer) return null;
+
+		this.fadeBufferEdges(buffer, options.fadeLength);
+		return this.encodeAudio(buffer, format, options);
+	}
+
+	/**
+	 * Render the mix and encode it
+	 * @param {Object} options
+	 * @param {string} options.format - wav, mp3, flac, opus (or ogg) or aiff
+	 * @param {number} options.sampleRate - Rate of the file
+	 * @param {number} options.bitDepth - Bits per sample for PCM formats
+	 * @param {string} options.dither - Dither used when reducing to integer samples
+	 * @param {number} options.numberOfChannels - Channels of the file
+	 * @param {number} options.startTime - Range start in seconds
+	 * @param {number} options.endTime - Range end in seconds
+	 * @param {string[]} options.trackIds - Tracks to include (defaults to every track)
+	 * @param {Object[]} options.labels - Project labels; those in the range are exported
+	 * @param {Object} options.metadata - Metadata model (see WavMetadata)
+	 * @param {number} options.fadeLength - Seconds of fade in and out at the range edges
+	 * @returns {Promise<Blob|null>} - Null if there is nothing to export
+	 */
+	async exportMixdown(options = {}) {
+		const buffer = await this.renderMixdown(options);
+		if (!buffer) return null;
+
+		this.fadeBufferEdges(buffer, options.fadeLength);
+
+		// Labels move with the range, so they are relative to the start of the file
+		const startTime = options.startTime ?? 0;
+		const labels = (options.labels ?? [])
+			.filter((label) => label.time >= startTime && label.time <= startTime + buffer.duration)
+			.map((label) => ({
+				...label,
+				time: label.time - startTime,
+				endTime:
+					label.endTime === null || label.endTime === undefined
+						? null
+						: Math.min(label.endTime, startTime + buffer.duration) - startTime,
+			}));
+
+		// The bext time reference is that of the file's first sample
+		const metadata = options.metadata && {
+			...options.metadata,
+			bext: {
+				...options.metadata.bext,
+				timeReference: (options.metadata.bext?.timeReference || 0) + startTime,
+			},
+		};
+
+		return this.encodeAudio(buffer, options.format || "wav", { ...options, labels, metadata });
+	}
 
-		const buffer = trackData.buffer;
+	/**
+	 * Fade a buffer in and out, in place, before it is encoded
+	 * @param {AudioBuffer} buffer
+	 * @param {number} fadeLength - Seconds per fade; nothing happens for 0
+	 */
+	fadeBufferEdges(buffer, fadeLength = 0) {
+		if (!(fadeLength > 0)) return;
+		const channels = Array.from({ length: buffer.numberOfChannels }, (_, channel) =>
+			buffer.getChannelData(channel),
+		);
+		fadeEdges(channels, fadeLength * buffer.sampleRate);
+	}
 
+	/**
+	 * Encode a buffer as an audio file
+	 * @param {AudioBuffer} buffer - Audio to encode
+	 * @param {string} format - wav, mp3, flac, opus (or ogg) or aiff
+	 * @param {Object} options
+	 * @param {number} options.bitDepth - Bits per sample for PCM formats
+	 * @param {boolean} options.float - 32-bit samples as float rather than integers (AIFF)
+	 * @param {string} options.dither - Dither used when reducing to integer samples
+	 * @param {number} options.compressionLevel - FLAC compression level
+	 * @param {number} options.bitrate - MP3 or Opus bitrate in kbps
+	 * @param {boolean} options.vbr - Opus variable bitrate
+	 * @param {string} options.channelMode - MP3 joint stereo, stereo or mono
+	 * @param {Object} options.tags - Metadata tags
+	 * @param {Object[]} options.labels - Labels, for formats that store markers
+	 * @param {Object} options.metadata - Metadata model, written to WAV and MP3 files
+	 * @returns {Promise<Blob>}
+	 */
+	async encodeAudio(buffer, format, options = {}) {
 		if (format === "wav") {
-			return this.exportAsWAV(buffer);
+			return this.exportAsWAV(buffer, options);
 		} else if (format === "mp3") {
-			return await this.exportAsMP3(buffer);
+			return await this.exportAsMP3(buffer, options);
 		} else if (format === "flac") {
-			return await this.exportAsFLAC(buffer);
-		} else if (format === "ogg") {
-			return await this.exportAsOGG(buffer);
+			return await this.exportAsFLAC(buffer, options);
+		} else if (format === "opus" || format === "ogg") {
+			return await this.exportAsOGG(buffer, options);
 		} else if (format === "aiff") {
-			return this.exportAsAIFF(buffer);
+			return this.exportAsAIFF(buffer, options);
 		}
 
 		throw new Error(`Export format ${format} not supported`);
 	}
 
-	exportAsWAV(audioBuffer) {
-		const length = audioBuffer.length;
-		const numberOfChannels = audioBuffer.numberOfChannels;
-		const sampleRate = audioBuffer.sampleRate;
-		const bytesPerSample = 2;
-		const blockAlign = numberOfChannels * bytesPerSample;
-		const byteRate = sampleRate * blockAlign;
-		const dataSize = length * blockAlign;
-		const buffer = new ArrayBuffer(44 + dataSize);
-		const view = new DataView(buffer);
-
-		const writeString = (offset, string) => {
-			for (let i = 0; i < string.length; i++) {
-				view.setUint8(offset + i, string.charCodeAt(i));
-			}
-		};
+	/**
+	 * Encode as WAV
+	 * @param {AudioBuffer} audioBuffer - Audio to encode
+	 * @param {Object} options
+	 * @param {number} options.bitDepth - 16, 24 or 32 (float)
+	 * @param {string} options.dither - Dither used when reducing to integer samples
+	 * @param {Object[]} options.labels - Labels, written as cue points
+	 * @param {Object} options.metadata - Metadata model, written as bext, iXML and LIST/INFO
+	 * @returns {Blob}
+	 */
+	exportAsWAV(audioBuffer, { bitDepth = 16, dither = DEFAULT_DITHER, labels = [], metadata = null } = {}) {
+		const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, channel) =>
+			audioBuffer.getChannelData(channel),
+		);
+		const chunks = buildWavMetadataChunks(metadata, labels, audioBuffer.sampleRate);
+		return new Blob([encodeWav(channels, audioBuffer.sampleRate, { bitDepth, dither, chunks })], {
+			type: "audio/wav",
+		});
+	}
 
-		writeString(0, "RIFF");
-		view.setUint32(4, 36 + dataSize, true);
-		writeString(8, "WAVE");
-		writeString(12, "fmt ");
-		view.setUint32(16, 16, true);
-		view.setUint16(20, 1, true);
-		view.setUint16(22, numberOfChannels, true);
-		view.setUint32(24, sampleRate, true);
-		view.setUint32(28, byteRate, true);
-		view.setUint16(32, blockAlign, true);
-		view.setUint16(34, 16, true);
-		writeString(36, "data");
-		view.setUint32(40, dataSize, true);
-
-		let offset = 44;
-		for (let i = 0; i < length; i++) {
-			for (let channel = 0; channel < numberOfChannels; channel++) {
-				const sample = Math.max(
-					-1,
-					Math.min(1, audioBuffer.getChannelData(channel)[i]),
-				);
-				view.setInt16(
-					offset,
-					sample < 0 ? sample * 0x8000 : sample * 0x7fff,
-					true,
-				);
-				offset += 2;
-			}
-		}
+	/**
+	 * Encode as MP3, in a worker, with an ID3v2.4 tag
+	 * @param {AudioBuffer} audioBuffer - Audio to encode; wider than stereo is down-mixed
+	 * @param {Object} options
+	 * @param {number} options.bitrate - Constant bitrate in kbps
+	 * @param {string} options.channelMode - joint, stereo or mono
+	 * @param {string} options.dither - Dither used when reducing to 16-bit samples
+	 * @param {Object[]} options.labels - Labels, written as chapters
+	 * @param {Object} options.metadata - Metadata model, written as ID3 frames
+	 * @returns {Promise<Blob>}
+	 */
+	async exportAsMP3(
+		audioBuffer,
+		{
+			bitrate = DEFAULT_MP3_BITRATE,
+			channelMode = DEFAULT_MP3_CHANNEL_MODE,
+			dither = DEFAULT_DITHER,
+			labels = [],
+			metadata = null,
+		} = {},
+	) {
+		const source = Array.from({ length: audioBuffer.numberOfChannels }, (_, channel) =>
+			audioBuffer.getChannelData(channel),
+		);
+		const ditherer = new Ditherer(dither);
+		const channels = mixChannels(source, Math.min(2, source.length)).map((data) =>
+			Int16Array.from(ditherer.quantize(data, 16)),
+		);
+		const options = { sampleRate: audioBuffer.sampleRate, bitrate, channelMode };
+
+		const bytes = await runWorkerTask(
+			Mp3EncoderWorker,
+			{ channels, options },
+			{
+				transfer: channels.map((data) => data.buffer),
+				inline: () => encodeMp3(channels, options),
+			},
+		);
+		const tag = buildId3Tag(metadata, labels, audioBuffer.duration);
+		return new Blob([tag, bytes], { type: "audio/mpeg" });
+	}
 
-		return new Blob([buffer], { type: "audio/wav" });
+	/**
+	 * Encode as FLAC, in a worker
+	 * @param {AudioBuffer} audioBuffer - Audio to encode
+	 * @param {Object} options
+	 * @param {number} options.bitDepth - 16 or 24; float exports fall back to 24
+	 * @param {string} options.dither - Dither used when reducing to integer samples
+	 * @param {number} options.compressionLevel - 0 (fastest) to 8 (smallest)
+	 * @param {Object} options.tags - Vorbis comments
+	 * @returns {Promise<Blob>}
+	 */
+	async exportAsFLAC(
+		audioBuffer,
+		{
+			bitDepth = 16,
+			dither = DEFAULT_DITHER,
+			compressionLevel = DEFAULT_FLAC_COMPRESSION,
+			tags = {},
+		} = {},
+	) {
+		const bitsPerSample = FLAC_BIT_DEPTHS.includes(bitDepth) ? bitDepth : 24;
+		const ditherer = new Ditherer(dither);
+		const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, channel) =>
+			ditherer.quantize(audioBuffer.getChannelData(channel), bitsPerSample),
+		);
+		const options = { sampleRate: audioBuffer.sampleRate, bitsPerSample, compressionLevel, tags };
+
+		const bytes = await runWorkerTask(
+			FlacEncoderWorker,
+			{ channels, options },
+			{
+				transfer: channels.map((data) => data.buffer),
+				inline: () => encodeFlac(channels, options),
+			},
+		);
+		return new Blob([bytes], { type: "audio/flac" });
 	}
 
-	async exportAsMP3(audioBuffer) {
-		try {
-			// Dynamic import of lamejs
-			const { Mp3Encoder } = await import('lamejs');
-			
-			const sampleRate = audioBuffer.sampleRate;
-			const numberOfChannels = audioBuffer.numberOfChannels;
-			const bitRate = 128; // kbps
-			
-			const encoder = new Mp3Encoder(numberOfChannels, sampleRate, bitRate);
-			const mp3Data = [];
-			
-			// Convert float32 to int16
-			const samples = [];
-			for (let channel = 0; channel < numberOfChannels; channel++) {
-				const channelData = audioBuffer.getChannelData(channel);
-				const int16Array = new Int16Array(channelData.length);
-				for (let i = 0; i < channelData.length; i++) {
-					const sample = Math.max(-1, Math.min(1, channelData[i]));
-					int16Array[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
-				}
-				samples[channel] = int16Array;
-			}
-			
-			// Encode in chunks
-			const chunkSize = 1152;
-			for (let i = 0; i < samples[0].length; i += chunkSize) {
-				const leftChunk = samples[0].subarray(i, i + chunkSize);
-				const rightChunk = numberOfChannels > 1 ? samples[1].subarray(i, i + chunkSize) : leftChunk;
-				
-				const mp3buf = encoder.encodeBuffer(leftChunk, rightChunk);
-				if (mp3buf.length > 0) {
-					mp3Data.push(mp3buf);
+	/**
+	 * Encode as Ogg Opus, in a worker
+	 * @param {AudioBuffer} audioBuffer - Audio to encode; wider than stereo is down-mixed
+	 * @param {Object} options
+	 * @param {number} options.bitrate - Target bitrate in kbps
+	 * @param {boolean} options.vbr - Variable (true) or constant bitrate
+	 * @param {Object} options.tags - Comments for OpusTags
+	 * @returns {Promise<Blob>}
+	 */
+	async exportAsOGG(audioBuffer, { bitrate = DEFAULT_OPUS_BITRATE, vbr = true, tags = {} } = {}) {
+		const source = Array.from({ length: audioBuffer.numberOfChannels }, (_, channel) =>
+			audioBuffer.getChannelData(channel),
+		);
+		// Copies, so the worker can take them without detaching the buffer's own data
+		const channels = mixChannels(source, Math.min(2, source.length)).map((data) => data.slice());
+		const options = { sampleRate: audioBuffer.sampleRate, bitrate, vbr, tags };
+
+		const bytes = await runWorkerTask(
+			OpusEncoderWorker,
+			{ channels, options },
+			{
+				transfer: channels.map((data) => data.buffer),
+				inline: async () => encodeOggOpus(await loadOpusModule(), channels, options),
+			},
+		);
+		return new Blob([bytes], { type: "audio/ogg; codecs=opus" });
+	}
+
+	/**
+	 * Encode as AIFF, or AIFF-C for 32-bit float
+	 * @param {AudioBuffer} audioBuffer - Audio to encode
+	 * @param {Object} options
+	 * @param {number} options.bitDepth - 8, 16, 24 or 32
+	 * @param {boolean} options.float - 32-bit float rather than 32-bit integers
+	 * @param {string} options.dither - Dither used when reducing to integer samples
+	 * @param {Object[]} options.labels - Labels to store as MARK/INST markers
+	 * @returns {Blob}
+	 */
+	exportAsAIFF(
+		audioBuffer,
+		{ bitDepth = 16, float: isFloat = true, dither = DEFAULT_DITHER, labels = [] } = {},
+	) {
+		const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, channel) =>
+			audioBuffer.getChannelData(channel),
+		);
+		const float = bitDepth === 32 && isFloat;
+		const bytes = encodeAiff(channels, audioBuffer.sampleRate, { bitDepth, float, dither, labels });
+		return new Blob([bytes], { type: float ? "audio/x-aifc" : "audio/aiff" });
+	}
+
+	getTrackInfo(trackId) {
+		return this.audioBuffers.get(trackId);
+	}
+
+	getAllTracks() {
+		return Array.from(this.audioBuffers.entries()).map(([id, data]) => ({
+			id,
+			...data,
+		}));
+	}
+
+	removeTrack(trackId) {
+		if (this.playingSources.has(trackId)) {
+			const sources = this.playingSources.get(trackId);
+			this.playingSources.delete(trackId);
+			for (const source of sources) {
+				try {
+					source.stop();
+				} catch {
+					// Source might already be stopped
 				}
 			}
-			
-			// Flush the encoder
-			const mp3buf = encoder.flush();
-			if (mp3buf.length > 0) {
-				mp3Data.push(mp3buf);
-			}
-			
-			return new Blob(mp3Data, { type: "audio/mpeg" });
-		} catch (error) {
-			console.warn("MP3 encoding failed, falling back to WAV:", error);
-			const wavData = this.exportAsWAV(audioBuffer);
-			return new Blob([wavData], { type: "audio/mpeg" });
 		}
-	}
 
-	async exportAsFLAC(audioBuffer) {
-		try {
-			// For now, export as high-quality WAV since FLAC encoding in browsers is complex
-			// In a production environment, you would use a proper FLAC encoder library
-			console.log("FLAC encoding: Using high-quality WAV format");
-			const wavData = this.exportAsWAV(audioBuffer);
-			return new Blob([wavData], { type: "audio/flac" });
-		} catch (error) {
-			console.warn("FLAC encoding failed, falling back to WAV:", error);
-			const wavData = this.exportAsWAV(audioBuffer);
-			return new Blob([wavData], { type: "audio/flac" });
+		const strip = this.channelStrips.get(trackId);
+		if (strip) {
+			strip.disconnect();
+			this.channelStrips.delete(trackId);
 		}
+		this.trackMixSettings.delete(trackId);
+
+		const removed = this.audioBuffers.delete(trackId);
+		this.updateTrackAudibility();
+		return removed;
 	}
 
-	async exportAsOGG(audioBuffer) {
-		try {
-			// For OGG Vorbis, we'll use a simplified approach
-			// In a full implementation, you'd use a proper Vorbis encoder
-			console.warn("OGG encoding not fully implemented, using WAV");
-			const wavData = this.exportAsWAV(audioBuffer);
-			return new Blob([wavData], { type: "audio/ogg" });
-		} catch (error) {
-			console.warn("OGG encoding failed, falling back to WAV:", error);
-			const wavData = this.exportAsWAV(audioBuffer);
-			return new Blob([wavData], { type: "audio/ogg" });
-		}
+	/**
+	 * Remove a track, keeping what restoreTrack needs to put it back
+	 * @param {string} trackId - Track ID
+	 * @returns {Object|null} - { trackId, index, data, mix }
+	 */
+	detachTrack(trackId) {
+		const data = this.audioBuffers.get(trackId);
+		if (!data) return null;
+
+		const detached = {
+			trackId,
+			index: Array.from(this.audioBuffers.keys()).indexOf(trackId),
+			data,
+			mix: this.getTrackMix(trackId),
+		};
+		this.removeTrack(trackId);
+		return detached;
 	}
 
-	exportAsAIFF(audioBuffer) {
-		const length = audioBuffer.length;
-		const numberOfChannels = audioBuffer.numberOfChannels;
-		const sampleRate = audioBuffer.sampleRate;
-		const bytesPerSample = 2;
-		const blockAlign = numberOfChannels * bytesPerSample;
-		const dataSize = length * blockAlign;
-		const buffer = new ArrayBuffer(54 + dataSize);
-		const view = new DataView(buffer);
+	/**
+	 * Put a detached track back in its place
+	 * @param {Object} detached - As returned by detachTrack
+	 * @returns {boolean} - Success
+	 */
+	restoreTrack({ trackId, index, data, mix }) {
+		if (this.audioBuffers.has(trackId)) return false;
+
+		const entries = Array.from(this.audioBuffers);
+		entries.splice(Math.min(index, entries.length), 0, [trackId, data]);
+		this.audioBuffers = new Map(entries);
+		this.trackMixSettings.set(trackId, mix);
+		this.updateTrackAudibility();
+		this.scheduleOffload(trackId);
+		return true;
+	}
 
-		const writeString = (offset, string) => {
-			for (let i = 0; i < string.length; i++) {
-				view.setUint8(offset + i, string.charCodeAt(i));
+	/**
+	 * The tracks, their audio and the envelopes, for saving a project (see ProjectFile).
+	 * Each source buffer is listed once, however many clips play from it.
+	 * @param {Map} sourceIds - Buffers saved before, to their source IDs; only buffers
+	 *   not in it are listed in sources, and they are added to it
+	 * @param {UndoRedoManager} history - Undo history to save along (autosaves only)
+	 * @returns {Promise<Object>} - { tracks, sources, envelopes, undoHistory }: tracks as
+	 *   { id, name, sampleRate, numberOfChannels, metadata, mix, clips: [{ id, source,
+	 *   offset, duration, position }] }, sources as { id, sampleRate, numberOfChannels,
+	 *   length, read(startFrame, frames) } so block-stored audio is read a part at a time,
+	 *   undoHistory as saved by UndoRedoManager.serialize plus the IDs of the sources
+	 *   its clips play, or null
+	 */
+	async getProjectData(sourceIds = new Map(), history = null) {
+		const sources = [];
+		const tracks = [];
+
+		const saveClip = (clip) => {
+			const buffer = clip.buffer;
+			if (!sourceIds.has(buffer)) {
+				const id = `source_${this.nextSourceId++}`;
+				sourceIds.set(buffer, id);
+				sources.push({
+					id,
+					sampleRate: buffer.sampleRate,
+					numberOfChannels: buffer.numberOfChannels,
+					length: buffer.length,
+					read: async (startFrame, frames) =>
+						buffer instanceof BlockedAudio
+							? buffer.read(startFrame, frames)
+							: Array.from({ length: buffer.numberOfChannels }, (_, c) =>
+									buffer.getChannelData(c).subarray(startFrame, startFrame + frames),
+								),
+				});
 			}
+			return {
+				id: clip.id,
+				source: sourceIds.get(buffer),
+				offset: clip.offset,
+				duration: clip.duration,
+				position: clip.position,
+			};
 		};
 
-		// FORM chunk
-		writeString(0, "FORM");
-		view.setUint32(4, 46 + dataSize, false); // Big-endian
-		writeString(8, "AIFF");
-		
-		// COMM chunk
-		writeString(12, "COMM");
-		view.setUint32(16, 18, false);
-		view.setUint16(20, numberOfChannels, false);
-		view.setUint32(22, length, false);
-		view.setUint16(26, 16, false);
-		
-		// Sample rate as 80-bit IEEE extended precision
-		const sampleRateBuffer = new ArrayBuffer(10);
-		const sampleRateView = new DataView(sampleRateBuffer);
-		// Simplified conversion - for production use proper IEEE 754 conversion
-		sampleRateView.setUint16(0, 0x400E, false); // Exponent
-		sampleRateView.setUint32(2, Math.floor(sampleRate), false);
-		sampleRateView.setUint32(6, 0, false);
-		
-		for (let i = 0; i < 10; i++) {
-			view.setUint8(28 + i, sampleRateView.getUint8(i));
+		for (const [trackId, trackData] of this.audioBuffers) {
+			tracks.push({
+				id: trackId,
+				name: trackData.name,
+				sampleRate: trackData.sampleRate,
+				numberOfChannels: trackData.numberOfChannels,
+				metadata: trackData.metadata ?? null,
+				mix: this.getTrackMix(trackId),
+				clips: trackData.clips.clips.map(saveClip),
+			});
 		}
-		
-		// SSND chunk
-		writeString(38, "SSND");
-		view.setUint32(42, dataSize + 8, false);
-		view.setUint32(46, 0, false); // Offset
-		view.setUint32(50, 0, false); // Block size
 
-		let offset = 54;
-		for (let i = 0; i < length; i++) {
-			for (let channel = 0; channel < numberOfChannels; channel++) {
-				const sample = Math.max(-1, Math.min(1, audioBuffer.getChannelData(channel)[i]));
-				view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, false);
-				offset += 2;
-			}
+		let undoHistory = null;
+		if (history) {
+			const historySources = new Set();
+			undoHistory = history.serialize((clip) => {
+				const saved = saveClip(clip);
+				historySources.add(saved.source);
+				return saved;
+			});
+			undoHistory.sources = Array.from(historySources);
 		}
 
-		return new Blob([buffer], { type: "audio/aiff" });
+		return {
+			tracks,
+			sources,
+			envelopes: JSON.parse(this.envelopes.exportEnvelopes()),
+			undoHistory,
+		};
 	}
 
-	getTrackInfo(trackId) {
-		return this.audioBuffers.get(trackId);
-	}
+	/**
+	 * Replace every track and envelope with those of an opened project
+	 * @param {Object} project - { tracks, sources, envelopes } as read by readProject;
+	 *   sources is a Map of source ID -> { sampleRate, numberOfChannels, length,
+	 *   read(startFrame, frames) }
+	 * @param {Map} buffers - Filled with the loaded buffers by source ID
+	 * @returns {Promise<boolean>} - Success
+	 */
+	async loadProjectData({ tracks, sources, envelopes }, buffers = new Map()) {
+		const contextReady = await this.ensureAudioContext();
+		if (!contextReady) return false;
 
-	getAllTracks() {
-		return Array.from(this.audioBuffers.entries()).map(([id, data]) => ({
-			id,
-			...data,
-		}));
+		// Read before anything is removed, so a damaged file leaves the session as it was
+		for (const [id, source] of sources) {
+			buffers.set(id, await this.loadSource(source));
+		}
+
+		this.stop();
+		for (const trackId of Array.from(this.audioBuffers.keys())) {
+			this.removeTrack(trackId);
+		}
+
+		for (const track of tracks) {
+			const clips = track.clips.map(
+				({ id, source, offset, duration, position }) =>
+					new AudioClip({ id, buffer: buffers.get(source), offset, duration, position }),
+			);
+			this.createTrackFromClips(track.id, new ClipSequence(clips), track.name);
+			Object.assign(this.audioBuffers.get(track.id), {
+				sampleRate: track.sampleRate,
+				numberOfChannels: track.numberOfChannels,
+				metadata: track.metadata,
+			});
+			this.trackMixSettings.set(track.id, { ...DEFAULT_TRACK_MIX, ...track.mix });
+			this.scheduleOffload(track.id);
+		}
+		this.updateTrackAudibility();
+
+		this.envelopes.clearAll();
+		if (envelopes) this.envelopes.importEnvelopes(JSON.stringify(envelopes));
+		return true;
 	}
 
-	removeTrack(trackId) {
-		if (this.playingSources.has(trackId)) {
-			const source = this.playingSources.get(trackId);
-			try {
-				source.stop();
-			} catch {
-				// Source might already be stopped
-			}
-			this.playingSources.delete(trackId);
+	/**
+	 * Read a project source at its own rate, so the project plays back exactly as
+	 * it was saved. Sources long enough to be offloaded go straight into block
+	 * storage, a block at a time.
+	 * @param {Object} source - { sampleRate, numberOfChannels, length, read(startFrame, frames) }
+	 * @returns {Promise<AudioBuffer|BlockedAudio>}
+	 */
+	async loadSource(source) {
+		if (this.blockStore && source.length / source.sampleRate >= OFFLOAD_MIN_DURATION) {
+			return BlockedAudio.fromReader(source.read, source, this.blockStore);
 		}
 
-		return this.audioBuffers.delete(trackId);
+		const { numberOfChannels, length, sampleRate } = source;
+		const buffer = this.audioContext.createBuffer(numberOfChannels, Math.max(1, length), sampleRate);
+		const channels = await source.read(0, length);
+		channels.forEach((data, channel) => buffer.getChannelData(channel).set(data));
+		return buffer;
 	}
 
 	getCurrentTime() {
-		return this.currentTime;
+		return this.transport.getPosition();
 	}
 
 	getTotalDuration() {
@@ -1054,34 +2667,53 @@ export class AudioEngineService {
 		return maxDuration;
 	}
 
-	destroy() {
+	/**
+	 * Release the audio context, input and storage
+	 * @returns {Promise<void>} - Settles once a take being recorded has been placed
+	 */
+	async destroy() {
 		this.stop();
 
-		// Stop recording if active
+		// Finish a take first: it needs the context and recording buffers released below
 		if (this.isRecording) {
-			this.stopRecording();
+			try {
+				await this.stopRecording();
+			} catch (error) {
+				console.error("Failed to finish recording:", error);
+			}
 		}
 
 		// Clean up recording resources
-		if (this.recordingSource) {
-			this.recordingSource.disconnect();
-			this.recordingSource = null;
-		}
-		
-		if (this.recordingProcessor) {
-			this.recordingProcessor.disconnect();
-			this.recordingProcessor = null;
+		if (this.recordingCapture) {
+			this.recordingCapture.stop();
+			this.recordingCapture = null;
 		}
 
-		if (this.recordingStream) {
-			this.recordingStream.getTracks().forEach((track) => track.stop());
-			this.recordingStream = null;
+		this.closeInput();
+		const blockStore = this.blockStore;
+		blockStore
+			?.clearSession()
+			.catch(() => {})
+			.then(() => blockStore.close());
+		this.clearAutosave().then(() => this.sessionJournal?.close());
+		Object.values(this.meters).forEach((meter) => meter?.destroy());
+		this.meters = { input: null, output: null };
+		if (this.inputGain) {
+			this.inputGain.disconnect();
+			this.monitorGain.disconnect();
+			this.inputGain = null;
+			this.monitorGain = null;
 		}
 
 		// Clean up recording buffers
 		this.recordingBuffers = null;
 		this.recordingLength = 0;
 
+		for (const [, strip] of this.channelStrips) {
+			strip.disconnect();
+		}
+		this.channelStrips.clear();
+
 		if (this.audioContext) {
 			this.audioContext.close();
 		}
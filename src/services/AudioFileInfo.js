@@ -0,0 +1,136 @@
+/**
+ * Audio file inspection for WebAudacity
+ * Reads the native sample rate from a file's header, so it can be decoded at
+ * that rate and converted with our own resampler rather than the browser's.
+ */
+
+import { readExtended } from "./AiffCodec";
+
+// MPEG audio sample rates by version bits (index 1 is reserved)
+const MPEG_SAMPLE_RATES = {
+	0: [11025, 12000, 8000], // MPEG 2.5
+	2: [22050, 24000, 16000], // MPEG 2
+	3: [44100, 48000, 32000], // MPEG 1
+};
+// How far past any ID3 tag to look for the first MPEG frame
+const MPEG_SYNC_SEARCH_BYTES = 64 * 1024;
+// Opus always decodes at 48 kHz, whatever rate the encoder was fed
+const OPUS_SAMPLE_RATE = 48000;
+
+const fourCC = (view, offset) =>
+	offset + 4 <= view.byteLength
+		? String.fromCharCode(
+				view.getUint8(offset),
+				view.getUint8(offset + 1),
+				view.getUint8(offset + 2),
+				view.getUint8(offset + 3),
+			)
+		: "";
+
+/**
+ * Walk RIFF/IFF chunks looking for one
+ * @param {DataView} view - File bytes
+ * @param {string} id - Chunk ID
+ * @param {boolean} littleEndian - RIFF sizes are little-endian, IFF sizes big-endian
+ * @returns {number} - Offset of the chunk data, or -1
+ */
+const findChunk = (view, id, littleEndian) => {
+	let offset = 12;
+	while (offset + 8 <= view.byteLength) {
+		const size = view.getUint32(offset + 4, littleEndian);
+		if (fourCC(view, offset) === id) return offset + 8;
+		offset += 8 + size + (size % 2); // Chunks are padded to an even length
+	}
+	return -1;
+};
+
+const readWavRate = (view) => {
+	const fmt = findChunk(view, "fmt ", true);
+	return fmt >= 0 && fmt + 8 <= view.byteLength ? view.getUint32(fmt + 4, true) : null;
+};
+
+const readAiffRate = (view) => {
+	const comm = findChunk(view, "COMM", false);
+	return comm >= 0 && comm + 18 <= view.byteLength ? Math.round(readExtended(view, comm + 8)) : null;
+};
+
+const readFlacRate = (view) => {
+	// STREAMINFO is always the first metadata block; the rate is 20 bits at byte 10 of it
+	if (view.byteLength < 21 || (view.getUint8(4) & 0x7f) !== 0) return null;
+	return (view.getUint8(18) << 12) | (view.getUint8(19) << 4) | (view.getUint8(20) >> 4);
+};
+
+const readOggRate = (view) => {
+	if (view.byteLength < 27) return null;
+	// The first page holds the codec's identification header
+	const packet = 27 + view.getUint8(26);
+	if (fourCC(view, packet) === "Opus" && fourCC(view, packet + 4) === "Head") {
+		return OPUS_SAMPLE_RATE;
+	}
+	if (view.getUint8(packet) === 1 && fourCC(view, packet + 1) === "vorb") {
+		return packet + 16 <= view.byteLength ? view.getUint32(packet + 12, true) : null;
+	}
+	return null;
+};
+
+const readMpegRate = (view) => {
+	let offset = 0;
+	if (fourCC(view, 0).startsWith("ID3") && view.byteLength >= 10) {
+		// Tag size is a 28-bit synchsafe integer, plus the header and an optional footer
+		const size =
+			(view.getUint8(6) << 21) |
+			(view.getUint8(7) << 14) |
+			(view.getUint8(8) << 7) |
+			view.getUint8(9);
+		offset = 10 + size + (view.getUint8(5) & 0x10 ? 10 : 0);
+	}
+
+	const end = Math.min(view.byteLength - 3, offset + MPEG_SYNC_SEARCH_BYTES);
+	for (let i = offset; i < end; i++) {
+		if (view.getUint8(i) !== 0xff) continue;
+		const b1 = view.getUint8(i + 1);
+		const b2 = view.getUint8(i + 2);
+		if ((b1 & 0xe0) !== 0xe0) continue;
+
+		const version = (b1 >> 3) & 3;
+		const layer = (b1 >> 1) & 3;
+		const bitrate = b2 >> 4;
+		const rate = (b2 >> 2) & 3;
+		if (version === 1 || layer === 0 || bitrate === 0 || bitrate === 15 || rate === 3) continue;
+		return MPEG_SAMPLE_RATES[version][rate];
+	}
+	return null;
+};
+
+/**
+ * Native sample rate of an encoded audio file
+ * @param {ArrayBuffer} arrayBuffer - File contents
+ * @returns {number|null} - Sample rate, or null for formats that aren't recognised
+ */
+export const detectSampleRate = (arrayBuffer) => {
+	const view = new DataView(arrayBuffer);
+	const magic = fourCC(view, 0);
+	let rate = null;
+
+	try {
+		if (["RIFF", "RF64", "BW64"].includes(magic) && fourCC(view, 8) === "WAVE") {
+			rate = readWavRate(view);
+		} else if (magic === "FORM" && ["AIFF", "AIFC"].includes(fourCC(view, 8))) {
+			rate = readAiffRate(view);
+		} else if (magic === "fLaC") {
+			rate = readFlacRate(view);
+		} else if (magic === "OggS") {
+			rate = readOggRate(view);
+		} else {
+			rate = readMpegRate(view);
+		}
+	} catch {
+		// Truncated header
+		return null;
+	}
+
+	// Outside what AudioContexts accept
+	return rate >= 3000 && rate <= 768000 ? rate : null;
+};
+
+export default detectSampleRate;
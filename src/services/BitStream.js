@@ -0,0 +1,183 @@
+/**
+ * Bit streams for WebAudacity
+ * MSB-first bit packing, as used by FLAC frames and MPEG headers.
+ */
+
+export class BitWriter {
+	/**
+	 * @param {number} capacity - Initial size in bytes; grows as needed
+	 */
+	constructor(capacity = 4096) {
+		this.bytes = new Uint8Array(capacity);
+		this.length = 0; // Whole bytes written
+		this.cache = 0; // Bits not yet written out, fewer than 8
+		this.cacheBits = 0;
+	}
+
+	ensure(extra) {
+		if (this.length + extra <= this.bytes.length) return;
+		const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + extra));
+		grown.set(this.bytes.subarray(0, this.length));
+		this.bytes = grown;
+	}
+
+	/**
+	 * Write the low bits of an unsigned value
+	 * @param {number} value - Non-negative integer below 2^count
+	 * @param {number} count - Bits to write, 0 to 53
+	 */
+	writeBits(value, count) {
+		if (count > 24) {
+			const low = value % 0x10000;
+			this.writeBits((value - low) / 0x10000, count - 16);
+			this.writeBits(low, 16);
+			return;
+		}
+		if (count === 0) return;
+
+		this.ensure(4);
+		this.cache = (this.cache << count) | (value & ((1 << count) - 1));
+		this.cacheBits += count;
+		while (this.cacheBits >= 8) {
+			this.cacheBits -= 8;
+			this.bytes[this.length++] = (this.cache >>> this.cacheBits) & 0xff;
+		}
+		this.cache &= (1 << this.cacheBits) - 1;
+	}
+
+	/**
+	 * Write a two's complement value
+	 * @param {number} value - Integer that fits in count bits
+	 * @param {number} count - Bits to write
+	 */
+	writeSigned(value, count) {
+		this.writeBits(value < 0 ? value + 2 ** count : value, count);
+	}
+
+	/**
+	 * Write zeros ending in a one
+	 * @param {number} zeros - Zero bits before the one
+	 */
+	writeUnary(zeros) {
+		while (zeros > 16) {
+			this.writeBits(0, 16);
+			zeros -= 16;
+		}
+		this.writeBits(1, zeros + 1);
+	}
+
+	/**
+	 * Write a signed value as a Rice code
+	 * @param {number} value - Integer
+	 * @param {number} parameter - Rice parameter
+	 */
+	writeRice(value, parameter) {
+		const folded = value < 0 ? -2 * value - 1 : 2 * value;
+		const divisor = 2 ** parameter;
+		const quotient = Math.floor(folded / divisor);
+		this.writeUnary(quotient);
+		this.writeBits(folded - quotient * divisor, parameter);
+	}
+
+	/**
+	 * Pad with zeros to the next byte boundary
+	 */
+	alignToByte() {
+		if (this.cacheBits > 0) this.writeBits(0, 8 - this.cacheBits);
+	}
+
+	/**
+	 * Append whole bytes; the stream must be byte-aligned
+	 * @param {Uint8Array} bytes
+	 */
+	writeBytes(bytes) {
+		this.ensure(bytes.length);
+		this.bytes.set(bytes, this.length);
+		this.length += bytes.length;
+	}
+
+	/**
+	 * Bytes written so far, not counting a partial last byte
+	 * @returns {Uint8Array} - A view, valid until the next write
+	 */
+	getBytes() {
+		return this.bytes.subarray(0, this.length);
+	}
+}
+
+export class BitReader {
+	/**
+	 * @param {Uint8Array} bytes - Data to read
+	 * @param {number} offset - Byte to start at
+	 */
+	constructor(bytes, offset = 0) {
+		this.bytes = bytes;
+		this.position = offset * 8; // In bits
+	}
+
+	get bytePosition() {
+		return this.position >>> 3;
+	}
+
+	/**
+	 * Read an unsigned value
+	 * @param {number} count - Bits to read, 0 to 53
+	 * @returns {number}
+	 */
+	readBits(count) {
+		if (this.position + count > this.bytes.length * 8) {
+			throw new Error("Unexpected end of data");
+		}
+
+		let value = 0;
+		while (count > 0) {
+			const byte = this.bytes[this.position >>> 3];
+			const used = this.position & 7;
+			const take = Math.min(8 - used, count);
+			const bits = (byte >>> (8 - used - take)) & ((1 << take) - 1);
+			value = value * (1 << take) + bits;
+			this.position += take;
+			count -= take;
+		}
+		return value;
+	}
+
+	/**
+	 * Read a two's complement value
+	 * @param {number} count - Bits to read
+	 * @returns {number}
+	 */
+	readSigned(count) {
+		const value = this.readBits(count);
+		return count > 0 && value >= 2 ** (count - 1) ? value - 2 ** count : value;
+	}
+
+	/**
+	 * Count zeros up to and including the next one
+	 * @returns {number} - The number of zeros
+	 */
+	readUnary() {
+		let zeros = 0;
+		while (this.readBits(1) === 0) zeros++;
+		return zeros;
+	}
+
+	/**
+	 * Read a signed Rice-coded value
+	 * @param {number} parameter - Rice parameter
+	 * @returns {number}
+	 */
+	readRice(parameter) {
+		const folded = this.readUnary() * 2 ** parameter + this.readBits(parameter);
+		return folded % 2 === 0 ? folded / 2 : -(folded + 1) / 2;
+	}
+
+	/**
+	 * Skip to the next byte boundary
+	 */
+	alignToByte() {
+		this.position = Math.ceil(this.position / 8) * 8;
+	}
+}
+
+export default BitWriter;
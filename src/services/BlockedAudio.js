@@ -0,0 +1,328 @@
+/**
+ * Blocked Audio for WebAudacity
+ * An AudioBuffer stand-in whose samples live in a SampleBlockStore, plus a
+ * source node replacement that streams those blocks into the audio graph
+ */
+
+// Frames per block (~3 s at 44.1 kHz, 512 KB per channel)
+export const BLOCK_FRAMES = 131072;
+// Frames per waveform summary value
+export const SUMMARY_FRAMES = 256;
+// Blocks are fetched and scheduled this far ahead of the audio clock (seconds)
+const STREAM_LOOKAHEAD = 4;
+const STREAM_INTERVAL_MS = 250;
+
+export class BlockedAudio {
+	/**
+	 * @param {Object} options
+	 * @param {SampleBlockStore} options.store - Where the blocks live
+	 * @param {number} options.sampleRate - Sample rate
+	 * @param {number} options.numberOfChannels - Channels per block
+	 * @param {Array<{id: string, frames: number}>} options.blocks - Blocks in order
+	 * @param {Float32Array} options.summary - RMS of the first channel per SUMMARY_FRAMES frames
+	 */
+	constructor({ store, sampleRate, numberOfChannels, blocks, summary }) {
+		this.store = store;
+		this.sampleRate = sampleRate;
+		this.numberOfChannels = numberOfChannels;
+
+		let start = 0;
+		this.blocks = blocks.map(({ id, frames }) => {
+			const block = Object.freeze({ id, start, frames });
+			start += frames;
+			return block;
+		});
+		Object.freeze(this.blocks);
+
+		this.length = start;
+		this.duration = start / sampleRate;
+		this.summary = summary;
+		Object.freeze(this);
+	}
+
+	/**
+	 * Move an AudioBuffer's samples into block storage
+	 * @param {AudioBuffer} buffer - Source samples
+	 * @param {SampleBlockStore} store - Block store to write to
+	 * @param {number} blockFrames - Frames per block
+	 * @returns {Promise<BlockedAudio>}
+	 */
+	static async fromAudioBuffer(buffer, store, blockFrames = BLOCK_FRAMES) {
+		const sources = Array.from({ length: buffer.numberOfChannels }, (_, c) =>
+			buffer.getChannelData(c),
+		);
+		const read = async (start, frames) => sources.map((data) => data.slice(start, start + frames));
+
+		return BlockedAudio.fromReader(read, buffer, store, blockFrames);
+	}
+
+	/**
+	 * Write audio into block storage a block at a time, so it never has to be in
+	 * memory all at once
+	 * @param {Function} read - async (start, frames) => Float32Array[], one per channel
+	 * @param {Object} format - { length, numberOfChannels, sampleRate }
+	 * @param {SampleBlockStore} store - Block store to write to
+	 * @param {number} blockFrames - Frames per block
+	 * @returns {Promise<BlockedAudio>}
+	 */
+	static async fromReader(
+		read,
+		{ length, numberOfChannels, sampleRate },
+		store,
+		blockFrames = BLOCK_FRAMES,
+	) {
+		const blocks = [];
+		// Sums of squares for the summary; blocks needn't line up with its windows
+		const sums = new Float64Array(Math.ceil(length / SUMMARY_FRAMES));
+		for (let start = 0; start < length; start += blockFrames) {
+			const frames = Math.min(blockFrames, length - start);
+			const channels = await read(start, frames);
+			const first = channels[0];
+			for (let i = 0; i < frames; i++) {
+				sums[Math.floor((start + i) / SUMMARY_FRAMES)] += first[i] * first[i];
+			}
+			blocks.push({ id: await store.write(channels), frames });
+		}
+
+		const summary = Float32Array.from(sums, (sum, i) =>
+			Math.sqrt(sum / Math.min(SUMMARY_FRAMES, length - i * SUMMARY_FRAMES)),
+		);
+		return new BlockedAudio({ store, sampleRate, numberOfChannels, blocks, summary });
+	}
+
+	/**
+	 * RMS per SUMMARY_FRAMES frames, for drawing waveforms without loading blocks
+	 * @param {Float32Array} data - Channel samples
+	 * @returns {Float32Array}
+	 */
+	static summarize(data) {
+		const summary = new Float32Array(Math.ceil(data.length / SUMMARY_FRAMES));
+		for (let i = 0; i < summary.length; i++) {
+			const start = i * SUMMARY_FRAMES;
+			const end = Math.min(start + SUMMARY_FRAMES, data.length);
+			let sum = 0;
+			for (let j = start; j < end; j++) {
+				sum += data[j] * data[j];
+			}
+			summary[i] = Math.sqrt(sum / (end - start));
+		}
+		return summary;
+	}
+
+	/**
+	 * Index of the block holding a frame
+	 * @param {number} frame - Frame index
+	 * @returns {number}
+	 */
+	blockIndexAt(frame) {
+		let low = 0;
+		let high = this.blocks.length - 1;
+		while (low < high) {
+			const mid = (low + high + 1) >> 1;
+			if (this.blocks[mid].start <= frame) {
+				low = mid;
+			} else {
+				high = mid - 1;
+			}
+		}
+		return low;
+	}
+
+	/**
+	 * Read a range of frames, loading only the blocks it touches
+	 * @param {number} startFrame - First frame
+	 * @param {number} frames - Frames to read
+	 * @returns {Promise<Float32Array[]>} - One array per channel
+	 */
+	async read(startFrame, frames) {
+		const start = Math.max(0, startFrame);
+		const end = Math.min(this.length, startFrame + frames);
+		const output = Array.from(
+			{ length: this.numberOfChannels },
+			() => new Float32Array(Math.max(0, frames)),
+		);
+		if (end <= start) return output;
+
+		for (let i = this.blockIndexAt(start); i < this.blocks.length; i++) {
+			const block = this.blocks[i];
+			if (block.start >= end) break;
+
+			const channels = await this.store.read(block.id);
+			const from = Math.max(start, block.start);
+			const to = Math.min(end, block.start + block.frames);
+			for (let c = 0; c < this.numberOfChannels; c++) {
+				output[c].set(
+					channels[c].subarray(from - block.start, to - block.start),
+					from - startFrame,
+				);
+			}
+		}
+
+		return output;
+	}
+
+	/**
+	 * Read a range of frames into an AudioBuffer
+	 * @param {BaseAudioContext} audioContext - Context used to create the buffer
+	 * @param {number} startFrame - First frame
+	 * @param {number} frames - Frames to read
+	 * @returns {Promise<AudioBuffer>}
+	 */
+	async toAudioBuffer(audioContext, startFrame, frames) {
+		const channels = await this.read(startFrame, frames);
+		const buffer = audioContext.createBuffer(
+			this.numberOfChannels,
+			Math.max(1, frames),
+			this.sampleRate,
+		);
+		channels.forEach((data, c) => buffer.getChannelData(c).set(data));
+		return buffer;
+	}
+}
+
+/**
+ * Plays part of a BlockedAudio like an AudioBufferSourceNode would, fetching
+ * blocks just ahead of the audio clock and queuing one buffer source per block.
+ * Block sources are scheduled back to back on the audio clock, so block
+ * boundaries are seamless.
+ */
+export class BlockStreamSource {
+	/**
+	 * @param {AudioContext} audioContext - Realtime context
+	 * @param {BlockedAudio} audio - Samples to play
+	 * @param {AudioNode} destination - Node the block sources connect to
+	 * @param {number} rate - Playback rate
+	 */
+	constructor(audioContext, audio, destination, rate = 1) {
+		this.audioContext = audioContext;
+		this.audio = audio;
+		this.destination = destination;
+		this.rate = rate;
+		this.segments = [];
+		this.nextSegment = 0;
+		this.remaining = 0;
+		this.sources = new Set();
+		this.timer = null;
+		this.stopped = false;
+		this.onended = null;
+	}
+
+	/**
+	 * @param {number} when - Audio clock time playback starts
+	 * @param {number} offset - Start position inside the audio, in seconds
+	 * @param {number} duration - Length to play, in seconds
+	 */
+	start(when, offset = 0, duration = this.audio.duration - offset) {
+		const { sampleRate, length, blocks } = this.audio;
+		const startFrame = Math.max(0, Math.round(offset * sampleRate));
+		const endFrame = Math.min(length, Math.round((offset + duration) * sampleRate));
+
+		for (const block of blocks) {
+			const from = Math.max(startFrame, block.start);
+			const to = Math.min(endFrame, block.start + block.frames);
+			if (to <= from) continue;
+
+			this.segments.push({
+				block,
+				from: from - block.start,
+				frames: to - from,
+				when: when + (from - startFrame) / sampleRate / this.rate,
+			});
+		}
+
+		this.remaining = this.segments.length;
+		if (this.remaining === 0) {
+			setTimeout(() => this.onended?.(), 0);
+			return;
+		}
+
+		this.pump();
+		if (this.nextSegment < this.segments.length) {
+			this.timer = setInterval(() => this.pump(), STREAM_INTERVAL_MS);
+		}
+	}
+
+	/**
+	 * Queue the segments that start within the lookahead window
+	 */
+	pump() {
+		const horizon = this.audioContext.currentTime + STREAM_LOOKAHEAD;
+		while (
+			this.nextSegment < this.segments.length &&
+			this.segments[this.nextSegment].when < horizon
+		) {
+			this.scheduleSegment(this.segments[this.nextSegment++]);
+		}
+
+		if (this.nextSegment >= this.segments.length) {
+			this.clearTimer();
+		}
+	}
+
+	async scheduleSegment(segment) {
+		let channels;
+		try {
+			channels = await this.audio.store.read(segment.block.id);
+		} catch (error) {
+			console.error("Failed to stream sample block:", error);
+			this.segmentDone();
+			return;
+		}
+		if (this.stopped) return;
+
+		const { sampleRate, numberOfChannels } = this.audio;
+		const buffer = this.audioContext.createBuffer(numberOfChannels, segment.frames, sampleRate);
+		for (let c = 0; c < numberOfChannels; c++) {
+			buffer.getChannelData(c).set(channels[c].subarray(segment.from, segment.from + segment.frames));
+		}
+
+		// A block that arrives late starts mid-way instead of pushing everything back
+		const late = Math.max(0, this.audioContext.currentTime - segment.when);
+		const skip = late * this.rate;
+		if (skip >= segment.frames / sampleRate) {
+			this.segmentDone();
+			return;
+		}
+
+		const source = this.audioContext.createBufferSource();
+		source.buffer = buffer;
+		source.playbackRate.value = this.rate;
+		source.connect(this.destination);
+		source.onended = () => {
+			if (!this.sources.delete(source)) return;
+			this.segmentDone();
+		};
+		this.sources.add(source);
+		source.start(segment.when + late, skip);
+	}
+
+	segmentDone() {
+		this.remaining--;
+		if (this.remaining === 0 && !this.stopped) {
+			this.clearTimer();
+			this.onended?.();
+		}
+	}
+
+	stop() {
+		this.stopped = true;
+		this.clearTimer();
+		for (const source of this.sources) {
+			try {
+				source.stop();
+			} catch {
+				// Already stopped
+			}
+		}
+		this.sources.clear();
+	}
+
+	clearTimer() {
+		if (this.timer) {
+			clearInterval(this.timer);
+			this.timer = null;
+		}
+	}
+}
+
+export default BlockedAudio;
@@ -0,0 +1,163 @@
+/**
+ * Channel Strip for WebAudacity
+ * Per-track routing: input (gain envelope) → gain → stereo panner → mute/solo gate →
+ * destination
+ */
+
+// Time constant used when ramping live parameter changes to avoid zipper noise
+const PARAMETER_SMOOTHING = 0.01;
+
+// Mix settings every new track starts with
+export const DEFAULT_TRACK_MIX = {
+	volume: 0.8,
+	pan: 0,
+	muted: false,
+	solo: false,
+};
+
+export class ChannelStrip {
+	/**
+	 * @param {BaseAudioContext} audioContext - Realtime or offline context
+	 * @param {AudioNode} destination - Node the strip output feeds (usually the master gain)
+	 * @param {Object} settings - Initial { volume, pan, audible } settings
+	 */
+	constructor(audioContext, destination, settings = {}) {
+		this.audioContext = audioContext;
+		this.destination = destination;
+
+		this.input = audioContext.createGain();
+		this.gainNode = audioContext.createGain();
+		this.panner = audioContext.createStereoPanner
+			? audioContext.createStereoPanner()
+			: null;
+		this.gate = audioContext.createGain();
+
+		this.input.connect(this.gainNode);
+		if (this.panner) {
+			this.gainNode.connect(this.panner);
+			this.panner.connect(this.gate);
+		} else {
+			this.gainNode.connect(this.gate);
+		}
+		this.gate.connect(destination);
+
+		this.volume = 1;
+		this.pan = 0;
+		this.audible = true;
+
+		this.setVolume(settings.volume ?? 1, true);
+		this.setPan(settings.pan ?? 0, true);
+		this.setAudible(settings.audible ?? true, true);
+	}
+
+	/**
+	 * Set track volume (0..1 slider value, mapped with the same curve as the master fader)
+	 * @param {number} volume - Slider value
+	 * @param {boolean} immediate - Skip smoothing (used before playback starts)
+	 */
+	setVolume(volume, immediate = false) {
+		this.volume = Math.max(0, Math.min(1, volume));
+		this.applyParam(this.gainNode.gain, ChannelStrip.volumeToGain(this.volume), immediate);
+	}
+
+	/**
+	 * Set stereo position
+	 * @param {number} pan - -1 (left) .. 1 (right)
+	 * @param {boolean} immediate - Skip smoothing
+	 */
+	setPan(pan, immediate = false) {
+		this.pan = Math.max(-1, Math.min(1, pan));
+		if (this.panner) {
+			this.applyParam(this.panner.pan, this.pan, immediate);
+		}
+	}
+
+	/**
+	 * Follow a gain envelope, multiplying the fader volume as the mixdown does
+	 * @param {Float32Array} values - Gain values spread evenly over the duration
+	 * @param {number} when - Context time of the first value
+	 * @param {number} duration - Seconds the values span
+	 */
+	scheduleEnvelope(values, when, duration) {
+		const gain = this.input.gain;
+		if (!gain.setValueCurveAtTime) return;
+
+		gain.cancelScheduledValues(when);
+		gain.setValueCurveAtTime(values, when, duration);
+	}
+
+	/**
+	 * Drop any scheduled envelope and pass the input through unchanged
+	 */
+	clearEnvelope() {
+		this.input.gain.cancelScheduledValues?.(0);
+		this.applyParam(this.input.gain, 1, true);
+	}
+
+	/**
+	 * Open or close the mute/solo gate
+	 * @param {boolean} audible - Whether the strip reaches its destination
+	 * @param {boolean} immediate - Skip smoothing
+	 */
+	setAudible(audible, immediate = false) {
+		this.audible = !!audible;
+		this.applyParam(this.gate.gain, this.audible ? 1 : 0, immediate);
+	}
+
+	applyParam(param, value, immediate) {
+		if (immediate || !param.setTargetAtTime) {
+			if (param.setValueAtTime) {
+				param.setValueAtTime(value, this.audioContext.currentTime);
+			} else {
+				param.value = value;
+			}
+			return;
+		}
+		param.setTargetAtTime(value, this.audioContext.currentTime, PARAMETER_SMOOTHING);
+	}
+
+	/**
+	 * Disconnect all nodes of the strip
+	 */
+	disconnect() {
+		for (const node of [this.input, this.gainNode, this.panner, this.gate]) {
+			try {
+				node?.disconnect();
+			} catch {
+				// Node might already be disconnected
+			}
+		}
+	}
+
+	/**
+	 * Map a 0..1 fader value to linear gain
+	 * @param {number} volume - Fader value
+	 * @returns {number} - Linear gain
+	 */
+	static volumeToGain(volume) {
+		return volume === 0 ? 0 : volume ** 2;
+	}
+
+	/**
+	 * Resolve mute/solo state for a set of tracks
+	 * @param {Map<string, Object>} mixSettings - Map of trackId to { muted, solo }
+	 * @returns {Map<string, boolean>} - Map of trackId to audibility
+	 */
+	static resolveAudibility(mixSettings) {
+		let anySolo = false;
+		for (const settings of mixSettings.values()) {
+			if (settings.solo) {
+				anySolo = true;
+				break;
+			}
+		}
+
+		const audibility = new Map();
+		for (const [trackId, settings] of mixSettings) {
+			audibility.set(trackId, !settings.muted && (!anySolo || !!settings.solo));
+		}
+		return audibility;
+	}
+}
+
+export default ChannelStrip;
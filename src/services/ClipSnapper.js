@@ -0,0 +1,73 @@
+/**
+ * Clip Snapper for WebAudacity
+ * Pulls a dragged clip onto nearby clip edges, labels and the playhead
+ */
+
+export class ClipSnapper {
+	/**
+	 * @param {number[]} targets - Snap times in seconds
+	 * @param {number} threshold - Maximum snap distance in seconds
+	 */
+	constructor(targets = [], threshold = 0.05) {
+		this.targets = [...new Set(targets)].sort((a, b) => a - b);
+		this.threshold = threshold;
+	}
+
+	/**
+	 * Collect snap times from the session
+	 * @param {Object} options
+	 * @param {Iterable<Object>} options.tracks - Tracks whose info.clips provide edges
+	 * @param {Array<Object>} options.labels - Labels ({ time, endTime })
+	 * @param {number} options.playhead - Playhead position
+	 * @param {string} options.excludeClipId - The dragged clip
+	 * @returns {number[]}
+	 */
+	static collectTargets({ tracks = [], labels = [], playhead = null, excludeClipId = null }) {
+		const targets = [0];
+
+		for (const track of tracks) {
+			for (const clip of track.info?.clips?.clips || []) {
+				if (clip.id === excludeClipId) continue;
+				targets.push(clip.position, clip.end);
+			}
+		}
+
+		for (const label of labels) {
+			targets.push(label.time);
+			if (label.endTime !== null && label.endTime !== undefined) {
+				targets.push(label.endTime);
+			}
+		}
+
+		if (playhead !== null) {
+			targets.push(playhead);
+		}
+
+		return targets;
+	}
+
+	/**
+	 * Snap a clip's start or end, whichever lands closest to a target
+	 * @param {number} position - Proposed clip start in seconds
+	 * @param {number} duration - Clip length in seconds
+	 * @returns {{position: number, target: number|null}}
+	 */
+	snap(position, duration) {
+		let best = null;
+		let bestDistance = this.threshold;
+
+		for (const target of this.targets) {
+			for (const edge of [position, position + duration]) {
+				const distance = Math.abs(target - edge);
+				if (distance <= bestDistance) {
+					bestDistance = distance;
+					best = { position: position + (target - edge), target };
+				}
+			}
+		}
+
+		return best && best.position >= 0 ? best : { position, target: null };
+	}
+}
+
+export default ClipSnapper;
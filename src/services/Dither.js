@@ -0,0 +1,81 @@
+/**
+ * Dither for WebAudacity
+ * Converts float samples to integers of a lower bit depth. Adding a little
+ * noise before rounding turns the quantisation error into a steady hiss
+ * instead of distortion that follows the signal; noise shaping then pushes
+ * most of that hiss up to frequencies the ear is least sensitive to.
+ */
+
+export const DITHER_TYPES = ["none", "rectangular", "triangular", "shaped"];
+export const DEFAULT_DITHER = "triangular";
+
+// Error feedback filter used for shaped dither (the same taps Audacity uses)
+const SHAPING_FILTER = [2.033, -2.165, 1.959, -1.59, 0.6149];
+
+export class Ditherer {
+	/**
+	 * @param {string} type - One of DITHER_TYPES
+	 * @param {Function} random - Uniform random source in [0, 1)
+	 */
+	constructor(type = DEFAULT_DITHER, random = Math.random) {
+		if (!DITHER_TYPES.includes(type)) {
+			throw new Error(`Unknown dither type: ${type}`);
+		}
+		this.type = type;
+		this.random = random;
+	}
+
+	/**
+	 * Dither noise for one sample, in units of the output's least significant bit
+	 * @returns {number}
+	 */
+	noise() {
+		switch (this.type) {
+			case "rectangular":
+				return this.random() - 0.5;
+			case "triangular":
+			case "shaped":
+				return this.random() - this.random();
+			default:
+				return 0;
+		}
+	}
+
+	/**
+	 * Quantise one channel. Call once per channel: the noise shaping state
+	 * starts fresh each time.
+	 * @param {Float32Array} data - Samples in -1..1
+	 * @param {number} bitDepth - Bits per output sample (8 to 32)
+	 * @returns {Int32Array} - Signed integer samples
+	 */
+	quantize(data, bitDepth) {
+		const scale = 2 ** (bitDepth - 1);
+		const min = -scale;
+		const max = scale - 1;
+		const output = new Int32Array(data.length);
+		const shaped = this.type === "shaped";
+		const errors = new Float64Array(SHAPING_FILTER.length); // Most recent first
+
+		for (let i = 0; i < data.length; i++) {
+			let value = data[i] * scale;
+			if (shaped) {
+				for (let k = 0; k < SHAPING_FILTER.length; k++) {
+					value += SHAPING_FILTER[k] * errors[k];
+				}
+			}
+
+			const quantized = Math.max(min, Math.min(max, Math.round(value + this.noise())));
+			output[i] = quantized;
+
+			if (shaped) {
+				errors.copyWithin(1, 0);
+				// Bounded, so a clipped sample can't make the feedback run away
+				errors[0] = Math.max(-1, Math.min(1, value - quantized));
+			}
+		}
+
+		return output;
+	}
+}
+
+export default Ditherer;
@@ -0,0 +1,409 @@
+/**
+ * Edit Commands for WebAudacity
+ * Undoable editing operations on the audio engine's clip model. Commands keep
+ * only what they changed and report the audio they keep alive, which bounds the
+ * history (see UndoRedoManager).
+ */
+
+import { ClipSequence } from "./AudioClip";
+import { BlockedAudio } from "./BlockedAudio";
+import { Command, MacroCommand } from "./UndoRedoManager";
+
+/**
+ * Move a clip to a position, optionally into another track
+ */
+export class MoveClipCommand extends Command {
+	/**
+	 * @param {AudioEngineService} audioEngine - Engine holding the tracks
+	 * @param {string} clipId - Clip to move
+	 * @param {Object} from - Original { trackId, position }
+	 * @param {Object} to - Destination { trackId, position }
+	 * @param {Function} onChange - Called with the affected track IDs after execute/undo
+	 */
+	constructor(audioEngine, clipId, from, to, onChange = null) {
+		super(from.trackId === to.trackId ? "Move clip" : "Move clip to another track");
+		this.audioEngine = audioEngine;
+		this.clipId = clipId;
+		this.from = from;
+		this.to = to;
+		this.onChange = onChange;
+	}
+
+	execute() {
+		return this.apply(this.to);
+	}
+
+	undo() {
+		return this.apply(this.from);
+	}
+
+	apply({ trackId, position }) {
+		const success = this.audioEngine.moveClip(this.clipId, trackId, position);
+		this.onChange?.([...new Set([this.from.trackId, this.to.trackId])]);
+		return success;
+	}
+
+	serialize() {
+		return { type: "moveClip", clipId: this.clipId, from: this.from, to: this.to };
+	}
+
+	static restore({ clipId, from, to }, audioEngine, loadClip, onChange = null) {
+		return new MoveClipCommand(audioEngine, clipId, from, to, onChange);
+	}
+}
+
+// Track data an edit may change besides the clips
+const TRACK_FIELDS = ["name", "sampleRate", "numberOfChannels", "metadata"];
+
+const pickTrackFields = (data) =>
+	Object.fromEntries(
+		TRACK_FIELDS.filter((field) => field in data).map((field) => [field, data[field]]),
+	);
+
+// Same audio in the same place; the buffer may have moved to block storage since
+const sameWindow = (a, b) =>
+	a.offset === b.offset && a.duration === b.duration && a.sampleRate === b.sampleRate;
+
+/**
+ * Bytes of in-memory audio that the given clips keep alive and no track plays.
+ * Block-stored audio lives in IndexedDB and doesn't count.
+ * @param {AudioEngineService} audioEngine - Engine holding the tracks
+ * @param {AudioClip[]} clips - Clips kept by a history step
+ * @returns {number}
+ */
+export const heldAudioBytes = (audioEngine, clips) => {
+	const playing = new Set();
+	for (const [, data] of audioEngine.audioBuffers) {
+		for (const clip of data.clips.clips) playing.add(clip.buffer);
+	}
+
+	const held = new Set();
+	for (const clip of clips) {
+		if (!playing.has(clip.buffer) && !(clip.buffer instanceof BlockedAudio)) {
+			held.add(clip.buffer);
+		}
+	}
+
+	let bytes = 0;
+	for (const buffer of held) bytes += buffer.length * buffer.numberOfChannels * 4;
+	return bytes;
+};
+
+const detachedBytes = (audioEngine, detached) =>
+	detached ? heldAudioBytes(audioEngine, detached.data.clips.clips) : 0;
+
+// A track kept by detachTrack as plain data, and back
+const saveDetached = (detached, saveClip) =>
+	detached && {
+		...detached,
+		data: { ...detached.data, clips: detached.data.clips.clips.map(saveClip) },
+	};
+
+const loadDetached = (saved, loadClip) =>
+	saved && {
+		...saved,
+		data: { ...saved.data, clips: new ClipSequence(saved.data.clips.map(loadClip)) },
+	};
+
+/**
+ * Compare a track before and after an edit. Only what differs is kept: the clips
+ * the edit took out, the IDs of those it put in, and the clips it only moved.
+ */
+const diffTrack = (trackId, before, after) => {
+	const afterClips = new Map(after.clips.clips.map((clip) => [clip.id, clip]));
+	const beforeClips = new Map(before.clips.clips.map((clip) => [clip.id, clip]));
+	const held = [];
+	const placed = new Set();
+	const moves = new Map(); // Clip ID -> position to move it back to
+
+	for (const clip of before.clips.clips) {
+		const now = afterClips.get(clip.id);
+		if (now === clip) continue;
+		if (now && now.buffer === clip.buffer && sameWindow(now, clip)) {
+			moves.set(clip.id, clip.position);
+		} else {
+			held.push(clip);
+		}
+	}
+	for (const clip of after.clips.clips) {
+		const then = beforeClips.get(clip.id);
+		if (then !== clip && !moves.has(clip.id)) placed.add(clip.id);
+	}
+
+	return { trackId, held, placed, moves, fields: pickTrackFields(before) };
+};
+
+/**
+ * An edit of the clips of one or more tracks (cut, delete, paste, effects, resampling).
+ * The edit runs once; after that, undo and redo swap the clips it changed with the
+ * ones it replaced. The rest of the tracks isn't copied and clips share their
+ * sample buffers, so a step costs about the audio of the range it changed.
+ */
+export class TrackEditCommand extends Command {
+	/**
+	 * @param {AudioEngineService} audioEngine - Engine holding the tracks
+	 * @param {string[]} trackIds - Tracks the edit may change
+	 * @param {Function} edit - Makes the change through the engine; its result is returned
+	 * @param {string} description - Shown in Edit > Undo
+	 * @param {Function} onChange - Called with the changed track IDs after execute/undo
+	 */
+	constructor(audioEngine, trackIds, edit, description, onChange = null) {
+		super(description);
+		this.audioEngine = audioEngine;
+		this.trackIds = trackIds;
+		this.edit = edit;
+		this.onChange = onChange;
+		this.changes = null;
+		this.memoryUsage = 0;
+	}
+
+	execute() {
+		if (this.changes) return this.swap();
+
+		const before = new Map();
+		for (const trackId of this.trackIds) {
+			const data = this.audioEngine.getTrackInfo(trackId);
+			if (data) before.set(trackId, data);
+		}
+
+		const result = this.edit();
+
+		// Track data is replaced, never changed in place, on every edit
+		this.changes = [];
+		for (const [trackId, data] of before) {
+			const after = this.audioEngine.getTrackInfo(trackId);
+			if (after && after !== data) this.changes.push(diffTrack(trackId, data, after));
+		}
+		this.edit = null;
+		this.finish();
+		return result;
+	}
+
+	undo() {
+		return this.swap();
+	}
+
+	/**
+	 * Put the kept clips back and keep the ones they replace
+	 */
+	swap() {
+		for (const change of this.changes) {
+			const data = this.audioEngine.getTrackInfo(change.trackId);
+			if (!data) continue;
+
+			const taken = [];
+			const kept = [];
+			const moves = new Map();
+			for (const clip of data.clips.clips) {
+				if (change.placed.has(clip.id)) {
+					taken.push(clip);
+				} else if (change.moves.has(clip.id)) {
+					moves.set(clip.id, clip.position);
+					kept.push(clip.with({ position: change.moves.get(clip.id) }, true));
+				} else {
+					kept.push(clip);
+				}
+			}
+
+			const fields = pickTrackFields(data);
+			this.audioEngine.setTrackClips(
+				change.trackId,
+				new ClipSequence([...kept, ...change.held]),
+				change.fields,
+			);
+			change.placed = new Set(change.held.map((clip) => clip.id));
+			change.held = taken;
+			change.moves = moves;
+			change.fields = fields;
+		}
+		this.finish();
+		return true;
+	}
+
+	finish() {
+		this.measure();
+		this.onChange?.(this.changes.map((change) => change.trackId));
+	}
+
+	measure() {
+		this.memoryUsage = heldAudioBytes(
+			this.audioEngine,
+			this.changes.flatMap((change) => change.held),
+		);
+	}
+
+	getMemoryUsage() {
+		return this.memoryUsage;
+	}
+
+	serialize(saveClip) {
+		return {
+			type: "trackEdit",
+			description: this.description,
+			trackIds: this.trackIds,
+			changes: this.changes.map(({ trackId, held, placed, moves, fields }) => ({
+				trackId,
+				held: held.map(saveClip),
+				placed: [...placed],
+				moves: [...moves],
+				fields,
+			})),
+		};
+	}
+
+	static restore({ description, trackIds, changes }, audioEngine, loadClip, onChange = null) {
+		const command = new TrackEditCommand(audioEngine, trackIds, null, description, onChange);
+		command.changes = changes.map((change) => ({
+			...change,
+			held: change.held.map(loadClip),
+			placed: new Set(change.placed),
+			moves: new Map(change.moves),
+		}));
+		command.measure();
+		return command;
+	}
+}
+
+/**
+ * Add a track (generators); undo takes it out again
+ */
+export class AddTrackCommand extends Command {
+	/**
+	 * @param {AudioEngineService} audioEngine - Engine holding the tracks
+	 * @param {Function} create - Creates the track through the engine, returns its ID
+	 * @param {string} description - Shown in Edit > Undo
+	 * @param {Function} onChange - Called with the track ID after execute/undo
+	 */
+	constructor(audioEngine, create, description, onChange = null) {
+		super(description);
+		this.audioEngine = audioEngine;
+		this.create = create;
+		this.onChange = onChange;
+		this.trackId = null;
+		this.detached = null;
+		this.memoryUsage = 0;
+	}
+
+	execute() {
+		if (this.detached) {
+			this.audioEngine.restoreTrack(this.detached);
+			this.detached = null;
+		} else {
+			this.trackId = this.create();
+			this.create = null;
+		}
+		this.memoryUsage = 0;
+		this.onChange?.([this.trackId]);
+		return this.trackId;
+	}
+
+	undo() {
+		this.detached = this.audioEngine.detachTrack(this.trackId);
+		this.memoryUsage = detachedBytes(this.audioEngine, this.detached);
+		this.onChange?.([this.trackId]);
+		return this.detached !== null;
+	}
+
+	getMemoryUsage() {
+		return this.memoryUsage;
+	}
+
+	serialize(saveClip) {
+		return {
+			type: "addTrack",
+			description: this.description,
+			trackId: this.trackId,
+			detached: saveDetached(this.detached, saveClip),
+		};
+	}
+
+	static restore({ description, trackId, detached }, audioEngine, loadClip, onChange = null) {
+		const command = new AddTrackCommand(audioEngine, null, description, onChange);
+		command.trackId = trackId;
+		command.detached = loadDetached(detached, loadClip);
+		command.memoryUsage = detachedBytes(audioEngine, command.detached);
+		return command;
+	}
+}
+
+/**
+ * Remove a track; undo puts it back in its place with its clips and mix
+ */
+export class RemoveTrackCommand extends Command {
+	/**
+	 * @param {AudioEngineService} audioEngine - Engine holding the tracks
+	 * @param {string} trackId - Track to remove
+	 * @param {Function} onChange - Called with the track ID after execute/undo
+	 */
+	constructor(audioEngine, trackId, onChange = null) {
+		super("Remove track");
+		this.audioEngine = audioEngine;
+		this.trackId = trackId;
+		this.onChange = onChange;
+		this.detached = null;
+		this.memoryUsage = 0;
+	}
+
+	execute() {
+		this.detached = this.audioEngine.detachTrack(this.trackId);
+		this.memoryUsage = detachedBytes(this.audioEngine, this.detached);
+		this.onChange?.([this.trackId]);
+		return this.detached !== null;
+	}
+
+	undo() {
+		const restored = this.detached ? this.audioEngine.restoreTrack(this.detached) : false;
+		this.detached = null;
+		this.memoryUsage = 0;
+		this.onChange?.([this.trackId]);
+		return restored;
+	}
+
+	getMemoryUsage() {
+		return this.memoryUsage;
+	}
+
+	serialize(saveClip) {
+		return {
+			type: "removeTrack",
+			trackId: this.trackId,
+			detached: saveDetached(this.detached, saveClip),
+		};
+	}
+
+	static restore({ trackId, detached }, audioEngine, loadClip, onChange = null) {
+		const command = new RemoveTrackCommand(audioEngine, trackId, onChange);
+		command.detached = loadDetached(detached, loadClip);
+		command.memoryUsage = detachedBytes(audioEngine, command.detached);
+		return command;
+	}
+}
+
+const SAVED_COMMANDS = {
+	moveClip: MoveClipCommand,
+	trackEdit: TrackEditCommand,
+	addTrack: AddTrackCommand,
+	removeTrack: RemoveTrackCommand,
+};
+
+/**
+ * Turn a history step saved by Command.serialize back into a command, for
+ * UndoRedoManager.restore
+ * @param {Object} step - Saved step
+ * @param {AudioEngineService} audioEngine - Engine holding the tracks
+ * @param {Function} loadClip - Turns a saved clip back into an AudioClip
+ * @param {Function} onChange - As for the command constructors
+ * @returns {Command}
+ */
+export const restoreCommand = (step, audioEngine, loadClip, onChange = null) => {
+	if (step.type === "macro") {
+		const commands = step.commands.map((saved) =>
+			restoreCommand(saved, audioEngine, loadClip, onChange),
+		);
+		return new MacroCommand(commands, step.description);
+	}
+
+	const SavedCommand = SAVED_COMMANDS[step.type];
+	if (!SavedCommand) throw new Error(`Unknown history step: ${step.type}`);
+	return SavedCommand.restore(step, audioEngine, loadClip, onChange);
+};
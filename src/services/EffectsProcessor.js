@@ -3,6 +3,8 @@
  * Implements various audio effects and processing functionality
  */
 
+import { DEFAULT_RESAMPLE_QUALITY, RESAMPLE_QUALITIES, Resampler } from "./Resampler";
+
 export class EffectsProcessorService {
 	constructor(audioContext) {
 		this.audioContext = audioContext;
@@ -157,7 +159,15 @@ export class EffectsProcessorService {
 		return newBuffer;
 	}
 
-	changeSpeed(audioBuffer, speedRatio = 1.0) {
+	/**
+	 * Play faster or slower, shifting pitch with it. Samples are band-limited
+	 * resampled, so speeding up doesn't fold high frequencies back down.
+	 * @param {AudioBuffer} audioBuffer - Source audio
+	 * @param {number} speedRatio - 2 plays twice as fast
+	 * @param {string} quality - Resampling quality (see RESAMPLE_QUALITIES)
+	 * @returns {AudioBuffer}
+	 */
+	changeSpeed(audioBuffer, speedRatio = 1.0, quality = DEFAULT_RESAMPLE_QUALITY) {
 		if (speedRatio === 1.0) return audioBuffer;
 
 		const newLength = Math.floor(audioBuffer.length / speedRatio);
@@ -166,23 +176,14 @@ export class EffectsProcessorService {
 			newLength,
 			audioBuffer.sampleRate,
 		);
+		const resampler = new Resampler(quality);
 
 		for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
-			const inputData = audioBuffer.getChannelData(channel);
-			const outputData = newBuffer.getChannelData(channel);
-
-			for (let i = 0; i < newLength; i++) {
-				const sourceIndex = i * speedRatio;
-				const index = Math.floor(sourceIndex);
-				const fraction = sourceIndex - index;
-
-				if (index < inputData.length - 1) {
-					outputData[i] =
-						inputData[index] * (1 - fraction) + inputData[index + 1] * fraction;
-				} else if (index < inputData.length) {
-					outputData[i] = inputData[index];
-				}
-			}
+			resampler.processInto(
+				audioBuffer.getChannelData(channel),
+				1 / speedRatio,
+				newBuffer.getChannelData(channel),
+			);
 		}
 
 		return newBuffer;
@@ -491,6 +492,13 @@ export class EffectsProcessorService {
 					default: 1,
 					step: 0.01,
 				},
+				{
+					name: "quality",
+					label: "Quality",
+					type: "select",
+					options: Object.keys(RESAMPLE_QUALITIES),
+					default: DEFAULT_RESAMPLE_QUALITY,
+				},
 			],
 			changePitch: [
 				{
@@ -723,7 +731,11 @@ export class EffectsProcessorService {
 					parameters.wetLevel || 0.3,
 				);
 			case "changeSpeed":
-				return this.changeSpeed(audioBuffer, parameters.speedRatio || 1);
+				return this.changeSpeed(
+					audioBuffer,
+					parameters.speedRatio || 1,
+					parameters.quality,
+				);
 			case "changePitch":
 				return this.changePitch(audioBuffer, parameters.pitchRatio || 1);
 			case "highPassFilter":
@@ -238,6 +238,42 @@ export class EnvelopeManager {
 		}
 	}
 
+	/**
+	 * Sample an envelope at a fixed rate, e.g. once per audio frame.
+	 * Same values as getValueAtTime, but walks the points once instead of per call.
+	 * @param {string} parameterPath - Parameter path
+	 * @param {number} startTime - Time of the first value, in seconds
+	 * @param {number} sampleRate - Values per second
+	 * @param {number} length - Number of values
+	 * @returns {Float32Array|null} - Values, or null if there is no such envelope
+	 */
+	renderValues(parameterPath, startTime, sampleRate, length) {
+		const envelope = this.envelopes.get(parameterPath);
+		if (!envelope) return null;
+
+		const values = new Float32Array(length);
+		const points = this.getEnvelopePoints(parameterPath);
+		if (points.length === 0) {
+			return values.fill(envelope.defaultValue);
+		}
+
+		const first = points[0];
+		const last = points[points.length - 1];
+		let next = 1;
+		for (let i = 0; i < length; i++) {
+			const time = startTime + i / sampleRate;
+			if (time <= first.time) {
+				values[i] = first.value;
+			} else if (time >= last.time) {
+				values[i] = last.value;
+			} else {
+				while (points[next].time < time) next++;
+				values[i] = this.interpolateValue(points[next - 1], points[next], time);
+			}
+		}
+		return values;
+	}
+
 	/**
 	 * Get all automation points for an envelope
 	 * @param {string} parameterPath - Parameter path
@@ -581,6 +617,9 @@ export class EnvelopeManager {
 	 * @returns {number} - Number of envelopes imported
 	 */
 	importEnvelopes(jsonData) {
+		// Points were snapped when they were placed; keep the times as saved
+		const snapToGrid = this.snapToGrid;
+		this.snapToGrid = false;
 		try {
 			const data = JSON.parse(jsonData);
 			let importedCount = 0;
@@ -613,6 +652,8 @@ export class EnvelopeManager {
 		} catch (error) {
 			console.error("Failed to import envelopes:", error);
 			return 0;
+		} finally {
+			this.snapToGrid = snapToGrid;
 		}
 	}
 
@@ -0,0 +1,107 @@
+/**
+ * Export Multiple for WebAudacity
+ * Plans a split export: one file per label region, or one per track (stems).
+ * Region labels give their own range; a point label runs to the next label,
+ * or to the end of the project, the way chapters are cut. File names come
+ * from a template whose fields are filled in per file.
+ */
+
+// Template fields: {label}, {track} and {index}
+export const FILE_NAME_FIELDS = ["label", "track", "index"];
+export const DEFAULT_FILE_NAME_TEMPLATES = {
+	labels: "{index} {label}",
+	tracks: "{track}",
+};
+
+// Characters that Windows, macOS or zip tools refuse in a file name
+const UNSAFE_CHARACTERS = /[\\/:*?"<>|\u0000-\u001f]/g;
+
+/**
+ * Fill in a file name template
+ * @param {string} template - Such as "{index} {label}"; unknown fields are kept as typed
+ * @param {Object} fields - { label, track, index }
+ * @param {number} count - Files in the set; indexes are zero-padded to two digits or its width
+ * @returns {string} - A safe file name without extension
+ */
+export const formatFileName = (template, fields, count = 1) => {
+	const name = template.replace(/\{(\w+)\}/g, (match, field) => {
+		if (field === "index") {
+			return String(fields.index).padStart(Math.max(2, String(count).length), "0");
+		}
+		return FILE_NAME_FIELDS.includes(field) ? (fields[field] ?? "") : match;
+	});
+	// Names ending in dots or spaces don't survive on Windows
+	const safe = name.replace(UNSAFE_CHARACTERS, "_").trim().replace(/[. ]+$/, "");
+	return safe || `untitled ${fields.index}`;
+};
+
+/**
+ * Make names unique, ignoring case, by numbering repeats
+ * @param {string[]} names
+ * @returns {string[]}
+ */
+export const uniqueFileNames = (names) => {
+	const used = new Set();
+	return names.map((name) => {
+		let unique = name;
+		for (let n = 2; used.has(unique.toLowerCase()); n++) unique = `${name} (${n})`;
+		used.add(unique.toLowerCase());
+		return unique;
+	});
+};
+
+/**
+ * Ranges to split the project at
+ * @param {Object[]} labels - { time, endTime, text } in seconds
+ * @returns {Object[]} - { startTime, endTime, label }, endTime null for the end of the project
+ */
+export const labelRanges = (labels) => {
+	const sorted = [...labels].sort((a, b) => a.time - b.time);
+	return sorted.map((label, i) => {
+		const isRegion = label.endTime !== null && label.endTime !== undefined;
+		return {
+			startTime: label.time,
+			endTime: isRegion ? label.endTime : (sorted[i + 1]?.time ?? null),
+			label,
+		};
+	});
+};
+
+/**
+ * Plan the files of a split export
+ * @param {Object} options
+ * @param {string} options.splitBy - labels or tracks
+ * @param {Object[]} options.labels - Project labels
+ * @param {Object[]} options.tracks - Tracks as in the context state; muted ones are left out
+ * @param {string} options.template - File name template
+ * @returns {Object[]} - { name, startTime, endTime, label } per label or { name, track } per track
+ */
+export const planExportMultiple = ({ splitBy, labels = [], tracks = [], template }) => {
+	const pattern = template || DEFAULT_FILE_NAME_TEMPLATES[splitBy];
+	let files;
+	if (splitBy === "labels") {
+		// Zero-length regions have nothing to export
+		const ranges = labelRanges(labels).filter(
+			({ startTime, endTime }) => endTime === null || endTime > startTime,
+		);
+		files = ranges.map(({ startTime, endTime, label }, i) => ({
+			name: formatFileName(pattern, { label: label.text, index: i + 1 }, ranges.length),
+			startTime,
+			endTime,
+			label,
+		}));
+	} else if (splitBy === "tracks") {
+		const audible = tracks.filter((track) => !track.muted);
+		files = audible.map((track, i) => ({
+			name: formatFileName(pattern, { track: track.name, index: i + 1 }, audible.length),
+			track,
+		}));
+	} else {
+		throw new Error(`Cannot split an export by ${splitBy}`);
+	}
+
+	const names = uniqueFileNames(files.map((file) => file.name));
+	return files.map((file, i) => ({ ...file, name: names[i] }));
+};
+
+export default planExportMultiple;
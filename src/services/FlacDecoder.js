@@ -0,0 +1,278 @@
+/**
+ * FLAC decoder for WebAudacity
+ * Reads a whole FLAC file into integer samples without going through
+ * decodeAudioData, so the result is bit-exact and at the file's own rate; FLAC
+ * imports use it, with the Vorbis comments read into the metadata model.
+ * Frame CRCs are checked; the MD5 signature is returned for the caller to verify.
+ */
+
+import { BitReader } from "./BitStream";
+import { CHANNEL_LEFT_SIDE, CHANNEL_MID_SIDE, CHANNEL_RIGHT_SIDE, crc16, crc8 } from "./FlacEncoder";
+import { createMetadata } from "./WavMetadata";
+
+// Vorbis comments and the INFO fields (see WavMetadata) they fill on import
+export const VORBIS_INFO_FIELDS = {
+	TITLE: "INAM",
+	ARTIST: "IART",
+	ALBUM: "IPRD",
+	GENRE: "IGNR",
+	DATE: "ICRD",
+	COMMENT: "ICMT",
+	DESCRIPTION: "ICMT",
+	COPYRIGHT: "ICOP",
+};
+
+const SAMPLE_RATES = [
+	0, 88200, 176400, 192000, 8000, 16000, 22050, 24000, 32000, 44100, 48000, 96000,
+];
+const SAMPLE_SIZES = [0, 8, 12, 0, 16, 20, 24, 32];
+
+const FIXED_COEFFICIENTS = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]];
+
+const readMetadata = (bytes) => {
+	const reader = new BitReader(bytes, 4);
+	const info = { tags: {} };
+	let isLast = false;
+
+	while (!isLast) {
+		isLast = reader.readBits(1) === 1;
+		const type = reader.readBits(7);
+		const length = reader.readBits(24);
+		const start = reader.bytePosition;
+		if (start + length > bytes.length) throw new Error("Truncated FLAC metadata");
+
+		if (type === 0) {
+			reader.readBits(16); // Minimum block size
+			info.maxBlockSize = reader.readBits(16);
+			reader.readBits(48); // Frame sizes
+			info.sampleRate = reader.readBits(20);
+			info.numberOfChannels = reader.readBits(3) + 1;
+			info.bitsPerSample = reader.readBits(5) + 1;
+			info.totalSamples = reader.readBits(36);
+			info.md5 = bytes.slice(start + 18, start + 34);
+		} else if (type === 4) {
+			const view = new DataView(bytes.buffer, bytes.byteOffset + start, length);
+			const decoder = new TextDecoder();
+			const vendorLength = view.getUint32(0, true);
+			info.vendor = decoder.decode(bytes.subarray(start + 4, start + 4 + vendorLength));
+			let offset = 4 + vendorLength;
+			const count = view.getUint32(offset, true);
+			offset += 4;
+			for (let i = 0; i < count; i++) {
+				const commentLength = view.getUint32(offset, true);
+				const comment = decoder.decode(
+					bytes.subarray(start + offset + 4, start + offset + 4 + commentLength),
+				);
+				const separator = comment.indexOf("=");
+				if (separator > 0) {
+					const key = comment.slice(0, separator).toUpperCase();
+					const value = comment.slice(separator + 1);
+					// Repeated fields (several ARTISTs, say) become arrays
+					info.tags[key] = key in info.tags ? [].concat(info.tags[key], value) : value;
+				}
+				offset += 4 + commentLength;
+			}
+		}
+		reader.position = (start + length) * 8;
+	}
+
+	if (!info.sampleRate) throw new Error("FLAC file has no STREAMINFO");
+	return { info, offset: reader.bytePosition };
+};
+
+const readFrameNumber = (reader) => {
+	const first = reader.readBits(8);
+	let count = 0;
+	while (count < 8 && first & (0x80 >> count)) count++;
+	if (count === 1 || count > 7) throw new Error("Invalid FLAC frame number");
+	if (count === 0) return first;
+
+	let value = first & (0xff >> (count + 1));
+	for (let i = 1; i < count; i++) value = value * 64 + (reader.readBits(8) & 0x3f);
+	return value;
+};
+
+const readResidual = (reader, output, predictorOrder, blockSize) => {
+	const method = reader.readBits(2);
+	if (method > 1) throw new Error("Reserved FLAC residual coding method");
+	const parameterBits = method ? 5 : 4;
+	const escape = (1 << parameterBits) - 1;
+	const order = reader.readBits(4);
+	const size = blockSize >> order;
+
+	let index = predictorOrder;
+	for (let p = 0; p < 1 << order; p++) {
+		const parameter = reader.readBits(parameterBits);
+		const end = index + size - (p === 0 ? predictorOrder : 0);
+		if (parameter === escape) {
+			const bits = reader.readBits(5);
+			for (; index < end; index++) output[index] = reader.readSigned(bits);
+		} else {
+			for (; index < end; index++) output[index] = reader.readRice(parameter);
+		}
+	}
+};
+
+const predict = (samples, order, coefficients, shift) => {
+	const divisor = 2 ** shift;
+	for (let i = order; i < samples.length; i++) {
+		let sum = 0;
+		for (let j = 0; j < order; j++) sum += coefficients[j] * samples[i - j - 1];
+		samples[i] += Math.floor(sum / divisor);
+	}
+};
+
+const readSubframe = (reader, blockSize, bitsPerSample) => {
+	if (reader.readBits(1) !== 0) throw new Error("Invalid FLAC subframe");
+	const type = reader.readBits(6);
+	const wasted = reader.readBits(1) ? reader.readUnary() + 1 : 0;
+	const bits = bitsPerSample - wasted;
+	const samples = new Float64Array(blockSize);
+
+	if (type === 0) {
+		samples.fill(reader.readSigned(bits));
+	} else if (type === 1) {
+		for (let i = 0; i < blockSize; i++) samples[i] = reader.readSigned(bits);
+	} else if (type >= 8 && type <= 12) {
+		const order = type - 8;
+		for (let i = 0; i < order; i++) samples[i] = reader.readSigned(bits);
+		readResidual(reader, samples, order, blockSize);
+		predict(samples, order, FIXED_COEFFICIENTS[order], 0);
+	} else if (type >= 32) {
+		const order = type - 31;
+		for (let i = 0; i < order; i++) samples[i] = reader.readSigned(bits);
+		const precision = reader.readBits(4) + 1;
+		if (precision === 16) throw new Error("Invalid FLAC coefficient precision");
+		const shift = reader.readSigned(5);
+		if (shift < 0) throw new Error("Negative FLAC LPC shift");
+		const coefficients = Array.from({ length: order }, () => reader.readSigned(precision));
+		readResidual(reader, samples, order, blockSize);
+		predict(samples, order, coefficients, shift);
+	} else {
+		throw new Error(`Reserved FLAC subframe type ${type}`);
+	}
+
+	if (wasted) {
+		for (let i = 0; i < blockSize; i++) samples[i] *= 2 ** wasted;
+	}
+	return samples;
+};
+
+const readFrame = (bytes, offset, info) => {
+	const reader = new BitReader(bytes, offset);
+	if (reader.readBits(15) !== 0x7ffc) throw new Error("Lost FLAC frame sync");
+	reader.readBits(1); // Blocking strategy
+	const sizeCode = reader.readBits(4);
+	const rateCode = reader.readBits(4);
+	const assignment = reader.readBits(4);
+	const sizeBits = reader.readBits(3);
+	reader.readBits(1);
+	readFrameNumber(reader);
+
+	let blockSize;
+	if (sizeCode === 1) blockSize = 192;
+	else if (sizeCode >= 2 && sizeCode <= 5) blockSize = 576 << (sizeCode - 2);
+	else if (sizeCode === 6) blockSize = reader.readBits(8) + 1;
+	else if (sizeCode === 7) blockSize = reader.readBits(16) + 1;
+	else if (sizeCode >= 8) blockSize = 256 << (sizeCode - 8);
+	else throw new Error("Reserved FLAC block size");
+
+	if (rateCode === 12) reader.readBits(8);
+	else if (rateCode === 13 || rateCode === 14) reader.readBits(16);
+	else if (rateCode === 15) throw new Error("Invalid FLAC sample rate");
+
+	const bitsPerSample = SAMPLE_SIZES[sizeBits] || info.bitsPerSample;
+	if (crc8(bytes, offset, reader.bytePosition) !== reader.readBits(8)) {
+		throw new Error("FLAC frame header CRC mismatch");
+	}
+
+	const numberOfChannels = assignment >= CHANNEL_LEFT_SIDE ? 2 : assignment + 1;
+	if (assignment > CHANNEL_MID_SIDE) throw new Error("Reserved FLAC channel assignment");
+	const subframes = [];
+	for (let channel = 0; channel < numberOfChannels; channel++) {
+		// The side channel carries one extra bit
+		const isSide =
+			(assignment === CHANNEL_LEFT_SIDE && channel === 1) ||
+			(assignment === CHANNEL_RIGHT_SIDE && channel === 0) ||
+			(assignment === CHANNEL_MID_SIDE && channel === 1);
+		subframes.push(readSubframe(reader, blockSize, bitsPerSample + (isSide ? 1 : 0)));
+	}
+
+	reader.alignToByte();
+	if (crc16(bytes, offset, reader.bytePosition) !== reader.readBits(16)) {
+		throw new Error("FLAC frame CRC mismatch");
+	}
+
+	const [a, b] = subframes;
+	for (let i = 0; i < blockSize; i++) {
+		if (assignment === CHANNEL_LEFT_SIDE) {
+			b[i] = a[i] - b[i];
+		} else if (assignment === CHANNEL_RIGHT_SIDE) {
+			a[i] += b[i];
+		} else if (assignment === CHANNEL_MID_SIDE) {
+			const side = b[i];
+			const mid = a[i] * 2 + (side & 1);
+			a[i] = (mid + side) / 2;
+			b[i] = (mid - side) / 2;
+		}
+	}
+
+	return { channels: subframes, length: reader.bytePosition - offset };
+};
+
+/**
+ * Whether a file is FLAC
+ * @param {ArrayBuffer} arrayBuffer - File bytes
+ * @returns {boolean}
+ */
+export const isFlac = (arrayBuffer) =>
+	arrayBuffer.byteLength >= 4 &&
+	String.fromCharCode(...new Uint8Array(arrayBuffer, 0, 4)) === "fLaC";
+
+/**
+ * Read Vorbis comments into the metadata model
+ * @param {Object} tags - Comments as returned by decodeFlac
+ * @returns {Object|null} - Metadata (see WavMetadata), or null if no comment maps to it
+ */
+export const readFlacMetadata = (tags) => {
+	const info = {};
+	for (const [key, value] of Object.entries(tags)) {
+		const field = VORBIS_INFO_FIELDS[key];
+		if (field && !(field in info)) info[field] = [].concat(value).join("; ");
+	}
+	return Object.keys(info).length > 0 ? { ...createMetadata(), info } : null;
+};
+
+/**
+ * Decode a FLAC file
+ * @param {ArrayBuffer|Uint8Array} data - The whole file
+ * @returns {Object} - { sampleRate, numberOfChannels, bitsPerSample, totalSamples,
+ *   md5, vendor, tags, channels: Int32Array[] }
+ */
+export const decodeFlac = (data) => {
+	const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+	if (String.fromCharCode(...bytes.subarray(0, 4)) !== "fLaC") {
+		throw new Error("Not a FLAC file");
+	}
+
+	const { info, offset: audioStart } = readMetadata(bytes);
+	const blocks = [];
+	let decoded = 0;
+	for (let offset = audioStart; offset < bytes.length; ) {
+		const frame = readFrame(bytes, offset, info);
+		blocks.push(frame.channels);
+		decoded += frame.channels[0].length;
+		offset += frame.length;
+	}
+
+	const channels = Array.from({ length: info.numberOfChannels }, () => new Int32Array(decoded));
+	let position = 0;
+	for (const block of blocks) {
+		block.forEach((samples, channel) => channels[channel].set(samples, position));
+		position += block[0].length;
+	}
+
+	return { ...info, channels };
+};
+
+export default decodeFlac;
@@ -0,0 +1,617 @@
+/**
+ * FLAC encoder for WebAudacity
+ * Lossless encoding of integer samples. Every block is tried as constant,
+ * verbatim, fixed-polynomial and (from level 3) LPC subframes, stereo blocks
+ * also as left/side, right/side and mid/side, and the smallest is kept. The
+ * compression levels follow the reference encoder's presets.
+ */
+
+import { BitWriter } from "./BitStream";
+import { Md5 } from "./Md5";
+
+export const FLAC_BIT_DEPTHS = [16, 24];
+export const DEFAULT_FLAC_COMPRESSION = 5;
+
+/**
+ * blockSize: samples per frame
+ * midSide: try the stereo decorrelation modes
+ * maxLpcOrder: highest LPC order, 0 for fixed predictors only
+ * maxPartitionOrder: finest split of the residual into Rice partitions
+ * exhaustive: encode every predictor order instead of estimating the best one
+ */
+export const FLAC_COMPRESSION_LEVELS = Object.freeze([
+	{ blockSize: 1152, midSide: false, maxLpcOrder: 0, maxPartitionOrder: 3, exhaustive: false },
+	{ blockSize: 1152, midSide: true, maxLpcOrder: 0, maxPartitionOrder: 3, exhaustive: false },
+	{ blockSize: 1152, midSide: true, maxLpcOrder: 0, maxPartitionOrder: 3, exhaustive: true },
+	{ blockSize: 4096, midSide: false, maxLpcOrder: 6, maxPartitionOrder: 4, exhaustive: false },
+	{ blockSize: 4096, midSide: true, maxLpcOrder: 8, maxPartitionOrder: 4, exhaustive: false },
+	{ blockSize: 4096, midSide: true, maxLpcOrder: 8, maxPartitionOrder: 5, exhaustive: false },
+	{ blockSize: 4096, midSide: true, maxLpcOrder: 8, maxPartitionOrder: 6, exhaustive: false },
+	{ blockSize: 4096, midSide: true, maxLpcOrder: 8, maxPartitionOrder: 6, exhaustive: true },
+	{ blockSize: 4096, midSide: true, maxLpcOrder: 12, maxPartitionOrder: 6, exhaustive: true },
+]);
+
+// Frame header codes
+const SAMPLE_RATE_CODES = new Map([
+	[88200, 1],
+	[176400, 2],
+	[192000, 3],
+	[8000, 4],
+	[16000, 5],
+	[22050, 6],
+	[24000, 7],
+	[32000, 8],
+	[44100, 9],
+	[48000, 10],
+	[96000, 11],
+]);
+const SAMPLE_SIZE_CODES = new Map([
+	[8, 1],
+	[12, 2],
+	[16, 4],
+	[20, 5],
+	[24, 6],
+]);
+
+export const CHANNEL_INDEPENDENT = 0; // Plus channel count - 1
+export const CHANNEL_LEFT_SIDE = 8;
+export const CHANNEL_RIGHT_SIDE = 9;
+export const CHANNEL_MID_SIDE = 10;
+
+const SUBFRAME_CONSTANT = 0;
+const SUBFRAME_VERBATIM = 1;
+const SUBFRAME_FIXED = 8; // Plus the order
+const SUBFRAME_LPC = 32; // Plus the order - 1
+
+const FIXED_MAX_ORDER = 4;
+const RICE_MAX_PARAMETER = [14, 30]; // By coding method; the next value is the escape code
+// Residuals must fit in 32 bits for decoders
+const MAX_RESIDUAL = 2 ** 30;
+
+const CRC8_TABLE = Uint8Array.from({ length: 256 }, (_, n) => {
+	let crc = n;
+	for (let k = 0; k < 8; k++) crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+	return crc;
+});
+const CRC16_TABLE = Uint16Array.from({ length: 256 }, (_, n) => {
+	let crc = n << 8;
+	for (let k = 0; k < 8; k++) {
+		crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xffff : (crc << 1) & 0xffff;
+	}
+	return crc;
+});
+
+/**
+ * CRC-8 of a frame header (polynomial x^8 + x^2 + x + 1)
+ * @param {Uint8Array} bytes
+ * @param {number} start - First byte
+ * @param {number} end - Byte after the last
+ * @returns {number}
+ */
+export const crc8 = (bytes, start, end) => {
+	let crc = 0;
+	for (let i = start; i < end; i++) crc = CRC8_TABLE[crc ^ bytes[i]];
+	return crc;
+};
+
+/**
+ * CRC-16 of a whole frame (polynomial x^16 + x^15 + x^2 + 1)
+ * @param {Uint8Array} bytes
+ * @param {number} start - First byte
+ * @param {number} end - Byte after the last
+ * @returns {number}
+ */
+export const crc16 = (bytes, start, end) => {
+	let crc = 0;
+	for (let i = start; i < end; i++) {
+		crc = ((crc << 8) & 0xffff) ^ CRC16_TABLE[(crc >> 8) ^ bytes[i]];
+	}
+	return crc;
+};
+
+const windows = new Map(); // block length -> Tukey(0.5) window
+
+const tukeyWindow = (length) => {
+	if (!windows.has(length)) {
+		const window = new Float64Array(length).fill(1);
+		const taper = Math.floor((0.5 * length) / 2);
+		for (let i = 0; i < taper; i++) {
+			const value = 0.5 - 0.5 * Math.cos((Math.PI * i) / taper);
+			window[i] = value;
+			window[length - 1 - i] = value;
+		}
+		windows.set(length, window);
+	}
+	return windows.get(length);
+};
+
+/**
+ * Choose Rice parameters for a residual
+ * @returns {Object} - { method, order, parameters, bits }
+ */
+const planResidual = (residual, predictorOrder, blockSize, maxPartitionOrder) => {
+	// Finest split where every partition still has room past the warm-up samples
+	let maxOrder = 0;
+	while (
+		maxOrder < maxPartitionOrder &&
+		blockSize % (2 << maxOrder) === 0 &&
+		blockSize >> (maxOrder + 1) > predictorOrder
+	) {
+		maxOrder++;
+	}
+
+	// Sums of the folded residual per partition at the finest split
+	let sums = new Float64Array(1 << maxOrder);
+	const partitionSize = blockSize >> maxOrder;
+	for (let i = 0; i < residual.length; i++) {
+		const value = residual[i];
+		sums[((i + predictorOrder) / partitionSize) | 0] += value < 0 ? -2 * value - 1 : 2 * value;
+	}
+
+	let best = null;
+	for (let order = maxOrder; order >= 0; order--) {
+		const count = 1 << order;
+		const size = blockSize >> order;
+		const parameters = new Uint8Array(count);
+		let bits = 0;
+		let maxParameter = 0;
+
+		for (let p = 0; p < count; p++) {
+			const samples = size - (p === 0 ? predictorOrder : 0);
+			const sum = sums[p];
+			let parameter = 0;
+			let cost = samples + sum;
+			if (samples > 0 && sum > samples) {
+				const guess = Math.floor(Math.log2(sum / samples));
+				for (let k = Math.max(0, guess - 1); k <= Math.min(guess + 1, RICE_MAX_PARAMETER[1]); k++) {
+					const kCost = samples * (k + 1) + Math.floor(sum / 2 ** k);
+					if (kCost < cost) {
+						cost = kCost;
+						parameter = k;
+					}
+				}
+			}
+			parameters[p] = parameter;
+			maxParameter = Math.max(maxParameter, parameter);
+			bits += cost;
+		}
+
+		const method = maxParameter > RICE_MAX_PARAMETER[0] ? 1 : 0;
+		bits += 6 + count * (method ? 5 : 4);
+		if (!best || bits < best.bits) best = { method, order, parameters, bits };
+
+		if (order > 0) {
+			const merged = new Float64Array(count >> 1);
+			for (let p = 0; p < merged.length; p++) merged[p] = sums[2 * p] + sums[2 * p + 1];
+			sums = merged;
+		}
+	}
+	return best;
+};
+
+const fixedResidual = (samples, order) => {
+	const residual = new Float64Array(samples.length - order);
+	for (let i = order; i < samples.length; i++) {
+		let prediction = 0;
+		if (order === 1) {
+			prediction = samples[i - 1];
+		} else if (order === 2) {
+			prediction = 2 * samples[i - 1] - samples[i - 2];
+		} else if (order === 3) {
+			prediction = 3 * samples[i - 1] - 3 * samples[i - 2] + samples[i - 3];
+		} else if (order === 4) {
+			prediction =
+				4 * samples[i - 1] - 6 * samples[i - 2] + 4 * samples[i - 3] - samples[i - 4];
+		}
+		residual[i - order] = samples[i] - prediction;
+	}
+	return residual;
+};
+
+const lpcResidual = (samples, coefficients, shift) => {
+	const order = coefficients.length;
+	const divisor = 2 ** shift;
+	const residual = new Float64Array(samples.length - order);
+	for (let i = order; i < samples.length; i++) {
+		let sum = 0;
+		for (let j = 0; j < order; j++) sum += coefficients[j] * samples[i - j - 1];
+		const value = samples[i] - Math.floor(sum / divisor);
+		if (Math.abs(value) >= MAX_RESIDUAL) return null;
+		residual[i - order] = value;
+	}
+	return residual;
+};
+
+/**
+ * LPC coefficients for every order up to maxOrder, by Levinson-Durbin on
+ * the autocorrelation of the windowed block
+ * @returns {Object[]} - { coefficients, error } per order, starting at order 1
+ */
+const computeLpc = (samples, maxOrder) => {
+	const window = tukeyWindow(samples.length);
+	const windowed = new Float64Array(samples.length);
+	for (let i = 0; i < samples.length; i++) windowed[i] = samples[i] * window[i];
+
+	const autocorrelation = new Float64Array(maxOrder + 1);
+	for (let lag = 0; lag <= maxOrder; lag++) {
+		let sum = 0;
+		for (let i = lag; i < windowed.length; i++) sum += windowed[i] * windowed[i - lag];
+		autocorrelation[lag] = sum;
+	}
+
+	const models = [];
+	let error = autocorrelation[0];
+	let lpc = new Float64Array(0);
+	for (let order = 1; order <= maxOrder && error > 0; order++) {
+		let reflection = autocorrelation[order];
+		for (let j = 0; j < order - 1; j++) reflection -= lpc[j] * autocorrelation[order - 1 - j];
+		reflection /= error;
+
+		const next = new Float64Array(order);
+		for (let j = 0; j < order - 1; j++) next[j] = lpc[j] - reflection * lpc[order - 2 - j];
+		next[order - 1] = reflection;
+		lpc = next;
+		error *= 1 - reflection * reflection;
+		models.push({ coefficients: lpc, error });
+	}
+	return models;
+};
+
+/**
+ * Quantise LPC coefficients to integers with a common shift
+ * @returns {Object|null} - { coefficients, shift }, or null if they can't be represented
+ */
+const quantizeLpc = (lpc, precision) => {
+	const maxMagnitude = Math.max(...lpc.map(Math.abs));
+	if (!(maxMagnitude > 0)) return null;
+
+	const limit = 2 ** (precision - 1);
+	const exponent = Math.floor(Math.log2(maxMagnitude)) + 1;
+	const shift = Math.min(15, precision - 1 - exponent);
+	if (shift < 0) return null;
+
+	// Carry the rounding error forward so the filter's response stays close
+	const coefficients = new Int32Array(lpc.length);
+	let error = 0;
+	for (let i = 0; i < lpc.length; i++) {
+		error += lpc[i] * 2 ** shift;
+		const value = Math.max(-limit, Math.min(limit - 1, Math.round(error)));
+		coefficients[i] = value;
+		error -= value;
+	}
+	return { coefficients, shift };
+};
+
+// Coefficient precision the reference encoder uses for a block size
+const lpcPrecision = (blockSize, bitsPerSample) => {
+	const precision = blockSize <= 192 ? 7 : Math.min(13, 7 + Math.ceil(Math.log2(blockSize / 192)));
+	return bitsPerSample > 16 ? Math.min(15, precision + 2) : precision;
+};
+
+/**
+ * Find the smallest encoding of one channel of a block
+ * @returns {Object} - Subframe plan with its size in bits
+ */
+const planSubframe = (samples, bitsPerSample, settings) => {
+	const length = samples.length;
+	if (samples.every((value) => value === samples[0])) {
+		return { type: SUBFRAME_CONSTANT, bits: 8 + bitsPerSample };
+	}
+
+	let best = { type: SUBFRAME_VERBATIM, bits: 8 + length * bitsPerSample };
+	const consider = (plan) => {
+		if (plan.bits < best.bits) best = plan;
+	};
+
+	// Fixed polynomials: the estimate picks one order unless searching exhaustively
+	const fixedOrders = [];
+	for (let order = 0; order <= Math.min(FIXED_MAX_ORDER, length - 1); order++) {
+		fixedOrders.push(order);
+	}
+	let candidates = fixedOrders.map((order) => ({ order, residual: fixedResidual(samples, order) }));
+	if (!settings.exhaustive) {
+		const magnitude = ({ residual }) => residual.reduce((sum, value) => sum + Math.abs(value), 0);
+		candidates = [candidates.reduce((a, b) => (magnitude(b) < magnitude(a) ? b : a))];
+	}
+	for (const { order, residual } of candidates) {
+		const rice = planResidual(residual, order, length, settings.maxPartitionOrder);
+		consider({
+			type: SUBFRAME_FIXED + order,
+			order,
+			residual,
+			rice,
+			bits: 8 + order * bitsPerSample + rice.bits,
+		});
+	}
+
+	const maxLpcOrder = Math.min(settings.maxLpcOrder, length - 1);
+	if (maxLpcOrder > 0) {
+		const precision = lpcPrecision(length, bitsPerSample);
+		let models = computeLpc(samples, maxLpcOrder);
+
+		if (!settings.exhaustive && models.length > 0) {
+			// Expected bits per residual follow from the prediction error
+			const estimate = ({ error }, index) => {
+				const order = index + 1;
+				const perSample = error > 0 ? Math.max(0, 0.5 * Math.log2((0.5 * error) / length)) : 0;
+				return perSample * (length - order) + order * (bitsPerSample + precision);
+			};
+			const estimates = models.map(estimate);
+			const bestIndex = estimates.indexOf(Math.min(...estimates));
+			models = [models[bestIndex]];
+		}
+
+		for (const { coefficients: lpc } of models) {
+			const quantized = quantizeLpc(Array.from(lpc), precision);
+			if (!quantized) continue;
+
+			const order = lpc.length;
+			const residual = lpcResidual(samples, quantized.coefficients, quantized.shift);
+			if (!residual) continue;
+
+			const rice = planResidual(residual, order, length, settings.maxPartitionOrder);
+			consider({
+				type: SUBFRAME_LPC + order - 1,
+				order,
+				precision,
+				...quantized,
+				residual,
+				rice,
+				bits: 8 + order * bitsPerSample + 9 + order * precision + rice.bits,
+			});
+		}
+	}
+
+	return best;
+};
+
+const writeResidual = (writer, residual, predictorOrder, blockSize, rice) => {
+	const { method, order, parameters } = rice;
+	writer.writeBits(method, 2);
+	writer.writeBits(order, 4);
+
+	const size = blockSize >> order;
+	let index = 0;
+	for (let p = 0; p < parameters.length; p++) {
+		const parameter = parameters[p];
+		writer.writeBits(parameter, method ? 5 : 4);
+		const end = index + size - (p === 0 ? predictorOrder : 0);
+		for (; index < end; index++) writer.writeRice(residual[index], parameter);
+	}
+};
+
+const writeSubframe = (writer, samples, bitsPerSample, plan) => {
+	writer.writeBits(plan.type << 1, 8); // Zero pad bit, type, no wasted bits
+
+	if (plan.type === SUBFRAME_CONSTANT) {
+		writer.writeSigned(samples[0], bitsPerSample);
+		return;
+	}
+	if (plan.type === SUBFRAME_VERBATIM) {
+		for (let i = 0; i < samples.length; i++) writer.writeSigned(samples[i], bitsPerSample);
+		return;
+	}
+
+	for (let i = 0; i < plan.order; i++) writer.writeSigned(samples[i], bitsPerSample);
+	if (plan.type >= SUBFRAME_LPC) {
+		writer.writeBits(plan.precision - 1, 4);
+		writer.writeSigned(plan.shift, 5);
+		plan.coefficients.forEach((value) => writer.writeSigned(value, plan.precision));
+	}
+	writeResidual(writer, plan.residual, plan.order, samples.length, plan.rice);
+};
+
+// Frame numbers use the UTF-8 variable-length scheme, extended to 36 bits
+const writeFrameNumber = (writer, value) => {
+	if (value < 0x80) {
+		writer.writeBits(value, 8);
+		return;
+	}
+	const limits = [0x800, 0x10000, 0x200000, 0x4000000, 0x80000000];
+	const count = limits.findIndex((limit) => value < limit) + 2;
+	writer.writeBits(((0xff << (8 - count)) & 0xff) | (value >>> (6 * (count - 1))), 8);
+	for (let i = count - 2; i >= 0; i--) writer.writeBits(0x80 | ((value >>> (6 * i)) & 0x3f), 8);
+};
+
+const blockSizeCode = (blockSize) => {
+	if (blockSize === 192) return 1;
+	for (let code = 2; code <= 5; code++) if (blockSize === 576 << (code - 2)) return code;
+	for (let code = 8; code <= 15; code++) if (blockSize === 256 << (code - 8)) return code;
+	return blockSize <= 256 ? 6 : 7;
+};
+
+const sampleRateCode = (sampleRate) => {
+	if (SAMPLE_RATE_CODES.has(sampleRate)) return SAMPLE_RATE_CODES.get(sampleRate);
+	if (sampleRate % 1000 === 0 && sampleRate <= 255000) return 12;
+	if (sampleRate < 65536) return 13;
+	if (sampleRate % 10 === 0 && sampleRate < 655360) return 14;
+	return 0; // Only in STREAMINFO
+};
+
+const writeFrame = (writer, block, frameNumber, stream, settings) => {
+	const { bitsPerSample, sampleRate } = stream;
+	const blockSize = block[0].length;
+	const start = writer.length;
+
+	// Pick the channel layout whose subframes come out smallest
+	let assignment = CHANNEL_INDEPENDENT + block.length - 1;
+	let subframes = block.map((samples) => ({
+		samples,
+		bitsPerSample,
+		plan: planSubframe(samples, bitsPerSample, settings),
+	}));
+
+	if (block.length === 2 && settings.midSide) {
+		const [left, right] = subframes;
+		const sideSamples = new Int32Array(blockSize);
+		const midSamples = new Int32Array(blockSize);
+		for (let i = 0; i < blockSize; i++) {
+			sideSamples[i] = block[0][i] - block[1][i];
+			midSamples[i] = (block[0][i] + block[1][i]) >> 1;
+		}
+		const side = {
+			samples: sideSamples,
+			bitsPerSample: bitsPerSample + 1,
+			plan: planSubframe(sideSamples, bitsPerSample + 1, settings),
+		};
+		const mid = {
+			samples: midSamples,
+			bitsPerSample,
+			plan: planSubframe(midSamples, bitsPerSample, settings),
+		};
+
+		const layouts = [
+			[CHANNEL_INDEPENDENT + 1, [left, right]],
+			[CHANNEL_LEFT_SIDE, [left, side]],
+			[CHANNEL_RIGHT_SIDE, [side, right]],
+			[CHANNEL_MID_SIDE, [mid, side]],
+		];
+		const size = ([, pair]) => pair[0].plan.bits + pair[1].plan.bits;
+		[assignment, subframes] = layouts.reduce((a, b) => (size(b) < size(a) ? b : a));
+	}
+
+	const sizeCode = blockSizeCode(blockSize);
+	const rateCode = sampleRateCode(sampleRate);
+	writer.writeBits(0xfff8, 16); // Sync code, fixed block size
+	writer.writeBits(sizeCode, 4);
+	writer.writeBits(rateCode, 4);
+	writer.writeBits(assignment, 4);
+	writer.writeBits(SAMPLE_SIZE_CODES.get(bitsPerSample), 3);
+	writer.writeBits(0, 1);
+	writeFrameNumber(writer, frameNumber);
+	if (sizeCode === 6) writer.writeBits(blockSize - 1, 8);
+	if (sizeCode === 7) writer.writeBits(blockSize - 1, 16);
+	if (rateCode === 12) writer.writeBits(sampleRate / 1000, 8);
+	if (rateCode === 13) writer.writeBits(sampleRate, 16);
+	if (rateCode === 14) writer.writeBits(sampleRate / 10, 16);
+	writer.writeBits(crc8(writer.bytes, start, writer.length), 8);
+
+	subframes.forEach(({ samples, bitsPerSample: bits, plan }) =>
+		writeSubframe(writer, samples, bits, plan),
+	);
+	writer.alignToByte();
+	writer.writeBits(crc16(writer.bytes, start, writer.length), 16);
+
+	return writer.length - start;
+};
+
+// The MD5 signature covers the samples interleaved, little-endian, in whole bytes
+const hashBlock = (md5, block, bitsPerSample) => {
+	const bytesPerSample = Math.ceil(bitsPerSample / 8);
+	const bytes = new Uint8Array(block[0].length * block.length * bytesPerSample);
+	let offset = 0;
+	for (let i = 0; i < block[0].length; i++) {
+		for (let channel = 0; channel < block.length; channel++) {
+			const value = block[channel][i];
+			for (let b = 0; b < bytesPerSample; b++) bytes[offset++] = (value >> (8 * b)) & 0xff;
+		}
+	}
+	md5.update(bytes);
+};
+
+const writeMetadataHeader = (writer, type, length, isLast) => {
+	writer.writeBits(isLast ? 1 : 0, 1);
+	writer.writeBits(type, 7);
+	writer.writeBits(length, 24);
+};
+
+const vorbisComment = (vendor, tags) => {
+	const encoder = new TextEncoder();
+	const comments = Object.entries(tags).flatMap(([key, value]) =>
+		(Array.isArray(value) ? value : [value]).map((item) => encoder.encode(`${key}=${item}`)),
+	);
+	const vendorBytes = encoder.encode(vendor);
+	const length = 8 + vendorBytes.length + comments.reduce((sum, c) => sum + 4 + c.length, 0);
+
+	// Unlike the rest of FLAC, these lengths are little-endian
+	const bytes = new Uint8Array(length);
+	const view = new DataView(bytes.buffer);
+	view.setUint32(0, vendorBytes.length, true);
+	bytes.set(vendorBytes, 4);
+	let offset = 4 + vendorBytes.length;
+	view.setUint32(offset, comments.length, true);
+	offset += 4;
+	for (const comment of comments) {
+		view.setUint32(offset, comment.length, true);
+		bytes.set(comment, offset + 4);
+		offset += 4 + comment.length;
+	}
+	return bytes;
+};
+
+/**
+ * Encode integer samples as a FLAC file
+ * @param {Int32Array[]} channels - One array per channel, all the same length
+ * @param {Object} options
+ * @param {number} options.sampleRate - Rate of the file
+ * @param {number} options.bitsPerSample - 16 or 24 (8, 12 and 20 also work)
+ * @param {number} options.compressionLevel - 0 (fastest) to 8 (smallest)
+ * @param {Object} options.tags - Vorbis comments, such as { TITLE: "Take 1" }
+ * @param {string} options.vendor - Encoder name stored with the comments
+ * @returns {Uint8Array}
+ */
+export const encodeFlac = (
+	channels,
+	{
+		sampleRate,
+		bitsPerSample = 16,
+		compressionLevel = DEFAULT_FLAC_COMPRESSION,
+		tags = {},
+		vendor = "WebAudacity",
+	} = {},
+) => {
+	if (channels.length < 1 || channels.length > 8) {
+		throw new Error("FLAC supports 1 to 8 channels");
+	}
+	if (!SAMPLE_SIZE_CODES.has(bitsPerSample)) {
+		throw new Error(`FLAC bit depth ${bitsPerSample} not supported`);
+	}
+	const settings = FLAC_COMPRESSION_LEVELS[compressionLevel];
+	if (!settings) {
+		throw new Error(`Unknown FLAC compression level: ${compressionLevel}`);
+	}
+	if (!(sampleRate > 0 && sampleRate < 2 ** 20)) {
+		throw new Error(`FLAC sample rate ${sampleRate} not supported`);
+	}
+
+	const totalSamples = channels[0].length;
+	const blockSize = settings.blockSize;
+	const stream = { bitsPerSample, sampleRate };
+	const md5 = new Md5();
+	const frames = new BitWriter(totalSamples * channels.length * (bitsPerSample / 8) + 1024);
+	let minFrameSize = Infinity;
+	let maxFrameSize = 0;
+
+	for (let start = 0, frame = 0; start < totalSamples; start += blockSize, frame++) {
+		const block = channels.map((data) => data.subarray(start, start + blockSize));
+		hashBlock(md5, block, bitsPerSample);
+		const size = writeFrame(frames, block, frame, stream, settings);
+		minFrameSize = Math.min(minFrameSize, size);
+		maxFrameSize = Math.max(maxFrameSize, size);
+	}
+
+	const comment = vorbisComment(vendor, tags);
+	const header = new BitWriter(42 + 4 + comment.length);
+	header.writeBytes(new TextEncoder().encode("fLaC"));
+
+	writeMetadataHeader(header, 0, 34, false);
+	header.writeBits(blockSize, 16); // Minimum block size
+	header.writeBits(blockSize, 16); // Maximum block size
+	header.writeBits(maxFrameSize ? minFrameSize : 0, 24);
+	header.writeBits(maxFrameSize, 24);
+	header.writeBits(sampleRate, 20);
+	header.writeBits(channels.length - 1, 3);
+	header.writeBits(bitsPerSample - 1, 5);
+	header.writeBits(totalSamples, 36);
+	header.writeBytes(md5.digest());
+
+	writeMetadataHeader(header, 4, comment.length, true);
+	header.writeBytes(comment);
+
+	const output = new Uint8Array(header.length + frames.length);
+	output.set(header.getBytes());
+	output.set(frames.getBytes(), header.length);
+	return output;
+};
+
+export default encodeFlac;
@@ -0,0 +1,263 @@
+/**
+ * ID3 tags for WebAudacity
+ * Writes ID3v2.4 tags for MP3 exports from the metadata model (see
+ * WavMetadata): the INFO fields become text frames, the cover becomes an
+ * APIC frame, and labels become chapters (ID3v2 Chapter Frame Addendum) -
+ * one CHAP frame each, listed in order by a top-level CTOC frame, which is
+ * what podcast players show as the chapter list. A CTOC counts its entries in
+ * one byte, so longer lists are split into child tables under the top one. Reads v2.3 and v2.4 tags
+ * back into the same model when MP3 files are imported.
+ */
+
+import { createMetadata } from "./WavMetadata";
+
+// Text frames and the INFO fields they carry
+export const ID3_TEXT_FRAMES = {
+	TIT2: "INAM",
+	TPE1: "IART",
+	TALB: "IPRD",
+	TDRC: "ICRD",
+	TCON: "IGNR",
+	TCOP: "ICOP",
+};
+
+const HEADER_SIZE = 10;
+const ENCODING_LATIN1 = 0;
+const ENCODING_UTF16 = 1;
+const ENCODING_UTF16BE = 2;
+const ENCODING_UTF8 = 3;
+const PICTURE_FRONT_COVER = 3;
+const TOC_ID = "toc";
+// CTOC flags: the top-level table, with its entries in order
+const CTOC_TOP_LEVEL = 0x02;
+const CTOC_ORDERED = 0x01;
+const MAX_TOC_ENTRIES = 255;
+// CHAP byte offsets we don't use
+const NO_OFFSET = 0xffffffff;
+
+const ascii = (text) => Uint8Array.from(text, (c) => c.charCodeAt(0));
+
+const concat = (parts) => {
+	const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+	let offset = 0;
+	for (const part of parts) {
+		bytes.set(part, offset);
+		offset += part.length;
+	}
+	return bytes;
+};
+
+const synchsafe = (value) =>
+	Uint8Array.of((value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f);
+
+const readSynchsafe = (bytes, offset) =>
+	(bytes[offset] << 21) | (bytes[offset + 1] << 14) | (bytes[offset + 2] << 7) | bytes[offset + 3];
+
+const uint32 = (value) => {
+	const bytes = new Uint8Array(4);
+	new DataView(bytes.buffer).setUint32(0, value);
+	return bytes;
+};
+
+const utf8 = (text) => new TextEncoder().encode(text);
+
+/**
+ * Build one v2.4 frame
+ * @param {string} id - Four-character frame ID
+ * @param {Uint8Array} body - Frame content
+ * @returns {Uint8Array}
+ */
+export const id3Frame = (id, body) =>
+	concat([ascii(id), synchsafe(body.length), new Uint8Array(2), body]);
+
+const textFrame = (id, text) => id3Frame(id, concat([Uint8Array.of(ENCODING_UTF8), utf8(text)]));
+
+const tocFrame = ({ id, flags, entries }) => {
+	const ids = entries.map((entry) => ascii(`${entry}\0`));
+	return id3Frame("CTOC", concat([ascii(`${id}\0`), Uint8Array.of(flags, entries.length), ...ids]));
+};
+
+/**
+ * CTOC frames listing element IDs in order, nesting tables a level at a time
+ * until the top one has few enough entries
+ * @param {string[]} entries - Chapter IDs
+ * @returns {Uint8Array[]} - The top-level table first
+ */
+const tocFrames = (entries) => {
+	const tables = [];
+	for (let depth = 1; entries.length > MAX_TOC_ENTRIES; depth++) {
+		const groups = Math.ceil(entries.length / MAX_TOC_ENTRIES);
+		entries = Array.from({ length: groups }, (_, i) => {
+			const id = `${TOC_ID}${depth}.${i}`;
+			const group = entries.slice(i * MAX_TOC_ENTRIES, (i + 1) * MAX_TOC_ENTRIES);
+			tables.push({ id, flags: CTOC_ORDERED, entries: group });
+			return id;
+		});
+	}
+	tables.unshift({ id: TOC_ID, flags: CTOC_TOP_LEVEL | CTOC_ORDERED, entries });
+	return tables.map(tocFrame);
+};
+
+/**
+ * Chapters from labels: a region ends where it ends, a point label runs to
+ * the next label or the end of the audio
+ * @param {Object[]} labels - { time, endTime, text } in seconds
+ * @param {number} duration - Length of the audio in seconds
+ * @returns {Object[]} - { id, start, end, title } with times in milliseconds
+ */
+export const labelsToChapters = (labels, duration) => {
+	const sorted = [...labels].sort((a, b) => a.time - b.time);
+	return sorted.map((label, i) => {
+		const hasEnd = label.endTime !== null && label.endTime !== undefined;
+		const end = hasEnd ? label.endTime : (sorted[i + 1]?.time ?? duration);
+		return {
+			id: `chp${i}`,
+			start: Math.round(label.time * 1000),
+			end: Math.round(Math.max(end, label.time) * 1000),
+			title: label.text ?? "",
+		};
+	});
+};
+
+/**
+ * Build an ID3v2.4 tag
+ * @param {Object} metadata - Metadata model; its info fields and cover are written
+ * @param {Object[]} labels - Labels, written as chapters
+ * @param {number} duration - Length of the audio in seconds, where the last chapter ends
+ * @returns {Uint8Array} - The tag, empty if there is nothing to write
+ */
+export const buildId3Tag = (metadata, labels = [], duration = 0) => {
+	const info = metadata?.info ?? {};
+	const frames = [];
+
+	for (const [id, field] of Object.entries(ID3_TEXT_FRAMES)) {
+		if (info[field]) frames.push(textFrame(id, info[field]));
+	}
+	if (info.ICMT) {
+		// Language, then an empty description before the text
+		const comment = [Uint8Array.of(ENCODING_UTF8), ascii("eng"), new Uint8Array(1), utf8(info.ICMT)];
+		frames.push(id3Frame("COMM", concat(comment)));
+	}
+	if (metadata?.cover?.data?.length) {
+		const { mimeType, data } = metadata.cover;
+		// Encoding, MIME type, picture type, then an empty description before the image
+		const picture = [
+			Uint8Array.of(ENCODING_UTF8),
+			ascii(mimeType || "image/jpeg"),
+			Uint8Array.of(0, PICTURE_FRONT_COVER, 0),
+			data,
+		];
+		frames.push(id3Frame("APIC", concat(picture)));
+	}
+
+	const chapters = labelsToChapters(labels, duration);
+	if (chapters.length > 0) {
+		frames.push(...tocFrames(chapters.map((chapter) => chapter.id)));
+		for (const chapter of chapters) {
+			const times = [chapter.start, chapter.end, NO_OFFSET, NO_OFFSET].map(uint32);
+			const title = chapter.title ? [textFrame("TIT2", chapter.title)] : [];
+			frames.push(id3Frame("CHAP", concat([ascii(`${chapter.id}\0`), ...times, ...title])));
+		}
+	}
+
+	if (frames.length === 0) return new Uint8Array(0);
+	const body = concat(frames);
+	return concat([ascii("ID3"), Uint8Array.of(4, 0, 0), synchsafe(body.length), body]);
+};
+
+const decodeText = (encoding, bytes) => {
+	if (encoding === ENCODING_UTF16 || encoding === ENCODING_UTF16BE) {
+		const bigEndian = encoding === ENCODING_UTF16BE || (bytes[0] === 0xfe && bytes[1] === 0xff);
+		const hasBom = encoding === ENCODING_UTF16 && bytes.length >= 2;
+		const text = bytes.subarray(hasBom ? 2 : 0);
+		return new TextDecoder(bigEndian ? "utf-16be" : "utf-16le").decode(text);
+	}
+	return new TextDecoder(encoding === ENCODING_UTF8 ? "utf-8" : "latin1").decode(bytes);
+};
+
+// Where a terminated string ends: one zero byte, or two aligned ones in UTF-16
+const terminatorEnd = (encoding, bytes, start) => {
+	if (encoding === ENCODING_UTF16 || encoding === ENCODING_UTF16BE) {
+		for (let i = start; i + 1 < bytes.length; i += 2) {
+			if (bytes[i] === 0 && bytes[i + 1] === 0) return [i, i + 2];
+		}
+	} else {
+		const end = bytes.indexOf(0, start);
+		if (end >= 0) return [end, end + 1];
+	}
+	return [bytes.length, bytes.length];
+};
+
+// The first value of a text frame (v2.4 separates several with zeros)
+const readTextFrame = (body) => {
+	const [end] = terminatorEnd(body[0], body, 1);
+	return decodeText(body[0], body.subarray(1, end));
+};
+
+const readFrames = (bytes, start, end, version) => {
+	const frames = [];
+	for (let offset = start; offset + HEADER_SIZE <= end; ) {
+		const id = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+		if (!/^[A-Z0-9]{4}$/.test(id)) break; // Padding
+		// v2.3 frame sizes are plain integers; v2.4 made them synchsafe like the tag's
+		const size =
+			version >= 4
+				? readSynchsafe(bytes, offset + 4)
+				: new DataView(bytes.buffer, bytes.byteOffset).getUint32(offset + 4);
+		const bodyEnd = Math.min(offset + HEADER_SIZE + size, end);
+		frames.push({ id, body: bytes.subarray(offset + HEADER_SIZE, bodyEnd) });
+		offset += HEADER_SIZE + size;
+	}
+	return frames;
+};
+
+/**
+ * Read an ID3v2.3 or v2.4 tag at the start of a file
+ * @param {ArrayBuffer} arrayBuffer - The file
+ * @returns {Object|null} - { size, metadata, labels } or null if there is no tag;
+ *   size covers the header, so the audio starts there
+ */
+export const readId3Tag = (arrayBuffer) => {
+	const bytes = new Uint8Array(arrayBuffer);
+	if (bytes.length < HEADER_SIZE || String.fromCharCode(...bytes.subarray(0, 3)) !== "ID3") {
+		return null;
+	}
+	const version = bytes[3];
+	const size = HEADER_SIZE + readSynchsafe(bytes, 6);
+	const metadata = createMetadata();
+	const labels = [];
+	// Unsynchronised and extended-header tags are rare enough to leave alone
+	if (version < 3 || version > 4 || bytes[5] & 0xc0) return { size, metadata, labels };
+
+	const textFields = { ...ID3_TEXT_FRAMES, TYER: "ICRD" };
+	const frames = readFrames(bytes, HEADER_SIZE, Math.min(size, bytes.length), version);
+	for (const { id, body } of frames) {
+		if (body.length === 0) continue;
+		if (textFields[id]) {
+			metadata.info[textFields[id]] = readTextFrame(body);
+		} else if (id === "COMM" && body.length >= 4) {
+			const [, textStart] = terminatorEnd(body[0], body, 4);
+			metadata.info.ICMT = decodeText(body[0], body.subarray(textStart));
+		} else if (id === "APIC") {
+			const mimeEnd = body.indexOf(0, 1);
+			const [, dataStart] = terminatorEnd(body[0], body, mimeEnd + 2);
+			metadata.cover = {
+				mimeType: decodeText(ENCODING_LATIN1, body.subarray(1, mimeEnd)),
+				data: body.slice(dataStart),
+			};
+		} else if (id === "CHAP") {
+			const idEnd = body.indexOf(0);
+			const view = new DataView(body.buffer, body.byteOffset, body.byteLength);
+			const start = view.getUint32(idEnd + 1);
+			const end = view.getUint32(idEnd + 5);
+			// Sub-frames follow the element ID, the times and the byte offsets
+			const subFrames = readFrames(body, idEnd + 17, body.length, version);
+			const title = subFrames.find((frame) => frame.id === "TIT2");
+			labels.push({ time: start / 1000, endTime: end / 1000, text: title ? readTextFrame(title.body) : "" });
+		}
+	}
+	labels.sort((a, b) => a.time - b.time);
+	return { size, metadata, labels };
+};
+
+export default buildId3Tag;
@@ -0,0 +1,101 @@
+/**
+ * IndexedDB Store for WebAudacity
+ * Promise wrapper around one IndexedDB database
+ */
+
+/**
+ * Resolve with an IDBRequest's result
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<any>}
+ */
+export const requestToPromise = (request) =>
+	new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+
+export class IndexedDBStore {
+	/**
+	 * @param {string} name - Database name
+	 * @param {number} version - Schema version
+	 * @param {Function} upgrade - Called with (db, oldVersion) to create object stores
+	 */
+	constructor(name, version, upgrade) {
+		this.name = name;
+		this.version = version;
+		this.upgrade = upgrade;
+		this.opening = null;
+	}
+
+	static isSupported() {
+		return typeof indexedDB !== "undefined";
+	}
+
+	/**
+	 * Open the database, once
+	 * @returns {Promise<IDBDatabase>}
+	 */
+	open() {
+		if (!this.opening) {
+			const request = indexedDB.open(this.name, this.version);
+			request.onupgradeneeded = (event) => {
+				this.upgrade?.(request.result, event.oldVersion);
+			};
+			this.opening = requestToPromise(request);
+			this.opening.catch(() => {
+				this.opening = null;
+			});
+		}
+		return this.opening;
+	}
+
+	/**
+	 * Run work inside a transaction
+	 * @param {string|string[]} storeNames - Object stores the transaction covers
+	 * @param {string} mode - "readonly" or "readwrite"
+	 * @param {Function} work - Called with the object stores (one argument per name); may return a request
+	 * @returns {Promise<any>} - The request's result, once the transaction has committed
+	 */
+	async transaction(storeNames, mode, work) {
+		const db = await this.open();
+		const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+
+		return new Promise((resolve, reject) => {
+			const transaction = db.transaction(names, mode);
+			const request = work(...names.map((name) => transaction.objectStore(name)));
+
+			transaction.oncomplete = () => resolve(request?.result);
+			transaction.onerror = () => reject(transaction.error);
+			transaction.onabort = () => reject(transaction.error || new Error("Transaction aborted"));
+		});
+	}
+
+	get(storeName, key) {
+		return this.transaction(storeName, "readonly", (store) => store.get(key));
+	}
+
+	getAll(storeName, query) {
+		return this.transaction(storeName, "readonly", (store) => store.getAll(query));
+	}
+
+	getAllKeys(storeName, query) {
+		return this.transaction(storeName, "readonly", (store) => store.getAllKeys(query));
+	}
+
+	put(storeName, value) {
+		return this.transaction(storeName, "readwrite", (store) => store.put(value));
+	}
+
+	delete(storeName, query) {
+		return this.transaction(storeName, "readwrite", (store) => store.delete(query));
+	}
+
+	close() {
+		if (this.opening) {
+			this.opening.then((db) => db.close()).catch(() => {});
+			this.opening = null;
+		}
+	}
+}
+
+export default IndexedDBStore;
@@ -225,6 +225,20 @@ export class LabelTrackManager {
 		return importedCount;
 	}
 
+	/**
+	 * Replace all labels with saved ones, keeping their IDs and properties
+	 * @param {Array} labels - Label objects as returned by getAllLabels
+	 */
+	loadLabels(labels) {
+		this.labels.clear();
+		for (const label of labels) {
+			this.labels.set(label.id, { ...label });
+			const number = parseInt(label.id.replace("label_", ""), 10);
+			if (number >= this.nextId) this.nextId = number + 1;
+		}
+		this.notifyLabelsChanged();
+	}
+
 	/**
 	 * Clear all labels
 	 */
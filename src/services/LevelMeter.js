@@ -0,0 +1,132 @@
+/**
+ * Level Meter for WebAudacity
+ * Taps an audio node with one AnalyserNode per channel and reports peak and RMS
+ * levels in dBFS, with peak hold and latched clip indicators
+ */
+
+// Lowest level the meters show; anything quieter reads as -Infinity
+export const METER_FLOOR_DB = -60;
+// A sample at or above full scale counts as a clip
+const CLIP_LEVEL = 1;
+
+/**
+ * Convert a linear amplitude to dBFS
+ * @param {number} linear - Amplitude (1 = full scale)
+ * @returns {number}
+ */
+export const toDecibels = (linear) => (linear > 0 ? 20 * Math.log10(linear) : -Infinity);
+
+/**
+ * Measure a block of samples
+ * @param {Float32Array} samples - Time-domain data
+ * @returns {{peak: number, rms: number, clipped: boolean}} - Linear levels
+ */
+export const measureBlock = (samples) => {
+	let peak = 0;
+	let sumSquares = 0;
+
+	for (let i = 0; i < samples.length; i++) {
+		const value = Math.abs(samples[i]);
+		if (value > peak) peak = value;
+		sumSquares += samples[i] * samples[i];
+	}
+
+	return {
+		peak,
+		rms: samples.length > 0 ? Math.sqrt(sumSquares / samples.length) : 0,
+		clipped: peak >= CLIP_LEVEL,
+	};
+};
+
+export class LevelMeter {
+	/**
+	 * @param {AudioContext} audioContext - Context the tapped node lives in
+	 * @param {Object} options
+	 * @param {number} options.channelCount - Channels to meter
+	 * @param {number} options.fftSize - Samples read per channel on each update
+	 * @param {number} options.peakHoldTime - Seconds a peak-hold marker stays before dropping
+	 */
+	constructor(audioContext, { channelCount = 2, fftSize = 2048, peakHoldTime = 1.5 } = {}) {
+		this.audioContext = audioContext;
+		this.channelCount = channelCount;
+		this.peakHoldTime = peakHoldTime;
+		this.source = null;
+
+		this.splitter = audioContext.createChannelSplitter(channelCount);
+		this.analysers = [];
+		for (let c = 0; c < channelCount; c++) {
+			const analyser = audioContext.createAnalyser();
+			analyser.fftSize = fftSize;
+			this.splitter.connect(analyser, c);
+			this.analysers.push(analyser);
+		}
+
+		this.samples = new Float32Array(fftSize);
+		this.holds = Array.from({ length: channelCount }, () => ({ level: 0, time: 0 }));
+		this.clipped = new Array(channelCount).fill(false);
+	}
+
+	/**
+	 * Start metering a node
+	 * @param {AudioNode} source - Node to tap
+	 */
+	connect(source) {
+		this.disconnect();
+		source.connect(this.splitter);
+		this.source = source;
+	}
+
+	disconnect() {
+		if (this.source) {
+			this.source.disconnect(this.splitter);
+			this.source = null;
+		}
+	}
+
+	/**
+	 * Read the current levels
+	 * @param {number} now - Current time in seconds, used for peak hold
+	 * @returns {Array<{peak: number, rms: number, peakHold: number, clipped: boolean}>} - dBFS per channel
+	 */
+	read(now = performance.now() / 1000) {
+		return this.analysers.map((analyser, channel) => {
+			analyser.getFloatTimeDomainData(this.samples);
+			const { peak, rms, clipped } = measureBlock(this.samples);
+
+			const hold = this.holds[channel];
+			if (peak >= hold.level || now - hold.time > this.peakHoldTime) {
+				hold.level = peak;
+				hold.time = now;
+			}
+			if (clipped) {
+				this.clipped[channel] = true;
+			}
+
+			return {
+				peak: toDecibels(peak),
+				rms: toDecibels(rms),
+				peakHold: toDecibels(hold.level),
+				clipped: this.clipped[channel],
+			};
+		});
+	}
+
+	/**
+	 * Clear the latched clip indicators and peak holds
+	 */
+	reset() {
+		this.clipped.fill(false);
+		this.holds.forEach((hold) => {
+			hold.level = 0;
+			hold.time = 0;
+		});
+	}
+
+	destroy() {
+		this.disconnect();
+		this.splitter.disconnect();
+		this.analysers.forEach((analyser) => analyser.disconnect());
+	}
+}
+
+export default LevelMeter;
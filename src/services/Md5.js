@@ -0,0 +1,118 @@
+/**
+ * MD5 for WebAudacity
+ * Incremental MD5 (RFC 1321). Web Crypto has no MD5, but FLAC's STREAMINFO
+ * block needs one as the signature of the decoded audio.
+ */
+
+// Per-round rotation amounts
+const SHIFTS = [
+	7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9,
+	14, 20, 5, 9, 14, 20, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 6, 10, 15, 21,
+	6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21,
+];
+const CONSTANTS = Uint32Array.from({ length: 64 }, (_, i) =>
+	Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32),
+);
+
+export class Md5 {
+	constructor() {
+		this.state = new Uint32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]);
+		this.pending = new Uint8Array(64);
+		this.pendingLength = 0;
+		this.length = 0; // Bytes hashed so far
+		this.words = new Uint32Array(16);
+	}
+
+	/**
+	 * Add bytes to the hash
+	 * @param {Uint8Array} bytes
+	 * @returns {Md5} - This hash, for chaining
+	 */
+	update(bytes) {
+		this.length += bytes.length;
+		let offset = 0;
+
+		if (this.pendingLength > 0) {
+			offset = Math.min(64 - this.pendingLength, bytes.length);
+			this.pending.set(bytes.subarray(0, offset), this.pendingLength);
+			this.pendingLength += offset;
+			if (this.pendingLength < 64) return this;
+			this.processBlock(this.pending, 0);
+			this.pendingLength = 0;
+		}
+
+		for (; offset + 64 <= bytes.length; offset += 64) {
+			this.processBlock(bytes, offset);
+		}
+		this.pending.set(bytes.subarray(offset));
+		this.pendingLength = bytes.length - offset;
+		return this;
+	}
+
+	/**
+	 * Finish the hash. The object can't be updated afterwards.
+	 * @returns {Uint8Array} - 16-byte digest
+	 */
+	digest() {
+		const bitLength = this.length * 8;
+		const padding = new Uint8Array((this.pendingLength < 56 ? 56 : 120) - this.pendingLength + 8);
+		padding[0] = 0x80;
+		const view = new DataView(padding.buffer);
+		view.setUint32(padding.length - 8, bitLength >>> 0, true);
+		view.setUint32(padding.length - 4, Math.floor(bitLength / 2 ** 32), true);
+		this.update(padding);
+
+		const digest = new Uint8Array(16);
+		const digestView = new DataView(digest.buffer);
+		this.state.forEach((word, i) => digestView.setUint32(i * 4, word, true));
+		return digest;
+	}
+
+	processBlock(bytes, offset) {
+		const words = this.words;
+		for (let i = 0; i < 16; i++) {
+			const o = offset + i * 4;
+			words[i] = bytes[o] | (bytes[o + 1] << 8) | (bytes[o + 2] << 16) | (bytes[o + 3] << 24);
+		}
+
+		let [a, b, c, d] = this.state;
+		for (let i = 0; i < 64; i++) {
+			let f;
+			let g;
+			if (i < 16) {
+				f = (b & c) | (~b & d);
+				g = i;
+			} else if (i < 32) {
+				f = (d & b) | (~d & c);
+				g = (5 * i + 1) % 16;
+			} else if (i < 48) {
+				f = b ^ c ^ d;
+				g = (3 * i + 5) % 16;
+			} else {
+				f = c ^ (b | ~d);
+				g = (7 * i) % 16;
+			}
+
+			const sum = (a + f + CONSTANTS[i] + words[g]) | 0;
+			a = d;
+			d = c;
+			c = b;
+			b = (b + ((sum << SHIFTS[i]) | (sum >>> (32 - SHIFTS[i])))) | 0;
+		}
+
+		this.state[0] += a;
+		this.state[1] += b;
+		this.state[2] += c;
+		this.state[3] += d;
+	}
+}
+
+/**
+ * Hex string of a digest, as tools print it
+ * @param {Uint8Array} digest
+ * @returns {string}
+ */
+export const toHex = (digest) =>
+	Array.from(digest, (byte) => byte.toString(16).padStart(2, "0")).join("");
+
+export default Md5;
@@ -0,0 +1,141 @@
+/**
+ * Mixdown for WebAudacity
+ * Sums tracks into one buffer the way the realtime graph does during playback:
+ * each track goes through its fader gain, gain envelope and an equal-power
+ * stereo panner into a stereo bus, which is then mixed to the channel count
+ * being exported. Pure JS, so it runs without an OfflineAudioContext.
+ */
+
+/**
+ * Up- or down-mix channels following the Web Audio "speakers" rules
+ * (mono, stereo, quad and 5.1); other layouts are mapped channel for channel.
+ * @param {Float32Array[]} channels - Input channels, all the same length
+ * @param {number} numberOfChannels - Channel count wanted
+ * @returns {Float32Array[]} - The input itself if the count already matches
+ */
+export const mixChannels = (channels, numberOfChannels) => {
+	const inputCount = channels.length;
+	if (inputCount === numberOfChannels) return channels;
+
+	const length = channels[0]?.length ?? 0;
+	const output = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+	const add = (target, source, gain = 1) => {
+		for (let i = 0; i < length; i++) target[i] += source[i] * gain;
+	};
+
+	if (inputCount === 1 && (numberOfChannels === 2 || numberOfChannels === 4)) {
+		output[0].set(channels[0]);
+		output[1].set(channels[0]);
+	} else if (inputCount === 1 && numberOfChannels === 6) {
+		output[2].set(channels[0]); // Centre
+	} else if (inputCount === 2 && numberOfChannels === 1) {
+		add(output[0], channels[0], 0.5);
+		add(output[0], channels[1], 0.5);
+	} else if (inputCount === 4 && numberOfChannels === 1) {
+		channels.forEach((data) => add(output[0], data, 0.25));
+	} else if (inputCount === 4 && numberOfChannels === 2) {
+		add(output[0], channels[0], 0.5);
+		add(output[0], channels[2], 0.5);
+		add(output[1], channels[1], 0.5);
+		add(output[1], channels[3], 0.5);
+	} else if (inputCount === 6 && numberOfChannels === 1) {
+		add(output[0], channels[0], Math.SQRT1_2);
+		add(output[0], channels[1], Math.SQRT1_2);
+		add(output[0], channels[2]);
+		add(output[0], channels[4], 0.5);
+		add(output[0], channels[5], 0.5);
+	} else if (inputCount === 6 && numberOfChannels === 2) {
+		// The LFE channel is dropped, as Web Audio does
+		add(output[0], channels[0]);
+		add(output[0], channels[2], Math.SQRT1_2);
+		add(output[0], channels[4], Math.SQRT1_2);
+		add(output[1], channels[1]);
+		add(output[1], channels[2], Math.SQRT1_2);
+		add(output[1], channels[5], Math.SQRT1_2);
+	} else {
+		// Discrete: copy what fits, leave the rest silent
+		for (let c = 0; c < Math.min(inputCount, numberOfChannels); c++) {
+			output[c].set(channels[c]);
+		}
+	}
+
+	return output;
+};
+
+/**
+ * Fade in at the start and out at the end, in place, so a range cut from the
+ * middle of the audio doesn't start or stop with a click
+ * @param {Float32Array[]} channels - Channels, all the same length
+ * @param {number} fadeLength - Samples per fade; at most half the length
+ */
+export const fadeEdges = (channels, fadeLength) => {
+	const length = channels[0]?.length ?? 0;
+	const samples = Math.min(Math.round(fadeLength), Math.floor(length / 2));
+	for (const data of channels) {
+		for (let i = 0; i < samples; i++) {
+			const gain = i / samples;
+			data[i] *= gain;
+			data[length - 1 - i] *= gain;
+		}
+	}
+};
+
+export class Mixdown {
+	/**
+	 * @param {number} length - Frames in the mix
+	 */
+	constructor(length) {
+		this.length = length;
+		this.bus = [new Float32Array(length), new Float32Array(length)];
+	}
+
+	/**
+	 * Add a track to the stereo bus
+	 * @param {Float32Array[]} channels - Track audio from the mix start, already at the mix rate
+	 * @param {Object} options
+	 * @param {number} options.gain - Fader gain
+	 * @param {number} options.pan - -1 (left) .. 1 (right)
+	 * @param {Float32Array} options.envelope - Gain per frame of the track, or null
+	 */
+	addTrack(channels, { gain = 1, pan = 0, envelope = null } = {}) {
+		if (channels.length === 0) return;
+
+		// The panner takes at most two channels; wider input is down-mixed first
+		const input = channels.length > 2 ? mixChannels(channels, 2) : channels;
+		const frames = Math.min(input[0].length, this.length);
+		const [left, right] = this.bus;
+
+		// Equal-power panning, as StereoPannerNode does it
+		const clamped = Math.max(-1, Math.min(1, pan));
+		const x = input.length === 1 ? (clamped + 1) / 2 : clamped <= 0 ? clamped + 1 : clamped;
+		const panLeft = Math.cos((x * Math.PI) / 2);
+		const panRight = Math.sin((x * Math.PI) / 2);
+
+		for (let i = 0; i < frames; i++) {
+			const g = envelope ? gain * envelope[i] : gain;
+
+			if (input.length === 1) {
+				const sample = input[0][i] * g;
+				left[i] += sample * panLeft;
+				right[i] += sample * panRight;
+			} else if (clamped <= 0) {
+				left[i] += (input[0][i] + input[1][i] * panLeft) * g;
+				right[i] += input[1][i] * panRight * g;
+			} else {
+				left[i] += input[0][i] * panLeft * g;
+				right[i] += (input[1][i] + input[0][i] * panRight) * g;
+			}
+		}
+	}
+
+	/**
+	 * The finished mix
+	 * @param {number} numberOfChannels - Channel count wanted
+	 * @returns {Float32Array[]}
+	 */
+	render(numberOfChannels = 2) {
+		return mixChannels(this.bus, numberOfChannels);
+	}
+}
+
+export default Mixdown;
@@ -0,0 +1,146 @@
+/**
+ * MP3 encoder for WebAudacity
+ * Drives the LAME port in lamejs. Its Mp3Encoder wrapper is fixed to plain
+ * stereo, so we wire up the encoder modules ourselves to choose joint stereo,
+ * stereo or mono. lamejs only has LAME's constant-bitrate loop (its VBR and
+ * ABR loops were never ported), so the bitrate is constant; sources above
+ * 48 kHz are resampled to 48 kHz by LAME.
+ */
+
+import BitStream from "lamejs/src/js/BitStream.js";
+import GainAnalysis from "lamejs/src/js/GainAnalysis.js";
+import Lame from "lamejs/src/js/Lame.js";
+import MPEGMode from "lamejs/src/js/MPEGMode.js";
+import Presets from "lamejs/src/js/Presets.js";
+import Quantize from "lamejs/src/js/Quantize.js";
+import QuantizePVT from "lamejs/src/js/QuantizePVT.js";
+import Reservoir from "lamejs/src/js/Reservoir.js";
+import Takehiro from "lamejs/src/js/Takehiro.js";
+import VBRTag from "lamejs/src/js/VBRTag.js";
+import Version from "lamejs/src/js/Version.js";
+
+export const MP3_BITRATES = [32, 48, 64, 96, 128, 160, 192, 224, 256, 320]; // kbps
+export const DEFAULT_MP3_BITRATE = 128;
+export const MP3_CHANNEL_MODES = {
+	joint: MPEGMode.JOINT_STEREO,
+	stereo: MPEGMode.STEREO,
+	mono: MPEGMode.MONO,
+};
+export const DEFAULT_MP3_CHANNEL_MODE = "joint";
+
+const FRAME_SIZE = 1152;
+const QUALITY = 3; // LAME's algorithm quality, 0 (best) to 9 (fastest)
+
+// Some lamejs modules use these without requiring them, but only look them up while encoding
+const LAME_GLOBALS = { BitStream, Lame, MPEGMode };
+
+// Run with the lamejs globals in place, putting back whatever was there before
+const withLameGlobals = (run) => {
+	const saved = Object.keys(LAME_GLOBALS).map((name) => [
+		name,
+		Object.getOwnPropertyDescriptor(globalThis, name),
+	]);
+	Object.assign(globalThis, LAME_GLOBALS);
+	try {
+		return run();
+	} finally {
+		for (const [name, descriptor] of saved) {
+			if (descriptor) Object.defineProperty(globalThis, name, descriptor);
+			else delete globalThis[name];
+		}
+	}
+};
+
+// The module wiring of lamejs's own Mp3Encoder, minus the decoder and tag writer
+const createLame = () => {
+	const lame = new Lame();
+	const gain = new GainAnalysis();
+	const bitStream = new BitStream();
+	const presets = new Presets();
+	const quantizePvt = new QuantizePVT();
+	const quantize = new Quantize();
+	const vbrTag = new VBRTag();
+	const version = new Version();
+	const reservoir = new Reservoir();
+	const takehiro = new Takehiro();
+	const id3 = { setModules() {} };
+	const mpgLib = {};
+
+	lame.setModules(gain, bitStream, presets, quantizePvt, quantize, vbrTag, version, id3, mpgLib);
+	bitStream.setModules(gain, mpgLib, version, vbrTag);
+	presets.setModules(lame);
+	quantize.setModules(bitStream, reservoir, quantizePvt, takehiro);
+	quantizePvt.setModules(takehiro, reservoir, lame.enc.psy);
+	reservoir.setModules(bitStream);
+	takehiro.setModules(quantizePvt);
+	vbrTag.setModules(lame, bitStream, version);
+	return lame;
+};
+
+// Run the samples through a fresh encoder; LAME's bit reservoir stays on, as in lame itself
+const encode = (channels, sampleRate, bitrate, mode) => {
+	const lame = createLame();
+	const flags = lame.lame_init();
+	flags.num_channels = channels.length;
+	flags.in_samplerate = sampleRate;
+	flags.brate = bitrate;
+	flags.mode = channels.length === 1 ? MPEGMode.MONO : mode;
+	flags.quality = QUALITY;
+	flags.bWriteVbrTag = false;
+	flags.write_id3tag_automatic = false;
+	if (lame.lame_init_params(flags) !== 0) {
+		throw new Error(`MP3 encoder rejected ${sampleRate} Hz at ${bitrate} kbps`);
+	}
+
+	const [left, right = left] = channels;
+	// Worst case from the LAME documentation: 1.25 times the samples plus 7200 bytes
+	const output = new Int8Array(Math.ceil(1.25 * FRAME_SIZE) + 7200);
+	const chunks = [];
+	for (let i = 0; i < left.length; i += FRAME_SIZE) {
+		const length = Math.min(FRAME_SIZE, left.length - i);
+		const size = lame.lame_encode_buffer(
+			flags,
+			left.subarray(i, i + length),
+			right.subarray(i, i + length),
+			length,
+			output,
+			0,
+			output.length,
+		);
+		if (size > 0) chunks.push(new Uint8Array(output.buffer.slice(0, size)));
+	}
+	const size = lame.lame_encode_flush(flags, output, 0, output.length);
+	if (size > 0) chunks.push(new Uint8Array(output.buffer.slice(0, size)));
+
+	const bytes = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+	let offset = 0;
+	for (const chunk of chunks) {
+		bytes.set(chunk, offset);
+		offset += chunk.length;
+	}
+	return bytes;
+};
+
+/**
+ * Encode 16-bit samples as an MPEG audio stream
+ * @param {Int16Array[]} channels - One or two channels
+ * @param {Object} options
+ * @param {number} options.sampleRate - Rate of the channels
+ * @param {number} options.bitrate - Constant bitrate in kbps
+ * @param {string} options.channelMode - joint, stereo or mono (two channels are averaged)
+ * @returns {Uint8Array} - MP3 frames, without tags
+ */
+export const encodeMp3 = (
+	channels,
+	{ sampleRate, bitrate = DEFAULT_MP3_BITRATE, channelMode = DEFAULT_MP3_CHANNEL_MODE } = {},
+) => {
+	if (channels.length < 1 || channels.length > 2) {
+		throw new Error("MP3 export supports mono and stereo");
+	}
+	const mode = MP3_CHANNEL_MODES[channelMode];
+	if (!mode) throw new Error(`MP3 channel mode ${channelMode} not supported`);
+
+	return withLameGlobals(() => encode(channels, sampleRate, bitrate, mode));
+};
+
+export default encodeMp3;
@@ -0,0 +1,206 @@
+/**
+ * Ogg container for WebAudacity
+ * Packs codec packets into Ogg pages (RFC 3533) and reads them back. Each page
+ * carries the granule position of the last packet that ends on it; packets
+ * longer than a page continue on the next one.
+ */
+
+const HEADER_CONTINUED = 0x01;
+const HEADER_BEGIN = 0x02;
+const HEADER_END = 0x04;
+
+// Pages are closed once they hold this much data
+const TARGET_PAGE_SIZE = 4096;
+const MAX_SEGMENTS = 255;
+
+const CRC_TABLE = Uint32Array.from({ length: 256 }, (_, n) => {
+	let crc = n << 24;
+	for (let k = 0; k < 8; k++) crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+	return crc >>> 0;
+});
+
+/**
+ * Ogg page checksum: CRC-32 with polynomial 0x04c11db7, unreflected, no final XOR
+ * @param {Uint8Array} bytes - The page with its checksum field zeroed
+ * @returns {number}
+ */
+export const oggCrc = (bytes) => {
+	let crc = 0;
+	for (let i = 0; i < bytes.length; i++) {
+		crc = (crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ bytes[i]) & 0xff];
+	}
+	return crc >>> 0;
+};
+
+export class OggWriter {
+	/**
+	 * @param {number} serial - Logical stream serial number
+	 */
+	constructor(serial = Math.floor(Math.random() * 2 ** 32)) {
+		this.serial = serial >>> 0;
+		this.sequence = 0;
+		this.pages = [];
+		this.segments = [];
+		this.chunks = [];
+		this.pageSize = 0;
+		this.granulePosition = -1; // Of the last packet completed on the open page
+		this.continued = false;
+	}
+
+	/**
+	 * Add a packet to the stream
+	 * @param {Uint8Array} packet - Packet data
+	 * @param {number} granulePosition - Codec position at the end of the packet
+	 * @param {Object} options
+	 * @param {boolean} options.flush - End the page after this packet (header packets)
+	 * @param {boolean} options.endOfStream - This is the last packet
+	 */
+	writePacket(packet, granulePosition, { flush = false, endOfStream = false } = {}) {
+		let offset = 0;
+		for (;;) {
+			if (this.segments.length === MAX_SEGMENTS) {
+				this.flushPage();
+				// Only a page that opens in the middle of a packet continues one
+				this.continued = offset > 0;
+			}
+			// A segment shorter than 255 bytes (even empty) ends the packet
+			const size = Math.min(255, packet.length - offset);
+			this.segments.push(size);
+			this.chunks.push(packet.subarray(offset, offset + size));
+			this.pageSize += size;
+			offset += size;
+			if (size < 255) break;
+		}
+
+		this.granulePosition = granulePosition;
+		if (flush || endOfStream || this.pageSize >= TARGET_PAGE_SIZE) {
+			this.flushPage(endOfStream);
+		}
+	}
+
+	flushPage(endOfStream = false) {
+		if (this.segments.length === 0) return;
+
+		const page = new Uint8Array(27 + this.segments.length + this.pageSize);
+		const view = new DataView(page.buffer);
+		page.set([0x4f, 0x67, 0x67, 0x53]); // "OggS"
+		page[5] =
+			(this.continued ? HEADER_CONTINUED : 0) |
+			(this.sequence === 0 ? HEADER_BEGIN : 0) |
+			(endOfStream ? HEADER_END : 0);
+		if (this.granulePosition < 0) {
+			view.setUint32(6, 0xffffffff, true);
+			view.setUint32(10, 0xffffffff, true);
+		} else {
+			view.setUint32(6, this.granulePosition % 2 ** 32, true);
+			view.setUint32(10, Math.floor(this.granulePosition / 2 ** 32), true);
+		}
+		view.setUint32(14, this.serial, true);
+		view.setUint32(18, this.sequence++, true);
+		page[26] = this.segments.length;
+		page.set(this.segments, 27);
+		let offset = 27 + this.segments.length;
+		for (const chunk of this.chunks) {
+			page.set(chunk, offset);
+			offset += chunk.length;
+		}
+		view.setUint32(22, oggCrc(page), true);
+
+		this.pages.push(page);
+		this.segments = [];
+		this.chunks = [];
+		this.pageSize = 0;
+		this.granulePosition = -1;
+		this.continued = false;
+	}
+
+	/**
+	 * Close the open page and return the whole stream
+	 * @returns {Uint8Array}
+	 */
+	finish() {
+		this.flushPage();
+		const output = new Uint8Array(this.pages.reduce((sum, page) => sum + page.length, 0));
+		let offset = 0;
+		for (const page of this.pages) {
+			output.set(page, offset);
+			offset += page.length;
+		}
+		return output;
+	}
+}
+
+/**
+ * Split an Ogg stream into pages
+ * @param {Uint8Array} bytes - The stream
+ * @returns {Object[]} - { continued, begin, end, granulePosition, serial, sequence,
+ *   segments, data, crcValid } per page; granulePosition is -1 where no packet ends
+ */
+export const readOggPages = (bytes) => {
+	const pages = [];
+	let offset = 0;
+	while (offset + 27 <= bytes.length) {
+		const view = new DataView(bytes.buffer, bytes.byteOffset + offset);
+		if (view.getUint32(0) !== 0x4f676753) throw new Error("Lost Ogg page sync");
+
+		const headerType = bytes[offset + 5];
+		const low = view.getUint32(6, true);
+		const high = view.getUint32(10, true);
+		const count = bytes[offset + 26];
+		const segments = bytes.subarray(offset + 27, offset + 27 + count);
+		const dataLength = segments.reduce((sum, size) => sum + size, 0);
+		const length = 27 + count + dataLength;
+		if (offset + length > bytes.length) throw new Error("Truncated Ogg page");
+
+		const page = bytes.slice(offset, offset + length);
+		const crc = view.getUint32(22, true);
+		page.fill(0, 22, 26);
+
+		pages.push({
+			continued: (headerType & HEADER_CONTINUED) !== 0,
+			begin: (headerType & HEADER_BEGIN) !== 0,
+			end: (headerType & HEADER_END) !== 0,
+			granulePosition: low === 0xffffffff && high === 0xffffffff ? -1 : high * 2 ** 32 + low,
+			serial: view.getUint32(14, true),
+			sequence: view.getUint32(18, true),
+			segments: Array.from(segments),
+			data: bytes.subarray(offset + 27 + count, offset + length),
+			crcValid: oggCrc(page) === crc,
+		});
+		offset += length;
+	}
+	return pages;
+};
+
+/**
+ * Reassemble the packets of an Ogg stream
+ * @param {Uint8Array} bytes - The stream
+ * @returns {Object[]} - { data, granulePosition } per packet, with the granule
+ *   position of the page the packet ends on
+ */
+export const readOggPackets = (bytes) => {
+	const packets = [];
+	let pending = [];
+	for (const page of readOggPages(bytes)) {
+		if (!page.crcValid) throw new Error(`Ogg page ${page.sequence} has a bad checksum`);
+
+		let offset = 0;
+		for (const size of page.segments) {
+			pending.push(page.data.subarray(offset, offset + size));
+			offset += size;
+			if (size < 255) {
+				const data = new Uint8Array(pending.reduce((sum, part) => sum + part.length, 0));
+				let position = 0;
+				for (const part of pending) {
+					data.set(part, position);
+					position += part.length;
+				}
+				packets.push({ data, granulePosition: page.granulePosition });
+				pending = [];
+			}
+		}
+	}
+	return packets;
+};
+
+export default OggWriter;
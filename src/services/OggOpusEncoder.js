@@ -0,0 +1,220 @@
+/**
+ * Ogg Opus encoder for WebAudacity
+ * Drives libopus from the opus-media-recorder WebAssembly build and muxes
+ * the packets into Ogg ourselves (RFC 7845): OpusHead and OpusTags header
+ * pages, then audio pages whose granule positions count 48 kHz samples
+ * including the encoder's pre-skip, so players trim the padding at both ends.
+ */
+
+import createOggOpusModule from "opus-media-recorder/OggOpusEncoder.js";
+import opusWasmUrl from "opus-media-recorder/OggOpusEncoder.wasm?url";
+import { OggWriter } from "./OggContainer";
+import { Resampler } from "./Resampler";
+
+export const OPUS_BITRATES = [32, 48, 64, 96, 128, 160, 192, 256]; // kbps
+export const DEFAULT_OPUS_BITRATE = 128;
+
+const OPUS_SAMPLE_RATE = 48000;
+const FRAME_SIZE = 960; // 20 ms
+const MAX_PACKET_SIZE = 4000;
+
+const OPUS_APPLICATION_AUDIO = 2049;
+const OPUS_SET_BITRATE_REQUEST = 4002;
+const OPUS_SET_VBR_REQUEST = 4006;
+const OPUS_SET_COMPLEXITY_REQUEST = 4010;
+const OPUS_GET_LOOKAHEAD_REQUEST = 4027;
+
+let modulePromise = null;
+
+/**
+ * Load the libopus WebAssembly module (once)
+ * @param {Object} overrides - Emscripten module settings, such as wasmBinary
+ * @returns {Promise<Object>}
+ */
+export const loadOpusModule = (overrides = {}) => {
+	if (!modulePromise) {
+		modulePromise = new Promise((resolve, reject) => {
+			const module = createOggOpusModule({
+				locateFile: (path) => (path.endsWith(".wasm") ? opusWasmUrl : path),
+				onAbort: reject,
+				...overrides,
+			});
+			// The module is a thenable that resolves to itself; unwrap it once
+			module.then((ready) => {
+				delete ready.then;
+				resolve(ready);
+			});
+		});
+		modulePromise.catch(() => {
+			modulePromise = null;
+		});
+	}
+	return modulePromise;
+};
+
+const asciiBytes = (text) => Uint8Array.from(text, (c) => c.charCodeAt(0));
+
+/**
+ * The OpusHead identification header (channel mapping family 0)
+ * @param {number} channelCount - 1 or 2
+ * @param {number} preSkip - Samples at 48 kHz to drop from the start
+ * @param {number} inputSampleRate - Rate of the original audio, for information
+ * @returns {Uint8Array}
+ */
+export const opusHead = (channelCount, preSkip, inputSampleRate) => {
+	const bytes = new Uint8Array(19);
+	const view = new DataView(bytes.buffer);
+	bytes.set(asciiBytes("OpusHead"));
+	bytes[8] = 1; // Version
+	bytes[9] = channelCount;
+	view.setUint16(10, preSkip, true);
+	view.setUint32(12, inputSampleRate, true);
+	view.setInt16(16, 0, true); // Output gain
+	bytes[18] = 0; // Mapping family
+	return bytes;
+};
+
+/**
+ * The OpusTags comment header
+ * @param {string} vendor - Encoder name
+ * @param {Object} tags - Comments, such as { TITLE: "Take 1" }; arrays repeat the field
+ * @returns {Uint8Array}
+ */
+export const opusTags = (vendor, tags = {}) => {
+	const encoder = new TextEncoder();
+	const vendorBytes = encoder.encode(vendor);
+	const comments = Object.entries(tags).flatMap(([key, value]) =>
+		(Array.isArray(value) ? value : [value]).map((item) => encoder.encode(`${key}=${item}`)),
+	);
+
+	const bytes = new Uint8Array(
+		16 + vendorBytes.length + comments.reduce((sum, c) => sum + 4 + c.length, 0),
+	);
+	const view = new DataView(bytes.buffer);
+	bytes.set(asciiBytes("OpusTags"));
+	view.setUint32(8, vendorBytes.length, true);
+	bytes.set(vendorBytes, 12);
+	let offset = 12 + vendorBytes.length;
+	view.setUint32(offset, comments.length, true);
+	offset += 4;
+	for (const comment of comments) {
+		view.setUint32(offset, comment.length, true);
+		bytes.set(comment, offset + 4);
+		offset += 4 + comment.length;
+	}
+	return bytes;
+};
+
+/**
+ * Encode audio as an Ogg Opus file
+ * @param {Object} opus - Module from loadOpusModule
+ * @param {Float32Array[]} channels - One or two channels
+ * @param {Object} options
+ * @param {number} options.sampleRate - Rate of the channels; resampled to 48 kHz
+ * @param {number} options.bitrate - Target bitrate in kbps
+ * @param {boolean} options.vbr - Variable (true) or constant bitrate
+ * @param {number} options.complexity - 0 (fastest) to 10 (best)
+ * @param {Object} options.tags - Comments for OpusTags
+ * @param {number} options.serial - Ogg stream serial number
+ * @returns {Uint8Array}
+ */
+export const encodeOggOpus = (
+	opus,
+	channels,
+	{
+		sampleRate = OPUS_SAMPLE_RATE,
+		bitrate = DEFAULT_OPUS_BITRATE,
+		vbr = true,
+		complexity = 10,
+		tags = {},
+		serial,
+	} = {},
+) => {
+	const channelCount = channels.length;
+	if (channelCount < 1 || channelCount > 2) {
+		throw new Error("Opus export supports mono and stereo");
+	}
+
+	const input =
+		sampleRate === OPUS_SAMPLE_RATE
+			? channels
+			: channels.map((data) => new Resampler().process(data, OPUS_SAMPLE_RATE / sampleRate));
+	const length = input[0].length;
+
+	const errorPointer = opus._malloc(4);
+	const argumentPointer = opus._malloc(4);
+	const resultPointer = opus._malloc(4);
+	const pcmPointer = opus._malloc(FRAME_SIZE * channelCount * 4);
+	const packetPointer = opus._malloc(MAX_PACKET_SIZE);
+	const encoder = opus._opus_encoder_create(
+		OPUS_SAMPLE_RATE,
+		channelCount,
+		OPUS_APPLICATION_AUDIO,
+		errorPointer,
+	);
+
+	// opus_encoder_ctl is variadic: its argument is read from memory
+	const control = (request, value) => {
+		opus.HEAP32[argumentPointer >> 2] = value;
+		if (opus._opus_encoder_ctl(encoder, request, argumentPointer) !== 0) {
+			throw new Error(`Opus encoder setting ${request} rejected`);
+		}
+	};
+
+	try {
+		if (opus.HEAP32[errorPointer >> 2] !== 0 || !encoder) {
+			throw new Error("Opus encoder initialisation failed");
+		}
+		control(OPUS_SET_BITRATE_REQUEST, Math.round(bitrate * 1000));
+		control(OPUS_SET_VBR_REQUEST, vbr ? 1 : 0);
+		control(OPUS_SET_COMPLEXITY_REQUEST, complexity);
+		control(OPUS_GET_LOOKAHEAD_REQUEST, resultPointer);
+		const preSkip = opus.HEAP32[resultPointer >> 2];
+
+		const ogg = new OggWriter(serial);
+		ogg.writePacket(opusHead(channelCount, preSkip, sampleRate), 0, { flush: true });
+		ogg.writePacket(opusTags("WebAudacity (libopus)", tags), 0, { flush: true });
+
+		// Run on past the end so the encoder's lookahead is flushed out
+		const endPosition = preSkip + length;
+		const frameCount = Math.max(1, Math.ceil(endPosition / FRAME_SIZE));
+		const pcm = new Float32Array(FRAME_SIZE * channelCount);
+
+		for (let frame = 0; frame < frameCount; frame++) {
+			const start = frame * FRAME_SIZE;
+			pcm.fill(0);
+			const available = Math.min(FRAME_SIZE, length - start);
+			for (let i = 0; i < available; i++) {
+				for (let channel = 0; channel < channelCount; channel++) {
+					pcm[i * channelCount + channel] = input[channel][start + i];
+				}
+			}
+			opus.HEAPF32.set(pcm, pcmPointer >> 2);
+
+			const packetLength = opus._opus_encode_float(
+				encoder,
+				pcmPointer,
+				FRAME_SIZE,
+				packetPointer,
+				MAX_PACKET_SIZE,
+			);
+			if (packetLength < 0) throw new Error(`Opus encoding failed (${packetLength})`);
+
+			const isLast = frame === frameCount - 1;
+			ogg.writePacket(
+				opus.HEAPU8.slice(packetPointer, packetPointer + packetLength),
+				isLast ? endPosition : start + FRAME_SIZE,
+				{ endOfStream: isLast },
+			);
+		}
+
+		return ogg.finish();
+	} finally {
+		if (encoder) opus._opus_encoder_destroy(encoder);
+		[errorPointer, argumentPointer, resultPointer, pcmPointer, packetPointer].forEach((pointer) =>
+			opus._free(pointer),
+		);
+	}
+};
+
+export default encodeOggOpus;
@@ -0,0 +1,134 @@
+/**
+ * Project files for WebAudacity
+ * A project is a ZIP archive. project.json describes the session: tracks and
+ * their clips, mix settings, labels, envelopes, real-time effect chains,
+ * selection, view and project settings. audio/ holds every source buffer the
+ * clips play from once, as 32-bit float WAV so samples come back bit for bit;
+ * clips that shared a buffer after copy and paste share it again when the
+ * project is opened. Cover images are kept beside the audio in images/.
+ * The audio is written and read a block at a time, so a project can be larger
+ * than memory.
+ */
+
+import { BLOCK_FRAMES } from "./BlockedAudio";
+import { readWavFile, readWavFrames } from "./WavDecoder";
+import { encodeWavHeader, encodeWavSamples } from "./WavEncoder";
+import { readZipEntry, readZipFile, ZipWriter } from "./ZipArchive";
+
+export const PROJECT_FORMAT = "webaudacity-project";
+export const PROJECT_VERSION = 1;
+export const PROJECT_FILE_EXTENSION = ".waproj";
+
+const MANIFEST_NAME = "project.json";
+const AUDIO_FOLDER = "audio/";
+const IMAGE_FOLDER = "images/";
+
+// Cover bytes go in their own file; JSON would spell them out number by number
+const packMetadata = (metadata, name, files) => {
+	if (!metadata?.cover?.data) return metadata ?? null;
+
+	const file = `${IMAGE_FOLDER}${name}`;
+	files.push({ name: file, data: metadata.cover.data });
+	return { ...metadata, cover: { mimeType: metadata.cover.mimeType, file } };
+};
+
+const unpackMetadata = async (metadata, entries) => {
+	if (!metadata?.cover?.file) return metadata ?? null;
+
+	const entry = entries.get(metadata.cover.file);
+	return {
+		...metadata,
+		cover: entry ? { mimeType: metadata.cover.mimeType, data: await readZipEntry(entry) } : null,
+	};
+};
+
+// A source as a 32-bit float WAV file, a block at a time
+async function* wavChunks({ numberOfChannels, length, sampleRate, read }) {
+	yield encodeWavHeader(numberOfChannels, length, sampleRate, { bitDepth: 32 });
+	for (let start = 0; start < length; start += BLOCK_FRAMES) {
+		const channels = await read(start, Math.min(BLOCK_FRAMES, length - start));
+		yield encodeWavSamples(channels, { bitDepth: 32 });
+	}
+}
+
+/**
+ * Write a project file
+ * @param {Object} project - The session: { tracks, labels, envelopes, realTimeEffects,
+ *   selection, selectedTrackId, loop, playheadPosition, zoomLevel, scrollPosition,
+ *   settings, metadata }; each track lists its clips as { source, offset, duration, position }
+ * @param {Object[]} sources - { id, sampleRate, numberOfChannels, length,
+ *   read(startFrame, frames) } per source buffer, as listed by getProjectData
+ * @returns {Promise<Blob>} - The archive
+ */
+export const writeProject = async (project, sources) => {
+	const files = [];
+	const audio = sources.map(({ id }) => ({ id, file: `${AUDIO_FOLDER}${id}.wav` }));
+
+	const manifest = {
+		format: PROJECT_FORMAT,
+		version: PROJECT_VERSION,
+		saved: new Date().toISOString(),
+		...project,
+		metadata: packMetadata(project.metadata, "project", files),
+		tracks: project.tracks.map((track) => ({
+			...track,
+			metadata: packMetadata(track.metadata, track.id, files),
+		})),
+		sources: audio,
+	};
+
+	const zip = new ZipWriter();
+	zip.add(MANIFEST_NAME, new TextEncoder().encode(JSON.stringify(manifest, null, 2)));
+	for (const [i, source] of sources.entries()) {
+		await zip.addStream(audio[i].file, wavChunks(source));
+	}
+	for (const { name, data } of files) zip.add(name, data);
+	return zip.toBlob();
+};
+
+/**
+ * Read a project file. Only the manifest and covers are read here; the audio
+ * is read from the file as it is asked for, without its CRC being checked.
+ * @param {Blob} file - The archive
+ * @returns {Promise<Object>} - The session as passed to writeProject, with sources as
+ *   a Map of source ID -> { id, sampleRate, numberOfChannels, length, read(startFrame,
+ *   frames) }
+ */
+export const readProject = async (file) => {
+	const entries = new Map((await readZipFile(file)).map((entry) => [entry.name, entry]));
+	const json = entries.get(MANIFEST_NAME);
+	const manifest = json ? JSON.parse(new TextDecoder().decode(await readZipEntry(json))) : null;
+	if (manifest?.format !== PROJECT_FORMAT) throw new Error("Not a WebAudacity project");
+	if (manifest.version > PROJECT_VERSION) {
+		throw new Error(`Project version ${manifest.version} is newer than this WebAudacity`);
+	}
+
+	const sources = new Map();
+	for (const { id, file: name } of manifest.sources) {
+		const entry = entries.get(name);
+		if (!entry) throw new Error(`Project audio ${name} is missing`);
+		const wav = await readWavFile(entry.data);
+		if (!wav) throw new Error(`Project audio ${name} is not a WAV file`);
+		sources.set(id, {
+			id,
+			sampleRate: wav.sampleRate,
+			numberOfChannels: wav.numberOfChannels,
+			length: wav.frames,
+			read: (startFrame, frames) => readWavFrames(wav, startFrame, frames),
+		});
+	}
+
+	return {
+		...manifest,
+		metadata: await unpackMetadata(manifest.metadata, entries),
+		tracks: await Promise.all(
+			manifest.tracks.map(async (track) => ({
+				...track,
+				metadata: await unpackMetadata(track.metadata, entries),
+			})),
+		),
+		sources,
+	};
+};
+
+export default writeProject;
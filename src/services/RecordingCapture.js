@@ -0,0 +1,242 @@
+/**
+ * Recording Capture for WebAudacity
+ * Pulls raw input samples off the audio thread with an AudioWorklet and hands
+ * them to the main thread in Float32 chunks over the node's MessagePort.
+ * Falls back to a ScriptProcessorNode where AudioWorklet is unavailable.
+ */
+
+export const RECORDER_PROCESSOR_NAME = "webaudacity-recorder";
+
+// Where takes land: "new" track, "append" into the selected track at the record
+// start, or "replace" the selected range of the selected track (punch in/out).
+// latency is the round-trip latency compensation in milliseconds, preRoll is in seconds.
+export const DEFAULT_RECORDING_SETTINGS = {
+	mode: "new",
+	latency: 0,
+	preRoll: 0,
+};
+
+// Input device and capture options. deviceId null is the system default; the three
+// processing flags map straight onto getUserMedia constraints. monitoring routes the
+// input through the master bus so it can be heard while recording.
+export const DEFAULT_INPUT_SETTINGS = {
+	deviceId: null,
+	channelCount: 2,
+	echoCancellation: false,
+	noiseSuppression: false,
+	autoGainControl: false,
+	monitoring: false,
+};
+
+// Frames per chunk posted to the main thread (~46 ms at 44.1 kHz)
+const CHUNK_FRAMES = 2048;
+const FALLBACK_BUFFER_SIZE = 4096;
+// Longest wait for the worklet to hand over its last partial chunk on stop
+const FLUSH_TIMEOUT_MS = 500;
+
+// Processor source; loaded through a Blob URL so no separate asset has to be served
+export const RECORDER_WORKLET_SOURCE = `
+class RecorderProcessor extends AudioWorkletProcessor {
+	constructor(options) {
+		super();
+		const { channelCount, chunkFrames } = options.processorOptions;
+		this.channelCount = channelCount;
+		this.chunkFrames = chunkFrames;
+		this.recording = true;
+		this.allocate();
+
+		this.port.onmessage = (event) => {
+			if (event.data === "flush") {
+				this.flush();
+				this.recording = false;
+				this.port.postMessage({ type: "flushed" });
+			}
+		};
+	}
+
+	allocate() {
+		this.chunk = [];
+		for (let c = 0; c < this.channelCount; c++) {
+			this.chunk.push(new Float32Array(this.chunkFrames));
+		}
+		this.filled = 0;
+	}
+
+	flush() {
+		if (this.filled === 0) return;
+		const channels = this.chunk.map((data) =>
+			this.filled === this.chunkFrames ? data : data.slice(0, this.filled),
+		);
+		this.port.postMessage(
+			{ type: "chunk", channels },
+			channels.map((data) => data.buffer),
+		);
+		this.allocate();
+	}
+
+	process(inputs) {
+		if (!this.recording) return false;
+
+		const input = inputs[0];
+		if (!input || input.length === 0) return true;
+
+		const frames = input[0].length;
+		if (this.filled + frames > this.chunkFrames) this.flush();
+
+		for (let c = 0; c < this.channelCount; c++) {
+			this.chunk[c].set(input[Math.min(c, input.length - 1)], this.filled);
+		}
+		this.filled += frames;
+
+		if (this.filled === this.chunkFrames) this.flush();
+		return true;
+	}
+}
+
+registerProcessor("${RECORDER_PROCESSOR_NAME}", RecorderProcessor);
+`;
+
+// addModule() promises per context, so the processor is registered only once
+const loadedContexts = new WeakMap();
+
+export class RecordingCapture {
+	/**
+	 * @param {AudioContext} audioContext - Realtime context
+	 * @param {Object} options
+	 * @param {number} options.channelCount - Channels to capture (the real input channel count)
+	 * @param {Function} options.onChunk - Receives an array of Float32Array, one per channel
+	 */
+	constructor(audioContext, { channelCount = 2, onChunk = null } = {}) {
+		this.audioContext = audioContext;
+		this.channelCount = channelCount;
+		this.onChunk = onChunk;
+		this.node = null;
+		this.usingWorklet = false;
+		this.pendingFlush = null;
+	}
+
+	static isWorkletSupported(audioContext) {
+		return (
+			!!audioContext.audioWorklet &&
+			typeof window.AudioWorkletNode !== "undefined" &&
+			typeof URL.createObjectURL === "function"
+		);
+	}
+
+	/**
+	 * Register the recorder processor with a context
+	 * @param {AudioContext} audioContext - Realtime context
+	 * @returns {Promise<void>}
+	 */
+	static loadWorklet(audioContext) {
+		if (!loadedContexts.has(audioContext)) {
+			const url = URL.createObjectURL(
+				new Blob([RECORDER_WORKLET_SOURCE], { type: "application/javascript" }),
+			);
+			const loading = audioContext.audioWorklet.addModule(url).finally(() => {
+				URL.revokeObjectURL?.(url);
+			});
+			loadedContexts.set(audioContext, loading);
+			loading.catch(() => loadedContexts.delete(audioContext));
+		}
+		return loadedContexts.get(audioContext);
+	}
+
+	/**
+	 * Start capturing from a source node
+	 * @param {AudioNode} source - Input node (usually a MediaStreamAudioSourceNode)
+	 */
+	async start(source) {
+		if (RecordingCapture.isWorkletSupported(this.audioContext)) {
+			try {
+				await RecordingCapture.loadWorklet(this.audioContext);
+				this.node = this.createWorkletNode();
+				this.usingWorklet = true;
+				source.connect(this.node);
+				return;
+			} catch (error) {
+				console.warn("AudioWorklet recording unavailable, using ScriptProcessor:", error);
+			}
+		}
+
+		this.node = this.createScriptProcessor();
+		this.usingWorklet = false;
+		source.connect(this.node);
+		// A ScriptProcessor only runs while connected to the destination; it outputs silence
+		this.node.connect(this.audioContext.destination);
+	}
+
+	createWorkletNode() {
+		const node = new window.AudioWorkletNode(this.audioContext, RECORDER_PROCESSOR_NAME, {
+			numberOfInputs: 1,
+			numberOfOutputs: 0,
+			channelCount: this.channelCount,
+			channelCountMode: "explicit",
+			channelInterpretation: "discrete",
+			processorOptions: {
+				channelCount: this.channelCount,
+				chunkFrames: CHUNK_FRAMES,
+			},
+		});
+
+		node.port.onmessage = (event) => {
+			const message = event.data;
+			if (message.type === "chunk") {
+				this.onChunk?.(message.channels);
+			} else if (message.type === "flushed") {
+				this.pendingFlush?.();
+			}
+		};
+
+		return node;
+	}
+
+	createScriptProcessor() {
+		const node = this.audioContext.createScriptProcessor(
+			FALLBACK_BUFFER_SIZE,
+			this.channelCount,
+			this.channelCount,
+		);
+
+		node.onaudioprocess = (event) => {
+			const input = event.inputBuffer;
+			const channels = [];
+			for (let c = 0; c < this.channelCount; c++) {
+				const channel = Math.min(c, input.numberOfChannels - 1);
+				channels.push(new Float32Array(input.getChannelData(channel)));
+			}
+			this.onChunk?.(channels);
+		};
+
+		return node;
+	}
+
+	/**
+	 * Stop capturing; resolves once the last samples have been delivered
+	 * @returns {Promise<void>}
+	 */
+	async stop() {
+		const node = this.node;
+		if (!node) return;
+
+		if (this.usingWorklet) {
+			await new Promise((resolve) => {
+				const timer = setTimeout(resolve, FLUSH_TIMEOUT_MS);
+				this.pendingFlush = () => {
+					clearTimeout(timer);
+					resolve();
+				};
+				node.port.postMessage("flush");
+			});
+			this.pendingFlush = null;
+			node.port.onmessage = null;
+		} else {
+			node.onaudioprocess = null;
+		}
+
+		node.disconnect();
+		this.node = null;
+	}
+}
+
+export default RecordingCapture;
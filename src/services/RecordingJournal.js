@@ -0,0 +1,184 @@
+/**
+ * Recording Journal for WebAudacity
+ * Persists a take's chunks to IndexedDB while it is recorded, so a take survives
+ * a crashed or closed tab and can be recovered on the next startup
+ */
+
+import { IndexedDBStore } from "./IndexedDBStore";
+import { holdSessionLock, liveSessionIds } from "./SessionLock";
+
+const DB_NAME = "webaudacity-recordings";
+const DB_VERSION = 1;
+const TAKES_STORE = "takes";
+const CHUNKS_STORE = "chunks";
+// Chunks are batched into one write this often; at most this much is lost on a crash
+const FLUSH_INTERVAL_MS = 1000;
+
+const createRecordingStore = () =>
+	new IndexedDBStore(DB_NAME, DB_VERSION, (db) => {
+		db.createObjectStore(TAKES_STORE, { keyPath: "id" });
+		// Keyed [takeId, index] so a take's chunks come back in recording order
+		db.createObjectStore(CHUNKS_STORE, { keyPath: ["takeId", "index"] });
+	});
+
+const chunkRange = (takeId) => IDBKeyRange.bound([takeId, 0], [takeId, Infinity]);
+
+/**
+ * Join Float32Array chunks into one array per channel
+ * @param {Array<Float32Array[]>} chunks - Chunks of per-channel data
+ * @param {number} numberOfChannels - Channels in each chunk
+ * @returns {Float32Array[]}
+ */
+const concatChunks = (chunks, numberOfChannels) => {
+	const length = chunks.reduce((sum, channels) => sum + (channels[0]?.length || 0), 0);
+	const result = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+
+	let offset = 0;
+	for (const channels of chunks) {
+		for (let c = 0; c < numberOfChannels; c++) {
+			result[c].set(channels[c], offset);
+		}
+		offset += channels[0]?.length || 0;
+	}
+
+	return result;
+};
+
+export class RecordingJournal {
+	/**
+	 * @param {IndexedDBStore} store - Database to write to (defaults to the recordings database)
+	 */
+	constructor(store = createRecordingStore()) {
+		this.store = store;
+		this.takeId = null;
+		this.numberOfChannels = 0;
+		this.pending = [];
+		this.nextIndex = 0;
+		this.writing = Promise.resolve();
+		this.flushTimer = null;
+		// Take ID -> releases its lock; a take is locked from begin until discarded so
+		// other tabs don't offer it for recovery
+		this.locks = new Map();
+	}
+
+	static isSupported() {
+		return IndexedDBStore.isSupported() && typeof IDBKeyRange !== "undefined";
+	}
+
+	/**
+	 * Start journaling a take
+	 * @param {Object} meta - { sampleRate, numberOfChannels, startPosition, ... }
+	 * @returns {Promise<string>} - Take ID
+	 */
+	async begin(meta) {
+		const id = `take_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+		this.locks.set(id, holdSessionLock(id));
+		await this.store.put(TAKES_STORE, { ...meta, id, startedAt: Date.now() });
+
+		this.takeId = id;
+		this.numberOfChannels = meta.numberOfChannels;
+		this.pending = [];
+		this.nextIndex = 0;
+		this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL_MS);
+		return id;
+	}
+
+	/**
+	 * Queue a captured chunk for the next write
+	 * @param {Float32Array[]} channels - One array per channel
+	 */
+	append(channels) {
+		if (this.takeId) {
+			this.pending.push(channels);
+		}
+	}
+
+	/**
+	 * Write the queued chunks as one record
+	 * @returns {Promise<void>}
+	 */
+	flush() {
+		if (!this.takeId || this.pending.length === 0) return this.writing;
+
+		const record = {
+			takeId: this.takeId,
+			index: this.nextIndex++,
+			channels: concatChunks(this.pending, this.numberOfChannels),
+		};
+		this.pending = [];
+
+		// Writes are chained so records land in order
+		this.writing = this.writing
+			.then(() => this.store.put(CHUNKS_STORE, record))
+			.catch((error) => console.error("Failed to journal recording:", error));
+		return this.writing;
+	}
+
+	/**
+	 * Stop journaling and write what is left; the take stays recoverable until discarded
+	 * @returns {Promise<string|null>} - Take ID
+	 */
+	async end() {
+		if (this.flushTimer) {
+			clearInterval(this.flushTimer);
+			this.flushTimer = null;
+		}
+		await this.flush();
+
+		const id = this.takeId;
+		this.takeId = null;
+		return id;
+	}
+
+	/**
+	 * Takes that were never discarded and whose tab is gone, i.e. left behind by a
+	 * crash; takes still being recorded or placed in another tab are not listed
+	 * @returns {Promise<Array<Object>>} - Take metadata, oldest first
+	 */
+	async listTakes() {
+		const live = await liveSessionIds();
+		if (!live) return [];
+
+		const takes = await this.store.getAll(TAKES_STORE);
+		return takes
+			.filter((take) => !live.has(take.id))
+			.sort((a, b) => a.startedAt - b.startedAt);
+	}
+
+	/**
+	 * Read a take back
+	 * @param {string} takeId - Take ID
+	 * @returns {Promise<{meta: Object, channels: Float32Array[]}|null>}
+	 */
+	async load(takeId) {
+		const meta = await this.store.get(TAKES_STORE, takeId);
+		if (!meta) return null;
+
+		const records = await this.store.getAll(CHUNKS_STORE, chunkRange(takeId));
+		return {
+			meta,
+			channels: concatChunks(
+				records.map((record) => record.channels),
+				meta.numberOfChannels,
+			),
+		};
+	}
+
+	/**
+	 * Delete a take and its chunks
+	 * @param {string} takeId - Take ID
+	 */
+	async discard(takeId) {
+		await this.writing;
+		await this.store.transaction([TAKES_STORE, CHUNKS_STORE], "readwrite", (takes, chunks) => {
+			takes.delete(takeId);
+			chunks.delete(chunkRange(takeId));
+		});
+
+		const releaseLock = this.locks.get(takeId);
+		this.locks.delete(takeId);
+		await releaseLock?.();
+	}
+}
+
+export default RecordingJournal;
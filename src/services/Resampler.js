@@ -0,0 +1,177 @@
+/**
+ * Resampler for WebAudacity
+ * Band-limited sample-rate conversion with a Kaiser-windowed sinc kernel.
+ * The kernel is tabulated once per quality and linearly interpolated, so any
+ * ratio (44.1 kHz -> 48 kHz, or an arbitrary speed change) costs the same.
+ */
+
+// Kernel table entries per zero crossing
+const TABLE_RESOLUTION = 512;
+
+/**
+ * zeroCrossings: kernel half-width; more means a steeper filter and more work
+ * beta: Kaiser window shape; higher means more stopband rejection
+ * rolloff: cutoff as a fraction of the lower Nyquist frequency
+ */
+export const RESAMPLE_QUALITIES = Object.freeze({
+	low: Object.freeze({ zeroCrossings: 8, beta: 5, rolloff: 0.85 }),
+	medium: Object.freeze({ zeroCrossings: 16, beta: 7, rolloff: 0.9 }),
+	high: Object.freeze({ zeroCrossings: 32, beta: 9, rolloff: 0.94 }),
+	best: Object.freeze({ zeroCrossings: 64, beta: 12, rolloff: 0.97 }),
+});
+export const DEFAULT_RESAMPLE_QUALITY = "high";
+
+const kernelTables = new Map(); // quality name -> Float32Array
+
+// Zeroth-order modified Bessel function of the first kind
+const besselI0 = (x) => {
+	let sum = 1;
+	let term = 1;
+	for (let k = 1; k < 50; k++) {
+		term *= (x / (2 * k)) ** 2;
+		sum += term;
+		if (term < sum * 1e-12) break;
+	}
+	return sum;
+};
+
+const createKernelTable = ({ zeroCrossings, beta }) => {
+	const size = zeroCrossings * TABLE_RESOLUTION;
+	// One spare zero so interpolation at the very edge stays in bounds
+	const table = new Float32Array(size + 2);
+	const norm = besselI0(beta);
+
+	table[0] = 1;
+	for (let i = 1; i <= size; i++) {
+		const x = i / TABLE_RESOLUTION;
+		const ratio = x / zeroCrossings;
+		const window = besselI0(beta * Math.sqrt(Math.max(0, 1 - ratio * ratio))) / norm;
+		table[i] = (Math.sin(Math.PI * x) / (Math.PI * x)) * window;
+	}
+	return table;
+};
+
+export class Resampler {
+	/**
+	 * @param {string} quality - One of the RESAMPLE_QUALITIES names
+	 */
+	constructor(quality = DEFAULT_RESAMPLE_QUALITY) {
+		const settings = RESAMPLE_QUALITIES[quality];
+		if (!settings) {
+			throw new Error(`Unknown resampling quality: ${quality}`);
+		}
+
+		this.quality = quality;
+		this.zeroCrossings = settings.zeroCrossings;
+		this.rolloff = settings.rolloff;
+
+		if (!kernelTables.has(quality)) {
+			kernelTables.set(quality, createKernelTable(settings));
+		}
+		this.table = kernelTables.get(quality);
+	}
+
+	/**
+	 * Input samples the kernel reaches on either side of an output sample
+	 * @param {number} ratio - Output samples per input sample
+	 * @returns {number}
+	 */
+	reach(ratio) {
+		return this.zeroCrossings / (Math.min(1, ratio) * this.rolloff);
+	}
+
+	/**
+	 * Resample one channel
+	 * @param {Float32Array} input - Source samples
+	 * @param {number} ratio - Output samples per input sample (target rate / source rate)
+	 * @param {number} outputLength - Samples to produce
+	 * @returns {Float32Array}
+	 */
+	process(input, ratio, outputLength = Math.round(input.length * ratio)) {
+		return this.processInto(input, ratio, new Float32Array(Math.max(0, outputLength)));
+	}
+
+	/**
+	 * Resample one channel into an existing array, such as an AudioBuffer channel
+	 * @param {Float32Array} input - Source samples
+	 * @param {number} ratio - Output samples per input sample (target rate / source rate)
+	 * @param {Float32Array} output - Filled from the start, to its full length
+	 * @param {number} offset - Input position of the first output sample, in input samples
+	 * @returns {Float32Array} - The output array
+	 */
+	processInto(input, ratio, output, offset = 0) {
+		if (input.length === 0) {
+			output.fill(0);
+			return output;
+		}
+
+		// When shrinking, the cutoff follows the new Nyquist frequency so nothing aliases
+		const scale = Math.min(1, ratio) * this.rolloff;
+		const reach = this.reach(ratio);
+		const step = 1 / ratio;
+		const tableStep = scale * TABLE_RESOLUTION;
+		const table = this.table;
+		const last = input.length - 1;
+
+		for (let i = 0; i < output.length; i++) {
+			const time = offset + i * step;
+			const first = Math.max(0, Math.ceil(time - reach));
+			const end = Math.min(last, Math.floor(time + reach));
+
+			let sum = 0;
+			for (let k = first; k <= end; k++) {
+				const position = Math.abs(time - k) * tableStep;
+				const index = position | 0;
+				const fraction = position - index;
+				sum += input[k] * (table[index] + (table[index + 1] - table[index]) * fraction);
+			}
+			output[i] = sum * scale;
+		}
+
+		return output;
+	}
+
+	/**
+	 * Resample audio that is read a window at a time, such as a file too large for memory
+	 * @param {Function} read - async (start, frames) => Float32Array[], source frames
+	 *   per channel; fewer may come back at the end
+	 * @param {number} length - Source frames
+	 * @param {number} ratio - Output samples per input sample (target rate / source rate)
+	 * @returns {Function} - async (start, frames) => Float32Array[], output frames; each
+	 *   window reads just the source frames its kernel reaches
+	 */
+	createReader(read, length, ratio) {
+		const reach = this.reach(ratio);
+
+		return async (start, frames) => {
+			const from = Math.max(0, Math.ceil(start / ratio - reach));
+			const to = Math.min(length, Math.floor((start + frames - 1) / ratio + reach) + 1);
+			const input = await read(from, Math.max(0, to - from));
+			return input.map((data) =>
+				this.processInto(data, ratio, new Float32Array(frames), start / ratio - from),
+			);
+		};
+	}
+
+	/**
+	 * Convert an AudioBuffer to another sample rate
+	 * @param {BaseAudioContext} audioContext - Context used to create the buffer
+	 * @param {AudioBuffer} buffer - Source audio
+	 * @param {number} sampleRate - Target sample rate
+	 * @returns {AudioBuffer}
+	 */
+	resampleBuffer(audioContext, buffer, sampleRate) {
+		if (buffer.sampleRate === sampleRate) return buffer;
+
+		const ratio = sampleRate / buffer.sampleRate;
+		const length = Math.max(1, Math.round(buffer.length * ratio));
+		const output = audioContext.createBuffer(buffer.numberOfChannels, length, sampleRate);
+
+		for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+			this.processInto(buffer.getChannelData(channel), ratio, output.getChannelData(channel));
+		}
+		return output;
+	}
+}
+
+export default Resampler;
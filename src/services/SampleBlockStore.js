@@ -0,0 +1,176 @@
+/**
+ * Sample Block Store for WebAudacity
+ * Keeps fixed-size blocks of samples in IndexedDB with an in-memory LRU cache,
+ * so long tracks don't have to live in memory as whole AudioBuffers.
+ * Blocks are immutable: edits make new clips over existing blocks rather than
+ * rewriting them.
+ */
+
+import { IndexedDBStore } from "./IndexedDBStore";
+import { holdSessionLock, liveSessionIds } from "./SessionLock";
+
+const DB_NAME = "webaudacity-blocks";
+const DB_VERSION = 1;
+const BLOCKS_STORE = "blocks";
+const DEFAULT_CACHE_BYTES = 128 * 1024 * 1024;
+
+const createBlockDatabase = () =>
+	new IndexedDBStore(DB_NAME, DB_VERSION, (db) => {
+		const blocks = db.createObjectStore(BLOCKS_STORE, { keyPath: "id" });
+		blocks.createIndex("createdAt", "createdAt");
+	});
+
+const blockBytes = (channels) =>
+	channels.reduce((sum, data) => sum + data.byteLength, 0);
+
+export class SampleBlockStore {
+	/**
+	 * @param {Object} options
+	 * @param {IndexedDBStore} options.database - Where blocks are persisted
+	 * @param {number} options.cacheBytes - Memory budget for cached blocks
+	 */
+	constructor({ database = createBlockDatabase(), cacheBytes = DEFAULT_CACHE_BYTES } = {}) {
+		this.database = database;
+		this.cacheBytes = cacheBytes;
+		this.sessionId = `session_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+		this.nextBlock = 0;
+		this.cache = new Map(); // id -> { channels, bytes }, least recently used first
+		this.cachedBytes = 0;
+		this.writes = new Map(); // id -> pending write; such blocks can't be evicted yet
+		this.pruning = null;
+		// Keeps other tabs from pruning this session's blocks while it is open
+		this.releaseLock = holdSessionLock(this.sessionId);
+	}
+
+	static isSupported() {
+		return IndexedDBStore.isSupported() && typeof IDBKeyRange !== "undefined";
+	}
+
+	/**
+	 * Store a block
+	 * @param {Float32Array[]} channels - One array per channel, all the same length
+	 * @returns {Promise<string>} - Block ID, once the block is on disk
+	 */
+	async write(channels) {
+		this.pruning ??= this.pruneStaleBlocks().catch((error) => {
+			console.warn("Failed to prune old sample blocks:", error);
+		});
+
+		const id = `${this.sessionId}:${this.nextBlock++}`;
+		this.cacheBlock(id, channels);
+
+		const writing = this.database.put(BLOCKS_STORE, { id, createdAt: Date.now(), channels });
+		this.writes.set(id, writing);
+		try {
+			await writing;
+		} finally {
+			this.writes.delete(id);
+			this.evict();
+		}
+		return id;
+	}
+
+	/**
+	 * Fetch a block, from the cache when possible
+	 * @param {string} id - Block ID
+	 * @returns {Promise<Float32Array[]>}
+	 */
+	async read(id) {
+		const cached = this.peek(id);
+		if (cached) return cached;
+
+		const record = await this.database.get(BLOCKS_STORE, id);
+		if (!record) {
+			throw new Error(`Sample block ${id} is missing`);
+		}
+
+		this.cacheBlock(id, record.channels);
+		this.evict();
+		return record.channels;
+	}
+
+	/**
+	 * A block if it is in memory, without touching the disk
+	 * @param {string} id - Block ID
+	 * @returns {Float32Array[]|null}
+	 */
+	peek(id) {
+		const entry = this.cache.get(id);
+		if (!entry) return null;
+
+		// Mark as most recently used
+		this.cache.delete(id);
+		this.cache.set(id, entry);
+		return entry.channels;
+	}
+
+	cacheBlock(id, channels) {
+		if (this.cache.has(id)) {
+			this.cachedBytes -= this.cache.get(id).bytes;
+			this.cache.delete(id);
+		}
+		const bytes = blockBytes(channels);
+		this.cache.set(id, { channels, bytes });
+		this.cachedBytes += bytes;
+	}
+
+	/**
+	 * Drop least recently used blocks until the cache fits its budget
+	 */
+	evict() {
+		for (const [id, entry] of this.cache) {
+			if (this.cachedBytes <= this.cacheBytes) break;
+			if (this.writes.has(id)) continue;
+
+			this.cache.delete(id);
+			this.cachedBytes -= entry.bytes;
+		}
+	}
+
+	/**
+	 * Remove blocks left behind by sessions whose tab is gone, however recent;
+	 * a live session's blocks stay however old they are
+	 */
+	async pruneStaleBlocks() {
+		const checkedAt = Date.now();
+		const live = await liveSessionIds();
+		if (!live) return;
+
+		// A session takes its lock before its first write, so only blocks written
+		// before the check can belong to a session that is missing from it
+		await this.database.transaction(BLOCKS_STORE, "readwrite", (blocks) => {
+			const range = IDBKeyRange.upperBound(checkedAt, true);
+			const request = blocks.index("createdAt").openKeyCursor(range);
+			request.onsuccess = () => {
+				const cursor = request.result;
+				if (!cursor) return;
+				const id = cursor.primaryKey;
+				if (!live.has(id.slice(0, id.lastIndexOf(":")))) blocks.delete(id);
+				cursor.continue();
+			};
+		});
+	}
+
+	/**
+	 * Remove every block this session wrote
+	 */
+	async clearSession() {
+		this.cache.clear();
+		this.cachedBytes = 0;
+		await Promise.allSettled(this.writes.values());
+		await this.database.delete(
+			BLOCKS_STORE,
+			IDBKeyRange.bound(`${this.sessionId}:`, `${this.sessionId}:\uffff`),
+		);
+	}
+
+	/**
+	 * Let other tabs prune whatever this session still has on disk
+	 * @returns {Promise<void>}
+	 */
+	close() {
+		return this.releaseLock();
+	}
+}
+
+export default SampleBlockStore;
@@ -0,0 +1,225 @@
+/**
+ * Session Journal for WebAudacity
+ * Autosaves the whole session to IndexedDB so it survives a crashed or closed
+ * tab and can be recovered on the next startup. Saves are incremental: source
+ * buffers are immutable and identified by the engine (see getProjectData), so
+ * each one is written once, in blocks, and deleted when no clip plays it any
+ * more; every save rewrites only the small session record.
+ */
+
+import { BLOCK_FRAMES } from "./BlockedAudio";
+import { IndexedDBStore } from "./IndexedDBStore";
+import { holdSessionLock, liveSessionIds } from "./SessionLock";
+
+const DB_NAME = "webaudacity-sessions";
+const DB_VERSION = 1;
+const SESSIONS_STORE = "sessions";
+const SOURCES_STORE = "sources";
+export const AUTOSAVE_INTERVAL_MS = 30000;
+
+const createSessionStore = () =>
+	new IndexedDBStore(DB_NAME, DB_VERSION, (db) => {
+		db.createObjectStore(SESSIONS_STORE, { keyPath: "id" });
+		// Keyed [sessionId, sourceId, index] so a source's blocks come back in order
+		db.createObjectStore(SOURCES_STORE, { keyPath: ["sessionId", "sourceId", "index"] });
+	});
+
+const sourceRange = (sessionId, sourceId) =>
+	IDBKeyRange.bound([sessionId, sourceId, 0], [sessionId, sourceId, Infinity]);
+
+// Source IDs are strings, and every string sorts below "\uffff"
+const sessionRange = (sessionId) => IDBKeyRange.bound([sessionId], [sessionId, "\uffff"]);
+
+const sessionDuration = (tracks) => {
+	let end = 0;
+	for (const track of tracks) {
+		for (const clip of track.clips) end = Math.max(end, clip.position + clip.duration);
+	}
+	return end;
+};
+
+export class SessionJournal {
+	/**
+	 * @param {IndexedDBStore} store - Database to write to (defaults to the sessions database)
+	 */
+	constructor(store = createSessionStore()) {
+		this.store = store;
+		this.sessionId = `session_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+		this.startedAt = Date.now();
+		this.sourceIds = new Map(); // Buffers on disk -> source IDs; pass to getProjectData
+		this.lastSaved = null; // Session record JSON of the last save
+		this.writing = Promise.resolve();
+		// Keeps other tabs from offering this session for recovery while it is open
+		this.releaseLock = holdSessionLock(this.sessionId);
+	}
+
+	static isSupported() {
+		return IndexedDBStore.isSupported() && typeof IDBKeyRange !== "undefined";
+	}
+
+	/**
+	 * Save the session
+	 * @param {Object} project - The session as for writeProject, plus history
+	 *   ({ undoDescription, undoStackSize, ... } from UndoRedoManager.getState) to
+	 *   describe it by and undoHistory, the undo steps (see getProjectData)
+	 * @param {Object[]} sources - Sources not saved before, as listed by getProjectData
+	 * @returns {Promise<boolean>} - Whether anything had changed
+	 */
+	save(project, sources = []) {
+		const writeSources = async () => {
+			for (const source of sources) {
+				for (let index = 0; index * BLOCK_FRAMES < source.length; index++) {
+					const start = index * BLOCK_FRAMES;
+					const frames = Math.min(BLOCK_FRAMES, source.length - start);
+					await this.store.put(SOURCES_STORE, {
+						sessionId: this.sessionId,
+						sourceId: source.id,
+						index,
+						sampleRate: source.sampleRate,
+						channels: (await source.read(start, frames)).map((data) => data.slice()),
+					});
+				}
+			}
+		};
+
+		const save = async () => {
+			try {
+				await writeSources();
+			} catch (error) {
+				// Not on disk after all: list them again next time
+				const failed = new Set(sources.map((source) => source.id));
+				for (const [buffer, id] of this.sourceIds) {
+					if (failed.has(id)) this.sourceIds.delete(buffer);
+				}
+				throw error;
+			}
+
+			// Sources neither a clip nor an undo step plays any more, such as the audio of
+			// deleted tracks that dropped out of the history
+			const used = new Set([
+				...project.tracks.flatMap((track) => track.clips.map((clip) => clip.source)),
+				...(project.undoHistory?.sources ?? []),
+			]);
+			const unused = [];
+			for (const [buffer, id] of this.sourceIds) {
+				if (!used.has(id)) {
+					this.sourceIds.delete(buffer);
+					unused.push(id);
+				}
+			}
+
+			const record = {
+				...project,
+				sources: Array.from(this.sourceIds.values()),
+				trackCount: project.tracks.length,
+				duration: sessionDuration(project.tracks),
+			};
+			const json = JSON.stringify(record);
+			if (sources.length === 0 && unused.length === 0 && json === this.lastSaved) return false;
+
+			const stores = [SESSIONS_STORE, SOURCES_STORE];
+			await this.store.transaction(stores, "readwrite", (sessions, blocks) => {
+				unused.forEach((id) => blocks.delete(sourceRange(this.sessionId, id)));
+				sessions.put({
+					...record,
+					id: this.sessionId,
+					startedAt: this.startedAt,
+					savedAt: Date.now(),
+				});
+			});
+			this.lastSaved = json;
+			return true;
+		};
+
+		// Saves are chained so an older snapshot never lands after a newer one
+		const saving = this.writing.then(save);
+		this.writing = saving.catch(() => {});
+		return saving;
+	}
+
+	/**
+	 * Sessions left behind by tabs that crashed or were killed; sessions of tabs
+	 * that are still open are not listed
+	 * @returns {Promise<Array<Object>>} - { id, startedAt, savedAt, trackCount, duration,
+	 *   history }, most recent first
+	 */
+	async listSessions() {
+		const live = await liveSessionIds();
+		if (!live) return [];
+
+		const sessions = await this.store.getAll(SESSIONS_STORE);
+		return sessions
+			.filter((session) => !live.has(session.id))
+			.sort((a, b) => b.savedAt - a.savedAt)
+			.map(({ id, startedAt, savedAt, trackCount, duration, history }) => ({
+				id,
+				startedAt,
+				savedAt,
+				trackCount,
+				duration,
+				history: history ?? null,
+			}));
+	}
+
+	/**
+	 * Read a session back
+	 * @param {string} sessionId - Session ID
+	 * @returns {Promise<Object|null>} - The session as read by readProject, sources
+	 *   as a Map of source ID -> { id, sampleRate, numberOfChannels, length,
+	 *   read(startFrame, frames) }
+	 */
+	async load(sessionId) {
+		const session = await this.store.get(SESSIONS_STORE, sessionId);
+		if (!session) return null;
+
+		const sources = new Map();
+		for (const sourceId of session.sources) {
+			const blocks = await this.store.getAll(SOURCES_STORE, sourceRange(sessionId, sourceId));
+			if (blocks.length === 0) throw new Error(`Autosaved audio ${sourceId} is missing`);
+
+			const length = blocks.reduce((sum, block) => sum + block.channels[0].length, 0);
+			const channels = blocks[0].channels.map(() => new Float32Array(length));
+			let offset = 0;
+			for (const block of blocks) {
+				block.channels.forEach((data, c) => channels[c].set(data, offset));
+				offset += block.channels[0].length;
+			}
+			sources.set(sourceId, {
+				id: sourceId,
+				sampleRate: blocks[0].sampleRate,
+				numberOfChannels: channels.length,
+				length,
+				read: async (startFrame, frames) =>
+					channels.map((data) => data.subarray(startFrame, startFrame + frames)),
+			});
+		}
+		return { ...session, sources };
+	}
+
+	/**
+	 * Delete a session and its audio
+	 * @param {string} sessionId - Session ID (defaults to this session)
+	 */
+	async discard(sessionId = this.sessionId) {
+		if (sessionId === this.sessionId) {
+			await this.writing;
+			this.sourceIds.clear();
+			this.lastSaved = null;
+		}
+		const stores = [SESSIONS_STORE, SOURCES_STORE];
+		await this.store.transaction(stores, "readwrite", (sessions, blocks) => {
+			sessions.delete(sessionId);
+			blocks.delete(sessionRange(sessionId));
+		});
+	}
+
+	/**
+	 * Let other tabs recover whatever this session still has on disk
+	 * @returns {Promise<void>}
+	 */
+	close() {
+		return this.releaseLock();
+	}
+}
+
+export default SessionJournal;
@@ -0,0 +1,51 @@
+/**
+ * Session Locks for WebAudacity
+ * Every session or take a tab keeps in IndexedDB is covered by a Web Lock named
+ * after it, held for as long as the tab lives. The browser drops a tab's locks
+ * when it closes or crashes, so data whose lock nobody holds was left behind
+ * and is safe to recover or delete, while another tab's live data is not.
+ */
+
+const LOCK_PREFIX = "webaudacity:";
+
+export const isSupported = () =>
+	typeof navigator !== "undefined" && typeof navigator.locks?.request === "function";
+
+/**
+ * Hold the lock for a session until released (or the tab goes away)
+ * @param {string} id - Session or take ID
+ * @returns {Function} - Releases the lock; returns a Promise of it being released
+ */
+export const holdSessionLock = (id) => {
+	if (!isSupported()) return () => Promise.resolve();
+
+	let release;
+	const held = new Promise((resolve) => {
+		release = resolve;
+	});
+	const request = navigator.locks.request(LOCK_PREFIX + id, () => held).catch((error) => {
+		console.warn(`Failed to lock session ${id}:`, error);
+	});
+	return () => {
+		release();
+		return request;
+	};
+};
+
+/**
+ * IDs of sessions some tab holds, or has asked for, the lock of
+ * @returns {Promise<Set<string>|null>} - null when liveness can't be told, in
+ *   which case no session may be treated as left behind
+ */
+export const liveSessionIds = async () => {
+	if (!isSupported()) return null;
+
+	const { held = [], pending = [] } = await navigator.locks.query();
+	const ids = new Set();
+	for (const { name } of [...held, ...pending]) {
+		if (name?.startsWith(LOCK_PREFIX)) ids.add(name.slice(LOCK_PREFIX.length));
+	}
+	return ids;
+};
+
+export default holdSessionLock;
@@ -0,0 +1,111 @@
+/**
+ * Transport Clock for WebAudacity
+ * Derives the timeline position from the audio hardware clock (AudioContext.currentTime)
+ * so the playhead follows what is actually being rendered, across play/pause/seek/rate changes
+ */
+
+export class TransportClock {
+	/**
+	 * @param {Function} getContextTime - Returns the current audio clock time in seconds
+	 */
+	constructor(getContextTime) {
+		this.getContextTime = getContextTime;
+		this.isRunning = false;
+		this.rate = 1.0;
+		this.anchorPosition = 0; // Timeline position at anchorContextTime
+		this.anchorContextTime = 0;
+		this.pendingJumps = []; // Scheduled { contextTime, position } jumps, e.g. loop wrap-arounds
+	}
+
+	/**
+	 * Start running from a timeline position
+	 * @param {number} position - Timeline position in seconds
+	 * @param {number} [contextTime] - Audio clock time the position is reached (defaults to now)
+	 */
+	start(position, contextTime = this.getContextTime()) {
+		this.anchorPosition = Math.max(0, position);
+		this.anchorContextTime = contextTime;
+		this.pendingJumps = [];
+		this.isRunning = true;
+	}
+
+	/**
+	 * Freeze the clock at its current position
+	 * @returns {number} - Position the clock stopped at
+	 */
+	pause() {
+		const position = this.getPosition();
+		this.anchorPosition = position;
+		this.pendingJumps = [];
+		this.isRunning = false;
+		return position;
+	}
+
+	/**
+	 * Stop the clock and park it at a position
+	 * @param {number} position - Position to park at
+	 */
+	stop(position = 0) {
+		this.isRunning = false;
+		this.pendingJumps = [];
+		this.anchorPosition = Math.max(0, position);
+	}
+
+	/**
+	 * Jump to a position, keeping the running state
+	 * @param {number} position - Timeline position in seconds
+	 */
+	seek(position) {
+		this.pendingJumps = [];
+		this.anchorPosition = Math.max(0, position);
+		this.anchorContextTime = this.getContextTime();
+	}
+
+	/**
+	 * Change the playback rate without a jump in position
+	 * @param {number} rate - New playback rate
+	 */
+	setRate(rate) {
+		if (this.isRunning) {
+			this.applyDueJumps();
+			this.anchorPosition = this.getPosition();
+			this.anchorContextTime = this.getContextTime();
+		}
+		this.rate = rate;
+	}
+
+	/**
+	 * Schedule a jump to a position at a future audio clock time
+	 * (sources are scheduled ahead, the clock follows when they actually start)
+	 * @param {number} contextTime - Audio clock time of the jump
+	 * @param {number} position - Timeline position reached at that time
+	 */
+	scheduleJump(contextTime, position) {
+		this.pendingJumps.push({ contextTime, position });
+		this.pendingJumps.sort((a, b) => a.contextTime - b.contextTime);
+	}
+
+	applyDueJumps() {
+		const now = this.getContextTime();
+		while (this.pendingJumps.length > 0 && this.pendingJumps[0].contextTime <= now) {
+			const jump = this.pendingJumps.shift();
+			this.anchorPosition = jump.position;
+			this.anchorContextTime = jump.contextTime;
+		}
+	}
+
+	/**
+	 * Get the current timeline position
+	 * @returns {number} - Position in seconds
+	 */
+	getPosition() {
+		if (!this.isRunning) return this.anchorPosition;
+
+		this.applyDueJumps();
+
+		const elapsed = Math.max(0, this.getContextTime() - this.anchorContextTime);
+		return this.anchorPosition + elapsed * this.rate;
+	}
+}
+
+export default TransportClock;
@@ -1,13 +1,24 @@
 /**
  * Undo/Redo Manager Service
- * Implements the Command Pattern for audio editing operations
+ * Implements the Command Pattern for audio editing operations. History is
+ * bounded by the memory its commands keep alive (see Command.getMemoryUsage)
+ * rather than by a number of steps.
  */
 
+export const DEFAULT_HISTORY_BUDGET = 512 * 1024 * 1024; // Bytes
+
 export class UndoRedoManager {
-	constructor() {
+	/**
+	 * @param {Object} options
+	 * @param {number} [options.memoryBudget] - Bytes the history may hold; the oldest
+	 *   steps are dropped beyond it, but the last step can always be undone
+	 * @param {number} [options.maxHistorySize] - Optional cap on the number of steps
+	 */
+	constructor({ memoryBudget = DEFAULT_HISTORY_BUDGET, maxHistorySize = Infinity } = {}) {
 		this.undoStack = [];
 		this.redoStack = [];
-		this.maxHistorySize = 50; // Limit history to prevent memory issues
+		this.memoryBudget = memoryBudget;
+		this.maxHistorySize = maxHistorySize;
 		this.isExecuting = false; // Prevent recursive operations
 	}
 
@@ -30,10 +41,7 @@ export class UndoRedoManager {
 			// Clear redo stack when new command is executed
 			this.redoStack = [];
 			
-			// Limit stack size
-			if (this.undoStack.length > this.maxHistorySize) {
-				this.undoStack.shift();
-			}
+			this.trimHistory();
 			
 			return result;
 		} finally {
@@ -59,10 +67,7 @@ export class UndoRedoManager {
 			// Add to redo stack
 			this.redoStack.push(command);
 			
-			// Limit redo stack size
-			if (this.redoStack.length > this.maxHistorySize) {
-				this.redoStack.shift();
-			}
+			this.trimHistory();
 			
 			return result !== false;
 		} finally {
@@ -88,12 +93,47 @@ export class UndoRedoManager {
 			// Add back to undo stack
 			this.undoStack.push(command);
 			
+			this.trimHistory();
+			
 			return result !== false;
 		} finally {
 			this.isExecuting = false;
 		}
 	}
 
+	/**
+	 * Bytes of audio the history keeps alive
+	 * @returns {number}
+	 */
+	getMemoryUsage() {
+		let bytes = 0;
+		for (const command of [...this.undoStack, ...this.redoStack]) {
+			bytes += command.getMemoryUsage?.() ?? 0;
+		}
+		return bytes;
+	}
+
+	/**
+	 * Drop the oldest undo steps, then the furthest redo steps, until the history
+	 * fits its limits. The step next to the current state is kept in each direction.
+	 */
+	trimHistory() {
+		while (this.undoStack.length > this.maxHistorySize) {
+			this.undoStack.shift();
+		}
+		while (this.redoStack.length > this.maxHistorySize) {
+			this.redoStack.shift();
+		}
+
+		let bytes = this.getMemoryUsage();
+		while (bytes > this.memoryBudget && this.undoStack.length > 1) {
+			bytes -= this.undoStack.shift().getMemoryUsage?.() ?? 0;
+		}
+		while (bytes > this.memoryBudget && this.redoStack.length > 1) {
+			bytes -= this.redoStack.shift().getMemoryUsage?.() ?? 0;
+		}
+	}
+
 	/**
 	 * Check if undo is available
 	 * @returns {boolean}
@@ -136,6 +176,31 @@ export class UndoRedoManager {
 		this.redoStack = [];
 	}
 
+	/**
+	 * The history as plain data for autosaves (see Command.serialize). A step that
+	 * can't be saved cuts off the steps behind it.
+	 * @param {Function} saveClip - Turns an AudioClip into plain data
+	 * @returns {{undo: Object[], redo: Object[]}} - Saved steps, in stack order
+	 */
+	serialize(saveClip) {
+		const save = (stack) => {
+			const steps = stack.map((command) => command.serialize?.(saveClip) ?? null);
+			return steps.slice(steps.lastIndexOf(null) + 1);
+		};
+		return { undo: save(this.undoStack), redo: save(this.redoStack) };
+	}
+
+	/**
+	 * Replace the history with one saved by serialize
+	 * @param {Object} history - { undo, redo } saved steps
+	 * @param {Function} restoreCommand - Turns a saved step back into a Command
+	 */
+	restore({ undo = [], redo = [] }, restoreCommand) {
+		this.undoStack = undo.map((step) => restoreCommand(step));
+		this.redoStack = redo.map((step) => restoreCommand(step));
+		this.trimHistory();
+	}
+
 	/**
 	 * Get current state info
 	 * @returns {Object}
@@ -176,6 +241,23 @@ export class Command {
 	undo() {
 		throw new Error("Command.undo() must be implemented");
 	}
+
+	/**
+	 * Bytes of audio the command keeps alive for undo or redo
+	 * @returns {number}
+	 */
+	getMemoryUsage() {
+		return 0;
+	}
+
+	/**
+	 * The command as plain data, for autosaves
+	 * @param {Function} saveClip - Turns an AudioClip into plain data
+	 * @returns {Object|null} - Saved step, or null if the command can't be saved
+	 */
+	serialize() {
+		return null;
+	}
 }
 
 /**
@@ -203,4 +285,17 @@ export class MacroCommand extends Command {
 		}
 		return results;
 	}
+
+	getMemoryUsage() {
+		return this.commands.reduce(
+			(bytes, command) => bytes + (command.getMemoryUsage?.() ?? 0),
+			0,
+		);
+	}
+
+	serialize(saveClip) {
+		const commands = this.commands.map((command) => command.serialize?.(saveClip) ?? null);
+		if (commands.includes(null)) return null;
+		return { type: "macro", description: this.description, commands };
+	}
 }
@@ -0,0 +1,289 @@
+/**
+ * WAV decoder for WebAudacity
+ * Parses RIFF, RF64 and BW64 WAVE files ourselves, so 8 to 32-bit integer and
+ * 32/64-bit float PCM, WAVE_FORMAT_EXTENSIBLE, any channel count and any
+ * sample rate decode the same in every browser. Metadata chunks are kept:
+ * cue points with their adtl labels become labels, LIST/INFO becomes a tag
+ * map, and every other chunk is returned raw. Compressed formats (ADPCM,
+ * MPEG and the like) are left to the browser's decoder.
+ * Files can also be read piecewise through Blob.slice: the chunks are parsed
+ * without touching the audio, which is then decoded a window at a time, so
+ * RF64 files larger than memory can be imported.
+ */
+
+import { WAVE_FORMAT_EXTENSIBLE, WAVE_FORMAT_IEEE_FLOAT, WAVE_FORMAT_PCM } from "./WavEncoder";
+
+// A 32-bit size of all ones defers to the ds64 chunk in RF64/BW64 files
+const SIZE_IN_DS64 = 0xffffffff;
+
+const fourCC = (bytes, offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+const readUint64 = (view, offset) =>
+	view.getUint32(offset + 4, true) * 2 ** 32 + view.getUint32(offset, true);
+
+// Zero-terminated text; UTF-8 covers ASCII and what most current tools write
+const readText = (bytes) => {
+	const end = bytes.indexOf(0);
+	return new TextDecoder().decode(end >= 0 ? bytes.subarray(0, end) : bytes);
+};
+
+const isWavHeader = (bytes) =>
+	bytes.length >= 12 &&
+	["RIFF", "RF64", "BW64"].includes(fourCC(bytes, 0)) &&
+	fourCC(bytes, 8) === "WAVE";
+
+/**
+ * Whether a file is a RIFF, RF64 or BW64 WAVE file
+ * @param {ArrayBuffer} arrayBuffer - File bytes
+ * @returns {boolean}
+ */
+export const isWav = (arrayBuffer) =>
+	arrayBuffer.byteLength >= 12 && isWavHeader(new Uint8Array(arrayBuffer, 0, 12));
+
+const readFormat = (view, offset, size) => {
+	const format = {
+		formatTag: view.getUint16(offset, true),
+		numberOfChannels: view.getUint16(offset + 2, true),
+		sampleRate: view.getUint32(offset + 4, true),
+		blockAlign: view.getUint16(offset + 12, true),
+		bitDepth: view.getUint16(offset + 14, true),
+		channelMask: 0,
+	};
+	format.validBits = format.bitDepth;
+
+	if (format.formatTag === WAVE_FORMAT_EXTENSIBLE && size >= 40) {
+		format.validBits = view.getUint16(offset + 18, true) || format.bitDepth;
+		format.channelMask = view.getUint32(offset + 20, true);
+		// The sub-format GUID starts with the real format tag
+		format.formatTag = view.getUint16(offset + 24, true);
+	}
+	return format;
+};
+
+const viewOf = (bytes) => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+const readCues = (view, offset) =>
+	Array.from({ length: view.getUint32(offset, true) }, (_, i) => {
+		const entry = offset + 4 + i * 24;
+		return { id: view.getUint32(entry, true), position: view.getUint32(entry + 20, true) };
+	});
+
+// LIST chunks hold sub-chunks: INFO tags, or adtl labels and notes for cue points
+const readList = (bytes, view, offset, size, result) => {
+	const type = fourCC(bytes, offset);
+	for (let position = offset + 4; position + 8 <= offset + size; ) {
+		const id = fourCC(bytes, position);
+		const length = view.getUint32(position + 4, true);
+		const body = bytes.subarray(position + 8, Math.min(position + 8 + length, offset + size));
+
+		if (type === "INFO") {
+			result.info[id] = readText(body);
+		} else if (type === "adtl" && body.length >= 4) {
+			const cueId = view.getUint32(position + 8, true);
+			const note = (result.notes[cueId] ??= {});
+			if (id === "labl") note.label = readText(body.subarray(4));
+			else if (id === "note") note.note = readText(body.subarray(4));
+			else if (id === "ltxt" && body.length >= 20) {
+				note.length = view.getUint32(position + 12, true);
+				note.text = readText(body.subarray(20));
+			}
+		}
+		position += 8 + length + (length % 2);
+	}
+};
+
+const decodeSamples = (bytes, view, start, frames, format) => {
+	const { numberOfChannels, blockAlign, bitDepth, formatTag } = format;
+	const channels = Array.from({ length: numberOfChannels }, () => new Float32Array(frames));
+	// Containers are whole bytes; odd depths such as 20-bit are left-justified in them
+	const bytesPerSample = Math.ceil(bitDepth / 8);
+	const scale = 2 ** (bytesPerSample * 8 - 1);
+
+	for (let channel = 0; channel < numberOfChannels; channel++) {
+		const output = channels[channel];
+		let offset = start + channel * bytesPerSample;
+		for (let i = 0; i < frames; i++, offset += blockAlign) {
+			if (formatTag === WAVE_FORMAT_IEEE_FLOAT) {
+				output[i] = bytesPerSample === 8 ? view.getFloat64(offset, true) : view.getFloat32(offset, true);
+			} else if (bytesPerSample === 1) {
+				output[i] = (bytes[offset] - 128) / 128; // 8-bit WAV is unsigned
+			} else if (bytesPerSample === 2) {
+				output[i] = view.getInt16(offset, true) / scale;
+			} else if (bytesPerSample === 3) {
+				output[i] = (bytes[offset] | (bytes[offset + 1] << 8) | ((bytes[offset + 2] << 24) >> 8)) / scale;
+			} else {
+				output[i] = view.getInt32(offset, true) / scale;
+			}
+		}
+	}
+	return channels;
+};
+
+/**
+ * Walk the chunks of a WAV file, asking for the bytes it needs: it yields
+ * [offset, length] and is sent those bytes (fewer at the end of the file).
+ * The audio itself is never asked for, so the same parser serves whole
+ * buffers and files read piecewise.
+ * @param {number} fileSize - Bytes in the file
+ * @returns {Object|null} - { format, dataStart, frames, cues, labels, info, chunks },
+ *   or null for compressed formats
+ */
+function* parseWav(fileSize) {
+	if (!isWavHeader(yield [0, 12])) throw new Error("Not a WAV file");
+	const sizes64 = {};
+
+	let format = null;
+	let data = null;
+	const result = { cues: [], info: {}, notes: {}, chunks: [] };
+
+	for (let offset = 12; offset + 8 <= fileSize; ) {
+		const chunkHeader = yield [offset, 8];
+		const id = fourCC(chunkHeader, 0);
+		let size = viewOf(chunkHeader).getUint32(4, true);
+		const body = offset + 8;
+
+		if (id === "ds64" && size >= 24) {
+			const ds64 = yield [body, size];
+			const view = viewOf(ds64);
+			sizes64.data = readUint64(view, 8);
+			sizes64.frames = readUint64(view, 16);
+			const tableLength = size >= 28 ? view.getUint32(24, true) : 0;
+			for (let i = 0; i < tableLength && 40 + i * 12 <= ds64.length; i++) {
+				const entry = 28 + i * 12;
+				sizes64[fourCC(ds64, entry)] = readUint64(view, entry + 4);
+			}
+		} else if (size === SIZE_IN_DS64 && sizes64[id] !== undefined) {
+			size = sizes64[id];
+		}
+
+		// A data chunk left unfinished (a crashed recording, say) runs to the end of the file
+		const end = Math.min(body + size, fileSize);
+		if (id === "data") {
+			data = { start: body, size: end - body };
+		} else if (id !== "ds64") {
+			const bytes = (yield [body, end - body]).slice();
+			if (id === "fmt ") {
+				if (size < 16) throw new Error("WAV fmt chunk too short");
+				format = readFormat(viewOf(bytes), 0, size);
+			} else if (id === "cue ") {
+				result.cues = readCues(viewOf(bytes), 0);
+			} else {
+				if (id === "LIST") readList(bytes, viewOf(bytes), 0, bytes.length, result);
+				result.chunks.push({ id, data: bytes });
+			}
+		}
+		offset = body + size + (size % 2);
+	}
+
+	if (!format) throw new Error("WAV file has no fmt chunk");
+	if (format.formatTag !== WAVE_FORMAT_PCM && format.formatTag !== WAVE_FORMAT_IEEE_FLOAT) return null;
+	if (format.numberOfChannels === 0 || format.blockAlign < format.numberOfChannels) {
+		throw new Error("Invalid WAV block alignment");
+	}
+	if (format.formatTag === WAVE_FORMAT_IEEE_FLOAT ? ![32, 64].includes(format.bitDepth) : format.bitDepth > 32) {
+		throw new Error(`WAV bit depth ${format.bitDepth} not supported`);
+	}
+
+	// Cue points become labels: point labels, or regions where an ltxt gives a length
+	const labels = [...result.cues]
+		.sort((a, b) => a.position - b.position)
+		.map(({ id, position }) => {
+			const note = result.notes[id] ?? {};
+			return {
+				time: position / format.sampleRate,
+				endTime: note.length ? (position + note.length) / format.sampleRate : null,
+				text: note.label ?? note.text ?? note.note ?? "",
+			};
+		});
+
+	return {
+		format,
+		dataStart: data?.start ?? 0,
+		frames: data ? Math.floor(data.size / format.blockAlign) : 0,
+		cues: result.cues,
+		labels,
+		info: result.info,
+		chunks: result.chunks,
+	};
+}
+
+const wavInfo = ({ format, frames, cues, labels, info, chunks }) => ({
+	sampleRate: format.sampleRate,
+	bitDepth: format.bitDepth,
+	validBits: format.validBits,
+	formatTag: format.formatTag,
+	channelMask: format.channelMask,
+	numberOfChannels: format.numberOfChannels,
+	frames,
+	cues,
+	labels,
+	info,
+	chunks,
+});
+
+/**
+ * Decode a WAV file
+ * @param {ArrayBuffer} arrayBuffer - The whole file
+ * @returns {Object|null} - { sampleRate, bitDepth, validBits, formatTag, channelMask,
+ *   numberOfChannels, frames, channels: Float32Array[], cues, labels, info, chunks },
+ *   or null for compressed formats that need the browser's decoder. `chunks` lists
+ *   every chunk other than fmt, data and ds64 as { id, data }.
+ */
+export const decodeWav = (arrayBuffer) => {
+	if (!isWav(arrayBuffer)) throw new Error("Not a WAV file");
+	const bytes = new Uint8Array(arrayBuffer);
+
+	const parser = parseWav(bytes.length);
+	let step = parser.next();
+	while (!step.done) {
+		const [offset, length] = step.value;
+		step = parser.next(bytes.subarray(offset, offset + length));
+	}
+	const wav = step.value;
+	if (!wav) return null;
+
+	const channels = decodeSamples(bytes, viewOf(bytes), wav.dataStart, wav.frames, wav.format);
+	return { ...wavInfo(wav), channels };
+};
+
+const readSlice = async (file, offset, length) =>
+	new Uint8Array(await file.slice(offset, offset + length).arrayBuffer());
+
+/**
+ * Read a WAV file's format, labels and metadata chunks, but not its audio
+ * @param {Blob} file - The file
+ * @returns {Promise<Object|null>} - As decodeWav without channels, or null if the
+ *   file isn't WAV or needs the browser's decoder; pass it to readWavFrames
+ */
+export const readWavFile = async (file) => {
+	if (!isWavHeader(await readSlice(file, 0, 12))) return null;
+
+	const parser = parseWav(file.size);
+	let step = parser.next();
+	while (!step.done) {
+		const [offset, length] = step.value;
+		step = parser.next(await readSlice(file, offset, length));
+	}
+	const wav = step.value;
+	return wav && { ...wavInfo(wav), file, format: wav.format, dataStart: wav.dataStart };
+};
+
+/**
+ * Decode frames of a WAV file read by readWavFile
+ * @param {Object} wav - Result of readWavFile
+ * @param {number} startFrame - First frame
+ * @param {number} frames - Frames to decode; fewer come back past the end
+ * @returns {Promise<Float32Array[]>} - One array per channel
+ */
+export const readWavFrames = async (wav, startFrame, frames) => {
+	const { format, dataStart } = wav;
+	const count = Math.max(0, Math.min(frames, wav.frames - startFrame));
+	const bytes = await readSlice(
+		wav.file,
+		dataStart + startFrame * format.blockAlign,
+		count * format.blockAlign,
+	);
+	return decodeSamples(bytes, viewOf(bytes), 0, count, format);
+};
+
+export default decodeWav;
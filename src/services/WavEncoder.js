@@ -0,0 +1,197 @@
+/**
+ * WAV encoder for WebAudacity
+ * Writes 16- and 24-bit integer PCM (dithered on the way down from float) and
+ * 32-bit IEEE float. Files with more than two channels use
+ * WAVE_FORMAT_EXTENSIBLE so players know which speaker each channel feeds.
+ */
+
+import { DEFAULT_DITHER, Ditherer } from "./Dither";
+
+export const WAVE_FORMAT_PCM = 0x0001;
+export const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+export const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+export const WAV_BIT_DEPTHS = [16, 24, 32];
+
+// Tail of the KSDATAFORMAT_SUBTYPE GUIDs; the first two bytes are the format tag
+const SUBFORMAT_GUID_TAIL = [
+	0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xaa, 0x00, 0x38, 0x9b, 0x71,
+];
+
+// Default speaker positions (dwChannelMask) by channel count
+const CHANNEL_MASKS = {
+	1: 0x4, // FC
+	2: 0x3, // FL FR
+	3: 0x7, // FL FR FC
+	4: 0x33, // FL FR BL BR
+	5: 0x37, // FL FR FC BL BR
+	6: 0x3f, // FL FR FC LFE BL BR
+	7: 0x13f, // 5.1 + BC
+	8: 0x63f, // FL FR FC LFE BL BR SL SR
+};
+
+/**
+ * Build the header of a WAV file, up to and including the data chunk's size,
+ * for writing its samples separately (see encodeWavSamples)
+ * @param {number} numberOfChannels - Channels in the file
+ * @param {number} length - Frames in the file
+ * @param {number} sampleRate - Rate of the file
+ * @param {Object} options
+ * @param {number} options.bitDepth - 16 or 24 for integer PCM, 32 for float
+ * @param {Object[]} options.chunks - Extra { id, data } chunks, written before the audio
+ * @returns {Uint8Array}
+ */
+export const encodeWavHeader = (
+	numberOfChannels,
+	length,
+	sampleRate,
+	{ bitDepth = 16, chunks = [] } = {},
+) => {
+	if (!WAV_BIT_DEPTHS.includes(bitDepth)) {
+		throw new Error(`WAV bit depth ${bitDepth} not supported`);
+	}
+
+	const isFloat = bitDepth === 32;
+	const extensible = numberOfChannels > 2;
+	const formatTag = isFloat ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM;
+
+	const bytesPerSample = bitDepth / 8;
+	const blockAlign = numberOfChannels * bytesPerSample;
+	const dataSize = length * blockAlign;
+	// Plain PCM has a 16-byte fmt; anything else carries cbSize, and extensible its 22 extra bytes
+	const fmtSize = extensible ? 40 : isFloat ? 18 : 16;
+	// Non-PCM formats need a fact chunk with the frame count
+	const factSize = isFloat ? 12 : 0;
+	const extraSize = chunks.reduce((sum, { data }) => sum + 8 + data.length + (data.length % 2), 0);
+	const headerSize = 12 + 8 + fmtSize + factSize + extraSize + 8;
+	const padding = dataSize % 2;
+
+	const header = new Uint8Array(headerSize);
+	const view = new DataView(header.buffer);
+	const writeString = (offset, string) => {
+		for (let i = 0; i < string.length; i++) {
+			view.setUint8(offset + i, string.charCodeAt(i));
+		}
+	};
+
+	writeString(0, "RIFF");
+	view.setUint32(4, headerSize + dataSize + padding - 8, true);
+	writeString(8, "WAVE");
+
+	writeString(12, "fmt ");
+	view.setUint32(16, fmtSize, true);
+	view.setUint16(20, extensible ? WAVE_FORMAT_EXTENSIBLE : formatTag, true);
+	view.setUint16(22, numberOfChannels, true);
+	view.setUint32(24, sampleRate, true);
+	view.setUint32(28, sampleRate * blockAlign, true);
+	view.setUint16(32, blockAlign, true);
+	view.setUint16(34, bitDepth, true);
+
+	let offset = 36;
+	if (extensible) {
+		view.setUint16(36, 22, true);
+		view.setUint16(38, bitDepth, true); // Valid bits
+		view.setUint32(40, CHANNEL_MASKS[numberOfChannels] ?? 0, true);
+		view.setUint16(44, formatTag, true);
+		SUBFORMAT_GUID_TAIL.forEach((byte, i) => view.setUint8(46 + i, byte));
+		offset = 60;
+	} else if (isFloat) {
+		view.setUint16(36, 0, true);
+		offset = 38;
+	}
+
+	if (isFloat) {
+		writeString(offset, "fact");
+		view.setUint32(offset + 4, 4, true);
+		view.setUint32(offset + 8, length, true);
+		offset += 12;
+	}
+
+	for (const { id, data } of chunks) {
+		writeString(offset, id);
+		view.setUint32(offset + 4, data.length, true);
+		header.set(data, offset + 8);
+		offset += 8 + data.length + (data.length % 2);
+	}
+
+	writeString(offset, "data");
+	view.setUint32(offset + 4, dataSize, true);
+	return header;
+};
+
+// Interleave channels into a view as WAV samples
+const writeSamples = (view, offset, channels, bitDepth, ditherer) => {
+	const numberOfChannels = channels.length;
+	const length = channels[0]?.length ?? 0;
+
+	if (bitDepth === 32) {
+		for (let i = 0; i < length; i++) {
+			for (let channel = 0; channel < numberOfChannels; channel++) {
+				view.setFloat32(offset, channels[channel][i], true);
+				offset += 4;
+			}
+		}
+		return;
+	}
+
+	const bytesPerSample = bitDepth / 8;
+	const samples = channels.map((data) => ditherer.quantize(data, bitDepth));
+	for (let i = 0; i < length; i++) {
+		for (let channel = 0; channel < numberOfChannels; channel++) {
+			const value = samples[channel][i];
+			if (bitDepth === 16) {
+				view.setInt16(offset, value, true);
+			} else {
+				view.setUint8(offset, value & 0xff);
+				view.setUint8(offset + 1, (value >> 8) & 0xff);
+				view.setUint8(offset + 2, (value >> 16) & 0xff);
+			}
+			offset += bytesPerSample;
+		}
+	}
+};
+
+/**
+ * Encode part of a WAV file's audio, to follow encodeWavHeader
+ * @param {Float32Array[]} channels - One array per channel, all the same length
+ * @param {Object} options
+ * @param {number} options.bitDepth - 16 or 24 for integer PCM, 32 for float
+ * @param {Ditherer} options.ditherer - Ditherer for integer PCM; pass the same one
+ *   for every part of a file
+ * @returns {Uint8Array} - Interleaved samples, without the odd-length pad byte
+ */
+export const encodeWavSamples = (
+	channels,
+	{ bitDepth = 16, ditherer = new Ditherer(DEFAULT_DITHER) } = {},
+) => {
+	const bytes = new Uint8Array((channels[0]?.length ?? 0) * channels.length * (bitDepth / 8));
+	writeSamples(new DataView(bytes.buffer), 0, channels, bitDepth, ditherer);
+	return bytes;
+};
+
+/**
+ * Encode channels as a WAV file
+ * @param {Float32Array[]} channels - One array per channel, all the same length
+ * @param {number} sampleRate - Rate of the file
+ * @param {Object} options
+ * @param {number} options.bitDepth - 16 or 24 for integer PCM, 32 for float
+ * @param {string} options.dither - Dither type for integer PCM, see DITHER_TYPES
+ * @param {Object[]} options.chunks - Extra { id, data } chunks, written before the audio
+ * @returns {ArrayBuffer}
+ */
+export const encodeWav = (
+	channels,
+	sampleRate,
+	{ bitDepth = 16, dither = DEFAULT_DITHER, chunks = [] } = {},
+) => {
+	const length = channels[0]?.length ?? 0;
+	const header = encodeWavHeader(channels.length, length, sampleRate, { bitDepth, chunks });
+	const dataSize = length * channels.length * (bitDepth / 8);
+
+	const buffer = new ArrayBuffer(header.length + dataSize + (dataSize % 2));
+	new Uint8Array(buffer).set(header);
+	writeSamples(new DataView(buffer), header.length, channels, bitDepth, new Ditherer(dither));
+	return buffer;
+};
+
+export default encodeWav;
@@ -0,0 +1,281 @@
+/**
+ * WAV metadata for WebAudacity
+ * The metadata model kept on the project and on each track, and its WAV
+ * chunks: the Broadcast WAV `bext` chunk (EBU Tech 3285), `iXML`, `LIST/INFO`
+ * tags, and `cue ` points with `LIST/adtl` text for labels.
+ *
+ * Model: { bext: { description, originator, originatorReference,
+ * originationDate, originationTime, timeReference, umid, codingHistory },
+ * info: { INAM: "Title", ... }, ixml: { PROJECT, SCENE, TAKE, TAPE, NOTE },
+ * cover: { mimeType, data } or null }. The cover image only goes to formats
+ * with pictures, such as MP3 (see Id3Tag).
+ * The time reference is kept in seconds since midnight so it survives
+ * resampling; bext stores it in samples at the file's rate.
+ */
+
+// LIST/INFO tags offered in the editor, with their labels
+export const INFO_FIELDS = {
+	INAM: "Title",
+	IART: "Artist",
+	IPRD: "Album",
+	IGNR: "Genre",
+	ICRD: "Date",
+	ICMT: "Comment",
+	ICOP: "Copyright",
+	IENG: "Engineer",
+};
+
+export const IXML_FIELDS = ["PROJECT", "SCENE", "TAKE", "TAPE", "NOTE"];
+
+// Fixed-size text fields of the bext chunk, in order
+const BEXT_TEXT_FIELDS = [
+	["description", 256],
+	["originator", 32],
+	["originatorReference", 32],
+	["originationDate", 10],
+	["originationTime", 8],
+];
+const TIME_REFERENCE_OFFSET = 338;
+const UMID_OFFSET = 348;
+const UMID_SIZE = 64;
+const BEXT_FIXED_SIZE = 602;
+const BEXT_VERSION = 1;
+
+/**
+ * Empty metadata
+ * @returns {Object}
+ */
+export const createMetadata = () => ({
+	bext: {
+		description: "",
+		originator: "",
+		originatorReference: "",
+		originationDate: "",
+		originationTime: "",
+		timeReference: 0,
+		umid: "",
+		codingHistory: "",
+	},
+	info: {},
+	ixml: {},
+	cover: null,
+});
+
+/**
+ * Whether metadata has nothing worth writing
+ * @param {Object} metadata
+ * @returns {boolean}
+ */
+export const isMetadataEmpty = (metadata) =>
+	!metadata ||
+	(Object.entries(metadata.bext ?? {}).every(([, value]) => !value) &&
+		Object.values(metadata.info ?? {}).every((value) => !value) &&
+		Object.values(metadata.ixml ?? {}).every((value) => !value) &&
+		!metadata.cover);
+
+/**
+ * Lay one set of metadata over another; only filled-in fields override
+ * @param {Object} base - Project metadata, say
+ * @param {Object} override - Track metadata, say
+ * @returns {Object}
+ */
+export const mergeMetadata = (base, override) => {
+	const merged = createMetadata();
+	for (const source of [base, override]) {
+		for (const section of ["bext", "info", "ixml"]) {
+			for (const [key, value] of Object.entries(source?.[section] ?? {})) {
+				if (value) merged[section][key] = value;
+			}
+		}
+		if (source?.cover) merged.cover = source.cover;
+	}
+	return merged;
+};
+
+// bext text is ASCII; anything outside Latin-1 becomes "?"
+const latin1Bytes = (text) =>
+	Uint8Array.from(text, (c) => (c.charCodeAt(0) < 256 ? c.charCodeAt(0) : 0x3f));
+
+const latin1Text = (bytes) => {
+	const end = bytes.indexOf(0);
+	return String.fromCharCode(...(end >= 0 ? bytes.subarray(0, end) : bytes)).trimEnd();
+};
+
+/**
+ * Read a bext chunk
+ * @param {Uint8Array} bytes - Chunk body
+ * @param {number} sampleRate - Rate of the file, to convert the time reference
+ * @returns {Object} - The bext part of the model
+ */
+export const readBext = (bytes, sampleRate) => {
+	const bext = createMetadata().bext;
+	if (bytes.length < UMID_OFFSET + UMID_SIZE) return bext;
+
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	let offset = 0;
+	for (const [field, size] of BEXT_TEXT_FIELDS) {
+		bext[field] = latin1Text(bytes.subarray(offset, offset + size));
+		offset += size;
+	}
+	const samples =
+		view.getUint32(TIME_REFERENCE_OFFSET + 4, true) * 2 ** 32 +
+		view.getUint32(TIME_REFERENCE_OFFSET, true);
+	bext.timeReference = samples / sampleRate;
+	const umid = bytes.subarray(UMID_OFFSET, UMID_OFFSET + UMID_SIZE);
+	if (umid.some((byte) => byte !== 0)) {
+		bext.umid = Array.from(umid, (byte) => byte.toString(16).padStart(2, "0")).join("");
+	}
+	bext.codingHistory = latin1Text(bytes.subarray(BEXT_FIXED_SIZE));
+	return bext;
+};
+
+/**
+ * Write a bext chunk (version 1)
+ * @param {Object} bext - The bext part of the model
+ * @param {number} sampleRate - Rate of the file
+ * @returns {Uint8Array} - Chunk body
+ */
+export const writeBext = (bext, sampleRate) => {
+	const history = latin1Bytes(bext.codingHistory ?? "");
+	const bytes = new Uint8Array(BEXT_FIXED_SIZE + history.length);
+	const view = new DataView(bytes.buffer);
+
+	let offset = 0;
+	for (const [field, size] of BEXT_TEXT_FIELDS) {
+		bytes.set(latin1Bytes(bext[field] ?? "").subarray(0, size), offset);
+		offset += size;
+	}
+	const samples = Math.max(0, Math.round((bext.timeReference || 0) * sampleRate));
+	view.setUint32(TIME_REFERENCE_OFFSET, samples % 2 ** 32, true);
+	view.setUint32(TIME_REFERENCE_OFFSET + 4, Math.floor(samples / 2 ** 32), true);
+	view.setUint16(TIME_REFERENCE_OFFSET + 8, BEXT_VERSION, true);
+	const umid = bext.umid?.match(/[0-9a-f]{2}/gi) ?? [];
+	umid.slice(0, UMID_SIZE).forEach((hex, i) => (bytes[UMID_OFFSET + i] = parseInt(hex, 16)));
+	bytes.set(history, BEXT_FIXED_SIZE);
+	return bytes;
+};
+
+const escapeXml = (text) =>
+	String(text).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+const unescapeXml = (text) =>
+	text.replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => ({ amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" })[name]);
+
+/**
+ * Read the fields we edit from an iXML document
+ * @param {string} xml - iXML text
+ * @returns {Object} - The ixml part of the model
+ */
+export const readIxml = (xml) => {
+	const ixml = {};
+	for (const field of IXML_FIELDS) {
+		const match = xml.match(new RegExp(`<${field}>([^<]*)</${field}>`));
+		if (match) ixml[field] = unescapeXml(match[1]);
+	}
+	return ixml;
+};
+
+/**
+ * Write an iXML document
+ * @param {Object} ixml - The ixml part of the model
+ * @returns {string}
+ */
+export const writeIxml = (ixml) => {
+	const fields = IXML_FIELDS.filter((field) => ixml[field])
+		.map((field) => `\t<${field}>${escapeXml(ixml[field])}</${field}>\n`)
+		.join("");
+	return `<?xml version="1.0" encoding="UTF-8"?>\n<BWFXML>\n\t<IXML_VERSION>2.10</IXML_VERSION>\n${fields}</BWFXML>\n`;
+};
+
+/**
+ * Build the metadata model from a decoded WAV file
+ * @param {Object} wav - Result of decodeWav (its info and chunks are used)
+ * @returns {Object}
+ */
+export const readWavMetadata = (wav) => {
+	const metadata = createMetadata();
+	metadata.info = { ...wav.info };
+	for (const { id, data } of wav.chunks) {
+		if (id === "bext") metadata.bext = readBext(data, wav.sampleRate);
+		else if (id === "iXML") metadata.ixml = readIxml(new TextDecoder().decode(data));
+	}
+	return metadata;
+};
+
+const subChunk = (id, body) => {
+	const bytes = new Uint8Array(8 + body.length + (body.length % 2));
+	bytes.set(latin1Bytes(id));
+	new DataView(bytes.buffer).setUint32(4, body.length, true);
+	bytes.set(body, 8);
+	return bytes;
+};
+
+const concat = (parts) => {
+	const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+	let offset = 0;
+	for (const part of parts) {
+		bytes.set(part, offset);
+		offset += part.length;
+	}
+	return bytes;
+};
+
+const zeroTerminated = (text) => concat([new TextEncoder().encode(text), new Uint8Array(1)]);
+
+/**
+ * Build the metadata chunks of a WAV file
+ * @param {Object} metadata - Metadata model, or null
+ * @param {Object[]} labels - Labels as cue points, { time, endTime, text } in seconds
+ * @param {number} sampleRate - Rate of the file
+ * @returns {Object[]} - { id, data } chunks for encodeWav
+ */
+export const buildWavMetadataChunks = (metadata, labels = [], sampleRate) => {
+	const chunks = [];
+
+	if (metadata && !isMetadataEmpty({ bext: metadata.bext })) {
+		chunks.push({ id: "bext", data: writeBext(metadata.bext, sampleRate) });
+	}
+	if (metadata && Object.values(metadata.ixml ?? {}).some(Boolean)) {
+		chunks.push({ id: "iXML", data: new TextEncoder().encode(writeIxml(metadata.ixml)) });
+	}
+
+	const info = Object.entries(metadata?.info ?? {}).filter(([id, value]) => id.length === 4 && value);
+	if (info.length > 0) {
+		const tags = info.map(([id, value]) => subChunk(id, zeroTerminated(value)));
+		chunks.push({ id: "LIST", data: concat([latin1Bytes("INFO"), ...tags]) });
+	}
+
+	if (labels.length > 0) {
+		const cue = new Uint8Array(4 + labels.length * 24);
+		const view = new DataView(cue.buffer);
+		const notes = [];
+		view.setUint32(0, labels.length, true);
+		labels.forEach((label, i) => {
+			const id = i + 1;
+			const position = Math.max(0, Math.round(label.time * sampleRate));
+			const entry = 4 + i * 24;
+			view.setUint32(entry, id, true);
+			view.setUint32(entry + 4, position, true);
+			cue.set(latin1Bytes("data"), entry + 8);
+			view.setUint32(entry + 20, position, true); // Chunk and block start stay zero
+
+			const labl = concat([new Uint8Array(4), zeroTerminated(label.text ?? "")]);
+			new DataView(labl.buffer).setUint32(0, id, true);
+			notes.push(subChunk("labl", labl));
+			if (label.endTime !== null && label.endTime !== undefined) {
+				const ltxt = new Uint8Array(20);
+				const ltxtView = new DataView(ltxt.buffer);
+				ltxtView.setUint32(0, id, true);
+				ltxtView.setUint32(4, Math.max(0, Math.round(label.endTime * sampleRate) - position), true);
+				ltxt.set(latin1Bytes("rgn "), 8);
+				notes.push(subChunk("ltxt", ltxt));
+			}
+		});
+		chunks.push({ id: "cue ", data: cue });
+		chunks.push({ id: "LIST", data: concat([latin1Bytes("adtl"), ...notes]) });
+	}
+
+	return chunks;
+};
+
+export default createMetadata;
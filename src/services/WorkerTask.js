@@ -0,0 +1,45 @@
+/**
+ * Worker tasks for WebAudacity
+ * Runs one CPU-heavy job, such as encoding an export, in its own worker so the
+ * UI stays responsive. Where workers aren't available (tests, old browsers)
+ * the job runs inline instead.
+ */
+
+/**
+ * Run a job in a fresh worker
+ * @param {Function} WorkerClass - Worker constructor (a Vite "?worker" import)
+ * @param {Object} message - Posted to the worker, which replies { result } or { error }
+ * @param {Object} options
+ * @param {Transferable[]} options.transfer - Buffers to move rather than copy
+ * @param {Function} options.inline - Does the same job on this thread
+ * @returns {Promise<*>} - The worker's result
+ */
+export const runWorkerTask = (WorkerClass, message, { transfer = [], inline }) => {
+	let worker = null;
+	if (typeof Worker !== "undefined") {
+		try {
+			worker = new WorkerClass();
+		} catch (error) {
+			console.warn("Worker unavailable, running inline:", error);
+		}
+	}
+	if (!worker) return Promise.resolve().then(inline);
+
+	return new Promise((resolve, reject) => {
+		worker.onmessage = ({ data }) => {
+			worker.terminate();
+			if (data.error) {
+				reject(new Error(data.error));
+			} else {
+				resolve(data.result);
+			}
+		};
+		worker.onerror = (event) => {
+			worker.terminate();
+			reject(new Error(event.message || "Worker failed"));
+		};
+		worker.postMessage(message, transfer);
+	});
+};
+
+export default runWorkerTask;
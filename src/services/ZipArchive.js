@@ -0,0 +1,294 @@
+/**
+ * ZIP archives for WebAudacity
+ * Builds ZIP files in the browser for exports of several files and project
+ * files, and reads stored archives back. Entries are stored without
+ * compression: encoded audio barely shrinks, and storing keeps large exports
+ * fast. Names are UTF-8 (general purpose flag bit 11). Large archives are
+ * written as Blobs from parts and read through Blob.slice, so they never have
+ * to be in memory whole.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const VERSION = 20; // 2.0: what stored entries in folders need
+const FLAG_UTF8 = 0x0800;
+const METHOD_STORED = 0;
+// Sizes and offsets of 0xffffffff or more, or more than 0xffff entries, need ZIP64
+const MAX_SIZE = 0xffffffff;
+const MAX_ENTRIES = 0xffff;
+const TOO_LARGE = "ZIP archive larger than 4 GB not supported";
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+	let c = n;
+	for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	return c >>> 0;
+});
+
+/**
+ * CRC-32 as used by ZIP (and PNG, gzip)
+ * @param {Uint8Array} bytes
+ * @param {number} previous - CRC of the bytes before these, to continue from
+ * @returns {number}
+ */
+export const crc32 = (bytes, previous = 0) => {
+	let crc = (previous ^ 0xffffffff) >>> 0;
+	for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+	return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time, in local time with two-second resolution
+const dosDateTime = (date) => ({
+	time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+	date:
+		(Math.max(0, date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+const localHeader = (nameBytes, date, crc, size) => {
+	const stamp = dosDateTime(date);
+	const local = new Uint8Array(30 + nameBytes.length);
+	const view = new DataView(local.buffer);
+	view.setUint32(0, LOCAL_HEADER, true);
+	view.setUint16(4, VERSION, true);
+	view.setUint16(6, FLAG_UTF8, true);
+	view.setUint16(8, METHOD_STORED, true);
+	view.setUint16(10, stamp.time, true);
+	view.setUint16(12, stamp.date, true);
+	view.setUint32(14, crc, true);
+	view.setUint32(18, size, true);
+	view.setUint32(22, size, true);
+	view.setUint16(26, nameBytes.length, true);
+	local.set(nameBytes, 30);
+	return local;
+};
+
+const centralHeader = (local, nameBytes, offset) => {
+	const central = new Uint8Array(46 + nameBytes.length);
+	const view = new DataView(central.buffer);
+	view.setUint32(0, CENTRAL_HEADER, true);
+	view.setUint16(4, VERSION, true);
+	// The local header's version, flags, method, time, date, CRC and sizes
+	central.set(local.subarray(4, 26), 6);
+	view.setUint16(28, nameBytes.length, true);
+	view.setUint32(42, offset, true);
+	central.set(nameBytes, 46);
+	return central;
+};
+
+const concat = (parts) => {
+	const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+	let position = 0;
+	for (const part of parts) {
+		bytes.set(part, position);
+		position += part.length;
+	}
+	return bytes;
+};
+
+/**
+ * Builds a ZIP archive an entry at a time. Entries can be streamed in as
+ * chunks, each kept as a Blob of its own, so an archive larger than memory
+ * only ever holds one chunk at a time.
+ */
+export class ZipWriter {
+	constructor() {
+		this.encoder = new TextEncoder();
+		this.parts = []; // Local headers and data, in file order
+		this.centrals = [];
+		this.offset = 0;
+	}
+
+	/**
+	 * Add a file
+	 * @param {string} name - Path in the archive, folders written as "folder/name"
+	 * @param {Uint8Array} data - File content
+	 * @param {Date} date - Modification date
+	 */
+	add(name, data, date = new Date()) {
+		this.addEntry(name, [data], data.length, crc32(data), date);
+	}
+
+	/**
+	 * Add a file from chunks produced one after another
+	 * @param {string} name - Path in the archive, folders written as "folder/name"
+	 * @param {AsyncIterable<Uint8Array>} chunks - File content, in order
+	 * @param {Date} date - Modification date
+	 * @returns {Promise<void>}
+	 */
+	async addStream(name, chunks, date = new Date()) {
+		const parts = [];
+		let size = 0;
+		let crc = 0;
+		for await (const chunk of chunks) {
+			size += chunk.length;
+			if (this.offset + size >= MAX_SIZE) throw new Error(TOO_LARGE);
+			crc = crc32(chunk, crc);
+			parts.push(new Blob([chunk]));
+		}
+		this.addEntry(name, parts, size, crc, date);
+	}
+
+	addEntry(name, data, size, crc, date) {
+		if (this.centrals.length >= MAX_ENTRIES) {
+			throw new Error(`ZIP archive of more than ${MAX_ENTRIES} files not supported`);
+		}
+		const nameBytes = this.encoder.encode(name);
+		const local = localHeader(nameBytes, date, crc, size);
+		// The entry has to end below the limit too, since the directory's offset comes after it
+		if (this.offset + local.length + size >= MAX_SIZE) throw new Error(TOO_LARGE);
+
+		this.centrals.push(centralHeader(local, nameBytes, this.offset));
+		this.parts.push(local, ...data);
+		this.offset += local.length + size;
+	}
+
+	/**
+	 * Every part of the archive, with the central directory after the entries
+	 * @returns {Array<Uint8Array|Blob>}
+	 */
+	finish() {
+		const directorySize = this.centrals.reduce((sum, central) => sum + central.length, 0);
+		if (this.offset + directorySize >= MAX_SIZE) throw new Error(TOO_LARGE);
+
+		const end = new Uint8Array(22);
+		const view = new DataView(end.buffer);
+		view.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+		view.setUint16(8, this.centrals.length, true);
+		view.setUint16(10, this.centrals.length, true);
+		view.setUint32(12, directorySize, true);
+		view.setUint32(16, this.offset, true);
+		return [...this.parts, ...this.centrals, end];
+	}
+
+	/**
+	 * @returns {Blob} - The archive
+	 */
+	toBlob() {
+		return new Blob(this.finish(), { type: "application/zip" });
+	}
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Object[]} entries - { name, data: Uint8Array, date }; folders are
+ *   written as "folder/name"
+ * @returns {Uint8Array}
+ */
+export const createZip = (entries) => {
+	const zip = new ZipWriter();
+	for (const { name, data, date } of entries) zip.add(name, data, date);
+	return concat(zip.finish());
+};
+
+// The end record is last, followed only by an archive comment of up to 64 KB
+const findEnd = (bytes) => {
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+		if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+			return {
+				count: view.getUint16(i + 10, true),
+				directorySize: view.getUint32(i + 12, true),
+				directoryOffset: view.getUint32(i + 16, true),
+			};
+		}
+	}
+	throw new Error("Not a ZIP archive");
+};
+
+// The files a central directory lists, from the directory's own bytes
+const readDirectory = (bytes, count) => {
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	const decoder = new TextDecoder();
+	const entries = [];
+	let offset = 0;
+	for (let i = 0; i < count; i++) {
+		if (offset + 46 > bytes.length || view.getUint32(offset, true) !== CENTRAL_HEADER) {
+			throw new Error("ZIP central directory is damaged");
+		}
+		const method = view.getUint16(offset + 10, true);
+		const crc = view.getUint32(offset + 16, true);
+		const size = view.getUint32(offset + 20, true);
+		const nameLength = view.getUint16(offset + 28, true);
+		const localOffset = view.getUint32(offset + 42, true);
+		const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+		offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+
+		if (name.endsWith("/")) continue; // Folder
+		if (method !== METHOD_STORED) {
+			throw new Error(`ZIP entry ${name} is compressed; only stored entries can be read`);
+		}
+		entries.push({ name, crc, size, localOffset });
+	}
+	return entries;
+};
+
+// Where an entry's data starts, from its local header: the local extra field
+// can differ in length from the central one
+const dataStart = (localOffset, local) => {
+	const view = new DataView(local.buffer, local.byteOffset, local.byteLength);
+	return localOffset + 30 + view.getUint16(26, true) + view.getUint16(28, true);
+};
+
+const checkEntry = ({ name, crc, size }, data) => {
+	if (data.length !== size || crc32(data) !== crc) {
+		throw new Error(`ZIP entry ${name} is damaged`);
+	}
+	return data;
+};
+
+/**
+ * Read the files of a ZIP archive written without compression
+ * @param {Uint8Array} bytes - The archive
+ * @returns {Object[]} - { name, data: Uint8Array } per file, in directory order;
+ *   data is a view into bytes
+ */
+export const readZip = (bytes) => {
+	const { count, directoryOffset } = findEnd(bytes);
+	return readDirectory(bytes.subarray(directoryOffset), count).map((entry) => {
+		const { localOffset } = entry;
+		const start = dataStart(localOffset, bytes.subarray(localOffset, localOffset + 30));
+		return { name: entry.name, data: checkEntry(entry, bytes.subarray(start, start + entry.size)) };
+	});
+};
+
+const readSlice = async (file, offset, length) =>
+	new Uint8Array(await file.slice(offset, offset + length).arrayBuffer());
+
+/**
+ * List the files of a ZIP archive written without compression, reading only its
+ * directory and headers
+ * @param {Blob} file - The archive
+ * @returns {Promise<Object[]>} - { name, size, crc, data: Blob } per file, in directory
+ *   order; data is a slice of file, checked only when read with readZipEntry
+ */
+export const readZipFile = async (file) => {
+	const tailStart = Math.max(0, file.size - 22 - 0xffff);
+	const { count, directorySize, directoryOffset } = findEnd(
+		await readSlice(file, tailStart, file.size - tailStart),
+	);
+	const directory = readDirectory(await readSlice(file, directoryOffset, directorySize), count);
+
+	const entries = [];
+	for (const entry of directory) {
+		const local = await readSlice(file, entry.localOffset, 30);
+		const start = local.length === 30 ? dataStart(entry.localOffset, local) : file.size;
+		if (start + entry.size > file.size) throw new Error(`ZIP entry ${entry.name} is damaged`);
+		entries.push({
+			name: entry.name,
+			size: entry.size,
+			crc: entry.crc,
+			data: file.slice(start, start + entry.size),
+		});
+	}
+	return entries;
+};
+
+/**
+ * Read a file listed by readZipFile, checking its CRC
+ * @param {Object} entry - Entry from readZipFile
+ * @returns {Promise<Uint8Array>}
+ */
+export const readZipEntry = async (entry) =>
+	checkEntry(entry, new Uint8Array(await entry.data.arrayBuffer()));
+
+export default createZip;
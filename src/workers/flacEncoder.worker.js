@@ -0,0 +1,10 @@
+import { encodeFlac } from "../services/FlacEncoder";
+
+self.onmessage = ({ data }) => {
+	try {
+		const result = encodeFlac(data.channels, data.options);
+		self.postMessage({ result }, [result.buffer]);
+	} catch (error) {
+		self.postMessage({ error: error.message });
+	}
+};
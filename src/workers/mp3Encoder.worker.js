@@ -0,0 +1,10 @@
+import { encodeMp3 } from "../services/Mp3Encoder";
+
+self.onmessage = ({ data }) => {
+	try {
+		const result = encodeMp3(data.channels, data.options);
+		self.postMessage({ result }, [result.buffer]);
+	} catch (error) {
+		self.postMessage({ error: error.message });
+	}
+};
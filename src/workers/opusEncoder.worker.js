@@ -0,0 +1,10 @@
+import { encodeOggOpus, loadOpusModule } from "../services/OggOpusEncoder";
+
+self.onmessage = async ({ data }) => {
+	try {
+		const result = encodeOggOpus(await loadOpusModule(), data.channels, data.options);
+		self.postMessage({ result }, [result.buffer]);
+	} catch (error) {
+		self.postMessage({ error: error.message });
+	}
+};